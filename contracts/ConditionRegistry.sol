@@ -1,18 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/IHelioraRouter.sol";
+
+interface IHelioraPriceOracle {
+    function isPriceAbove(string calldata pair, uint256 threshold) external view returns (bool);
+    function isPriceBelow(string calldata pair, uint256 threshold) external view returns (bool);
+    function isBalanceAbove(address account, uint256 threshold) external view returns (bool);
+}
+
+interface IHelioraStaking {
+    function slashExecutor(address executor, uint256 amount, string calldata reason, uint256 conditionId)
+        external
+        returns (uint256);
+}
+
 /**
  * @title ConditionRegistry
  * @notice On-chain registry of all execution conditions with verification
  * @dev Stores condition metadata, tracks execution history, provides
  *      challenge/verification infrastructure for optimistic execution.
+ *      COMPOSITE conditions combine leaf triggers with AND/OR; their expression
+ *      tree is stored as a flat node list (see ConditionNode).
+ *      Challenges are permissionless and bonded (see Challenge); an upheld
+ *      challenge slashes the executor through HelioraStaking.
+ *      HelioraInterface conditions are linked to a record here: HelioraInterface
+ *      registers, activates and cancels it, and records each execution itself.
  */
 contract ConditionRegistry {
     address public owner;
     address public executor; // HelioraExecutor address
+    address public priceOracle; // HelioraPriceOracle, resolves price/balance leaves of composite conditions
+    address public router; // HelioraRouter, consulted for pauses (0 = never paused)
+    address public staking; // HelioraStaking, slashed on upheld challenges (0 = no automatic slashing)
+    address public helioraInterface; // Manages the records linked to its conditions
 
     // --- Condition Types ---
-    enum ConditionType { BLOCK_NUMBER, TIMESTAMP, PRICE_ABOVE, PRICE_BELOW, BALANCE_THRESHOLD }
+    enum ConditionType { BLOCK_NUMBER, TIMESTAMP, PRICE_ABOVE, PRICE_BELOW, BALANCE_THRESHOLD, COMPOSITE }
+    enum NodeOp { LEAF, AND, OR }
     enum ConditionStatus { REGISTERED, ACTIVE, EXECUTED, CANCELLED, CHALLENGED, SLASHED }
 
     struct Condition {
@@ -33,38 +58,104 @@ contract ConditionRegistry {
         uint256 challengeDeadline; // Block until which execution can be challenged
     }
 
+    // Composite expression tree, root first. Operators list their children by
+    // index; every child comes after its parent and belongs to exactly one parent.
+    struct ConditionNode {
+        NodeOp op;
+        ConditionType leafType; // LEAF only
+        uint256 value;          // LEAF threshold (block, timestamp, price, balance)
+        address account;        // BALANCE_THRESHOLD, 0 = target contract
+        string pair;            // PRICE_ABOVE / PRICE_BELOW
+        uint8[] children;       // AND / OR only
+    }
+
+    uint256 public constant MAX_CONDITION_NODES = 16;
+
     // --- Storage ---
     mapping(uint256 => Condition) public conditions;
+    mapping(uint256 => ConditionNode[]) internal conditionNodes;
     mapping(address => uint256[]) public registrantConditions;
+    mapping(uint256 => uint256) public interfaceIds; // registry id => HelioraInterface id (0 = registered here)
     uint256 public nextConditionId = 1;
     uint256 public totalRegistered;
     uint256 public totalExecuted;
     uint256 public totalCancelled;
+    uint256 public openConditions; // REGISTERED or ACTIVE
 
     // Challenge period in blocks (~10 min on Base at 2s/block)
     uint256 public challengePeriod = 300;
 
     // --- Execution Proofs ---
+    // executor, challenged and valid share a slot
     struct ExecutionProof {
         uint256 conditionId;
         address executor;
+        bool challenged;
+        bool valid; // Set after challenge resolution
         uint256 blockNumber;
         uint256 timestamp;
         bytes32 txHash;
-        bool challenged;
-        bool valid; // Set after challenge resolution
     }
 
     mapping(uint256 => ExecutionProof) public executionProofs;
 
+    // Per executor: last block any of its executions can be challenged, and
+    // challenges not resolved yet (HelioraStaking holds withdrawals until both clear)
+    mapping(address => uint256) public executorChallengeDeadline;
+    mapping(address => uint256) public openChallenges;
+    mapping(uint256 => uint256) public openConditionChallenges; // condition id => unresolved challenges
+
+    // --- Challenge Bonds ---
+    // A challenger posts challengeBond. Upheld (execution invalid): the executor is
+    // slashed challengeSlashAmount, the challenger gets the bond back plus
+    // challengerRewardBps of the slashed stake, the registrant the rest.
+    // Rejected: the bond goes to the executor. Left unresolved for
+    // resolutionTimeout blocks: anyone can expire it, the bond is refunded and
+    // the execution stands. Payouts are credited to claimable.
+    // Each challenge has its own id and holds the execution it is about: a
+    // linked record keeps recording runs while one of them is challenged, and
+    // its latest run stays challengeable.
+    struct Challenge {
+        uint256 conditionId;
+        address challenger;
+        address executor; // Executor of the challenged execution
+        bool open;
+        uint256 executionBlock; // Block of the challenged execution
+        uint256 bond;
+        uint256 resolveBy; // Last block the owner can resolve
+    }
+
+    uint256 public nextChallengeId = 1;
+    mapping(uint256 => Challenge) public challenges; // challenge id => challenge
+    mapping(uint256 => uint256) public latestChallenge; // condition id => its most recent challenge id
+    mapping(address => uint256) public claimable;
+
+    uint256 public constant BPS = 10000;
+    uint256 public challengeBond = 0.01 ether;
+    uint256 public challengeSlashAmount = 0.05 ether;
+    uint256 public challengerRewardBps = 5000;
+    uint256 public resolutionTimeout = 43200; // ~1 day on Base
+
+    bool private _locked;
+
     // --- Events ---
     event ConditionRegistered(uint256 indexed id, address indexed registrant, ConditionType conditionType, uint256 value);
     event ConditionActivated(uint256 indexed id);
     event ConditionExecuted(uint256 indexed id, address indexed executor, uint256 blockNumber);
     event ConditionCancelled(uint256 indexed id);
-    event ConditionChallenged(uint256 indexed id, address indexed challenger);
-    event ChallengeResolved(uint256 indexed id, bool valid);
+    event ConditionLinked(uint256 indexed id, uint256 indexed interfaceId);
+    event ConditionChallenged(uint256 indexed id, uint256 indexed challengeId, address indexed challenger);
+    event ChallengeResolved(uint256 indexed id, uint256 indexed challengeId, bool valid);
+    event ChallengeUpheld(uint256 indexed id, address indexed challenger, uint256 slashed, uint256 reward, uint256 compensation);
+    event BondForfeited(uint256 indexed id, address indexed challenger, address indexed executor, uint256 bond);
+    event ChallengeExpired(uint256 indexed id, uint256 indexed challengeId, address indexed challenger, uint256 bond);
+    event Claimed(address indexed account, uint256 amount);
+    event StakingUpdated(address newStaking);
+    event HelioraInterfaceUpdated(address newInterface);
+    event ChallengeTermsUpdated(uint256 bond, uint256 slashAmount, uint256 rewardBps, uint256 resolutionTimeout);
     event ExecutorUpdated(address newExecutor);
+    event PriceOracleUpdated(address newOracle);
+    event RouterUpdated(address newRouter);
     event ChallengePeriodUpdated(uint256 newPeriod);
     event OwnershipTransferred(address indexed prev, address indexed next_);
 
@@ -78,6 +169,29 @@ contract ConditionRegistry {
         _;
     }
 
+    modifier onlyHelioraInterface() {
+        require(helioraInterface != address(0) && msg.sender == helioraInterface, "Not HelioraInterface");
+        _;
+    }
+
+    // Linked records only change through HelioraInterface
+    modifier notLinked(uint256 _id) {
+        require(interfaceIds[_id] == 0, "Managed by HelioraInterface");
+        _;
+    }
+
+    modifier whenNotPaused(PauseScope scope) {
+        require(router == address(0) || !IHelioraRouter(router).isPaused(scope), "Protocol paused");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(!_locked, "Reentrant call");
+        _locked = true;
+        _;
+        _locked = false;
+    }
+
     constructor(address _executor) {
         owner = msg.sender;
         executor = _executor;
@@ -93,39 +207,120 @@ contract ConditionRegistry {
         address _targetContract,
         bytes4 _targetFunction,
         bool _repeatable
-    ) external returns (uint256) {
+    ) external whenNotPaused(PauseScope.REGISTRATION) returns (uint256) {
+        require(_type != ConditionType.COMPOSITE, "Use registerCompositeCondition");
+        return _register(msg.sender, _type, _value, _targetContract, _targetFunction, _repeatable);
+    }
+
+    /**
+     * @notice Register a condition made of AND/OR over leaf triggers
+     * @param _nodes Expression tree, root first (conditionValue = node count)
+     */
+    function registerCompositeCondition(
+        ConditionNode[] calldata _nodes,
+        address _targetContract,
+        bytes4 _targetFunction,
+        bool _repeatable
+    ) external whenNotPaused(PauseScope.REGISTRATION) returns (uint256) {
+        _validateNodes(_nodes);
+        uint256 id = _register(msg.sender, ConditionType.COMPOSITE, _nodes.length, _targetContract, _targetFunction, _repeatable);
+        for (uint256 i = 0; i < _nodes.length; i++) {
+            conditionNodes[id].push(_nodes[i]);
+        }
+        return id;
+    }
+
+    /**
+     * @notice Create the record of a HelioraInterface condition
+     * @param _registrant Protocol that registered it (receives challenge compensation)
+     * @param _interfaceId HelioraInterface condition id
+     */
+    function registerLinkedCondition(
+        address _registrant,
+        ConditionType _type,
+        uint256 _value,
+        address _targetContract,
+        bytes4 _targetFunction,
+        bool _repeatable,
+        uint256 _interfaceId
+    ) external onlyHelioraInterface returns (uint256 id) {
+        require(_type == ConditionType.BLOCK_NUMBER || _type == ConditionType.TIMESTAMP, "Invalid linked type");
+        require(_interfaceId > 0, "Invalid interface id");
+        id = _register(_registrant, _type, _value, _targetContract, _targetFunction, _repeatable);
+        interfaceIds[id] = _interfaceId;
+        emit ConditionLinked(id, _interfaceId);
+    }
+
+    function _register(
+        address _registrant,
+        ConditionType _type,
+        uint256 _value,
+        address _targetContract,
+        bytes4 _targetFunction,
+        bool _repeatable
+    ) internal returns (uint256) {
         require(_targetContract != address(0), "Invalid target");
         require(_value > 0, "Invalid value");
 
         uint256 id = nextConditionId++;
-        conditions[id] = Condition({
-            id: id,
-            registrant: msg.sender,
-            conditionType: _type,
-            conditionValue: _value,
-            targetContract: _targetContract,
-            targetFunction: _targetFunction,
-            repeatable: _repeatable,
-            status: ConditionStatus.REGISTERED,
-            createdAt: block.timestamp,
-            activatedAt: 0,
-            executedAt: 0,
-            executionBlock: 0,
-            executedBy: address(0),
-            executionTxHash: bytes32(0),
-            challengeDeadline: 0
-        });
-
-        registrantConditions[msg.sender].push(id);
+        // Fresh id: the execution fields are still 0, so only the rest is written
+        Condition storage c = conditions[id];
+        c.id = id;
+        c.registrant = _registrant;
+        c.conditionType = _type;
+        c.conditionValue = _value;
+        c.targetContract = _targetContract;
+        c.targetFunction = _targetFunction;
+        c.repeatable = _repeatable;
+        c.createdAt = block.timestamp;
+
+        registrantConditions[_registrant].push(id);
         totalRegistered++;
+        openConditions++;
 
-        emit ConditionRegistered(id, msg.sender, _type, _value);
+        emit ConditionRegistered(id, _registrant, _type, _value);
         return id;
     }
 
-    function activateCondition(uint256 _id) external {
+    function _validateNodes(ConditionNode[] calldata _nodes) internal pure {
+        require(_nodes.length > 0 && _nodes.length <= MAX_CONDITION_NODES, "Invalid node count");
+        uint256 referenced; // bitmap of node indexes that have a parent
+
+        for (uint256 i = 0; i < _nodes.length; i++) {
+            ConditionNode calldata node = _nodes[i];
+            if (node.op == NodeOp.LEAF) {
+                require(node.leafType != ConditionType.COMPOSITE, "Invalid leaf type");
+                require(node.value > 0, "Invalid value");
+                require(node.children.length == 0, "Leaf has children");
+                if (node.leafType == ConditionType.PRICE_ABOVE || node.leafType == ConditionType.PRICE_BELOW) {
+                    require(bytes(node.pair).length > 0, "Missing price pair");
+                }
+                continue;
+            }
+            require(node.children.length >= 2, "Operator needs two children");
+            for (uint256 j = 0; j < node.children.length; j++) {
+                uint256 child = node.children[j];
+                require(child > i && child < _nodes.length, "Invalid child index");
+                require(referenced & (1 << child) == 0, "Node has two parents");
+                referenced |= 1 << child;
+            }
+        }
+        // Every node but the root hangs off the tree
+        require(referenced == (1 << _nodes.length) - 2, "Unreachable node");
+    }
+
+    function activateCondition(uint256 _id) external notLinked(_id) whenNotPaused(PauseScope.REGISTRATION) {
+        require(conditions[_id].registrant == msg.sender, "Not registrant");
+        _activate(_id);
+    }
+
+    function activateLinkedCondition(uint256 _id) external onlyHelioraInterface {
+        require(interfaceIds[_id] != 0, "Not linked");
+        _activate(_id);
+    }
+
+    function _activate(uint256 _id) internal {
         Condition storage c = conditions[_id];
-        require(c.registrant == msg.sender, "Not registrant");
         require(c.status == ConditionStatus.REGISTERED, "Not registered");
 
         c.status = ConditionStatus.ACTIVE;
@@ -134,16 +329,30 @@ contract ConditionRegistry {
         emit ConditionActivated(_id);
     }
 
-    function cancelCondition(uint256 _id) external {
+    function cancelCondition(uint256 _id) external notLinked(_id) {
         Condition storage c = conditions[_id];
         require(c.registrant == msg.sender || msg.sender == owner, "Not authorized");
         require(
             c.status == ConditionStatus.REGISTERED || c.status == ConditionStatus.ACTIVE,
             "Cannot cancel"
         );
+        _cancel(_id);
+    }
+
+    /**
+     * @notice Cancel a linked record along with its HelioraInterface condition;
+     *         a record that is already closed (e.g. SLASHED) is left as is
+     */
+    function cancelLinkedCondition(uint256 _id) external onlyHelioraInterface {
+        require(interfaceIds[_id] != 0, "Not linked");
+        ConditionStatus status = conditions[_id].status;
+        if (status == ConditionStatus.REGISTERED || status == ConditionStatus.ACTIVE) _cancel(_id);
+    }
 
-        c.status = ConditionStatus.CANCELLED;
+    function _cancel(uint256 _id) internal {
+        conditions[_id].status = ConditionStatus.CANCELLED;
         totalCancelled++;
+        openConditions--;
 
         emit ConditionCancelled(_id);
     }
@@ -155,65 +364,214 @@ contract ConditionRegistry {
     function recordExecution(
         uint256 _id,
         bytes32 _txHash
-    ) external onlyExecutor {
+    ) external onlyExecutor notLinked(_id) whenNotPaused(PauseScope.EXECUTION) {
+        _recordExecution(_id, msg.sender, _txHash, conditions[_id].repeatable);
+    }
+
+    /**
+     * @notice Record an execution HelioraInterface just performed, in the same transaction
+     * @param _executor Account that called HelioraInterface.executeCondition
+     * @param _completed False while a REPEATABLE condition has runs left
+     * @return recorded False, and nothing recorded, when the record is already closed
+     *         (e.g. SLASHED by an upheld challenge); HelioraInterface then closes the condition
+     * @dev Runs on every HelioraInterface execution, so it only writes what a challenge
+     *      needs: the proof's executor, block and flags. There is no tx hash to store,
+     *      and the record's executedAt / executionBlock / executedBy stay 0 (the
+     *      ConditionExecuted events carry them).
+     */
+    function recordLinkedExecution(uint256 _id, address _executor, bool _completed)
+        external
+        onlyHelioraInterface
+        returns (bool recorded)
+    {
+        require(interfaceIds[_id] != 0, "Not linked");
+        if (conditions[_id].status != ConditionStatus.ACTIVE) return false;
+
+        // Not held by an open challenge: a run that waited would miss its window.
+        // The challenge keeps the run it is about, and this one can be challenged too
+        ExecutionProof storage proof = executionProofs[_id];
+        proof.executor = _executor;
+        proof.challenged = false;
+        proof.valid = true;
+        proof.blockNumber = block.number;
+
+        _closeExecution(_id, _executor, !_completed);
+        return true;
+    }
+
+    function _recordExecution(uint256 _id, address _executor, bytes32 _txHash, bool _reactivate) internal {
         Condition storage c = conditions[_id];
         require(c.status == ConditionStatus.ACTIVE, "Not active");
+        require(openConditionChallenges[_id] == 0, "Execution under challenge");
 
-        c.status = ConditionStatus.EXECUTED;
         c.executedAt = block.timestamp;
         c.executionBlock = block.number;
-        c.executedBy = msg.sender;
+        c.executedBy = _executor;
         c.executionTxHash = _txHash;
-        c.challengeDeadline = block.number + challengePeriod;
 
         executionProofs[_id] = ExecutionProof({
             conditionId: _id,
-            executor: msg.sender,
+            executor: _executor,
+            challenged: false,
+            valid: true, // Assumed valid until challenged
             blockNumber: block.number,
             timestamp: block.timestamp,
-            txHash: _txHash,
-            challenged: false,
-            valid: true // Assumed valid until challenged
+            txHash: _txHash
         });
 
-        totalExecuted++;
+        _closeExecution(_id, _executor, _reactivate);
+    }
 
-        // If repeatable, reactivate
-        if (c.repeatable) {
-            c.status = ConditionStatus.ACTIVE;
+    // Open the challenge period and count the execution; a repeatable record stays ACTIVE
+    function _closeExecution(uint256 _id, address _executor, bool _reactivate) internal {
+        Condition storage c = conditions[_id];
+        c.challengeDeadline = block.number + challengePeriod;
+        if (c.challengeDeadline > executorChallengeDeadline[_executor]) {
+            executorChallengeDeadline[_executor] = c.challengeDeadline;
         }
 
-        emit ConditionExecuted(_id, msg.sender, block.number);
+        totalExecuted++;
+        if (!_reactivate) {
+            c.status = ConditionStatus.EXECUTED;
+            openConditions--;
+        }
+
+        emit ConditionExecuted(_id, _executor, block.number);
     }
 
     // =========================================================================
     // CHALLENGE MECHANISM
     // =========================================================================
 
-    function challengeExecution(uint256 _id) external {
+    /**
+     * @notice Challenge the latest execution of a condition, posting challengeBond
+     * @return challengeId Id to resolve or expire the challenge with
+     */
+    function challengeExecution(uint256 _id) external payable returns (uint256 challengeId) {
         Condition storage c = conditions[_id];
         ExecutionProof storage proof = executionProofs[_id];
 
         require(proof.blockNumber > 0, "No execution proof");
         require(!proof.challenged, "Already challenged");
         require(block.number <= c.challengeDeadline, "Challenge period expired");
+        require(msg.value == challengeBond, "Incorrect bond");
 
         proof.challenged = true;
+        openConditionChallenges[_id]++;
+        openChallenges[proof.executor]++;
+        challengeId = nextChallengeId++;
+        latestChallenge[_id] = challengeId;
+        challenges[challengeId] = Challenge({
+            conditionId: _id,
+            challenger: msg.sender,
+            executor: proof.executor,
+            open: true,
+            executionBlock: proof.blockNumber,
+            bond: msg.value,
+            resolveBy: block.number + resolutionTimeout
+        });
 
-        emit ConditionChallenged(_id, msg.sender);
+        emit ConditionChallenged(_id, challengeId, msg.sender);
     }
 
-    function resolveChallenge(uint256 _id, bool _valid) external onlyOwner {
-        ExecutionProof storage proof = executionProofs[_id];
-        require(proof.challenged, "Not challenged");
+    /**
+     * @notice Settle a challenge; _valid = false upholds it and slashes the executor
+     */
+    function resolveChallenge(uint256 _challengeId, bool _valid) external onlyOwner nonReentrant {
+        Challenge storage challenge = challenges[_challengeId];
+        require(challenge.challenger != address(0), "Not challenged");
+        require(challenge.open, "Already resolved");
+        require(block.number <= challenge.resolveBy, "Resolution timed out");
+
+        // A linked record may have recorded a newer run since
+        uint256 id = challenge.conditionId;
+        ExecutionProof storage proof = executionProofs[id];
+        if (proof.blockNumber == challenge.executionBlock) proof.valid = _valid;
+        _closeChallenge(challenge);
+
+        if (_valid) {
+            claimable[challenge.executor] += challenge.bond;
+            emit BondForfeited(id, challenge.challenger, challenge.executor, challenge.bond);
+        } else {
+            // A repeatable condition is still ACTIVE after its execution
+            Condition storage c = conditions[id];
+            if (c.status == ConditionStatus.ACTIVE) openConditions--;
+            c.status = ConditionStatus.SLASHED;
+
+            uint256 slashed = _slashExecutor(challenge);
+            uint256 reward = slashed * challengerRewardBps / BPS;
+            claimable[challenge.challenger] += challenge.bond + reward;
+            claimable[c.registrant] += slashed - reward;
+            emit ChallengeUpheld(id, challenge.challenger, slashed, reward, slashed - reward);
+        }
+
+        emit ChallengeResolved(id, _challengeId, _valid);
+    }
+
+    /**
+     * @notice Close a challenge the owner did not resolve in time; the bond is
+     *         refunded and the execution stands
+     */
+    function expireChallenge(uint256 _challengeId) external {
+        Challenge storage challenge = challenges[_challengeId];
+        require(challenge.open, "Not challenged");
+        require(block.number > challenge.resolveBy, "Resolution pending");
 
-        proof.valid = _valid;
+        _closeChallenge(challenge);
+        claimable[challenge.challenger] += challenge.bond;
 
-        if (!_valid) {
-            conditions[_id].status = ConditionStatus.SLASHED;
+        emit ChallengeExpired(challenge.conditionId, _challengeId, challenge.challenger, challenge.bond);
+    }
+
+    /**
+     * @notice Withdraw refunded bonds, rewards and compensation
+     */
+    function claim() external nonReentrant {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+
+        (bool sent, ) = msg.sender.call{value: amount}("");
+        require(sent, "Transfer failed");
+
+        emit Claimed(msg.sender, amount);
+    }
+
+    function _closeChallenge(Challenge storage _challenge) internal {
+        _challenge.open = false;
+        openConditionChallenges[_challenge.conditionId]--;
+        openChallenges[_challenge.executor]--;
+    }
+
+    // HelioraStaking pays the slashed stake to this contract; 0 when staking is
+    // unset or the executor has nothing left to slash. A run of a repeatable
+    // record is named by its execution block, as more than one can be upheld
+    function _slashExecutor(Challenge storage _challenge) internal returns (uint256) {
+        if (staking == address(0) || challengeSlashAmount == 0) return 0;
+        uint256 id = _challenge.conditionId;
+        string memory reason = string.concat("invalid-execution:registry:", _toString(id));
+        if (conditions[id].repeatable) reason = string.concat(reason, ":", _toString(_challenge.executionBlock));
+        try IHelioraStaking(staking).slashExecutor(
+            _challenge.executor,
+            challengeSlashAmount,
+            reason,
+            id
+        ) returns (uint256 slashed) {
+            return slashed;
+        } catch {
+            return 0;
         }
+    }
 
-        emit ChallengeResolved(_id, _valid);
+    function _toString(uint256 _value) internal pure returns (string memory) {
+        if (_value == 0) return "0";
+        uint256 digits;
+        for (uint256 v = _value; v != 0; v /= 10) digits++;
+        bytes memory buffer = new bytes(digits);
+        for (; _value != 0; _value /= 10) {
+            buffer[--digits] = bytes1(uint8(48 + (_value % 10)));
+        }
+        return string(buffer);
     }
 
     // =========================================================================
@@ -224,6 +582,10 @@ contract ConditionRegistry {
         return conditions[_id];
     }
 
+    function registrantOf(uint256 _id) external view returns (address) {
+        return conditions[_id].registrant;
+    }
+
     function getRegistrantConditions(address _registrant) external view returns (uint256[] memory) {
         return registrantConditions[_registrant];
     }
@@ -232,11 +594,25 @@ contract ConditionRegistry {
         return executionProofs[_id];
     }
 
+    function getConditionNodes(uint256 _id) external view returns (ConditionNode[] memory) {
+        return conditionNodes[_id];
+    }
+
+    /**
+     * @notice Whether an execution recorded by `_executor` can still be challenged
+     *         or has a challenge awaiting resolution
+     */
+    function hasPendingExecutions(address _executor) external view returns (bool) {
+        return block.number <= executorChallengeDeadline[_executor] || openChallenges[_executor] > 0;
+    }
+
     function isConditionReady(uint256 _id) external view returns (bool) {
         Condition memory c = conditions[_id];
         if (c.status != ConditionStatus.ACTIVE) return false;
 
-        if (c.conditionType == ConditionType.BLOCK_NUMBER) {
+        if (c.conditionType == ConditionType.COMPOSITE) {
+            return _isNodeMet(conditionNodes[_id], 0, c.targetContract);
+        } else if (c.conditionType == ConditionType.BLOCK_NUMBER) {
             return block.number >= c.conditionValue;
         } else if (c.conditionType == ConditionType.TIMESTAMP) {
             return block.timestamp >= c.conditionValue;
@@ -245,15 +621,42 @@ contract ConditionRegistry {
         return false;
     }
 
+    function _isNodeMet(ConditionNode[] storage _nodes, uint256 _index, address _target) internal view returns (bool) {
+        ConditionNode storage node = _nodes[_index];
+        if (node.op == NodeOp.LEAF) return _isLeafMet(node, _target);
+
+        bool isAnd = node.op == NodeOp.AND;
+        for (uint256 i = 0; i < node.children.length; i++) {
+            bool met = _isNodeMet(_nodes, node.children[i], _target);
+            if (met != isAnd) return met; // AND stops at the first false, OR at the first true
+        }
+        return isAnd;
+    }
+
+    // Price and balance leaves read priceOracle; unset oracle or a failing feed = not met
+    function _isLeafMet(ConditionNode storage _node, address _target) internal view returns (bool) {
+        if (_node.leafType == ConditionType.BLOCK_NUMBER) return block.number >= _node.value;
+        if (_node.leafType == ConditionType.TIMESTAMP) return block.timestamp >= _node.value;
+        if (priceOracle == address(0)) return false;
+
+        IHelioraPriceOracle oracle = IHelioraPriceOracle(priceOracle);
+        if (_node.leafType == ConditionType.BALANCE_THRESHOLD) {
+            address account = _node.account == address(0) ? _target : _node.account;
+            try oracle.isBalanceAbove(account, _node.value) returns (bool met) { return met; } catch { return false; }
+        }
+        if (_node.leafType == ConditionType.PRICE_ABOVE) {
+            try oracle.isPriceAbove(_node.pair, _node.value) returns (bool met) { return met; } catch { return false; }
+        }
+        try oracle.isPriceBelow(_node.pair, _node.value) returns (bool met) { return met; } catch { return false; }
+    }
+
     function getStats() external view returns (
         uint256 registered,
         uint256 executed,
         uint256 cancelled,
         uint256 active
     ) {
-        uint256 used = totalExecuted + totalCancelled;
-        uint256 activeCount = totalRegistered > used ? totalRegistered - used : 0;
-        return (totalRegistered, totalExecuted, totalCancelled, activeCount);
+        return (totalRegistered, totalExecuted, totalCancelled, openConditions);
     }
 
     // =========================================================================
@@ -266,6 +669,41 @@ contract ConditionRegistry {
         emit ExecutorUpdated(_executor);
     }
 
+    function setPriceOracle(address _oracle) external onlyOwner {
+        priceOracle = _oracle;
+        emit PriceOracleUpdated(_oracle);
+    }
+
+    function setRouter(address _router) external onlyOwner {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+
+    function setStaking(address _staking) external onlyOwner {
+        staking = _staking;
+        emit StakingUpdated(_staking);
+    }
+
+    function setHelioraInterface(address _interface) external onlyOwner {
+        helioraInterface = _interface;
+        emit HelioraInterfaceUpdated(_interface);
+    }
+
+    function setChallengeTerms(
+        uint256 _bond,
+        uint256 _slashAmount,
+        uint256 _rewardBps,
+        uint256 _resolutionTimeout
+    ) external onlyOwner {
+        require(_rewardBps <= BPS, "Invalid reward");
+        require(_resolutionTimeout >= 10 && _resolutionTimeout <= 1000000, "Timeout out of bounds");
+        challengeBond = _bond;
+        challengeSlashAmount = _slashAmount;
+        challengerRewardBps = _rewardBps;
+        resolutionTimeout = _resolutionTimeout;
+        emit ChallengeTermsUpdated(_bond, _slashAmount, _rewardBps, _resolutionTimeout);
+    }
+
     function setChallengePeriod(uint256 _period) external onlyOwner {
         require(_period >= 10 && _period <= 100000, "Period out of bounds");
         challengePeriod = _period;
@@ -277,4 +715,9 @@ contract ConditionRegistry {
         emit OwnershipTransferred(owner, _newOwner);
         owner = _newOwner;
     }
+
+    // Slashed stake sent by HelioraStaking
+    receive() external payable {
+        require(msg.sender == staking, "Unexpected ETH");
+    }
 }
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/IHelioraRouter.sol";
+
 /**
  * @title HelioraExecutor
  * @notice Production execution contract for Heliora Protocol
@@ -10,6 +12,7 @@ pragma solidity ^0.8.19;
 contract HelioraExecutor {
     address public owner;
     mapping(address => bool) public authorizedCallers;
+    address public router; // HelioraRouter, consulted for pauses (0 = never paused)
 
     bool private _locked;
 
@@ -32,6 +35,7 @@ contract HelioraExecutor {
 
     event CallerAuthorized(address indexed caller);
     event CallerRevoked(address indexed caller);
+    event RouterUpdated(address newRouter);
     event OwnershipTransferred(address indexed prev, address indexed next_);
 
     modifier onlyOwner() {
@@ -44,6 +48,11 @@ contract HelioraExecutor {
         _;
     }
 
+    modifier whenNotPaused(PauseScope scope) {
+        require(router == address(0) || !IHelioraRouter(router).isPaused(scope), "Protocol paused");
+        _;
+    }
+
     modifier nonReentrant() {
         require(!_locked, "Reentrant call");
         _locked = true;
@@ -69,7 +78,7 @@ contract HelioraExecutor {
         address targetContract,
         bytes4 targetFunction,
         bytes calldata callData
-    ) external payable onlyAuthorized nonReentrant {
+    ) external payable onlyAuthorized whenNotPaused(PauseScope.EXECUTION) nonReentrant {
         require(targetContract != address(0), "Invalid target");
 
         // Construct full call data
@@ -107,7 +116,7 @@ contract HelioraExecutor {
      * @notice Simple execute for backward compatibility (emits event only)
      * @param conditionId The condition identifier
      */
-    function executeSimple(uint256 conditionId) external payable onlyAuthorized {
+    function executeSimple(uint256 conditionId) external payable onlyAuthorized whenNotPaused(PauseScope.EXECUTION) {
         emit Executed(
             conditionId,
             address(0),
@@ -134,6 +143,11 @@ contract HelioraExecutor {
         emit CallerRevoked(_caller);
     }
 
+    function setRouter(address _router) external onlyOwner {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+
     function transferOwnership(address _newOwner) external onlyOwner {
         require(_newOwner != address(0), "Invalid owner");
         emit OwnershipTransferred(owner, _newOwner);
@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/IHelioraRouter.sol";
+
 /**
  * @title HelioraInterface
  * @notice Interface for integrating Heliora Protocol into your smart contracts
@@ -16,6 +18,27 @@ interface IHelioraExecutor {
     ) external payable;
 }
 
+interface IConditionRegistry {
+    function registerLinkedCondition(
+        address registrant,
+        uint8 conditionType,
+        uint256 value,
+        address targetContract,
+        bytes4 targetFunction,
+        bool repeatable,
+        uint256 interfaceId
+    ) external returns (uint256);
+    function activateLinkedCondition(uint256 id) external;
+    function cancelLinkedCondition(uint256 id) external;
+    function recordLinkedExecution(uint256 id, address executor, bool completed) external returns (bool);
+}
+
+interface IHelioraStaking {
+    function stakeConditionFor(address owner, uint256 conditionId) external payable;
+    function settleConditionStake(uint256 conditionId) external;
+    function recordExecution(address executor) external;
+}
+
 contract HelioraInterface {
     // Heliora executor contract address
     address public immutable helioraExecutor;
@@ -29,6 +52,18 @@ contract HelioraInterface {
     // Execution fee (optional, can be 0)
     uint256 public executionFee;
     
+    // HelioraRouter, consulted for pauses (0 = never paused)
+    address public router;
+    
+    // Lifecycle shared with ConditionRegistry and HelioraStaking. While a registry
+    // is set, every new condition gets a linked registry record (registryIds) and,
+    // with staking set, posts HelioraStaking.conditionStake with registration.
+    // Executions are recorded on the record and credited to the executor's stake;
+    // completion or cancellation returns the condition stake. Conditions from
+    // before the registry was set are linked with linkCondition.
+    address public conditionRegistry;
+    address public staking;
+    
     // Execution window (blocks) - protection against front-running
     // Condition can only be executed within this window after condition is met
     uint256 public constant EXECUTION_WINDOW = 100; // ~20 minutes on Base
@@ -65,6 +100,42 @@ contract HelioraInterface {
         CANCELLED
     }
     
+    // Recurring schedule of a REPEATABLE condition. Runs are due every `interval`
+    // from firstRun (conditionValue holds the next run); each run gets its own
+    // execution window, and a run whose window passed is skipped, not replayed.
+    struct Schedule {
+        uint256 interval;   // Blocks or seconds, like the condition type (0 = no schedule)
+        uint256 maxRuns;    // 0 = unlimited
+        uint256 endsAt;     // No run scheduled after this block/timestamp (0 = open-ended)
+        uint256 runs;
+        uint256 firstRun;
+    }
+    
+    // Calldata a protocol commits to before activation. Without a commitment the
+    // executor picks the calldata; FIXED and HASH bind the exact bytes, TEMPLATE
+    // constrains each 32-byte argument word (static ABI types only).
+    enum CalldataMode {
+        NONE,
+        FIXED,
+        HASH,
+        TEMPLATE
+    }
+    
+    enum ArgRule {
+        ANY,
+        EQ,   // word == value
+        LTE,  // uint(word) <= uint(value)
+        GTE   // uint(word) >= uint(value)
+    }
+    
+    struct ArgConstraint {
+        ArgRule rule;
+        bytes32 value;
+    }
+    
+    // Longest calldata template, in argument words
+    uint256 public constant MAX_TEMPLATE_ARGS = 16;
+    
     // Events
     event ConditionRegistered(
         uint256 indexed conditionId,
@@ -83,14 +154,28 @@ contract HelioraInterface {
         uint256 feePaid
     );
     event ConditionCancelled(uint256 indexed conditionId);
+    event ConditionScheduled(uint256 indexed conditionId, uint256 interval, uint256 maxRuns, uint256 endsAt);
+    event ConditionRescheduled(uint256 indexed conditionId, uint256 nextRun, uint256 executionWindowEnd);
+    event CalldataCommitted(uint256 indexed conditionId, CalldataMode mode, bytes32 commitment);
+    event ConditionLinked(uint256 indexed conditionId, uint256 indexed registryId, uint256 stake);
+    event ExecutionNotCredited(uint256 indexed conditionId, address indexed executor, bytes reason);
     event ExecutorAuthorized(address indexed executor);
     event ExecutorRevoked(address indexed executor);
     event ExecutionFeeUpdated(uint256 newFee);
+    event RouterUpdated(address newRouter);
+    event ConditionRegistryUpdated(address newRegistry);
+    event StakingUpdated(address newStaking);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
     
     // Storage
     mapping(uint256 => Condition) public conditions;
     mapping(address => uint256[]) public protocolConditions;
+    mapping(uint256 => Schedule) public schedules;
+    mapping(uint256 => CalldataMode) public calldataModes;
+    mapping(uint256 => bytes32) public calldataHashes; // FIXED and HASH
+    mapping(uint256 => bytes) private fixedCalldata;
+    mapping(uint256 => ArgConstraint[]) private calldataTemplates;
+    mapping(uint256 => uint256) public registryIds; // condition id => ConditionRegistry id (0 = not linked)
     uint256 private nextConditionId = 1;
     
     // Modifiers
@@ -117,6 +202,11 @@ contract HelioraInterface {
         _;
     }
     
+    modifier whenNotPaused(PauseScope scope) {
+        require(router == address(0) || !IHelioraRouter(router).isPaused(scope), "Protocol paused");
+        _;
+    }
+    
     constructor(address _helioraExecutor) {
         require(_helioraExecutor != address(0), "Invalid executor address");
         helioraExecutor = _helioraExecutor;
@@ -131,8 +221,9 @@ contract HelioraInterface {
      * @param conditionValue Value that triggers execution
      * @param targetContract Contract address to call when condition is met
      * @param targetFunction Function selector to call
-     * @param executionMode SINGLE (execute once) or REPEATABLE
+     * @param executionMode SINGLE; REPEATABLE conditions need a schedule (registerRecurringCondition)
      * @return conditionId The registered condition ID
+     * @dev Payment: msg.value is the condition stake while staking is set, else 0
      */
     function registerCondition(
         ConditionType conditionType,
@@ -140,7 +231,55 @@ contract HelioraInterface {
         address targetContract,
         bytes4 targetFunction,
         ExecutionMode executionMode
-    ) external returns (uint256) {
+    ) external payable whenNotPaused(PauseScope.REGISTRATION) returns (uint256 conditionId) {
+        require(executionMode == ExecutionMode.SINGLE, "Repeatable needs a schedule");
+        conditionId = _registerCondition(conditionType, conditionValue, targetContract, targetFunction, executionMode);
+        _link(conditionId);
+    }
+    
+    /**
+     * @notice Register a REPEATABLE condition that runs on a schedule
+     * @param conditionType BLOCK_NUMBER (interval in blocks) or TIMESTAMP (interval in seconds)
+     * @param firstRun Block/timestamp of the first run
+     * @param interval Distance between runs
+     * @param maxRuns Runs before the condition is EXECUTED (0 = unlimited)
+     * @param endsAt No run is scheduled after this block/timestamp (0 = open-ended)
+     * @param targetContract Contract address to call on every run
+     * @param targetFunction Function selector to call
+     * @return conditionId The registered condition ID
+     * @dev Payment: msg.value is the condition stake while staking is set, else 0
+     */
+    function registerRecurringCondition(
+        ConditionType conditionType,
+        uint256 firstRun,
+        uint256 interval,
+        uint256 maxRuns,
+        uint256 endsAt,
+        address targetContract,
+        bytes4 targetFunction
+    ) external payable whenNotPaused(PauseScope.REGISTRATION) returns (uint256 conditionId) {
+        require(interval > 0, "Invalid interval");
+        require(endsAt == 0 || endsAt >= firstRun, "Schedule ends before first run");
+        
+        conditionId = _registerCondition(conditionType, firstRun, targetContract, targetFunction, ExecutionMode.REPEATABLE);
+        schedules[conditionId] = Schedule({
+            interval: interval,
+            maxRuns: maxRuns,
+            endsAt: endsAt,
+            runs: 0,
+            firstRun: firstRun
+        });
+        emit ConditionScheduled(conditionId, interval, maxRuns, endsAt);
+        _link(conditionId);
+    }
+    
+    function _registerCondition(
+        ConditionType conditionType,
+        uint256 conditionValue,
+        address targetContract,
+        bytes4 targetFunction,
+        ExecutionMode executionMode
+    ) internal returns (uint256) {
         require(targetContract != address(0), "Invalid target contract");
         require(conditionValue > 0, "Invalid condition value");
         
@@ -154,13 +293,7 @@ contract HelioraInterface {
         uint256 conditionId = nextConditionId++;
         
         // Calculate execution window end
-        uint256 windowEnd = 0;
-        if (conditionType == ConditionType.BLOCK_NUMBER) {
-            windowEnd = conditionValue + EXECUTION_WINDOW;
-        } else {
-            // For timestamp, convert window to seconds (assuming ~2s per block)
-            windowEnd = conditionValue + (EXECUTION_WINDOW * 2);
-        }
+        uint256 windowEnd = conditionValue + _windowLength(conditionType);
         
         conditions[conditionId] = Condition({
             conditionId: conditionId,
@@ -190,6 +323,90 @@ contract HelioraInterface {
         return conditionId;
     }
     
+    /**
+     * @notice Link a condition registered before the ConditionRegistry was set,
+     *         keeping its ID (migration)
+     * @param conditionId A PENDING or ACTIVE condition without a registry record
+     * @dev Payment: msg.value is the condition stake while staking is set, else 0.
+     *      A stake posted directly for this ID stays releasable as before.
+     */
+    function linkCondition(uint256 conditionId)
+        external
+        payable
+        onlyProtocol(conditionId)
+        validCondition(conditionId)
+        whenNotPaused(PauseScope.REGISTRATION)
+    {
+        require(conditionRegistry != address(0), "No condition registry");
+        require(registryIds[conditionId] == 0, "Already linked");
+        ConditionStatus status = conditions[conditionId].status;
+        require(status == ConditionStatus.PENDING || status == ConditionStatus.ACTIVE, "Condition not open");
+        
+        _link(conditionId);
+        if (status == ConditionStatus.ACTIVE) {
+            IConditionRegistry(conditionRegistry).activateLinkedCondition(registryIds[conditionId]);
+        }
+    }
+    
+    // Create the registry record and post the stake; a recurring record holds the first run
+    function _link(uint256 conditionId) internal {
+        if (conditionRegistry == address(0)) {
+            require(msg.value == 0, "Registry not set");
+            return;
+        }
+        Condition storage condition = conditions[conditionId];
+        Schedule storage schedule = schedules[conditionId];
+        uint256 registryId = IConditionRegistry(conditionRegistry).registerLinkedCondition(
+            condition.protocol,
+            uint8(condition.conditionType),
+            schedule.interval > 0 ? schedule.firstRun : condition.conditionValue,
+            condition.targetContract,
+            condition.targetFunction,
+            condition.executionMode == ExecutionMode.REPEATABLE,
+            conditionId
+        );
+        registryIds[conditionId] = registryId;
+        
+        if (staking != address(0)) {
+            IHelioraStaking(staking).stakeConditionFor{value: msg.value}(condition.protocol, registryId);
+        } else {
+            require(msg.value == 0, "Staking not set");
+        }
+        emit ConditionLinked(conditionId, registryId, msg.value);
+    }
+    
+    // Close the registry record and return the stake of a completed or cancelled condition
+    function _settle(uint256 conditionId, bool cancelled) internal {
+        uint256 registryId = registryIds[conditionId];
+        if (registryId == 0) return;
+        if (cancelled && conditionRegistry != address(0)) {
+            IConditionRegistry(conditionRegistry).cancelLinkedCondition(registryId);
+        }
+        if (staking != address(0)) IHelioraStaking(staking).settleConditionStake(registryId);
+    }
+    
+    // Record the execution on the linked record. False when the record was closed
+    // under the condition (SLASHED by an upheld challenge): it takes no more runs,
+    // so the condition finishes with this one.
+    function _recordExecution(uint256 conditionId, bool completed) internal returns (bool recorded) {
+        uint256 registryId = registryIds[conditionId];
+        if (registryId == 0 || conditionRegistry == address(0)) return true;
+        return IConditionRegistry(conditionRegistry).recordLinkedExecution(registryId, msg.sender, completed);
+    }
+    
+    // Credit the executor and settle the stake of a finished condition. Only
+    // executors with an active HelioraStaking stake are credited; a credit that
+    // does not go through leaves ExecutionNotCredited rather than failing the run.
+    function _creditExecution(uint256 conditionId, bool completed) internal {
+        if (registryIds[conditionId] == 0) return;
+        if (staking != address(0)) {
+            try IHelioraStaking(staking).recordExecution(msg.sender) {} catch (bytes memory reason) {
+                emit ExecutionNotCredited(conditionId, msg.sender, reason);
+            }
+        }
+        if (completed) _settle(conditionId, false);
+    }
+    
     /**
      * @notice Activate a registered condition
      * @param conditionId The condition ID to activate
@@ -198,6 +415,7 @@ contract HelioraInterface {
         external 
         onlyProtocol(conditionId) 
         validCondition(conditionId) 
+        whenNotPaused(PauseScope.REGISTRATION)
     {
         require(
             conditions[conditionId].status == ConditionStatus.PENDING,
@@ -205,6 +423,9 @@ contract HelioraInterface {
         );
         
         conditions[conditionId].status = ConditionStatus.ACTIVE;
+        if (registryIds[conditionId] != 0 && conditionRegistry != address(0)) {
+            IConditionRegistry(conditionRegistry).activateLinkedCondition(registryIds[conditionId]);
+        }
         emit ConditionActivated(conditionId);
     }
     
@@ -225,13 +446,110 @@ contract HelioraInterface {
         
         conditions[conditionId].status = ConditionStatus.CANCELLED;
         emit ConditionCancelled(conditionId);
+        _settle(conditionId, true);
+    }
+    
+    /**
+     * @notice Bind the condition to exactly this calldata
+     * @param conditionId The condition ID (must be PENDING)
+     * @param callData Arguments passed to the target function, without the selector
+     */
+    function commitFixedCalldata(uint256 conditionId, bytes calldata callData)
+        external
+        onlyProtocol(conditionId)
+        validCondition(conditionId)
+        whenNotPaused(PauseScope.REGISTRATION)
+    {
+        bytes32 hash = keccak256(callData);
+        _resetCalldata(conditionId, CalldataMode.FIXED);
+        calldataHashes[conditionId] = hash;
+        fixedCalldata[conditionId] = callData;
+        emit CalldataCommitted(conditionId, CalldataMode.FIXED, hash);
+    }
+    
+    /**
+     * @notice Bind the condition to calldata known only by its hash
+     * @param conditionId The condition ID (must be PENDING)
+     * @param hash keccak256 of the calldata, without the selector
+     * @dev The calldata stays off-chain; executors must get it from the protocol
+     */
+    function commitCalldataHash(uint256 conditionId, bytes32 hash)
+        external
+        onlyProtocol(conditionId)
+        validCondition(conditionId)
+        whenNotPaused(PauseScope.REGISTRATION)
+    {
+        require(hash != bytes32(0), "Invalid calldata hash");
+        _resetCalldata(conditionId, CalldataMode.HASH);
+        calldataHashes[conditionId] = hash;
+        emit CalldataCommitted(conditionId, CalldataMode.HASH, hash);
+    }
+    
+    /**
+     * @notice Constrain each argument of the calldata
+     * @param conditionId The condition ID (must be PENDING)
+     * @param args One rule per 32-byte argument word; calldata must have exactly
+     *        args.length words
+     */
+    function commitCalldataTemplate(uint256 conditionId, ArgConstraint[] calldata args)
+        external
+        onlyProtocol(conditionId)
+        validCondition(conditionId)
+        whenNotPaused(PauseScope.REGISTRATION)
+    {
+        require(args.length > 0 && args.length <= MAX_TEMPLATE_ARGS, "Invalid template");
+        _resetCalldata(conditionId, CalldataMode.TEMPLATE);
+        ArgConstraint[] storage template = calldataTemplates[conditionId];
+        for (uint256 i = 0; i < args.length; i++) {
+            template.push(args[i]);
+        }
+        emit CalldataCommitted(conditionId, CalldataMode.TEMPLATE, keccak256(abi.encode(args)));
+    }
+    
+    // A commitment can be replaced until the condition is activated
+    function _resetCalldata(uint256 conditionId, CalldataMode mode) internal {
+        require(
+            conditions[conditionId].status == ConditionStatus.PENDING,
+            "Condition not pending"
+        );
+        delete fixedCalldata[conditionId];
+        delete calldataTemplates[conditionId];
+        delete calldataHashes[conditionId];
+        calldataModes[conditionId] = mode;
+    }
+    
+    /**
+     * @dev Reverts with "Calldata mismatch" unless callData satisfies the
+     *      condition's commitment
+     */
+    function _checkCalldata(uint256 conditionId, bytes calldata callData) internal view {
+        CalldataMode mode = calldataModes[conditionId];
+        if (mode == CalldataMode.NONE) return;
+        
+        if (mode != CalldataMode.TEMPLATE) {
+            require(keccak256(callData) == calldataHashes[conditionId], "Calldata mismatch");
+            return;
+        }
+        
+        ArgConstraint[] storage template = calldataTemplates[conditionId];
+        require(callData.length == template.length * 32, "Calldata mismatch");
+        for (uint256 i = 0; i < template.length; i++) {
+            ArgConstraint storage arg = template[i];
+            bytes32 word = bytes32(callData[i * 32:(i + 1) * 32]);
+            bool ok = arg.rule == ArgRule.ANY ||
+                (arg.rule == ArgRule.EQ && word == arg.value) ||
+                (arg.rule == ArgRule.LTE && uint256(word) <= uint256(arg.value)) ||
+                (arg.rule == ArgRule.GTE && uint256(word) >= uint256(arg.value));
+            require(ok, "Calldata mismatch");
+        }
     }
     
     /**
      * @notice Execute a condition (called by authorized Heliora executor)
      * @param conditionId The condition ID to execute
      * @param callData Additional call data for the target function
-     * @dev Requires: only authorized executor, condition active, condition met, within execution window
+     * @dev Requires: only authorized executor, condition active, calldata matches the
+     *      commitment (if any), condition met, within execution window
      * @dev Payment: msg.value must cover executionFee (if set)
      */
     function executeCondition(uint256 conditionId, bytes calldata callData) 
@@ -239,6 +557,7 @@ contract HelioraInterface {
         payable
         validCondition(conditionId)
         onlyExecutor
+        whenNotPaused(PauseScope.EXECUTION)
     {
         Condition storage condition = conditions[conditionId];
         
@@ -247,6 +566,14 @@ contract HelioraInterface {
             "Condition not active"
         );
         
+        _checkCalldata(conditionId, callData);
+        
+        Schedule storage schedule = schedules[conditionId];
+        if (schedule.interval > 0) {
+            _executeRecurring(conditionId, condition, schedule, callData);
+            return;
+        }
+        
         // Verify condition is met
         bool conditionMet = false;
         if (condition.conditionType == ConditionType.BLOCK_NUMBER) {
@@ -283,13 +610,82 @@ contract HelioraInterface {
         
         condition.lastExecutedAt = block.timestamp;
         
-        // Update status based on execution mode
-        if (condition.executionMode == ExecutionMode.SINGLE) {
+        // Unscheduled conditions are SINGLE and run once
+        condition.status = ConditionStatus.EXECUTED;
+        
+        _recordExecution(conditionId, true);
+        _creditExecution(conditionId, true);
+        emit ConditionExecuted(conditionId, block.number, msg.sender, feeToForward);
+    }
+    
+    // A run is due once its trigger is reached and until its window closes; the
+    // condition then moves to the run after it, or finishes
+    function _executeRecurring(
+        uint256 conditionId,
+        Condition storage condition,
+        Schedule storage schedule,
+        bytes calldata callData
+    ) internal {
+        (uint256 runAt, ) = _dueRun(condition, schedule);
+        require(runAt != 0, "Condition not met");
+        require(msg.value >= executionFee, "Insufficient execution fee");
+        
+        IHelioraExecutor(helioraExecutor).execute{value: msg.value}(
+            conditionId,
+            condition.targetContract,
+            condition.targetFunction,
+            callData
+        );
+        
+        condition.lastExecutedAt = block.timestamp;
+        schedule.runs++;
+        
+        uint256 nextRun = runAt + schedule.interval;
+        bool finished = (schedule.maxRuns != 0 && schedule.runs >= schedule.maxRuns) ||
+            (schedule.endsAt != 0 && nextRun > schedule.endsAt);
+        // Asked before rescheduling: a closed record leaves no next run
+        if (!_recordExecution(conditionId, finished)) finished = true;
+        
+        if (finished) {
             condition.status = ConditionStatus.EXECUTED;
+        } else {
+            condition.conditionValue = nextRun;
+            condition.executionWindowEnd = nextRun + _windowLength(condition.conditionType);
+            emit ConditionRescheduled(conditionId, nextRun, condition.executionWindowEnd);
         }
-        // REPEATABLE conditions remain ACTIVE
         
-        emit ConditionExecuted(conditionId, block.number, msg.sender, feeToForward);
+        _creditExecution(conditionId, finished);
+        emit ConditionExecuted(conditionId, block.number, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Latest scheduled run at or before now (not after endsAt) whose window is
+     *      still open; (0, 0) when none is
+     */
+    function _dueRun(Condition storage condition, Schedule storage schedule)
+        internal
+        view
+        returns (uint256 runAt, uint256 windowEnd)
+    {
+        uint256 current = _current(condition.conditionType);
+        if (current < condition.conditionValue) return (0, 0);
+        
+        uint256 last = current;
+        if (schedule.endsAt != 0 && schedule.endsAt < last) last = schedule.endsAt;
+        if (last < condition.conditionValue) return (0, 0);
+        
+        runAt = condition.conditionValue + ((last - condition.conditionValue) / schedule.interval) * schedule.interval;
+        windowEnd = runAt + _windowLength(condition.conditionType);
+        if (current > windowEnd) return (0, 0);
+    }
+    
+    function _current(ConditionType conditionType) internal view returns (uint256) {
+        return conditionType == ConditionType.BLOCK_NUMBER ? block.number : block.timestamp;
+    }
+    
+    // For timestamp, convert window to seconds (assuming ~2s per block)
+    function _windowLength(ConditionType conditionType) internal pure returns (uint256) {
+        return conditionType == ConditionType.BLOCK_NUMBER ? EXECUTION_WINDOW : EXECUTION_WINDOW * 2;
     }
     
     /**
@@ -336,6 +732,12 @@ contract HelioraInterface {
             return false;
         }
         
+        Schedule storage schedule = schedules[conditionId];
+        if (schedule.interval > 0) {
+            (uint256 runAt, ) = _dueRun(conditions[conditionId], schedule);
+            return runAt != 0;
+        }
+        
         if (condition.conditionType == ConditionType.BLOCK_NUMBER) {
             return block.number >= condition.conditionValue;
         } else if (condition.conditionType == ConditionType.TIMESTAMP) {
@@ -345,6 +747,54 @@ contract HelioraInterface {
         return false;
     }
     
+    /**
+     * @notice Next run of a condition: the one due now, else the upcoming one
+     * @param conditionId The condition ID
+     * @return runAt Block/timestamp of the run (0 when no run is left)
+     * @return windowEnd Last block/timestamp the run can execute
+     */
+    function getNextRun(uint256 conditionId)
+        external
+        view
+        validCondition(conditionId)
+        returns (uint256 runAt, uint256 windowEnd)
+    {
+        Condition storage condition = conditions[conditionId];
+        if (condition.status != ConditionStatus.ACTIVE && condition.status != ConditionStatus.PENDING) {
+            return (0, 0);
+        }
+        
+        Schedule storage schedule = schedules[conditionId];
+        if (schedule.interval == 0) {
+            return (condition.conditionValue, condition.executionWindowEnd);
+        }
+        
+        (runAt, windowEnd) = _dueRun(condition, schedule);
+        if (runAt != 0) return (runAt, windowEnd);
+        
+        uint256 current = _current(condition.conditionType);
+        runAt = condition.conditionValue;
+        if (current >= runAt) {
+            runAt += ((current - runAt) / schedule.interval + 1) * schedule.interval;
+        }
+        if (schedule.endsAt != 0 && runAt > schedule.endsAt) return (0, 0);
+        return (runAt, runAt + _windowLength(condition.conditionType));
+    }
+    
+    /**
+     * @notice Calldata a FIXED condition executes with (empty for other modes)
+     */
+    function getFixedCalldata(uint256 conditionId) external view returns (bytes memory) {
+        return fixedCalldata[conditionId];
+    }
+    
+    /**
+     * @notice Argument rules of a TEMPLATE condition (empty for other modes)
+     */
+    function getCalldataTemplate(uint256 conditionId) external view returns (ArgConstraint[] memory) {
+        return calldataTemplates[conditionId];
+    }
+    
     /**
      * @notice Owner functions: Manage authorized executors
      */
@@ -378,6 +828,34 @@ contract HelioraInterface {
         emit ExecutionFeeUpdated(_executionFee);
     }
     
+    /**
+     * @notice Set the ConditionRegistry new conditions are linked to
+     * @param _registry The registry address (0 stops linking)
+     * @dev Conditions linked earlier keep their registry IDs, which refer to this registry
+     */
+    function setConditionRegistry(address _registry) external onlyOwner {
+        conditionRegistry = _registry;
+        emit ConditionRegistryUpdated(_registry);
+    }
+    
+    /**
+     * @notice Set the HelioraStaking that holds condition stakes and credits executions
+     * @param _staking The staking address (0 = no condition stake)
+     */
+    function setStaking(address _staking) external onlyOwner {
+        staking = _staking;
+        emit StakingUpdated(_staking);
+    }
+    
+    /**
+     * @notice Set the HelioraRouter whose pause flags gate registration and execution
+     * @param _router The router address (0 disables pausing)
+     */
+    function setRouter(address _router) external onlyOwner {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+    
     /**
      * @notice Transfer ownership
      * @param newOwner The new owner address
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "./interfaces/IERC20.sol";
+import "./interfaces/IHelioraRouter.sol";
 
 /**
  * @title HelioraPayment
@@ -15,6 +16,7 @@ contract HelioraPayment {
     address public treasury;
     IERC20 public paymentToken; // USDC
     uint8 public paymentTokenDecimals;
+    address public router; // HelioraRouter, consulted for pauses (0 = never paused)
 
     bool private _locked;
     modifier nonReentrant() {
@@ -78,6 +80,7 @@ contract HelioraPayment {
     event PaymentReceived(address indexed payer, Tier tier, uint256 amountUSDC, uint256 amountETH);
     event TierConfigUpdated(Tier tier, uint256 priceUSDC, uint256 priceETH);
     event TreasuryUpdated(address newTreasury);
+    event RouterUpdated(address newRouter);
     event OwnershipTransferred(address indexed prev, address indexed next_);
     event AccessKeyLinked(address indexed subscriber, string accessKeyId);
     event EmergencyTokenWithdraw(address indexed token, uint256 amount);
@@ -88,6 +91,11 @@ contract HelioraPayment {
         _;
     }
 
+    modifier whenNotPaused(PauseScope scope) {
+        require(router == address(0) || !IHelioraRouter(router).isPaused(scope), "Protocol paused");
+        _;
+    }
+
     constructor(address _paymentToken, uint8 _decimals, address _treasury) {
         require(_paymentToken != address(0), "Invalid token");
         require(_treasury != address(0), "Invalid treasury");
@@ -120,7 +128,7 @@ contract HelioraPayment {
     // SUBSCRIBE WITH USDC
     // =========================================================================
 
-    function subscribeUSDC(Tier _tier, string calldata _protocolName) external {
+    function subscribeUSDC(Tier _tier, string calldata _protocolName) external whenNotPaused(PauseScope.PAYMENTS) {
         require(_tier != Tier.TESTNET, "Testnet is free");
         TierConfig memory config = tierConfigs[_tier];
         require(config.active, "Tier not active");
@@ -141,7 +149,7 @@ contract HelioraPayment {
     // SUBSCRIBE WITH ETH
     // =========================================================================
 
-    function subscribeETH(Tier _tier, string calldata _protocolName) external payable nonReentrant {
+    function subscribeETH(Tier _tier, string calldata _protocolName) external payable whenNotPaused(PauseScope.PAYMENTS) nonReentrant {
         require(_tier != Tier.TESTNET, "Testnet is free");
         TierConfig memory config = tierConfigs[_tier];
         require(config.active, "Tier not active");
@@ -168,7 +176,7 @@ contract HelioraPayment {
     // RENEW SUBSCRIPTION (USDC)
     // =========================================================================
 
-    function renewUSDC() external {
+    function renewUSDC() external whenNotPaused(PauseScope.PAYMENTS) {
         Subscription storage sub = subscriptions[msg.sender];
         require(sub.active, "No active subscription");
 
@@ -195,7 +203,7 @@ contract HelioraPayment {
     // RENEW SUBSCRIPTION (ETH)
     // =========================================================================
 
-    function renewETH() external payable nonReentrant {
+    function renewETH() external payable whenNotPaused(PauseScope.PAYMENTS) nonReentrant {
         Subscription storage sub = subscriptions[msg.sender];
         require(sub.active, "No active subscription");
 
@@ -302,6 +310,11 @@ contract HelioraPayment {
         emit TreasuryUpdated(_treasury);
     }
 
+    function setRouter(address _router) external onlyOwner {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+
     function linkAccessKey(address _subscriber, string calldata _keyId) external onlyOwner {
         subscriptions[_subscriber].accessKeyId = _keyId;
         emit AccessKeyLinked(_subscriber, _keyId);
@@ -19,6 +19,13 @@ interface AggregatorV3Interface {
         uint256 updatedAt,
         uint80 answeredInRound
     );
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
     function decimals() external view returns (uint8);
     function description() external view returns (string memory);
 }
@@ -26,6 +33,7 @@ interface AggregatorV3Interface {
 contract HelioraPriceOracle {
     address public owner;
     uint256 public constant MAX_STALENESS = 3600; // 1 hour
+    uint256 public constant MAX_TWAP_ROUNDS = 50;
 
     struct PriceFeed {
         address feedAddress;
@@ -46,6 +54,15 @@ contract HelioraPriceOracle {
         bool stale; // true if price is older than 1 hour
     }
 
+    // Average over the last rounds of a feed
+    struct TwapCheck {
+        uint256 twap;          // each round weighted by how long it was the latest, up to now
+        uint256 median;
+        uint256 rounds;        // rounds found (fewer than requested when the history is shorter)
+        uint256 fromTimestamp; // updatedAt of the oldest round used
+        bool stale;            // latest round older than MAX_STALENESS
+    }
+
     event PriceFeedRegistered(string pair, address feedAddress);
     event PriceFeedRemoved(string pair);
     event OwnershipTransferred(address indexed prev, address indexed next_);
@@ -110,6 +127,47 @@ contract HelioraPriceOracle {
         });
     }
 
+    /**
+     * @notice TWAP and median over the last `_rounds` Chainlink rounds
+     * @param _rounds 1..MAX_TWAP_ROUNDS
+     */
+    function getTwap(string calldata _pair, uint256 _rounds) public view returns (TwapCheck memory check) {
+        require(_rounds > 0 && _rounds <= MAX_TWAP_ROUNDS, "Invalid rounds");
+        bytes32 pairHash = keccak256(abi.encodePacked(_pair));
+        PriceFeed memory feed = priceFeeds[pairHash];
+        require(feed.active, "Feed not active");
+
+        AggregatorV3Interface priceFeed = AggregatorV3Interface(feed.feedAddress);
+        (uint80 roundId, int256 answer,, uint256 updatedAt,) = priceFeed.latestRoundData();
+        check.stale = (block.timestamp - updatedAt) > MAX_STALENESS;
+
+        uint256[] memory answers = new uint256[](_rounds);
+        uint256 weighted;
+        uint256 newer = block.timestamp; // when the round being read stopped being the latest
+        bool ok = true;
+        while (ok && answer > 0 && updatedAt != 0) {
+            uint256 span = newer > updatedAt ? newer - updatedAt : 0;
+            answers[check.rounds] = uint256(answer);
+            weighted += uint256(answer) * span;
+            check.rounds++;
+            check.fromTimestamp = updatedAt;
+            if (check.rounds == _rounds) break;
+            if (updatedAt < newer) newer = updatedAt;
+            (ok, roundId, answer, updatedAt) = _previousRound(priceFeed, roundId);
+        }
+        if (check.rounds == 0) return check;
+
+        uint256 window = block.timestamp - check.fromTimestamp;
+        if (window == 0) {
+            // Every round at the current timestamp: plain average
+            for (uint256 i = 0; i < check.rounds; i++) weighted += answers[i];
+            check.twap = weighted / check.rounds;
+        } else {
+            check.twap = weighted / window;
+        }
+        check.median = _median(answers, check.rounds);
+    }
+
     function getPriceUSD(string calldata _pair) external view returns (uint256) {
         bytes32 pairHash = keccak256(abi.encodePacked(_pair));
         PriceFeed memory feed = priceFeeds[pairHash];
@@ -160,6 +218,48 @@ contract HelioraPriceOracle {
         return uint256(price) <= _threshold;
     }
 
+    /**
+     * @notice Check if the TWAP over the last `_rounds` rounds is above threshold
+     * @dev False when the feed is inactive, the latest round is stale or fewer rounds exist
+     */
+    function isTwapAbove(string calldata _pair, uint256 _threshold, uint256 _rounds) external view returns (bool) {
+        (bool usable, TwapCheck memory check) = _usableTwap(_pair, _rounds);
+        return usable && check.twap >= _threshold;
+    }
+
+    /**
+     * @notice Check if the TWAP over the last `_rounds` rounds is below threshold
+     */
+    function isTwapBelow(string calldata _pair, uint256 _threshold, uint256 _rounds) external view returns (bool) {
+        (bool usable, TwapCheck memory check) = _usableTwap(_pair, _rounds);
+        return usable && check.twap <= _threshold;
+    }
+
+    /**
+     * @notice Check if every round for at least `_minRounds` rounds and `_minDuration` seconds was above threshold
+     * @dev Looks back at most MAX_TWAP_ROUNDS rounds; the streak starts at the oldest qualifying round
+     */
+    function isPriceHeldAbove(
+        string calldata _pair,
+        uint256 _threshold,
+        uint256 _minRounds,
+        uint256 _minDuration
+    ) external view returns (bool) {
+        return _isPriceHeld(_pair, _threshold, true, _minRounds, _minDuration);
+    }
+
+    /**
+     * @notice Check if every round for at least `_minRounds` rounds and `_minDuration` seconds was below threshold
+     */
+    function isPriceHeldBelow(
+        string calldata _pair,
+        uint256 _threshold,
+        uint256 _minRounds,
+        uint256 _minDuration
+    ) external view returns (bool) {
+        return _isPriceHeld(_pair, _threshold, false, _minRounds, _minDuration);
+    }
+
     /**
      * @notice Check balance threshold for an address
      */
@@ -180,6 +280,79 @@ contract HelioraPriceOracle {
         return priceFeeds[pairHash];
     }
 
+    // =========================================================================
+    // INTERNAL
+    // =========================================================================
+
+    function _usableTwap(string calldata _pair, uint256 _rounds) internal view returns (bool, TwapCheck memory check) {
+        bytes32 pairHash = keccak256(abi.encodePacked(_pair));
+        if (!priceFeeds[pairHash].active) return (false, check);
+        check = getTwap(_pair, _rounds);
+        return (!check.stale && check.rounds == _rounds, check);
+    }
+
+    function _isPriceHeld(
+        string calldata _pair,
+        uint256 _threshold,
+        bool _above,
+        uint256 _minRounds,
+        uint256 _minDuration
+    ) internal view returns (bool) {
+        bytes32 pairHash = keccak256(abi.encodePacked(_pair));
+        PriceFeed memory feed = priceFeeds[pairHash];
+        if (!feed.active) return false;
+
+        AggregatorV3Interface priceFeed = AggregatorV3Interface(feed.feedAddress);
+        (uint80 roundId, int256 answer,, uint256 updatedAt,) = priceFeed.latestRoundData();
+        if ((block.timestamp - updatedAt) > MAX_STALENESS) return false;
+
+        uint256 held;
+        uint256 since;
+        bool ok = true;
+        while (ok && answer > 0 && updatedAt != 0) {
+            bool within = _above ? uint256(answer) >= _threshold : uint256(answer) <= _threshold;
+            if (!within) break;
+            held++;
+            since = updatedAt;
+            if (held == MAX_TWAP_ROUNDS) break;
+            (ok, roundId, answer, updatedAt) = _previousRound(priceFeed, roundId);
+        }
+        return held > 0 && held >= _minRounds && block.timestamp - since >= _minDuration;
+    }
+
+    /**
+     * @dev Round before `_roundId` in the same phase (the low 64 bits are the
+     *      aggregator round, starting at 1). `ok` is false at the start of the
+     *      phase or when the feed has no data for it.
+     */
+    function _previousRound(AggregatorV3Interface _feed, uint80 _roundId)
+        internal
+        view
+        returns (bool ok, uint80 roundId, int256 answer, uint256 updatedAt)
+    {
+        if (uint64(_roundId) <= 1) return (false, 0, 0, 0);
+        roundId = _roundId - 1;
+        try _feed.getRoundData(roundId) returns (uint80, int256 a, uint256, uint256 u, uint80) {
+            return (true, roundId, a, u);
+        } catch {
+            return (false, 0, 0, 0);
+        }
+    }
+
+    function _median(uint256[] memory _values, uint256 _count) internal pure returns (uint256) {
+        for (uint256 i = 1; i < _count; i++) {
+            uint256 value = _values[i];
+            uint256 j = i;
+            while (j > 0 && _values[j - 1] > value) {
+                _values[j] = _values[j - 1];
+                j--;
+            }
+            _values[j] = value;
+        }
+        uint256 mid = _count / 2;
+        return _count % 2 == 1 ? _values[mid] : (_values[mid - 1] + _values[mid]) / 2;
+    }
+
     // =========================================================================
     // ADMIN
     // =========================================================================
@@ -1,13 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/IHelioraRouter.sol";
+
 /**
  * @title HelioraRouter
  * @notice Central router connecting all Heliora Protocol contracts
  * @dev Manages contract addresses, access control, and cross-contract calls.
- *      Single entry point for protocol interactions.
+ *      Single entry point for protocol interactions. The protocol contracts
+ *      read isPaused() before state changes: `paused` stops every scope,
+ *      scopePaused stops one (e.g. execution only).
  */
-contract HelioraRouter {
+contract HelioraRouter is IHelioraRouter {
     address public owner;
 
     // --- Protocol Contracts ---
@@ -20,6 +24,7 @@ contract HelioraRouter {
 
     // --- Protocol State ---
     bool public paused;
+    mapping(PauseScope => bool) public scopePaused;
     uint256 public protocolVersion = 2;
 
     // --- Authorized Operators ---
@@ -28,6 +33,7 @@ contract HelioraRouter {
     // --- Events ---
     event ContractUpdated(string name, address addr);
     event ProtocolPaused(bool paused);
+    event ScopePaused(PauseScope indexed scope, bool paused);
     event OperatorUpdated(address operator, bool authorized);
     event OwnershipTransferred(address indexed prev, address indexed next_);
 
@@ -143,6 +149,15 @@ contract HelioraRouter {
         emit ProtocolPaused(_paused);
     }
 
+    function setScopePaused(PauseScope _scope, bool _paused) external onlyOwner {
+        scopePaused[_scope] = _paused;
+        emit ScopePaused(_scope, _paused);
+    }
+
+    function isPaused(PauseScope _scope) external view returns (bool) {
+        return paused || scopePaused[_scope];
+    }
+
     function setOperator(address _operator, bool _authorized) external onlyOwner {
         operators[_operator] = _authorized;
         emit OperatorUpdated(_operator, _authorized);
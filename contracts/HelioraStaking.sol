@@ -1,18 +1,37 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./interfaces/IHelioraRouter.sol";
+
+interface IConditionRegistry {
+    function hasPendingExecutions(address executor) external view returns (bool);
+    function registrantOf(uint256 conditionId) external view returns (address);
+}
+
 /**
  * @title HelioraStaking
  * @notice Staking and slashing for Heliora executors and condition registrants
  * @dev Executors stake ETH as collateral. Slashed for invalid/missed executions.
  *      Condition registrants stake 0.01 ETH per condition as economic guarantee.
+ *      Executors exit in two steps: requestUnstake moves stake into unbonding,
+ *      withdraw pays it out once unbondingPeriod has passed and none of the
+ *      executor's executions can still be challenged. Unbonding stake stays slashable.
+ *      ConditionRegistry slashes upheld challenges itself and receives the slashed
+ *      stake to pay the challenger and registrant; other slashes go to the owner.
+ *      Condition stakes are keyed by ConditionRegistry id. HelioraInterface posts
+ *      the stake of its linked conditions at registration and settles it on
+ *      completion or cancellation; until then the registrant can't release it.
  */
 contract HelioraStaking {
     address public owner;
     address public slasher; // Address authorized to slash (HelioraInterface or governance)
+    address public conditionRegistry; // Holds withdrawals while executions are challengeable (0 = no lock)
+    address public router; // HelioraRouter, consulted for pauses (0 = never paused)
+    address public helioraInterface; // Stakes and settles linked conditions, credits executions
 
     uint256 public minExecutorStake = 0.1 ether;
     uint256 public conditionStake = 0.01 ether;
+    uint256 public unbondingPeriod = 1 days;
 
     bool private _locked;
 
@@ -30,13 +49,23 @@ contract HelioraStaking {
     address[] public executors;
     mapping(address => bool) public isExecutor;
 
+    // Stake requested out, withdrawable from availableAt
+    struct Unbonding {
+        uint256 amount;
+        uint256 availableAt;
+    }
+
+    mapping(address => Unbonding) public unbondings;
+
     // --- Condition Stakes ---
+    // owner, released and locked share a slot, written on every linked registration and settlement
     struct ConditionStakeInfo {
         address owner;
+        bool released;
+        bool locked; // Staked by HelioraInterface, not settled yet
         uint256 conditionId;
         uint256 amount;
         uint256 stakedAt;
-        bool released;
     }
 
     mapping(uint256 => ConditionStakeInfo) public conditionStakes; // conditionId => stake
@@ -55,6 +84,7 @@ contract HelioraStaking {
 
     // --- Events ---
     event ExecutorStaked(address indexed executor, uint256 amount);
+    event UnstakeRequested(address indexed executor, uint256 amount, uint256 availableAt);
     event ExecutorUnstaked(address indexed executor, uint256 amount);
     event ExecutorSlashed(address indexed executor, uint256 amount, string reason);
     event ConditionStaked(address indexed owner, uint256 indexed conditionId, uint256 amount);
@@ -63,6 +93,10 @@ contract HelioraStaking {
     event SlasherUpdated(address newSlasher);
     event MinStakeUpdated(uint256 newMinStake);
     event ConditionStakeUpdated(uint256 newConditionStake);
+    event UnbondingPeriodUpdated(uint256 newPeriod);
+    event ConditionRegistryUpdated(address newRegistry);
+    event HelioraInterfaceUpdated(address newInterface);
+    event RouterUpdated(address newRouter);
     event OwnershipTransferred(address indexed prev, address indexed next_);
 
     modifier onlyOwner() {
@@ -71,7 +105,20 @@ contract HelioraStaking {
     }
 
     modifier onlySlasher() {
-        require(msg.sender == slasher || msg.sender == owner, "Not slasher");
+        require(
+            msg.sender == slasher || msg.sender == owner || msg.sender == conditionRegistry,
+            "Not slasher"
+        );
+        _;
+    }
+
+    modifier onlyHelioraInterface() {
+        require(helioraInterface != address(0) && msg.sender == helioraInterface, "Not HelioraInterface");
+        _;
+    }
+
+    modifier whenNotPaused(PauseScope scope) {
+        require(router == address(0) || !IHelioraRouter(router).isPaused(scope), "Protocol paused");
         _;
     }
 
@@ -92,7 +139,7 @@ contract HelioraStaking {
     // EXECUTOR STAKING
     // =========================================================================
 
-    function stakeAsExecutor() external payable {
+    function stakeAsExecutor() external payable whenNotPaused(PauseScope.STAKING) {
         require(msg.value >= minExecutorStake, "Below minimum stake");
 
         ExecutorStake storage stake = executorStakes[msg.sender];
@@ -108,14 +155,43 @@ contract HelioraStaking {
         emit ExecutorStaked(msg.sender, msg.value);
     }
 
-    function unstakeExecutor() external nonReentrant {
+    /**
+     * @notice Move stake into unbonding; the rest stays bonded
+     * @param _amount Wei to unstake, the whole stake or leaving at least minExecutorStake
+     */
+    function requestUnstake(uint256 _amount) external {
         ExecutorStake storage stake = executorStakes[msg.sender];
-        require(stake.active, "Not staked");
-        require(stake.amount > 0, "Nothing to unstake");
+        require(stake.amount > 0, "Not staked");
+        require(_amount > 0 && _amount <= stake.amount, "Invalid amount");
+
+        uint256 remaining = stake.amount - _amount;
+        require(remaining == 0 || remaining >= minExecutorStake, "Below minimum stake");
+        stake.amount = remaining;
+        if (remaining == 0) stake.active = false;
 
-        uint256 amount = stake.amount;
-        stake.amount = 0;
-        stake.active = false;
+        // A new request restarts the delay for everything unbonding
+        Unbonding storage unbonding = unbondings[msg.sender];
+        unbonding.amount += _amount;
+        unbonding.availableAt = block.timestamp + unbondingPeriod;
+
+        emit UnstakeRequested(msg.sender, _amount, unbonding.availableAt);
+    }
+
+    /**
+     * @notice Withdraw unbonded stake
+     */
+    function withdraw() external nonReentrant {
+        Unbonding storage unbonding = unbondings[msg.sender];
+        require(unbonding.amount > 0, "Nothing to unstake");
+        require(block.timestamp >= unbonding.availableAt, "Still unbonding");
+        require(
+            conditionRegistry == address(0) ||
+                !IConditionRegistry(conditionRegistry).hasPendingExecutions(msg.sender),
+            "Challenge window open"
+        );
+
+        uint256 amount = unbonding.amount;
+        unbonding.amount = 0;
 
         (bool sent, ) = msg.sender.call{value: amount}("");
         require(sent, "Transfer failed");
@@ -128,12 +204,18 @@ contract HelioraStaking {
         uint256 _amount,
         string calldata _reason,
         uint256 _conditionId
-    ) external onlySlasher nonReentrant {
+    ) external onlySlasher nonReentrant returns (uint256) {
         ExecutorStake storage stake = executorStakes[_executor];
-        require(stake.active, "Executor not staked");
-        
+        Unbonding storage unbonding = unbondings[_executor];
+        require(stake.active || unbonding.amount > 0, "Executor not staked");
+
+        // Bonded stake first, then stake that is unbonding
         uint256 slashAmount = _amount > stake.amount ? stake.amount : _amount;
         stake.amount -= slashAmount;
+        uint256 fromUnbonding = _amount - slashAmount;
+        if (fromUnbonding > unbonding.amount) fromUnbonding = unbonding.amount;
+        unbonding.amount -= fromUnbonding;
+        slashAmount += fromUnbonding;
         stake.slashedAmount += slashAmount;
         stake.missedCount++;
 
@@ -141,8 +223,9 @@ contract HelioraStaking {
             stake.active = false;
         }
 
-        // Send slashed amount to treasury (owner)
-        (bool sent, ) = owner.call{value: slashAmount}("");
+        // Send slashed amount to treasury (owner), or to the registry settling a challenge
+        address recipient = msg.sender == conditionRegistry ? conditionRegistry : owner;
+        (bool sent, ) = recipient.call{value: slashAmount}("");
         require(sent, "Slash transfer failed");
 
         slashHistory.push(SlashRecord({
@@ -154,9 +237,14 @@ contract HelioraStaking {
         }));
 
         emit ExecutorSlashed(_executor, slashAmount, _reason);
+        return slashAmount;
     }
 
-    function recordExecution(address _executor) external onlySlasher {
+    function recordExecution(address _executor) external whenNotPaused(PauseScope.EXECUTION) {
+        require(
+            msg.sender == slasher || msg.sender == owner || msg.sender == helioraInterface,
+            "Not slasher"
+        );
         require(executorStakes[_executor].active, "Executor not staked");
         executorStakes[_executor].executionCount++;
     }
@@ -165,26 +253,70 @@ contract HelioraStaking {
     // CONDITION STAKING
     // =========================================================================
 
-    function stakeForCondition(uint256 _conditionId) external payable {
+    /**
+     * @notice Stake for a ConditionRegistry condition you registered (any id
+     *         while no registry is set)
+     */
+    function stakeForCondition(uint256 _conditionId) external payable whenNotPaused(PauseScope.STAKING) {
+        require(
+            conditionRegistry == address(0) ||
+                IConditionRegistry(conditionRegistry).registrantOf(_conditionId) == msg.sender,
+            "Not registrant"
+        );
+        _stakeCondition(msg.sender, _conditionId, false);
+    }
+
+    /**
+     * @notice Stake posted with a HelioraInterface registration, locked until settled
+     * @param _owner Protocol that registered the condition
+     * @param _conditionId ConditionRegistry id of the linked record
+     */
+    function stakeConditionFor(address _owner, uint256 _conditionId) external payable onlyHelioraInterface {
+        _stakeCondition(_owner, _conditionId, true);
+    }
+
+    function _stakeCondition(address _owner, uint256 _conditionId, bool _locked) internal {
         require(msg.value >= conditionStake, "Below condition stake");
         require(conditionStakes[_conditionId].owner == address(0), "Already staked");
 
         conditionStakes[_conditionId] = ConditionStakeInfo({
-            owner: msg.sender,
+            owner: _owner,
+            released: false,
+            locked: _locked,
             conditionId: _conditionId,
             amount: msg.value,
-            stakedAt: block.timestamp,
-            released: false
+            stakedAt: block.timestamp
         });
 
-        userConditions[msg.sender].push(_conditionId);
+        userConditions[_owner].push(_conditionId);
 
-        emit ConditionStaked(msg.sender, _conditionId, msg.value);
+        emit ConditionStaked(_owner, _conditionId, msg.value);
+    }
+
+    /**
+     * @notice Unlock and return the stake of a completed or cancelled linked condition
+     * @dev Never reverts on the transfer: if the owner rejects ETH the stake stays
+     *      unlocked for releaseConditionStake
+     */
+    function settleConditionStake(uint256 _conditionId) external onlyHelioraInterface nonReentrant {
+        ConditionStakeInfo storage info = conditionStakes[_conditionId];
+        info.locked = false;
+        if (info.released || info.amount == 0) return;
+
+        info.released = true;
+        (bool sent, ) = info.owner.call{value: info.amount}("");
+        if (!sent) {
+            info.released = false;
+            return;
+        }
+
+        emit ConditionStakeReleased(info.owner, _conditionId, info.amount);
     }
 
     function releaseConditionStake(uint256 _conditionId) external nonReentrant {
         ConditionStakeInfo storage info = conditionStakes[_conditionId];
         require(info.owner == msg.sender || msg.sender == owner, "Not authorized");
+        require(!info.locked || msg.sender == owner, "Stake locked");
         require(!info.released, "Already released");
         require(info.amount > 0, "No stake");
 
@@ -222,6 +354,10 @@ contract HelioraStaking {
         return executorStakes[_executor];
     }
 
+    function getUnbonding(address _executor) external view returns (Unbonding memory) {
+        return unbondings[_executor];
+    }
+
     function getExecutorCount() external view returns (uint256) {
         return executors.length;
     }
@@ -245,6 +381,11 @@ contract HelioraStaking {
         return conditionStakes[_conditionId];
     }
 
+    // Staked by HelioraInterface and not settled yet
+    function lockedStakes(uint256 _conditionId) external view returns (bool) {
+        return conditionStakes[_conditionId].locked;
+    }
+
     function getUserConditions(address _user) external view returns (uint256[] memory) {
         return userConditions[_user];
     }
@@ -253,10 +394,11 @@ contract HelioraStaking {
         return slashHistory;
     }
 
+    // Bonded and unbonding executor stake
     function getTotalStaked() external view returns (uint256) {
         uint256 total = 0;
         for (uint256 i = 0; i < executors.length; i++) {
-            total += executorStakes[executors[i]].amount;
+            total += executorStakes[executors[i]].amount + unbondings[executors[i]].amount;
         }
         return total;
     }
@@ -281,6 +423,27 @@ contract HelioraStaking {
         emit ConditionStakeUpdated(_conditionStake);
     }
 
+    function setUnbondingPeriod(uint256 _period) external onlyOwner {
+        require(_period <= 30 days, "Period out of bounds");
+        unbondingPeriod = _period;
+        emit UnbondingPeriodUpdated(_period);
+    }
+
+    function setConditionRegistry(address _registry) external onlyOwner {
+        conditionRegistry = _registry;
+        emit ConditionRegistryUpdated(_registry);
+    }
+
+    function setHelioraInterface(address _interface) external onlyOwner {
+        helioraInterface = _interface;
+        emit HelioraInterfaceUpdated(_interface);
+    }
+
+    function setRouter(address _router) external onlyOwner {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+
     function transferOwnership(address _newOwner) external onlyOwner {
         require(_newOwner != address(0), "Invalid owner");
         emit OwnershipTransferred(owner, _newOwner);
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Parts of the protocol that can be paused on their own (HelioraRouter.setScopePaused)
+enum PauseScope {
+    REGISTRATION, // register / activate conditions
+    EXECUTION,    // execute conditions, record executions
+    STAKING,      // executor and condition stakes
+    PAYMENTS      // subscribe / renew
+}
+
+interface IHelioraRouter {
+    function isPaused(PauseScope scope) external view returns (bool);
+}
@@ -2,12 +2,19 @@
 pragma solidity ^0.8.19;
 
 contract MockChainlinkFeed {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt; // 0 = always fresh (block.timestamp)
+    }
+
     uint8 private _decimals;
-    int256 private _price;
+    uint80 public latestRound;
+    mapping(uint80 => Round) private _rounds;
 
     constructor(uint8 dec, int256 price) {
         _decimals = dec;
-        _price = price;
+        latestRound = 1;
+        _rounds[1].answer = price;
     }
 
     function decimals() external view returns (uint8) {
@@ -25,10 +32,43 @@ contract MockChainlinkFeed {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (1, _price, block.timestamp, block.timestamp, 1);
+        return _roundData(latestRound);
+    }
+
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        require(_roundId != 0 && _roundId <= latestRound, "No data present");
+        return _roundData(_roundId);
     }
 
+    /// @notice Overwrite the latest round's answer
     function setPrice(int256 price) external {
-        _price = price;
+        _rounds[latestRound].answer = price;
+    }
+
+    /// @notice Overwrite the latest round's timestamp
+    function setUpdatedAt(uint256 updatedAt) external {
+        _rounds[latestRound].updatedAt = updatedAt;
+    }
+
+    /// @notice Start a new round; updatedAt 0 = now. A latest round that was always fresh is pinned to now.
+    function pushRound(int256 price, uint256 updatedAt) external {
+        if (_rounds[latestRound].updatedAt == 0) _rounds[latestRound].updatedAt = block.timestamp;
+        latestRound++;
+        _rounds[latestRound] = Round({
+            answer: price,
+            updatedAt: updatedAt == 0 ? block.timestamp : updatedAt
+        });
+    }
+
+    function _roundData(uint80 roundId) internal view returns (uint80, int256, uint256, uint256, uint80) {
+        Round memory round = _rounds[roundId];
+        uint256 ts = round.updatedAt == 0 ? block.timestamp : round.updatedAt;
+        return (roundId, round.answer, ts, ts, roundId);
     }
 }
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+contract MockTarget {
+    uint256 public count;
+    uint256 public lastValue;
+    address public lastCaller;
+
+    event Harvested(address indexed caller, uint256 count);
+
+    error HarvestBlocked(uint256 count, address caller);
+
+    function harvest() external payable {
+        count++;
+        lastCaller = msg.sender;
+        emit Harvested(msg.sender, count);
+    }
+
+    function harvestAmount(uint256 value) external payable {
+        count++;
+        lastValue = value;
+        lastCaller = msg.sender;
+        emit Harvested(msg.sender, count);
+    }
+
+    function harvestTo(address recipient, uint256 value) external payable {
+        count++;
+        lastValue = value;
+        lastCaller = recipient;
+        emit Harvested(msg.sender, count);
+    }
+
+    function fail() external pure {
+        revert("MockTarget: failed");
+    }
+
+    function failCustom() external view {
+        revert HarvestBlocked(count, msg.sender);
+    }
+
+    function failPanic(uint256 divisor) external view returns (uint256) {
+        return count / divisor;
+    }
+
+    function failSilent() external pure {
+        revert();
+    }
+
+    function failWith(string calldata reason) external pure {
+        revert(reason);
+    }
+}
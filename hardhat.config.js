@@ -1,4 +1,8 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+require("./tasks");
+
+const accounts = process.env.DEPLOYER_PRIVATE_KEY ? [process.env.DEPLOYER_PRIVATE_KEY] : [];
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -20,6 +24,18 @@ module.exports = {
       },
     ],
   },
+  networks: {
+    base: {
+      url: process.env.RPC_URL || "https://mainnet.base.org",
+      chainId: 8453,
+      accounts,
+    },
+    baseSepolia: {
+      url: process.env.TESTNET_RPC_URL || "https://sepolia.base.org",
+      chainId: 84532,
+      accounts,
+    },
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
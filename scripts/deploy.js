@@ -0,0 +1,224 @@
+const { writeManifest } = require("../src/deployments");
+
+/**
+ * Heliora Protocol deployment
+ * Follows the README deployment order, wires the contracts together and writes
+ * deployments/<network>.json.
+ *
+ *   npx hardhat heliora:deploy --network base
+ *   npx hardhat run scripts/deploy.js --network baseSepolia
+ *
+ * On hardhat/localhost a MockERC20 (USDC) and MockChainlinkFeed per pair are
+ * deployed so the whole pipeline runs offline.
+ */
+
+const USDC_DECIMALS = 6;
+
+// Per-network USDC and Chainlink feeds (see README)
+const NETWORKS = {
+  base: {
+    usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    feeds: {
+      "ETH/USD": "0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70",
+      "BTC/USD": "0xCCADC697c55bbB68dc5bCdf8d3CBe83CdD4E071E",
+      "USDC/USD": "0x7e860098F58bBFC8648a4311b374B1D669a2bc6B",
+    },
+  },
+  baseSepolia: {
+    usdc: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    feeds: {},
+  },
+};
+
+// Mock feed answers for local networks (8 decimals, standard Chainlink USD format)
+const LOCAL_PRICES = {
+  "ETH/USD": 2500n * 10n ** 8n,
+  "BTC/USD": 60000n * 10n ** 8n,
+  "USDC/USD": 1n * 10n ** 8n,
+};
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function isLocalNetwork(name) {
+  return LOCAL_NETWORKS.includes(name);
+}
+
+/**
+ * Deploy and wire all protocol contracts.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options]
+ * @param {string} [options.treasury] HelioraPayment treasury (default: deployer)
+ * @param {string} [options.slasher] HelioraStaking slasher (default: deployer)
+ * @param {string} [options.operator] Off-chain executor account, recorded as the
+ *        ConditionRegistry executor and authorized on HelioraInterface (default: deployer)
+ * @param {string} [options.usdc] USDC address override
+ * @param {Object<string,string>} [options.feeds] pair => Chainlink feed override
+ * @param {string|false} [options.outDir] Manifest directory, false to skip writing
+ * @param {function} [options.log]
+ * @return {Promise<object>} deployment manifest
+ */
+async function deployProtocol(hre, options = {}) {
+  const { ethers, network } = hre;
+  const log = options.log || (() => {});
+  const [deployer] = await ethers.getSigners();
+
+  const treasury = options.treasury || process.env.TREASURY_ADDRESS || deployer.address;
+  const slasher = options.slasher || process.env.SLASHER_ADDRESS || deployer.address;
+  const operator = options.operator || process.env.EXECUTOR_ADDRESS || deployer.address;
+
+  const defaults = NETWORKS[network.name] || { feeds: {} };
+  const local = isLocalNetwork(network.name);
+  const mocks = {};
+
+  async function deploy(name, args = []) {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    log(`  ${name}: ${address}`);
+    return { contract, address, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  async function send(label, txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    log(`  ${label}`);
+    return tx.hash;
+  }
+
+  log(`Deploying Heliora Protocol to ${network.name} as ${deployer.address}`);
+
+  // --- Local mocks ---
+  let usdc = options.usdc || process.env.USDC_ADDRESS || defaults.usdc;
+  let feeds = options.feeds || defaults.feeds;
+  if (local && !usdc) {
+    const mock = await deploy("MockERC20", ["USD Coin", "USDC", USDC_DECIMALS]);
+    mocks.usdc = mock.address;
+    usdc = mock.address;
+  }
+  if (local && !options.feeds) {
+    feeds = {};
+    for (const [pair, price] of Object.entries(LOCAL_PRICES)) {
+      const mock = await deploy("MockChainlinkFeed", [8, price]);
+      mocks[pair] = mock.address;
+      feeds[pair] = mock.address;
+    }
+  }
+  if (!usdc) throw new Error(`No USDC address configured for network "${network.name}"`);
+
+  // --- 1-7: README deployment order ---
+  const executor = await deploy("HelioraExecutor");
+  const helioraInterface = await deploy("HelioraInterface", [executor.address]);
+  const payment = await deploy("HelioraPayment", [usdc, USDC_DECIMALS, treasury]);
+  const staking = await deploy("HelioraStaking", [slasher]);
+  const conditionRegistry = await deploy("ConditionRegistry", [operator]);
+  const priceOracle = await deploy("HelioraPriceOracle");
+  const router = await deploy("HelioraRouter");
+
+  // --- Wiring ---
+  const wiring = {};
+  wiring.authorizeCaller = await send(
+    "HelioraExecutor.authorizeCaller(HelioraInterface)",
+    executor.contract.authorizeCaller(helioraInterface.address)
+  );
+  wiring.authorizeExecutor = await send(
+    `HelioraInterface.authorizeExecutor(${operator})`,
+    helioraInterface.contract.authorizeExecutor(operator)
+  );
+  for (const [pair, feed] of Object.entries(feeds)) {
+    wiring[`registerFeed:${pair}`] = await send(
+      `HelioraPriceOracle.registerFeed(${pair})`,
+      priceOracle.contract.registerFeed(pair, feed)
+    );
+  }
+  wiring.setPriceOracle = await send(
+    "ConditionRegistry.setPriceOracle(HelioraPriceOracle)",
+    conditionRegistry.contract.setPriceOracle(priceOracle.address)
+  );
+  wiring.setConditionRegistry = await send(
+    "HelioraStaking.setConditionRegistry(ConditionRegistry)",
+    staking.contract.setConditionRegistry(conditionRegistry.address)
+  );
+  wiring.setStaking = await send(
+    "ConditionRegistry.setStaking(HelioraStaking)",
+    conditionRegistry.contract.setStaking(staking.address)
+  );
+  // HelioraInterface conditions get a linked registry record and a condition stake
+  wiring["setConditionRegistry:helioraInterface"] = await send(
+    "HelioraInterface.setConditionRegistry(ConditionRegistry)",
+    helioraInterface.contract.setConditionRegistry(conditionRegistry.address)
+  );
+  wiring["setStaking:helioraInterface"] = await send(
+    "HelioraInterface.setStaking(HelioraStaking)",
+    helioraInterface.contract.setStaking(staking.address)
+  );
+  const linked = {
+    conditionRegistry: ["ConditionRegistry", conditionRegistry],
+    staking: ["HelioraStaking", staking],
+  };
+  for (const [key, [name, d]] of Object.entries(linked)) {
+    wiring[`setHelioraInterface:${key}`] = await send(
+      `${name}.setHelioraInterface(HelioraInterface)`,
+      d.contract.setHelioraInterface(helioraInterface.address)
+    );
+  }
+  wiring.setAllContracts = await send(
+    "HelioraRouter.setAllContracts",
+    router.contract.setAllContracts(
+      executor.address,
+      helioraInterface.address,
+      payment.address,
+      staking.address,
+      conditionRegistry.address,
+      priceOracle.address
+    )
+  );
+
+  // Pauses set on the router apply to every contract that changes state
+  const pausable = {
+    executor: ["HelioraExecutor", executor],
+    helioraInterface: ["HelioraInterface", helioraInterface],
+    payment: ["HelioraPayment", payment],
+    staking: ["HelioraStaking", staking],
+    conditionRegistry: ["ConditionRegistry", conditionRegistry],
+  };
+  for (const [key, [name, d]] of Object.entries(pausable)) {
+    wiring[`setRouter:${key}`] = await send(`${name}.setRouter(HelioraRouter)`, d.contract.setRouter(router.address));
+  }
+
+  const deployed = { executor, helioraInterface, payment, staking, conditionRegistry, priceOracle, router };
+  const manifest = {
+    network: network.name,
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
+    deployer: deployer.address,
+    startBlock: executor.blockNumber,
+    deployedAt: new Date().toISOString(),
+    contracts: Object.fromEntries(Object.entries(deployed).map(([key, d]) => [key, d.address])),
+    transactions: Object.fromEntries(Object.entries(deployed).map(([key, d]) => [key, d.txHash])),
+    config: { usdc, treasury, slasher, operator },
+    feeds,
+    mocks,
+    wiring,
+  };
+
+  if (options.outDir !== false) {
+    const file = writeManifest(manifest, options.outDir);
+    log(`Manifest written to ${file}`);
+  }
+
+  return manifest;
+}
+
+async function main() {
+  const hre = require("hardhat");
+  await deployProtocol(hre, { log: console.log });
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { NETWORKS, LOCAL_PRICES, isLocalNetwork, deployProtocol };
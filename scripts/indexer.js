@@ -0,0 +1,53 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadIndexerConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { Indexer, createStore } = require("../src/indexer");
+
+/**
+ * Event indexer entry point
+ *   npm run indexer              # backfill, then follow new blocks
+ *   npm run indexer -- --once    # backfill to head and exit
+ * Store: INDEXER_STORE=file (default, INDEXER_FILE) or postgres (DATABASE_URL).
+ */
+async function main() {
+  const config = loadIndexerConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const store = createStore(config);
+  await store.init();
+
+  const indexer = new Indexer({
+    contracts: connectProtocol(manifest.contracts, provider),
+    store,
+    startBlock: manifest.startBlock,
+    confirmations: config.confirmations,
+    batchSize: config.batchSize,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[indexer] ${msg}`),
+  });
+
+  if (process.argv.includes("--once")) {
+    const result = await indexer.sync();
+    console.log(`[indexer] synced to block ${result.toBlock} (${result.indexed} events)`);
+    await store.close();
+    return;
+  }
+
+  indexer.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      indexer.stop();
+      await store.close();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
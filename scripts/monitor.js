@@ -0,0 +1,62 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadMonitorConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { Indexer, MemoryStore, createStore } = require("../src/indexer");
+const { ExecutorMonitor } = require("../src/monitor");
+
+/**
+ * Executor SLA monitor entry point
+ *   npm run monitor               # serve /metrics and /report on MONITOR_PORT
+ *   npm run monitor -- --once     # print the JSON report and exit
+ * With INDEXER_STORE=postgres latency comes from the shared indexer database;
+ * otherwise events are indexed in memory by this process.
+ */
+async function main() {
+  const config = loadMonitorConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const contracts = connectProtocol(manifest.contracts, provider);
+
+  const shared = config.store === "postgres";
+  const store = shared ? createStore(config) : new MemoryStore();
+  await store.init();
+  const indexer = shared
+    ? null
+    : new Indexer({ contracts, store, startBlock: manifest.startBlock, batchSize: config.batchSize });
+
+  const monitor = new ExecutorMonitor({
+    staking: contracts.staking,
+    store,
+    beforeRefresh: indexer ? () => indexer.sync() : null,
+    thresholds: config.thresholds,
+    periodDays: config.periodDays,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[monitor] ${msg}`),
+  });
+
+  if (process.argv.includes("--once")) {
+    console.log(JSON.stringify(await monitor.refresh(), null, 2));
+    await store.close();
+    return;
+  }
+
+  await monitor.listen(config.port, config.host);
+  console.log(`[monitor] serving http://${config.host}:${config.port}/metrics and /report`);
+  monitor.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      await monitor.stop();
+      await store.close();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
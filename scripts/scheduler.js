@@ -0,0 +1,44 @@
+require("dotenv").config();
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { loadSchedulerConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { HelioraClient } = require("../src/sdk");
+const { CronScheduler } = require("../src/scheduler");
+
+/**
+ * Cron scheduler entry point (run by the protocol that owns the conditions)
+ *   npm run scheduler
+ * Jobs come from SCHEDULER_JOBS_FILE, a JSON array of
+ *   { "name": "harvest", "cron": "0 * * * *", "target": "0x...", "fn": "harvest()" }
+ */
+async function main() {
+  const config = loadSchedulerConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+  if (!config.privateKey) throw new Error("SCHEDULER_PRIVATE_KEY not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const signer = new ethers.Wallet(config.privateKey, provider);
+
+  const scheduler = new CronScheduler({
+    client: await HelioraClient.connect(manifest.contracts.router, signer),
+    jobs: JSON.parse(fs.readFileSync(config.jobsFile, "utf8")),
+    leadSeconds: config.leadSeconds,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[scheduler] ${msg}`),
+  });
+
+  scheduler.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      scheduler.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadSlasherConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { SlashingEngine } = require("../src/slasher");
+
+/**
+ * Slashing engine entry point
+ *   npm run slasher                                 # every SLASHER_INTERVAL_MS
+ *   SLASHER_DRY_RUN=true npm run slasher -- --once  # report what would be slashed
+ * A dry run needs no SLASHER_PRIVATE_KEY.
+ */
+async function main() {
+  const config = loadSlasherConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+  if (!config.privateKey && !config.dryRun) throw new Error("SLASHER_PRIVATE_KEY not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const runner = config.privateKey ? new ethers.Wallet(config.privateKey, provider) : provider;
+
+  const amounts = {};
+  if (config.missedAmount) amounts.missed = ethers.parseEther(config.missedAmount);
+  if (config.invalidAmount) amounts.invalid = ethers.parseEther(config.invalidAmount);
+
+  const slasher = new SlashingEngine({
+    contracts: connectProtocol(manifest.contracts, runner),
+    amounts,
+    assignee: config.assignee ? () => config.assignee : undefined,
+    dryRun: config.dryRun,
+    fromBlock: manifest.startBlock,
+    batchSize: config.batchSize,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[slasher] ${msg}`),
+  });
+
+  if (process.argv.includes("--once")) {
+    const result = await slasher.tick();
+    for (const f of result.skipped) console.log(`[slasher] skipped ${f.reason}: ${f.skipped}`);
+    for (const f of result.failed) console.log(`[slasher] failed ${f.reason}: ${f.error}`);
+    return;
+  }
+
+  slasher.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      slasher.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadSweeperConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { createSinks } = require("../src/sinks");
+const { SubscriptionSweeper } = require("../src/sweeper");
+
+/**
+ * Subscription sweeper entry point
+ *   npm run sweeper            # every SWEEPER_INTERVAL_MS
+ *   npm run sweeper -- --once  # single sweep, prints the classification
+ * Read-only: notifies through SWEEPER_SINKS. Pausing executions happens in the
+ * worker process (WORKER_PAUSE_LAPSED=true).
+ */
+async function main() {
+  const config = loadSweeperConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const sweeper = new SubscriptionSweeper({
+    payment: connectProtocol(manifest.contracts, provider).payment,
+    sinks: createSinks(config),
+    warnDays: config.warnDays,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[sweeper] ${msg}`),
+  });
+
+  if (process.argv.includes("--once")) {
+    for (const r of await sweeper.sweep()) console.log(`[sweeper] ${r.subscriber} ${r.state}`);
+    return;
+  }
+
+  sweeper.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      sweeper.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,44 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadWatcherConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { ChallengeWatcher } = require("../src/watcher");
+
+/**
+ * Challenge watcher entry point
+ *   npm run watcher
+ * Historical price checks need an archive RPC_URL.
+ */
+async function main() {
+  const config = loadWatcherConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+  if (!config.privateKey) throw new Error("WATCHER_PRIVATE_KEY not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const signer = new ethers.Wallet(config.privateKey, provider);
+
+  const watcher = new ChallengeWatcher({
+    contracts: connectProtocol(manifest.contracts, signer),
+    policy: config.policy,
+    dryRun: config.dryRun,
+    fromBlock: manifest.startBlock,
+    batchSize: config.batchSize,
+    intervalMs: config.intervalMs,
+    log: (msg) => console.log(`[watcher] ${msg}`),
+  });
+
+  watcher.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      watcher.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,84 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadWorkerConfig, loadSweeperConfig } = require("../src/config");
+const { readManifest } = require("../src/deployments");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const { TransactionManager } = require("../src/txmanager");
+const { createSinks } = require("../src/sinks");
+const { SubscriptionSweeper } = require("../src/sweeper");
+
+/**
+ * Executor worker entry point
+ *   npm run worker
+ * Reads RPC_URL / EXECUTOR_PRIVATE_KEY / WORKER_INTERVAL_MS / ONCHAIN_EXECUTION_ENABLED
+ * from .env and addresses from deployments/<network>.json.
+ * WORKER_PAUSE_LAPSED=true also runs the subscription sweeper and skips
+ * conditions owned by expired or cancelled subscribers.
+ * On-chain executions go through the transaction manager, spread over
+ * EXECUTOR_POOL_KEYS (default: EXECUTOR_PRIVATE_KEY); TX_* tune it.
+ */
+async function main() {
+  const config = loadWorkerConfig();
+  if (!config.rpcUrl) throw new Error("RPC_URL not set");
+  if (!config.privateKey) throw new Error("EXECUTOR_PRIVATE_KEY not set");
+
+  const manifest = readManifest(config.network);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const signer = new ethers.Wallet(config.privateKey, provider);
+
+  const contracts = connectProtocol(manifest.contracts, signer);
+
+  let txManager = null;
+  if (!config.dryRun) {
+    const keys = config.txManager.keys.length ? config.txManager.keys : [config.privateKey];
+    txManager = new TransactionManager({
+      ...config.txManager,
+      signers: keys.map((key) => new ethers.Wallet(key, provider)),
+      helioraInterface: contracts.helioraInterface,
+      log: (msg) => console.log(`[tx] ${msg}`),
+    });
+    await txManager.init();
+  }
+
+  const worker = new ExecutorWorker({
+    contracts,
+    executorAddress: signer.address,
+    dryRun: config.dryRun,
+    txManager,
+    intervalMs: config.intervalMs,
+    fromBlock: manifest.startBlock,
+    batchSize: config.batchSize,
+    log: (msg) => console.log(`[worker] ${msg}`),
+  });
+
+  let sweeper = null;
+  if (config.pauseLapsed) {
+    const sweeperConfig = loadSweeperConfig();
+    sweeper = new SubscriptionSweeper({
+      payment: worker.contracts.payment,
+      sinks: createSinks(sweeperConfig),
+      warnDays: sweeperConfig.warnDays,
+      intervalMs: sweeperConfig.intervalMs,
+      worker,
+      log: (msg) => console.log(`[sweeper] ${msg}`),
+    });
+    // Classify subscribers before the first execution pass
+    await sweeper.sweep();
+    sweeper.start();
+  }
+
+  worker.start();
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      worker.stop();
+      if (sweeper) sweeper.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
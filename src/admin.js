@@ -0,0 +1,308 @@
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { Tier, PauseScope, enumName, enumValue } = require("./enums");
+const { CONTRACT_KEYS } = require("./deployments");
+const { errorMessage } = require("./errors");
+
+/**
+ * Operator administration (heliora:* tasks)
+ * Each action reads the on-chain state it touches, lists the calls it will make,
+ * asks for confirmation, sends them and prints a before/after diff.
+ */
+
+const OWNABLE_KEYS = [...CONTRACT_KEYS, "router"];
+
+function stringify(value) {
+  if (typeof value === "bigint") return value.toString();
+  return String(value);
+}
+
+async function executorState(c, account) {
+  return {
+    "executor.authorizedCallers": await c.executor.authorizedCallers(account),
+    "helioraInterface.authorizedExecutors": await c.helioraInterface.authorizedExecutors(account),
+  };
+}
+
+async function tierState(c, tier) {
+  const config = await c.payment.getTierConfig(tier);
+  const decimals = await c.payment.paymentTokenDecimals();
+  const name = enumName(Tier, tier);
+  return {
+    [`${name}.priceUSDC`]: ethers.formatUnits(config.priceUSDC, decimals),
+    [`${name}.priceETH`]: ethers.formatEther(config.priceETH),
+    [`${name}.maxConditions`]: config.maxConditions,
+    [`${name}.maxExecutionsDay`]: config.maxExecutionsDay,
+    [`${name}.active`]: config.active,
+  };
+}
+
+async function subscriptionState(c, subscriber) {
+  const sub = await c.payment.getSubscription(subscriber);
+  return {
+    tier: enumName(Tier, sub.tier),
+    active: sub.active,
+    expiresAt: sub.expiresAt ? new Date(Number(sub.expiresAt) * 1000).toISOString() : "-",
+    protocolName: sub.protocolName,
+  };
+}
+
+async function feedState(c, pair) {
+  const feed = await c.priceOracle.getFeedInfo(pair);
+  return {
+    [`${pair}.feedAddress`]: feed.feedAddress,
+    [`${pair}.active`]: feed.active,
+    registeredPairs: await c.priceOracle.getRegisteredPairsCount(),
+  };
+}
+
+async function stakeState(c, executor) {
+  const stake = await c.staking.getExecutorStake(executor);
+  const unbonding = await c.staking.getUnbonding(executor);
+  return {
+    amount: ethers.formatEther(stake.amount),
+    unbonding: ethers.formatEther(unbonding.amount),
+    slashedAmount: ethers.formatEther(stake.slashedAmount),
+    missedCount: stake.missedCount,
+    active: stake.active,
+  };
+}
+
+async function challengeTermsState(c) {
+  const registry = c.conditionRegistry;
+  return {
+    challengeBond: ethers.formatEther(await registry.challengeBond()),
+    challengeSlashAmount: ethers.formatEther(await registry.challengeSlashAmount()),
+    challengerRewardBps: await registry.challengerRewardBps(),
+    resolutionTimeout: await registry.resolutionTimeout(),
+    staking: await registry.staking(),
+  };
+}
+
+async function pauseState(c, scope) {
+  const state = { paused: await c.router.paused() };
+  if (scope !== undefined) {
+    const value = enumValue(PauseScope, scope, "pause scope");
+    state[`${enumName(PauseScope, value)}.paused`] = await c.router.scopePaused(value);
+  }
+  return state;
+}
+
+async function ownerState(c, keys) {
+  const state = {};
+  for (const key of keys) state[`${key}.owner`] = await c[key].owner();
+  return state;
+}
+
+function ownableKeys(c, only) {
+  const keys = only ? only.split(",").map((k) => k.trim()) : OWNABLE_KEYS;
+  for (const key of keys) {
+    if (!OWNABLE_KEYS.includes(key)) throw new Error(`Unknown contract "${key}" (expected ${OWNABLE_KEYS.join(", ")})`);
+  }
+  return keys.filter((key) => c[key]);
+}
+
+/**
+ * name => { description, read(contracts, params), calls(contracts, params) }
+ * calls() returns [{ key, method, args }] against connectProtocol() contracts.
+ */
+const ACTIONS = {
+  "authorize-executor": {
+    description: "Authorize an executor on HelioraExecutor and HelioraInterface",
+    read: (c, { account }) => executorState(c, account),
+    calls: async (c, { account }) => [
+      { key: "executor", method: "authorizeCaller", args: [account] },
+      { key: "helioraInterface", method: "authorizeExecutor", args: [account] },
+    ],
+  },
+  "revoke-executor": {
+    description: "Revoke an executor on HelioraExecutor and HelioraInterface",
+    read: (c, { account }) => executorState(c, account),
+    calls: async (c, { account }) => [
+      { key: "executor", method: "revokeCaller", args: [account] },
+      { key: "helioraInterface", method: "revokeExecutor", args: [account] },
+    ],
+  },
+  "set-fee": {
+    description: "Set the HelioraInterface execution fee",
+    read: async (c) => ({ executionFee: ethers.formatEther(await c.helioraInterface.executionFee()) }),
+    calls: async (c, { fee }) => [{ key: "helioraInterface", method: "setExecutionFee", args: [ethers.parseEther(fee)] }],
+  },
+  "set-tier": {
+    description: "Update a payment tier (unspecified fields keep their current value)",
+    read: (c, p) => tierState(c, enumValue(Tier, p.tier, "tier")),
+    calls: async (c, p) => {
+      const tier = enumValue(Tier, p.tier, "tier");
+      const current = await c.payment.getTierConfig(tier);
+      const decimals = await c.payment.paymentTokenDecimals();
+      const pick = (value, fallback) => (value === undefined ? fallback : value);
+      return [
+        {
+          key: "payment",
+          method: "setTierConfig",
+          args: [
+            tier,
+            p.priceUsdc === undefined ? current.priceUSDC : ethers.parseUnits(p.priceUsdc, decimals),
+            p.priceEth === undefined ? current.priceETH : ethers.parseEther(p.priceEth),
+            pick(p.maxConditions, current.maxConditions),
+            pick(p.maxExecutionsDay, current.maxExecutionsDay),
+            pick(p.active, current.active),
+          ],
+        },
+      ];
+    },
+  },
+  "grant-subscription": {
+    description: "Grant a subscription without payment",
+    read: (c, { subscriber }) => subscriptionState(c, subscriber),
+    calls: async (c, p) => [
+      {
+        key: "payment",
+        method: "grantSubscription",
+        args: [p.subscriber, enumValue(Tier, p.tier, "tier"), BigInt(p.days) * 86400n, p.protocolName || ""],
+      },
+    ],
+  },
+  "register-feed": {
+    description: "Register (or replace) a Chainlink price feed",
+    read: (c, { pair }) => feedState(c, pair),
+    calls: async (c, { pair, feed }) => [{ key: "priceOracle", method: "registerFeed", args: [pair, feed] }],
+  },
+  "remove-feed": {
+    description: "Deactivate a Chainlink price feed",
+    read: (c, { pair }) => feedState(c, pair),
+    calls: async (c, { pair }) => [{ key: "priceOracle", method: "removeFeed", args: [pair] }],
+  },
+  slash: {
+    description: "Slash an executor's stake",
+    read: (c, { executor }) => stakeState(c, executor),
+    calls: async (c, p) => [
+      {
+        key: "staking",
+        method: "slashExecutor",
+        args: [p.executor, ethers.parseEther(p.amount), p.reason, BigInt(p.conditionId || 0)],
+      },
+    ],
+  },
+  "set-challenge-terms": {
+    description: "Update ConditionRegistry challenge terms (unspecified fields keep their current value)",
+    read: (c) => challengeTermsState(c),
+    calls: async (c, p) => {
+      const registry = c.conditionRegistry;
+      const eth = (value, current) => (value === undefined ? current : ethers.parseEther(value));
+      return [
+        {
+          key: "conditionRegistry",
+          method: "setChallengeTerms",
+          args: [
+            eth(p.bond, await registry.challengeBond()),
+            eth(p.slashAmount, await registry.challengeSlashAmount()),
+            p.rewardBps === undefined ? await registry.challengerRewardBps() : p.rewardBps,
+            p.resolutionTimeout === undefined ? await registry.resolutionTimeout() : p.resolutionTimeout,
+          ],
+        },
+      ];
+    },
+  },
+  "set-paused": {
+    description: "Pause or unpause the protocol, or one pause scope",
+    read: (c, { scope }) => pauseState(c, scope),
+    calls: async (c, { paused, scope }) =>
+      scope === undefined
+        ? [{ key: "router", method: "setPaused", args: [paused] }]
+        : [{ key: "router", method: "setScopePaused", args: [enumValue(PauseScope, scope, "pause scope"), paused] }],
+  },
+  "transfer-ownership": {
+    description: "Transfer ownership of the protocol contracts",
+    read: (c, { contracts }) => ownerState(c, ownableKeys(c, contracts)),
+    calls: async (c, { to, contracts }) => {
+      const calls = [];
+      for (const key of ownableKeys(c, contracts)) {
+        if ((await c[key].owner()) !== ethers.getAddress(to)) {
+          calls.push({ key, method: "transferOwnership", args: [to] });
+        }
+      }
+      return calls;
+    },
+  },
+};
+
+/**
+ * Lines describing every key of two state snapshots.
+ * @return {string[]}
+ */
+function diffState(before, after) {
+  return Object.keys({ ...before, ...after }).map((key) => {
+    const from = stringify(before[key]);
+    const to = stringify(after[key]);
+    return from === to ? `  ${key}: ${from}` : `* ${key}: ${from} -> ${to}`;
+  });
+}
+
+function formatCall(call) {
+  return `${call.key}.${call.method}(${call.args.map(stringify).join(", ")})`;
+}
+
+// Interactive y/N prompt on stdin
+function promptConfirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(`${question} [y/N] `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Run one admin action.
+ * @param {Object<string,import("ethers").Contract>} contracts connectProtocol() result, bound to the admin signer
+ * @param {string} name ACTIONS key
+ * @param {object} params action parameters
+ * @param {object} [options]
+ * @param {boolean} [options.yes=false] skip confirmation
+ * @param {function} [options.confirm] async (question) => boolean, defaults to a stdin prompt
+ * @param {function} [options.log]
+ * @return {Promise<{before: object, after: object|null, calls: object[], txHashes: string[], aborted: boolean}>}
+ */
+async function runAdminAction(contracts, name, params, options = {}) {
+  const action = ACTIONS[name];
+  if (!action) throw new Error(`Unknown admin action "${name}"`);
+  const log = options.log || (() => {});
+  const confirm = options.confirm || promptConfirm;
+
+  const before = await action.read(contracts, params);
+  const calls = await action.calls(contracts, params);
+  const result = { before, after: null, calls, txHashes: [], aborted: false };
+
+  log(action.description);
+  if (calls.length === 0) {
+    log("Nothing to do.");
+    return result;
+  }
+  for (const call of calls) log(`  ${formatCall(call)}`);
+
+  if (!options.yes && !(await confirm("Send these transactions?"))) {
+    log("Aborted.");
+    result.aborted = true;
+    return result;
+  }
+
+  for (const call of calls) {
+    try {
+      const tx = await contracts[call.key][call.method](...call.args);
+      await tx.wait();
+      result.txHashes.push(tx.hash);
+      log(`  ${call.key}.${call.method}: ${tx.hash}`);
+    } catch (err) {
+      throw new Error(`${formatCall(call)} failed - ${errorMessage(err)}`);
+    }
+  }
+
+  result.after = await action.read(contracts, params);
+  log("State:");
+  for (const line of diffState(before, result.after)) log(line);
+  return result;
+}
+
+module.exports = { ACTIONS, OWNABLE_KEYS, diffState, formatCall, promptConfirm, runAdminAction };
@@ -0,0 +1,149 @@
+/**
+ * Off-chain service configuration from environment variables (see env.example)
+ */
+
+function bool(value, fallback = false) {
+  if (value === undefined || value === "") return fallback;
+  return value === "true" || value === "1";
+}
+
+// Network name (deployments/<network>.json) and RPC endpoint
+function loadNetworkConfig(env = process.env) {
+  const useTestnet = bool(env.USE_TESTNET);
+  return {
+    network: env.HELIORA_NETWORK || (useTestnet ? "baseSepolia" : "base"),
+    rpcUrl: useTestnet ? env.TESTNET_RPC_URL : env.RPC_URL,
+  };
+}
+
+function loadWorkerConfig(env = process.env) {
+  const net = loadNetworkConfig(env);
+  return {
+    ...net,
+    privateKey: env.EXECUTOR_PRIVATE_KEY,
+    intervalMs: Number(env.WORKER_INTERVAL_MS || 10000),
+    batchSize: Number(env.WORKER_BATCH_SIZE || 2000),
+    dryRun: !bool(env.ONCHAIN_EXECUTION_ENABLED),
+    pauseLapsed: bool(env.WORKER_PAUSE_LAPSED),
+    txManager: {
+      // Keys that submit executeCondition (default: EXECUTOR_PRIVATE_KEY)
+      keys: env.EXECUTOR_POOL_KEYS ? env.EXECUTOR_POOL_KEYS.split(",").map((k) => k.trim()).filter(Boolean) : [],
+      file: env.TX_STATE_FILE || `data/txmanager-${net.network}.json`,
+      bumpAfterBlocks: Number(env.TX_BUMP_BLOCKS || 3),
+      bumpPercent: Number(env.TX_BUMP_PERCENT || 15),
+      maxSpendRatio: Number(env.TX_MAX_SPEND_RATIO || 2),
+      maxSpendWei: env.TX_MAX_SPEND_WEI ? BigInt(env.TX_MAX_SPEND_WEI) : null,
+    },
+  };
+}
+
+function loadIndexerConfig(env = process.env) {
+  const net = loadNetworkConfig(env);
+  return {
+    ...net,
+    store: env.INDEXER_STORE || "file",
+    file: env.INDEXER_FILE || `data/indexer-${net.network}.json`,
+    databaseUrl: env.DATABASE_URL,
+    confirmations: Number(env.INDEXER_CONFIRMATIONS || 12),
+    batchSize: Number(env.INDEXER_BATCH_SIZE || 2000),
+    intervalMs: Number(env.INDEXER_INTERVAL_MS || 5000),
+  };
+}
+
+function loadWatcherConfig(env = process.env) {
+  return {
+    ...loadNetworkConfig(env),
+    privateKey: env.WATCHER_PRIVATE_KEY,
+    intervalMs: Number(env.WATCHER_INTERVAL_MS || 10000),
+    batchSize: Number(env.WATCHER_BATCH_SIZE || 2000),
+    dryRun: bool(env.WATCHER_DRY_RUN),
+    policy: {
+      challengeUnverifiable: bool(env.WATCHER_CHALLENGE_UNVERIFIABLE),
+      defaultPair: env.WATCHER_DEFAULT_PAIR || null,
+      pairs: env.WATCHER_PAIRS ? JSON.parse(env.WATCHER_PAIRS) : {},
+    },
+  };
+}
+
+function loadSweeperConfig(env = process.env) {
+  const net = loadNetworkConfig(env);
+  return {
+    ...net,
+    intervalMs: Number(env.SWEEPER_INTERVAL_MS || 3600000),
+    warnDays: Number(env.SWEEPER_WARN_DAYS || 7),
+    sinks: (env.SWEEPER_SINKS || "stdout").split(",").map((s) => s.trim()).filter(Boolean),
+    file: env.SWEEPER_FILE || `data/notifications-${net.network}.jsonl`,
+    webhookUrl: env.SWEEPER_WEBHOOK_URL,
+  };
+}
+
+function loadSchedulerConfig(env = process.env) {
+  return {
+    ...loadNetworkConfig(env),
+    privateKey: env.SCHEDULER_PRIVATE_KEY,
+    jobsFile: env.SCHEDULER_JOBS_FILE || "scheduler.jobs.json",
+    intervalMs: Number(env.SCHEDULER_INTERVAL_MS || 60000),
+    leadSeconds: Number(env.SCHEDULER_LEAD_SECONDS || 60),
+  };
+}
+
+function loadSlasherConfig(env = process.env) {
+  return {
+    ...loadNetworkConfig(env),
+    privateKey: env.SLASHER_PRIVATE_KEY,
+    intervalMs: Number(env.SLASHER_INTERVAL_MS || 30000),
+    batchSize: Number(env.SLASHER_BATCH_SIZE || 2000),
+    dryRun: bool(env.SLASHER_DRY_RUN),
+    // ETH strings; unset keeps the engine defaults
+    missedAmount: env.SLASHER_MISSED_AMOUNT || null,
+    invalidAmount: env.SLASHER_INVALID_AMOUNT || null,
+    // Executor charged for missed executions (default: ConditionRegistry executor)
+    assignee: env.SLASHER_ASSIGNEE || null,
+  };
+}
+
+function loadMonitorConfig(env = process.env) {
+  const thresholds = {};
+  const numbers = {
+    minSuccessRate: env.MONITOR_MIN_SUCCESS_RATE,
+    maxSlashesPerPeriod: env.MONITOR_MAX_SLASHES,
+    minHeadroomRatio: env.MONITOR_MIN_HEADROOM_RATIO,
+    maxLatencyBlocks: env.MONITOR_MAX_LATENCY_BLOCKS,
+    maxLatencySeconds: env.MONITOR_MAX_LATENCY_SECONDS,
+  };
+  for (const [key, value] of Object.entries(numbers)) {
+    if (value !== undefined && value !== "") thresholds[key] = Number(value);
+  }
+  return {
+    ...loadIndexerConfig(env),
+    port: Number(env.MONITOR_PORT || 9464),
+    host: env.MONITOR_HOST || "127.0.0.1",
+    intervalMs: Number(env.MONITOR_INTERVAL_MS || 60000),
+    periodDays: Number(env.MONITOR_PERIOD_DAYS || 30),
+    thresholds,
+  };
+}
+
+// X-Execution-Key enforcement (src/entitlements)
+function loadEntitlementConfig(env = process.env) {
+  return {
+    ...loadNetworkConfig(env),
+    requireKeys: bool(env.REQUIRE_EXECUTION_KEYS),
+    overLimit: env.ENTITLEMENT_OVER_LIMIT || "reject",
+    cacheMs: Number(env.ENTITLEMENT_CACHE_MS || 30000),
+    batchSize: Number(env.ENTITLEMENT_BATCH_SIZE || 2000),
+  };
+}
+
+module.exports = {
+  bool,
+  loadNetworkConfig,
+  loadWorkerConfig,
+  loadIndexerConfig,
+  loadWatcherConfig,
+  loadSweeperConfig,
+  loadSchedulerConfig,
+  loadSlasherConfig,
+  loadMonitorConfig,
+  loadEntitlementConfig,
+};
@@ -0,0 +1,55 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Contract bindings for off-chain tools
+ * ABIs come from the Hardhat artifacts (run `npx hardhat compile` first).
+ */
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+// Contract name => source file
+const SOURCES = {
+  HelioraExecutor: "ExecutorTest.sol",
+  HelioraInterface: "HelioraInterface.sol",
+  HelioraPayment: "HelioraPayment.sol",
+  HelioraStaking: "HelioraStaking.sol",
+  ConditionRegistry: "ConditionRegistry.sol",
+  HelioraPriceOracle: "HelioraPriceOracle.sol",
+  HelioraRouter: "HelioraRouter.sol",
+};
+
+// Router / manifest key => contract name
+const CONTRACT_NAMES = {
+  executor: "HelioraExecutor",
+  helioraInterface: "HelioraInterface",
+  payment: "HelioraPayment",
+  staking: "HelioraStaking",
+  conditionRegistry: "ConditionRegistry",
+  priceOracle: "HelioraPriceOracle",
+  router: "HelioraRouter",
+};
+
+function loadAbi(name) {
+  const source = SOURCES[name];
+  if (!source) throw new Error(`Unknown contract "${name}"`);
+  return require(path.join(ARTIFACTS_DIR, source, `${name}.json`)).abi;
+}
+
+/**
+ * Bind every known address to an ethers Contract.
+ * @param {Object<string,string>} addresses manifest.contracts (or a subset)
+ * @param {ethers.ContractRunner} runner provider or signer
+ * @return {Object<string,ethers.Contract>}
+ */
+function connectProtocol(addresses, runner) {
+  const contracts = {};
+  for (const [key, address] of Object.entries(addresses)) {
+    const name = CONTRACT_NAMES[key];
+    if (!name || !address || address === ethers.ZeroAddress) continue;
+    contracts[key] = new ethers.Contract(address, loadAbi(name), runner);
+  }
+  return contracts;
+}
+
+module.exports = { SOURCES, CONTRACT_NAMES, loadAbi, connectProtocol };
@@ -0,0 +1,108 @@
+/**
+ * Cron expressions (UTC, minute resolution)
+ * Five fields: minute hour day-of-month month day-of-week. Each is a comma list
+ * of `*`, a value or a range `a-b`, any of them optionally followed by a step
+ * `/n`. Day of week is 0-6 (0 = Sunday, 7 is accepted as Sunday). As in cron,
+ * when both day fields are restricted a day matching either one matches.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new SyntaxError(`Invalid cron ${name} "${part}"`);
+    let from = min;
+    let to = max;
+    if (match[1] !== "*") {
+      from = Number(match[2]);
+      to = match[3] === undefined ? (match[4] === undefined ? from : max) : Number(match[3]);
+    }
+    const step = match[4] === undefined ? 1 : Number(match[4]);
+    if (from < min || to > max || from > to || step < 1) throw new SyntaxError(`Invalid cron ${name} "${part}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @param {string} expression "m h dom mon dow" or @hourly / @daily / @weekly / @monthly
+ * @return {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean}}
+ */
+function parseCron(expression) {
+  const text = ALIASES[expression.trim()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new SyntaxError(`Cron expression needs 5 fields, got "${expression}"`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getUTCDate());
+  const dow = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * First matching time strictly after `after`.
+ * @param {string|object} cron expression or parseCron() result
+ * @param {number|bigint} after unix seconds
+ * @return {number} unix seconds
+ */
+function nextCronTime(cron, after) {
+  if (typeof cron === "string") cron = parseCron(cron);
+  const date = new Date((Math.floor(Number(after) / 60) + 1) * 60 * 1000);
+  const limit = date.getTime() + 5 * 366 * 86400 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime() / 1000;
+    }
+  }
+  throw new RangeError("Cron expression never matches");
+}
+
+/**
+ * Whether `time` (unix seconds) is one of the expression's times.
+ */
+function matchesCron(cron, time) {
+  const t = Number(time);
+  return t % 60 === 0 && nextCronTime(cron, t - 1) === t;
+}
+
+module.exports = { parseCron, nextCronTime, matchesCron };
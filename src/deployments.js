@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment manifests
+ * One JSON file per network under deployments/, written by heliora:deploy and
+ * read by every off-chain tool that needs protocol addresses.
+ */
+
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+
+// Router keys, in README deployment order
+const CONTRACT_KEYS = [
+  "executor",
+  "helioraInterface",
+  "payment",
+  "staking",
+  "conditionRegistry",
+  "priceOracle",
+];
+
+function manifestPath(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function writeManifest(manifest, dir = DEFAULT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.network, dir);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+function readManifest(network, dir = DEFAULT_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment manifest for network "${network}" (${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  CONTRACT_KEYS,
+  manifestPath,
+  writeManifest,
+  readManifest,
+};
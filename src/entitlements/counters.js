@@ -0,0 +1,43 @@
+/**
+ * In-memory counter store
+ * Anything exposing the same async increment/get interface (e.g. Redis INCRBY +
+ * PEXPIRE) can replace it when several API instances share limits.
+ */
+class MemoryCounterStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  _live(key, now) {
+    const entry = this.counters.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now) {
+      this.counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key, now = Date.now()) {
+    const entry = this._live(key, now);
+    return entry ? entry.value : 0;
+  }
+
+  /**
+   * Add `by` (may be negative, never below 0) and return the new value.
+   * @param {string} key
+   * @param {number} [by=1]
+   * @param {number|null} [expiresAt] epoch ms after which the counter resets; kept if already set
+   */
+  async increment(key, by = 1, expiresAt = null, now = Date.now()) {
+    const entry = this._live(key, now) || { value: 0, expiresAt };
+    entry.value = Math.max(0, entry.value + by);
+    this.counters.set(key, entry);
+    return entry.value;
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+module.exports = { MemoryCounterStore };
@@ -0,0 +1,222 @@
+const { Tier, InterfaceConditionStatus, enumName } = require("../enums");
+const { EntitlementError } = require("../sdk/errors");
+const { queryFilterInRanges } = require("../logs");
+const { MemoryCounterStore } = require("./counters");
+const { entitlementMiddleware, HEADER } = require("./middleware");
+
+/**
+ * Subscription entitlements for X-Execution-Key
+ * Maps an access key to its subscriber through HelioraPayment.AccessKeyLinked,
+ * requires isActiveSubscription (which includes the 3-day GRACE_PERIOD) and
+ * enforces the tier's maxConditions / maxExecutionsDay (0 = unlimited).
+ *
+ * Condition slots are held until releaseCondition(). With a HelioraInterface, the
+ * condition count of each subscriber starts from its open (PENDING / ACTIVE)
+ * conditions on-chain, so it survives restarts. Execution counters reset at
+ * 00:00 UTC. Over the daily execution limit, work is rejected or, with
+ * overLimit "queue", parked until the next day (see takeDue()).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIONS = ["read", "condition", "execution"];
+
+class EntitlementService {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.payment HelioraPayment
+   * @param {import("ethers").Contract} [options.helioraInterface] seeds condition counts from getProtocolConditions
+   * @param {object} [options.counters] counter store, defaults to MemoryCounterStore
+   * @param {number} [options.fromBlock=0] first block to scan for AccessKeyLinked
+   * @param {number} [options.batchSize=2000] max blocks per eth_getLogs
+   * @param {"reject"|"queue"} [options.overLimit="reject"] what to do past maxExecutionsDay
+   * @param {number} [options.cacheMs=30000] subscription / tier cache lifetime
+   * @param {function} [options.keyId] presented key => on-chain accessKeyId (default: identity)
+   * @param {function} [options.now] clock in epoch ms (default: Date.now)
+   */
+  constructor(options) {
+    if (!["reject", "queue"].includes(options.overLimit || "reject")) {
+      throw new Error(`Unknown overLimit "${options.overLimit}" (expected reject, queue)`);
+    }
+    this.payment = options.payment;
+    this.helioraInterface = options.helioraInterface || null;
+    this.counters = options.counters || new MemoryCounterStore();
+    this.nextBlock = options.fromBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.overLimit = options.overLimit || "reject";
+    this.cacheMs = options.cacheMs ?? 30000;
+    this.keyId = options.keyId || ((key) => key);
+    this.now = options.now || Date.now;
+
+    this.keys = new Map(); // accessKeyId => subscriber
+    this.cache = new Map(); // subscriber => { value, expiresAt }
+    this.seeded = new Map(); // subscriber => condition count seeding, once per process
+    this.queue = [];
+  }
+
+  /**
+   * Pick up AccessKeyLinked events since the last scan, batchSize blocks at a time.
+   */
+  async refreshKeys() {
+    const provider = this.payment.runner.provider;
+    const head = await provider.getBlockNumber();
+    const filter = this.payment.filters.AccessKeyLinked();
+    const events = await queryFilterInRanges(this.payment, filter, this.nextBlock, head, this.batchSize);
+    for (const event of events) this.keys.set(event.args.accessKeyId, event.args.subscriber);
+    this.nextBlock = Math.max(this.nextBlock, head + 1);
+  }
+
+  /**
+   * @param {string} key presented X-Execution-Key
+   * @return {Promise<string>} subscriber address
+   */
+  async resolveKey(key) {
+    const id = this.keyId(key);
+    if (!this.keys.has(id)) await this.refreshKeys();
+    const subscriber = this.keys.get(id);
+    // A later linkAccessKey for the same subscriber replaces the old key
+    if (subscriber && (await this._subscription(subscriber)).accessKeyId === id) return subscriber;
+    throw new EntitlementError("Unknown execution key", { code: "UNKNOWN_KEY", status: 401 });
+  }
+
+  async _subscription(subscriber) {
+    const cached = this.cache.get(subscriber);
+    if (cached && cached.expiresAt > this.now()) return cached.value;
+
+    const sub = await this.payment.getSubscription(subscriber);
+    const config = await this.payment.getTierConfig(sub.tier);
+    const value = {
+      subscriber,
+      tier: enumName(Tier, sub.tier),
+      expiresAt: Number(sub.expiresAt),
+      accessKeyId: sub.accessKeyId,
+      active: await this.payment.isActiveSubscription(subscriber),
+      limits: { maxConditions: Number(config.maxConditions), maxExecutionsDay: Number(config.maxExecutionsDay) },
+    };
+    if (this.cacheMs > 0) this.cache.set(subscriber, { value, expiresAt: this.now() + this.cacheMs });
+    return value;
+  }
+
+  _counterKeys(subscriber) {
+    const now = this.now();
+    const day = Math.floor(now / DAY_MS);
+    return {
+      conditions: `conditions:${subscriber}`,
+      executions: `executions:${subscriber}:${day}`,
+      resetAt: (day + 1) * DAY_MS,
+    };
+  }
+
+  // Set the condition counter to the subscriber's open conditions on-chain
+  async _seedConditions(subscriber, key) {
+    if (!this.helioraInterface) return;
+    if (!this.seeded.has(subscriber)) {
+      const seed = async () => {
+        const ids = await this.helioraInterface.getProtocolConditions(subscriber);
+        let open = 0;
+        for (const id of ids) {
+          const status = Number((await this.helioraInterface.getCondition(id)).status);
+          if (status === InterfaceConditionStatus.PENDING || status === InterfaceConditionStatus.ACTIVE) open++;
+        }
+        const counted = await this.counters.get(key, this.now());
+        if (open !== counted) await this.counters.increment(key, open - counted, null, this.now());
+      };
+      // Forgotten on failure so the next request tries again
+      this.seeded.set(subscriber, seed().catch((err) => {
+        this.seeded.delete(subscriber);
+        throw err;
+      }));
+    }
+    await this.seeded.get(subscriber);
+  }
+
+  /**
+   * Subscription, limits and current usage for a subscriber.
+   */
+  async entitlement(subscriber) {
+    const sub = await this._subscription(subscriber);
+    const keys = this._counterKeys(subscriber);
+    await this._seedConditions(subscriber, keys.conditions);
+    return {
+      ...sub,
+      // expiresAt has passed but GRACE_PERIOD still applies
+      inGrace: sub.active && sub.expiresAt * 1000 < this.now(),
+      usage: {
+        conditions: await this.counters.get(keys.conditions, this.now()),
+        executionsToday: await this.counters.get(keys.executions, this.now()),
+      },
+      resetAt: keys.resetAt,
+    };
+  }
+
+  /**
+   * Check a key for an action and reserve a condition slot / daily execution.
+   * @param {string} key presented X-Execution-Key
+   * @param {"read"|"condition"|"execution"} [action="read"]
+   * @param {*} [payload] kept with queued executions
+   * @return {Promise<object>} entitlement(); `queued` and `retryAt` set when parked
+   * @throws {EntitlementError} UNKNOWN_KEY, NO_SUBSCRIPTION, CONDITION_LIMIT, EXECUTION_LIMIT
+   */
+  async authorize(key, action = "read", payload) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown action "${action}"`);
+    const subscriber = await this.resolveKey(key);
+    const sub = await this._subscription(subscriber);
+    if (!sub.active) {
+      throw new EntitlementError("Subscription expired or inactive", { code: "NO_SUBSCRIPTION", status: 402 });
+    }
+
+    const keys = this._counterKeys(subscriber);
+    if (action === "condition") {
+      await this._seedConditions(subscriber, keys.conditions);
+      await this._reserve(keys.conditions, sub.limits.maxConditions, null, () => {
+        throw new EntitlementError(`Condition limit reached (${sub.limits.maxConditions} for ${sub.tier})`, {
+          code: "CONDITION_LIMIT",
+          status: 429,
+        });
+      });
+    } else if (action === "execution") {
+      const over = await this._reserve(keys.executions, sub.limits.maxExecutionsDay, keys.resetAt, () => {
+        if (this.overLimit === "queue") return true;
+        throw new EntitlementError(`Daily execution limit reached (${sub.limits.maxExecutionsDay} for ${sub.tier})`, {
+          code: "EXECUTION_LIMIT",
+          status: 429,
+        });
+      });
+      if (over) {
+        this.queue.push({ subscriber, payload, retryAt: keys.resetAt });
+        return { ...(await this.entitlement(subscriber)), queued: true, retryAt: keys.resetAt };
+      }
+    }
+    return this.entitlement(subscriber);
+  }
+
+  // Increment, rolling back and calling onExceeded() when past a non-zero limit
+  async _reserve(key, limit, expiresAt, onExceeded) {
+    const value = await this.counters.increment(key, 1, expiresAt, this.now());
+    if (limit === 0 || value <= limit) return false;
+    await this.counters.increment(key, -1, expiresAt, this.now());
+    return onExceeded();
+  }
+
+  /**
+   * Free a condition slot once a condition is cancelled or finished. The count
+   * never drops below zero, whatever the counter store.
+   */
+  async releaseCondition(subscriber) {
+    const key = this._counterKeys(subscriber).conditions;
+    if ((await this.counters.get(key, this.now())) > 0) await this.counters.increment(key, -1, null, this.now());
+  }
+
+  /**
+   * Remove and return queued executions whose day has started. They hold no
+   * reservation; callers submit them through authorize() again.
+   */
+  takeDue() {
+    const now = this.now();
+    const due = this.queue.filter((item) => item.retryAt <= now);
+    this.queue = this.queue.filter((item) => item.retryAt > now);
+    return due;
+  }
+}
+
+module.exports = { EntitlementService, MemoryCounterStore, entitlementMiddleware, HEADER, ACTIONS };
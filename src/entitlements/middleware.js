@@ -0,0 +1,49 @@
+const { EntitlementError } = require("../sdk/errors");
+
+/**
+ * HTTP middleware for X-Execution-Key
+ * Connect/Express signature; also usable from a plain http server as
+ * `middleware(req, res, () => handler(req, res))`.
+ */
+
+const HEADER = "x-execution-key";
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {import("./index").EntitlementService} service
+ * @param {object} [options]
+ * @param {string|function} [options.action="read"] action name, or req => action name
+ * @param {boolean} [options.required=true] reject requests without a key (REQUIRE_EXECUTION_KEYS)
+ * @param {function} [options.payload] req => value kept with queued executions
+ */
+function entitlementMiddleware(service, options = {}) {
+  const { action = "read", required = true, payload } = options;
+
+  return async function (req, res, next) {
+    const key = req.headers[HEADER];
+    if (!key) {
+      if (!required) return next();
+      return send(res, 401, { code: "MISSING_KEY", error: "Missing X-Execution-Key header" });
+    }
+
+    try {
+      const name = typeof action === "function" ? action(req) : action;
+      const entitlement = await service.authorize(key, name, payload ? payload(req) : undefined);
+      req.entitlement = entitlement;
+      if (entitlement.queued) {
+        return send(res, 202, { code: "EXECUTION_QUEUED", retryAt: new Date(entitlement.retryAt).toISOString() });
+      }
+      next();
+    } catch (err) {
+      if (err instanceof EntitlementError) return send(res, err.status, { code: err.code, error: err.message });
+      next(err);
+    }
+  };
+}
+
+module.exports = { entitlementMiddleware, HEADER };
@@ -0,0 +1,61 @@
+/**
+ * Solidity enum ordinals, mirrored from the contracts
+ */
+
+// HelioraInterface
+const InterfaceConditionType = { BLOCK_NUMBER: 0, TIMESTAMP: 1 };
+const ExecutionMode = { SINGLE: 0, REPEATABLE: 1 };
+const InterfaceConditionStatus = { PENDING: 0, ACTIVE: 1, EXECUTED: 2, CANCELLED: 3 };
+const CalldataMode = { NONE: 0, FIXED: 1, HASH: 2, TEMPLATE: 3 };
+const ArgRule = { ANY: 0, EQ: 1, LTE: 2, GTE: 3 };
+
+// ConditionRegistry
+const ConditionType = { BLOCK_NUMBER: 0, TIMESTAMP: 1, PRICE_ABOVE: 2, PRICE_BELOW: 3, BALANCE_THRESHOLD: 4, COMPOSITE: 5 };
+const NodeOp = { LEAF: 0, AND: 1, OR: 2 };
+const ConditionStatus = { REGISTERED: 0, ACTIVE: 1, EXECUTED: 2, CANCELLED: 3, CHALLENGED: 4, SLASHED: 5 };
+
+// HelioraPayment
+const Tier = { TESTNET: 0, MAINNET: 1, ENTERPRISE: 2 };
+
+// HelioraRouter (interfaces/IHelioraRouter.sol)
+const PauseScope = { REGISTRATION: 0, EXECUTION: 1, STAKING: 2, PAYMENTS: 3 };
+
+/**
+ * Ordinal => name lookup for an enum object.
+ * @param {Object<string,number>} enumObj
+ * @param {number|bigint} value
+ */
+function enumName(enumObj, value) {
+  const n = Number(value);
+  return Object.keys(enumObj).find((key) => enumObj[key] === n);
+}
+
+/**
+ * Name (case-insensitive) or ordinal => ordinal, throwing on unknown values.
+ */
+function enumValue(enumObj, value, label = "value") {
+  if (typeof value === "number" || typeof value === "bigint") {
+    if (enumName(enumObj, value) === undefined) throw new TypeError(`Unknown ${label} ${value}`);
+    return Number(value);
+  }
+  const key = String(value).toUpperCase();
+  if (!(key in enumObj)) {
+    throw new TypeError(`Unknown ${label} "${value}" (expected ${Object.keys(enumObj).join(", ")})`);
+  }
+  return enumObj[key];
+}
+
+module.exports = {
+  InterfaceConditionType,
+  ExecutionMode,
+  InterfaceConditionStatus,
+  CalldataMode,
+  ArgRule,
+  ConditionType,
+  ConditionStatus,
+  NodeOp,
+  Tier,
+  PauseScope,
+  enumName,
+  enumValue,
+};
@@ -0,0 +1,10 @@
+/**
+ * Error helpers shared by the off-chain services
+ */
+
+// Most readable message of an ethers / provider error
+function errorMessage(err) {
+  return err.shortMessage || err.reason || err.message;
+}
+
+module.exports = { errorMessage };
@@ -0,0 +1,200 @@
+/**
+ * Off-chain condition evaluation
+ * ConditionRegistry.isConditionReady only resolves BLOCK_NUMBER and TIMESTAMP;
+ * price and balance conditions are resolved here against HelioraPriceOracle.
+ *
+ * Every evaluation returns a verdict:
+ *   { ready, type, threshold, observed, timestamp, reason, ... }
+ * where `observed` is the block number, timestamp, feed price or balance that
+ * was compared against `threshold`, and `timestamp` is the feed update time
+ * (price conditions) or block timestamp (all others).
+ *
+ * Price conditions can be smoothed with `twapRounds` (HelioraPriceOracle.isTwapAbove
+ * / isTwapBelow) and `hold` (isPriceHeldAbove / isPriceHeldBelow); both are
+ * read through src/twap.js.
+ *
+ * COMPOSITE conditions evaluate every node of their AND/OR tree; the verdict has
+ * `op` and one child verdict per operand in `children`, and each leaf uses its
+ * own pair / account.
+ */
+
+const { ethers } = require("ethers");
+const { ConditionType, ConditionStatus, NodeOp, enumName } = require("./enums");
+const { getTwap, getPriceHeld } = require("./twap");
+
+function verdict(type, threshold, fields) {
+  return { ready: false, type: enumName(ConditionType, type), threshold, observed: null, timestamp: null, ...fields };
+}
+
+/**
+ * Evaluate a ConditionRegistry condition.
+ * @param {object} condition ConditionRegistry.getCondition() result
+ * @param {object} context
+ * @param {import("ethers").Contract} context.oracle HelioraPriceOracle
+ * @param {import("ethers").Provider} [context.provider] defaults to the oracle's provider
+ * @param {string} [context.pair] price pair for PRICE_ABOVE / PRICE_BELOW (e.g. "ETH/USD")
+ * @param {number} [context.twapRounds] compare the TWAP over this many rounds instead of the spot price
+ * @param {{rounds?: number, seconds?: number}} [context.hold] also require the price to have held that long
+ * @param {string} [context.account] account for BALANCE_THRESHOLD (default: condition target)
+ * @param {string|number} [context.blockTag="latest"] evaluate at a historical block (archive node)
+ * @param {boolean} [context.ignoreStatus=false] evaluate the trigger even if the condition is not ACTIVE
+ * @param {import("ethers").Contract} [context.registry] ConditionRegistry, to load COMPOSITE nodes
+ * @param {object[]} [context.nodes] COMPOSITE nodes (ConditionRegistry.getConditionNodes)
+ */
+async function evaluateCondition(condition, context) {
+  const type = Number(condition.conditionType);
+  const threshold = condition.conditionValue;
+
+  if (!context.ignoreStatus && Number(condition.status) !== ConditionStatus.ACTIVE) {
+    return verdict(type, threshold, { reason: "condition not active" });
+  }
+  let nodes = context.nodes;
+  if (type === ConditionType.COMPOSITE && !nodes && context.registry) {
+    nodes = await context.registry.getConditionNodes(condition.id, { blockTag: context.blockTag || "latest" });
+  }
+  return evaluateTrigger(type, threshold, {
+    account: condition.targetContract,
+    ...context,
+    nodes,
+  });
+}
+
+/**
+ * Evaluate a bare trigger (type + threshold), independent of any stored condition.
+ */
+async function evaluateTrigger(type, threshold, context) {
+  const { oracle, blockTag = "latest" } = context;
+  const provider = context.provider || oracle.runner.provider;
+  threshold = BigInt(threshold);
+
+  switch (type) {
+    case ConditionType.BLOCK_NUMBER: {
+      const block = await provider.getBlock(blockTag);
+      const observed = BigInt(block.number);
+      return verdict(type, threshold, {
+        ready: observed >= threshold,
+        observed,
+        timestamp: block.timestamp,
+        reason: observed >= threshold ? `block ${observed} >= ${threshold}` : `block ${observed} < ${threshold}`,
+      });
+    }
+
+    case ConditionType.TIMESTAMP: {
+      const block = await provider.getBlock(blockTag);
+      const observed = BigInt(block.timestamp);
+      return verdict(type, threshold, {
+        ready: observed >= threshold,
+        observed,
+        timestamp: block.timestamp,
+        reason: observed >= threshold ? `time ${observed} >= ${threshold}` : `time ${observed} < ${threshold}`,
+      });
+    }
+
+    case ConditionType.PRICE_ABOVE:
+    case ConditionType.PRICE_BELOW:
+      return evaluatePrice(type, threshold, context, blockTag);
+
+    case ConditionType.BALANCE_THRESHOLD: {
+      const { account } = context;
+      if (!account) return verdict(type, threshold, { reason: "no account" });
+      const [above, observed, block] = await Promise.all([
+        oracle.isBalanceAbove(account, threshold, { blockTag }),
+        provider.getBalance(account, blockTag),
+        provider.getBlock(blockTag),
+      ]);
+      return verdict(type, threshold, {
+        ready: above,
+        observed,
+        timestamp: block.timestamp,
+        account,
+        reason: above ? `balance ${observed} >= ${threshold}` : `balance ${observed} < ${threshold}`,
+      });
+    }
+
+    case ConditionType.COMPOSITE:
+      if (!context.nodes || !context.nodes.length) return verdict(type, threshold, { reason: "no condition nodes" });
+      return evaluateNode(context.nodes, 0, context);
+
+    default:
+      return verdict(type, threshold, { reason: `unsupported condition type ${type}` });
+  }
+}
+
+async function evaluateNode(nodes, index, context) {
+  const node = nodes[index];
+  if (Number(node.op) === NodeOp.LEAF) {
+    const account = node.account && node.account !== ethers.ZeroAddress ? node.account : context.account;
+    return evaluateTrigger(Number(node.leafType), node.value, { ...context, pair: node.pair || null, account });
+  }
+
+  const children = [];
+  for (const child of node.children) children.push(await evaluateNode(nodes, Number(child), context));
+  const op = enumName(NodeOp, node.op);
+  const ready = op === "AND" ? children.every((c) => c.ready) : children.some((c) => c.ready);
+  return verdict(ConditionType.COMPOSITE, BigInt(nodes.length), {
+    ready,
+    op,
+    children,
+    reason: `${op.toLowerCase()}(${children.map((c) => c.reason).join("; ")})`,
+  });
+}
+
+async function evaluatePrice(type, threshold, context, blockTag) {
+  const { oracle, pair } = context;
+  if (!pair) return verdict(type, threshold, { reason: "no price pair" });
+
+  let check;
+  try {
+    check = await oracle.getPrice(pair, { blockTag });
+  } catch (err) {
+    return verdict(type, threshold, { pair, reason: `feed unavailable: ${err.shortMessage || err.message}` });
+  }
+
+  const fields = {
+    pair,
+    observed: check.price,
+    decimals: Number(check.decimals),
+    timestamp: Number(check.timestamp),
+    stale: check.stale,
+  };
+  if (check.stale) return verdict(type, threshold, { ...fields, reason: "stale price" });
+  if (check.price <= 0n) return verdict(type, threshold, { ...fields, reason: "invalid price" });
+
+  const above = type === ConditionType.PRICE_ABOVE;
+  const op = (met) => (above ? (met ? ">=" : "<") : met ? "<=" : ">");
+  let met, reason;
+
+  if (context.twapRounds) {
+    const twap = await getTwap(oracle, pair, context.twapRounds, { blockTag });
+    Object.assign(fields, { spot: check.price, observed: twap.twap, median: twap.median, rounds: twap.rounds });
+    if (twap.rounds < context.twapRounds) {
+      return verdict(type, threshold, { ...fields, reason: `only ${twap.rounds} of ${context.twapRounds} rounds` });
+    }
+    met = above ? twap.twap >= threshold : twap.twap <= threshold;
+    reason = `${pair} twap(${twap.rounds}) ${twap.twap} ${op(met)} ${threshold}`;
+  } else {
+    met = above
+      ? await oracle.isPriceAbove(pair, threshold, { blockTag })
+      : await oracle.isPriceBelow(pair, threshold, { blockTag });
+    reason = `${pair} ${check.price} ${op(met)} ${threshold}`;
+  }
+
+  if (met && context.hold) {
+    const { rounds = 1, seconds = 0 } = context.hold;
+    const held = await getPriceHeld(oracle, pair, threshold, { above, minRounds: rounds, minDuration: seconds, blockTag });
+    fields.heldRounds = held.rounds;
+    fields.heldSince = held.since === null ? null : Number(held.since);
+    if (!held.held) {
+      met = false;
+      reason = `${pair} held ${op(true)} ${threshold} for ${held.rounds} round(s)`;
+      if (held.since !== null) reason += ` since ${held.since}`;
+      reason += `, needs ${rounds} round(s) and ${seconds}s`;
+    } else {
+      reason += `, held for ${held.rounds} round(s) since ${held.since}`;
+    }
+  }
+
+  return verdict(type, threshold, { ...fields, ready: met, reason });
+}
+
+module.exports = { ConditionType, ConditionStatus, NodeOp, evaluateCondition, evaluateTrigger };
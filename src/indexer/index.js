@@ -0,0 +1,141 @@
+const { blockRanges } = require("../logs");
+const { normalizeLog } = require("./normalize");
+const { MemoryStore } = require("./stores/memory");
+const { PostgresStore } = require("./stores/postgres");
+const queries = require("./queries");
+
+/**
+ * Heliora event indexer
+ * Backfills every protocol event from a start block into a store, then follows
+ * new blocks. The cursor keeps the hash of the last indexed block; when the chain
+ * no longer agrees with it the indexer rewinds `confirmations` blocks and
+ * re-indexes from there.
+ */
+class Indexer {
+  /**
+   * @param {object} options
+   * @param {Object<string,import("ethers").Contract>} options.contracts connectProtocol() result
+   * @param {object} options.store MemoryStore / PostgresStore
+   * @param {number} [options.startBlock=0]
+   * @param {number} [options.confirmations=12] blocks rewound on reorg
+   * @param {number} [options.batchSize=2000] max blocks per eth_getLogs
+   * @param {number} [options.intervalMs=5000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.contracts = options.contracts;
+    this.store = options.store;
+    this.startBlock = options.startBlock || 0;
+    this.confirmations = options.confirmations ?? 12;
+    this.batchSize = options.batchSize || 2000;
+    this.intervalMs = options.intervalMs || 5000;
+    this.log = options.log || (() => {});
+
+    this.provider = Object.values(this.contracts)[0].runner.provider;
+    this._timer = null;
+    this._running = false;
+  }
+
+  async _sources() {
+    if (!this._byAddress) {
+      this._byAddress = new Map();
+      for (const [key, contract] of Object.entries(this.contracts)) {
+        this._byAddress.set((await contract.getAddress()).toLowerCase(), { key, contract });
+      }
+    }
+    return this._byAddress;
+  }
+
+  /**
+   * Verify the cursor against the chain, rewinding on a reorg.
+   * @return {Promise<{number: number, hash: string|null}>}
+   */
+  async checkCursor() {
+    const cursor = (await this.store.getCursor()) || { number: this.startBlock - 1, hash: null };
+    if (!cursor.hash) return cursor;
+
+    const block = await this.provider.getBlock(cursor.number);
+    if (block && block.hash === cursor.hash) return cursor;
+
+    const number = Math.max(this.startBlock - 1, cursor.number - this.confirmations);
+    this.log(`reorg detected at block ${cursor.number}, rewinding to ${number}`);
+    await this.store.rewind(number);
+    const rewound = { number, hash: null };
+    await this.store.setCursor(rewound);
+    return { ...rewound, reorg: cursor.number };
+  }
+
+  /**
+   * Index everything up to the current head.
+   * @return {Promise<{fromBlock: number, toBlock: number, indexed: number, reorg: number|null}>}
+   */
+  async sync() {
+    const cursor = await this.checkCursor();
+    const head = await this.provider.getBlockNumber();
+    const sources = await this._sources();
+    const result = { fromBlock: cursor.number + 1, toBlock: cursor.number, indexed: 0, reorg: cursor.reorg ?? null };
+
+    for (const [from, to] of blockRanges(cursor.number + 1, head, this.batchSize)) {
+      const logs = await this.provider.getLogs({ address: [...sources.keys()], fromBlock: from, toBlock: to });
+
+      const timestamps = new Map();
+      const records = [];
+      for (const log of logs) {
+        const source = sources.get(log.address.toLowerCase());
+        const parsed = source && source.contract.interface.parseLog(log);
+        if (!parsed) continue;
+        if (!timestamps.has(log.blockNumber)) {
+          timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+        }
+        records.push(normalizeLog(source.key, parsed, log, timestamps.get(log.blockNumber)));
+      }
+
+      const block = await this.provider.getBlock(to);
+      await this.store.commit(records, { number: to, hash: block.hash });
+      result.toBlock = to;
+      result.indexed += records.length;
+      if (records.length) this.log(`indexed ${records.length} event(s) in blocks ${from}-${to}`);
+    }
+    return result;
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    const loop = async () => {
+      try {
+        await this.sync();
+      } catch (err) {
+        this.log(`sync failed - ${err.message}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+/**
+ * @param {{store: "file"|"memory"|"postgres", file?: string, databaseUrl?: string}} config
+ */
+function createStore(config) {
+  switch (config.store) {
+    case "postgres":
+      if (!config.databaseUrl) throw new Error("DATABASE_URL not set");
+      return new PostgresStore({ url: config.databaseUrl });
+    case "memory":
+      return new MemoryStore();
+    case "file":
+    case undefined:
+      return new MemoryStore({ file: config.file });
+    default:
+      throw new Error(`Unknown indexer store "${config.store}"`);
+  }
+}
+
+module.exports = { Indexer, MemoryStore, PostgresStore, createStore, ...queries };
@@ -0,0 +1,72 @@
+const { ethers } = require("ethers");
+
+/**
+ * Log => normalized record
+ *
+ *   {
+ *     id, contract, event, blockNumber, blockHash, txHash, logIndex, timestamp,
+ *     conditionId,  // string, or null (ids are scoped per contract)
+ *     accounts,     // lowercased addresses the event is about
+ *     args,         // JSON-safe event arguments (uint256 => decimal string)
+ *   }
+ */
+
+// Event arguments that identify an account worth querying by
+const ACCOUNT_FIELDS = ["protocol", "registrant", "executor", "subscriber", "payer", "challenger", "caller", "operator"];
+
+function toJson(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJson);
+  return value;
+}
+
+function normalizeLog(contract, parsed, log, timestamp) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = toJson(parsed.args[i]);
+  });
+
+  const conditionId = args.conditionId ?? args.id ?? null;
+  const accounts = ACCOUNT_FIELDS.filter((field) => typeof args[field] === "string" && ethers.isAddress(args[field]))
+    .map((field) => args[field].toLowerCase());
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    contract,
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp,
+    conditionId: conditionId === null ? null : String(conditionId),
+    accounts: [...new Set(accounts)],
+    args,
+  };
+}
+
+/**
+ * In-memory filter, shared by the embedded store and tests.
+ * @param {object} record
+ * @param {object} filter see Store#find
+ */
+function matches(record, filter) {
+  if (filter.contract && record.contract !== filter.contract) return false;
+  if (filter.event) {
+    const events = Array.isArray(filter.event) ? filter.event : [filter.event];
+    if (!events.includes(record.event)) return false;
+  }
+  if (filter.conditionId !== undefined && record.conditionId !== String(filter.conditionId)) return false;
+  if (filter.conditionIds && !filter.conditionIds.map(String).includes(record.conditionId)) return false;
+  if (filter.account && !record.accounts.includes(filter.account.toLowerCase())) return false;
+  if (filter.txHash && record.txHash !== filter.txHash) return false;
+  if (filter.fromBlock !== undefined && record.blockNumber < filter.fromBlock) return false;
+  if (filter.toBlock !== undefined && record.blockNumber > filter.toBlock) return false;
+  return true;
+}
+
+function compareRecords(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+module.exports = { ACCOUNT_FIELDS, normalizeLog, matches, compareRecords };
@@ -0,0 +1,60 @@
+const { compareRecords } = require("./normalize");
+
+/**
+ * Query helpers over an indexer store
+ */
+
+async function conditionIdsFor(store, protocol) {
+  const registered = await store.find({ event: "ConditionRegistered", account: protocol });
+  const ids = { helioraInterface: [], conditionRegistry: [] };
+  for (const r of registered) {
+    if (ids[r.contract]) ids[r.contract].push(r.conditionId);
+  }
+  return ids;
+}
+
+/**
+ * ConditionExecuted events (HelioraInterface and ConditionRegistry) for every
+ * condition registered by `protocol`.
+ */
+async function executionsForProtocol(store, protocol) {
+  const ids = await conditionIdsFor(store, protocol);
+  const results = [];
+  for (const [contract, conditionIds] of Object.entries(ids)) {
+    if (!conditionIds.length) continue;
+    results.push(...(await store.find({ contract, event: "ConditionExecuted", conditionIds })));
+  }
+  return results.sort(compareRecords);
+}
+
+/** Executions submitted by `executor`, across HelioraInterface and ConditionRegistry. */
+async function executionsByExecutor(store, executor) {
+  return store.find({ event: "ConditionExecuted", account: executor });
+}
+
+/** ExecutorSlashed events for `executor`. */
+async function slashesForExecutor(store, executor) {
+  return store.find({ contract: "staking", event: "ExecutorSlashed", account: executor });
+}
+
+/** Every event for one condition id on one contract, in chain order. */
+async function conditionHistory(store, contract, conditionId) {
+  return store.find({ contract, conditionId });
+}
+
+/** Subscription lifecycle and payments for `subscriber`. */
+async function subscriptionHistory(store, subscriber) {
+  return store.find({
+    contract: "payment",
+    event: ["SubscriptionCreated", "SubscriptionRenewed", "SubscriptionCancelled", "PaymentReceived"],
+    account: subscriber,
+  });
+}
+
+module.exports = {
+  executionsForProtocol,
+  executionsByExecutor,
+  slashesForExecutor,
+  conditionHistory,
+  subscriptionHistory,
+};
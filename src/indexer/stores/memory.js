@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const { matches, compareRecords } = require("../normalize");
+
+/**
+ * Embedded store
+ * Keeps every record in memory and, when `file` is given, appends each write to
+ * it as one JSON line ({records, cursor} or {rewind}), so a write costs the size
+ * of its batch rather than of the whole index. init() replays the file and
+ * compacts it to a single line. Suitable for a single indexer process.
+ */
+class MemoryStore {
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.records = new Map();
+    this.cursor = null;
+  }
+
+  async init() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    const lines = fs.readFileSync(this.file, "utf8").split("\n").filter(Boolean);
+    for (const [i, line] of lines.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // A write cut short by a crash; the indexer re-indexes from the cursor before it
+        if (i === lines.length - 1) break;
+        throw err;
+      }
+      this._apply(entry);
+    }
+    const state = { records: [...this.records.values()].sort(compareRecords), cursor: this.cursor };
+    fs.writeFileSync(this.file, JSON.stringify(state) + "\n");
+  }
+
+  async getCursor() {
+    return this.cursor;
+  }
+
+  async setCursor(cursor) {
+    this._write({ cursor });
+  }
+
+  async insert(records) {
+    this._write({ records });
+  }
+
+  /** Insert one synced batch and move the cursor past it, in one write. */
+  async commit(records, cursor) {
+    this._write({ records, cursor });
+  }
+
+  /** Drop every record above `blockNumber`. */
+  async rewind(blockNumber) {
+    this._write({ rewind: blockNumber });
+  }
+
+  async find(filter = {}) {
+    const results = [...this.records.values()].filter((r) => matches(r, filter)).sort(compareRecords);
+    return filter.limit ? results.slice(0, filter.limit) : results;
+  }
+
+  async close() {}
+
+  _apply(entry) {
+    if (entry.rewind !== undefined) {
+      for (const [id, record] of this.records) {
+        if (record.blockNumber > entry.rewind) this.records.delete(id);
+      }
+    }
+    for (const record of entry.records || []) this.records.set(record.id, record);
+    if (entry.cursor !== undefined) this.cursor = entry.cursor;
+  }
+
+  _write(entry) {
+    this._apply(entry);
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(entry) + "\n");
+  }
+}
+
+module.exports = { MemoryStore };
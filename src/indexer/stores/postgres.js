@@ -0,0 +1,146 @@
+/**
+ * PostgreSQL store (DATABASE_URL)
+ * Same interface as MemoryStore. Tables are created on init().
+ */
+
+const SCHEMA = (prefix) => `
+  CREATE TABLE IF NOT EXISTS ${prefix}_events (
+    id TEXT PRIMARY KEY,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    timestamp BIGINT,
+    condition_id TEXT,
+    accounts TEXT[] NOT NULL DEFAULT '{}',
+    args JSONB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS ${prefix}_events_event_idx ON ${prefix}_events (contract, event);
+  CREATE INDEX IF NOT EXISTS ${prefix}_events_condition_idx ON ${prefix}_events (contract, condition_id);
+  CREATE INDEX IF NOT EXISTS ${prefix}_events_block_idx ON ${prefix}_events (block_number);
+  CREATE INDEX IF NOT EXISTS ${prefix}_events_accounts_idx ON ${prefix}_events USING GIN (accounts);
+  CREATE TABLE IF NOT EXISTS ${prefix}_state (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL
+  );
+`;
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    contract: row.contract,
+    event: row.event,
+    blockNumber: Number(row.block_number),
+    blockHash: row.block_hash,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    timestamp: row.timestamp === null ? null : Number(row.timestamp),
+    conditionId: row.condition_id,
+    accounts: row.accounts,
+    args: row.args,
+  };
+}
+
+class PostgresStore {
+  /**
+   * @param {object} options
+   * @param {string} [options.url] connection string (DATABASE_URL)
+   * @param {object} [options.pool] existing pg.Pool-compatible client
+   * @param {string} [options.prefix="heliora"] table name prefix
+   */
+  constructor({ url, pool, prefix = "heliora" } = {}) {
+    if (!/^[a-z_][a-z0-9_]*$/i.test(prefix)) throw new Error(`Invalid table prefix "${prefix}"`);
+    if (!pool) {
+      const { Pool } = require("pg");
+      pool = new Pool({ connectionString: url });
+    }
+    this.pool = pool;
+    this.prefix = prefix;
+  }
+
+  async init() {
+    await this.pool.query(SCHEMA(this.prefix));
+  }
+
+  async getCursor() {
+    const { rows } = await this.pool.query(`SELECT value FROM ${this.prefix}_state WHERE key = 'cursor'`);
+    return rows.length ? rows[0].value : null;
+  }
+
+  async setCursor(cursor, db = this.pool) {
+    await db.query(
+      `INSERT INTO ${this.prefix}_state (key, value) VALUES ('cursor', $1)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+      [JSON.stringify(cursor)]
+    );
+  }
+
+  async insert(records, db = this.pool) {
+    for (const r of records) {
+      await db.query(
+        `INSERT INTO ${this.prefix}_events
+           (id, contract, event, block_number, block_hash, tx_hash, log_index, timestamp, condition_id, accounts, args)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (id) DO UPDATE SET block_hash = EXCLUDED.block_hash, args = EXCLUDED.args`,
+        [r.id, r.contract, r.event, r.blockNumber, r.blockHash, r.txHash, r.logIndex, r.timestamp, r.conditionId, r.accounts, JSON.stringify(r.args)]
+      );
+    }
+  }
+
+  /**
+   * Insert one synced batch and move the cursor past it in a single transaction,
+   * so a failure leaves neither half behind.
+   */
+  async commit(records, cursor) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await this.insert(records, client);
+      await this.setCursor(cursor, client);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async rewind(blockNumber) {
+    await this.pool.query(`DELETE FROM ${this.prefix}_events WHERE block_number > $1`, [blockNumber]);
+  }
+
+  async find(filter = {}) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (filter.contract) add("contract = ?", filter.contract);
+    if (filter.event) add("event = ANY(?)", Array.isArray(filter.event) ? filter.event : [filter.event]);
+    if (filter.conditionId !== undefined) add("condition_id = ?", String(filter.conditionId));
+    if (filter.conditionIds) add("condition_id = ANY(?)", filter.conditionIds.map(String));
+    if (filter.account) add("? = ANY(accounts)", filter.account.toLowerCase());
+    if (filter.txHash) add("tx_hash = ?", filter.txHash);
+    if (filter.fromBlock !== undefined) add("block_number >= ?", filter.fromBlock);
+    if (filter.toBlock !== undefined) add("block_number <= ?", filter.toBlock);
+
+    let sql = `SELECT * FROM ${this.prefix}_events`;
+    if (where.length) sql += ` WHERE ${where.join(" AND ")}`;
+    sql += " ORDER BY block_number, log_index";
+    if (filter.limit) sql += ` LIMIT ${Number(filter.limit)}`;
+
+    const { rows } = await this.pool.query(sql, params);
+    return rows.map(fromRow);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+module.exports = { PostgresStore };
@@ -0,0 +1,28 @@
+/**
+ * Event log scans shared by the off-chain services
+ * Public RPCs cap the block range of one eth_getLogs call, so long scans are
+ * split into ranges of at most batchSize blocks.
+ */
+
+// Consecutive inclusive [from, to] ranges covering fromBlock..toBlock
+function blockRanges(fromBlock, toBlock, batchSize) {
+  const ranges = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    ranges.push([from, Math.min(from + batchSize - 1, toBlock)]);
+  }
+  return ranges;
+}
+
+/**
+ * contract.queryFilter over fromBlock..toBlock, one call per batchSize blocks.
+ * @return {Promise<ethers.EventLog[]>} matching events in block order
+ */
+async function queryFilterInRanges(contract, filter, fromBlock, toBlock, batchSize) {
+  const events = [];
+  for (const [from, to] of blockRanges(fromBlock, toBlock, batchSize)) {
+    events.push(...(await contract.queryFilter(filter, from, to)));
+  }
+  return events;
+}
+
+module.exports = { blockRanges, queryFilterInRanges };
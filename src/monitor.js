@@ -0,0 +1,294 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { InterfaceConditionType: ConditionType } = require("./enums");
+const { errorMessage } = require("./errors");
+
+/**
+ * Executor SLA monitoring
+ * Per-executor metrics from HelioraStaking (stake, execution / missed counts,
+ * slash history) and indexed HelioraInterface events (ready => executed latency),
+ * served as Prometheus text on /metrics and as JSON on /report.
+ *
+ * An executor is deactivated when a slash leaves its stake below
+ * minExecutorStake; the headroom alerts fire before that happens.
+ */
+
+const DEFAULT_THRESHOLDS = {
+  minSuccessRate: 0.95,
+  maxSlashesPerPeriod: 1,
+  // (stake - minExecutorStake) / minExecutorStake
+  minHeadroomRatio: 0.5,
+  maxLatencyBlocks: 5,
+  maxLatencySeconds: 60,
+};
+
+const DAY = 24 * 60 * 60;
+
+function stats(values) {
+  if (!values.length) return { samples: 0, avg: null, max: null };
+  return { samples: values.length, avg: values.reduce((a, b) => a + b, 0) / values.length, max: Math.max(...values) };
+}
+
+/**
+ * Ready => executed latency per executor, from the first execution of each
+ * block / timestamp condition. A condition is ready at max(target, activation).
+ * @param {object} store indexer store
+ * @return {Promise<Map<string, {blocks: number[], seconds: number[]}>>} keyed by lowercased executor
+ */
+async function executionLatencies(store) {
+  const records = await store.find({
+    contract: "helioraInterface",
+    event: ["ConditionRegistered", "ConditionActivated", "ConditionExecuted"],
+  });
+  const conditions = new Map();
+  for (const r of records) {
+    if (!conditions.has(r.conditionId)) conditions.set(r.conditionId, {});
+    const c = conditions.get(r.conditionId);
+    if (!c[r.event]) c[r.event] = r;
+  }
+
+  const latencies = new Map();
+  for (const c of conditions.values()) {
+    const { ConditionRegistered: registered, ConditionActivated: activated, ConditionExecuted: executed } = c;
+    if (!registered || !activated || !executed) continue;
+
+    const executor = executed.args.executor.toLowerCase();
+    if (!latencies.has(executor)) latencies.set(executor, { blocks: [], seconds: [] });
+    const target = Number(registered.args.conditionValue);
+
+    if (Number(registered.args.conditionType) === ConditionType.BLOCK_NUMBER) {
+      latencies.get(executor).blocks.push(executed.blockNumber - Math.max(target, activated.blockNumber));
+    } else if (executed.timestamp !== null && activated.timestamp !== null) {
+      latencies.get(executor).seconds.push(executed.timestamp - Math.max(target, activated.timestamp));
+    }
+  }
+  return latencies;
+}
+
+/**
+ * @param {object} options
+ * @param {import("ethers").Contract} options.staking HelioraStaking
+ * @param {object} [options.store] indexer store, for latency
+ * @param {number} [options.periodSeconds=30 days] window for slash counts
+ * @param {number} [options.now] chain timestamp (default: latest block)
+ * @return {Promise<object[]>} one entry per executor that ever staked
+ */
+async function collectExecutorMetrics({ staking, store, periodSeconds = 30 * DAY, now }) {
+  if (now === undefined) now = (await staking.runner.provider.getBlock("latest")).timestamp;
+  const minStake = await staking.minExecutorStake();
+  const count = Number(await staking.getExecutorCount());
+  const slashes = await staking.getSlashHistory();
+  const latencies = store ? await executionLatencies(store) : new Map();
+
+  const metrics = [];
+  for (let i = 0; i < count; i++) {
+    const executor = await staking.executors(i);
+    const stake = await staking.getExecutorStake(executor);
+    const executions = Number(stake.executionCount);
+    const missed = Number(stake.missedCount);
+    const recent = slashes.filter((s) => s.executor === executor && Number(s.timestamp) > now - periodSeconds);
+    const latency = latencies.get(executor.toLowerCase()) || { blocks: [], seconds: [] };
+    const headroom = stake.amount - minStake;
+
+    metrics.push({
+      executor,
+      active: stake.active,
+      stake: stake.amount,
+      minStake,
+      headroom,
+      headroomRatio: minStake > 0n ? Number(headroom) / Number(minStake) : null,
+      executions,
+      missed,
+      successRate: executions + missed > 0 ? executions / (executions + missed) : null,
+      slashedAmount: stake.slashedAmount,
+      periodSlashes: recent.length,
+      periodSlashedAmount: recent.reduce((sum, s) => sum + s.amount, 0n),
+      latencyBlocks: stats(latency.blocks),
+      latencySeconds: stats(latency.seconds),
+    });
+  }
+  return metrics;
+}
+
+/**
+ * @param {object[]} metrics collectExecutorMetrics() output
+ * @param {object} [thresholds] see DEFAULT_THRESHOLDS
+ * @return {{executor: string, metric: string, value: number, threshold: number, severity: "warning"|"critical"}[]}
+ */
+function evaluateAlerts(metrics, thresholds = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const alerts = [];
+  const alert = (m, metric, value, threshold, severity = "warning") =>
+    alerts.push({ executor: m.executor, metric, value, threshold, severity });
+
+  for (const m of metrics) {
+    if (!m.active) {
+      // Stake left behind or slashes on record: deactivated rather than unstaked
+      if (m.stake > 0n || m.missed > 0) alert(m, "active", 0, 1, "critical");
+      continue;
+    }
+    if (m.headroomRatio !== null && m.headroomRatio < t.minHeadroomRatio) {
+      alert(m, "headroomRatio", m.headroomRatio, t.minHeadroomRatio, m.headroomRatio <= 0 ? "critical" : "warning");
+    }
+    if (m.successRate !== null && m.successRate < t.minSuccessRate) alert(m, "successRate", m.successRate, t.minSuccessRate);
+    if (m.periodSlashes > t.maxSlashesPerPeriod) alert(m, "periodSlashes", m.periodSlashes, t.maxSlashesPerPeriod);
+    if (m.latencyBlocks.max !== null && m.latencyBlocks.max > t.maxLatencyBlocks) {
+      alert(m, "latencyBlocks", m.latencyBlocks.max, t.maxLatencyBlocks);
+    }
+    if (m.latencySeconds.max !== null && m.latencySeconds.max > t.maxLatencySeconds) {
+      alert(m, "latencySeconds", m.latencySeconds.max, t.maxLatencySeconds);
+    }
+  }
+  return alerts;
+}
+
+const GAUGES = [
+  ["active", "1 if the executor is staked and active", (m) => (m.active ? 1 : 0)],
+  ["stake_eth", "Current executor stake", (m) => ethers.formatEther(m.stake)],
+  ["stake_headroom_eth", "Stake above minExecutorStake", (m) => ethers.formatEther(m.headroom)],
+  ["stake_headroom_ratio", "Headroom / minExecutorStake", (m) => m.headroomRatio],
+  ["executions_total", "Executions credited on HelioraStaking", (m) => m.executions],
+  ["missed_total", "Missed executions (slashes)", (m) => m.missed],
+  ["success_ratio", "executions / (executions + missed)", (m) => m.successRate],
+  ["slashed_eth_total", "Total stake slashed", (m) => ethers.formatEther(m.slashedAmount)],
+  ["period_slashes", "Slashes in the monitoring period", (m) => m.periodSlashes],
+  ["period_slashed_eth", "Stake slashed in the monitoring period", (m) => ethers.formatEther(m.periodSlashedAmount)],
+  ["latency_blocks_avg", "Average blocks from ready to executed", (m) => m.latencyBlocks.avg],
+  ["latency_blocks_max", "Max blocks from ready to executed", (m) => m.latencyBlocks.max],
+  ["latency_seconds_avg", "Average seconds from ready to executed", (m) => m.latencySeconds.avg],
+  ["latency_seconds_max", "Max seconds from ready to executed", (m) => m.latencySeconds.max],
+];
+
+/**
+ * Prometheus text exposition format.
+ */
+function toPrometheus(metrics, alerts = []) {
+  const lines = [];
+  for (const [name, help, value] of GAUGES) {
+    lines.push(`# HELP heliora_executor_${name} ${help}`, `# TYPE heliora_executor_${name} gauge`);
+    for (const m of metrics) {
+      const v = value(m);
+      if (v !== null) lines.push(`heliora_executor_${name}{executor="${m.executor}"} ${v}`);
+    }
+  }
+  lines.push("# HELP heliora_executor_alert Active SLA alert", "# TYPE heliora_executor_alert gauge");
+  for (const a of alerts) {
+    lines.push(`heliora_executor_alert{executor="${a.executor}",metric="${a.metric}",severity="${a.severity}"} 1`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Bigints => ETH strings
+function toReport(metrics, alerts, generatedAt) {
+  return {
+    generatedAt: new Date(generatedAt * 1000).toISOString(),
+    executors: metrics.map((m) => ({
+      ...m,
+      stake: ethers.formatEther(m.stake),
+      minStake: ethers.formatEther(m.minStake),
+      headroom: ethers.formatEther(m.headroom),
+      slashedAmount: ethers.formatEther(m.slashedAmount),
+      periodSlashedAmount: ethers.formatEther(m.periodSlashedAmount),
+    })),
+    alerts,
+  };
+}
+
+class ExecutorMonitor {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.staking HelioraStaking
+   * @param {object} [options.store] indexer store, for latency
+   * @param {function} [options.beforeRefresh] async hook, e.g. an in-process Indexer#sync
+   * @param {object} [options.thresholds] see DEFAULT_THRESHOLDS
+   * @param {number} [options.periodDays=30]
+   * @param {number} [options.intervalMs=60000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.staking = options.staking;
+    this.store = options.store || null;
+    this.beforeRefresh = options.beforeRefresh || null;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+    this.periodSeconds = (options.periodDays ?? 30) * DAY;
+    this.intervalMs = options.intervalMs || 60000;
+    this.log = options.log || (() => {});
+
+    this.metrics = [];
+    this.alerts = [];
+    this.updatedAt = null;
+    this.server = null;
+    this._timer = null;
+    this._running = false;
+  }
+
+  async refresh() {
+    if (this.beforeRefresh) await this.beforeRefresh();
+    const now = (await this.staking.runner.provider.getBlock("latest")).timestamp;
+    this.metrics = await collectExecutorMetrics({ staking: this.staking, store: this.store, periodSeconds: this.periodSeconds, now });
+    this.alerts = evaluateAlerts(this.metrics, this.thresholds);
+    this.updatedAt = now;
+    for (const a of this.alerts) this.log(`${a.severity}: ${a.executor} ${a.metric}=${a.value} (threshold ${a.threshold})`);
+    return this.report();
+  }
+
+  report() {
+    return toReport(this.metrics, this.alerts, this.updatedAt || 0);
+  }
+
+  prometheus() {
+    return toPrometheus(this.metrics, this.alerts);
+  }
+
+  /**
+   * Serve GET /metrics (Prometheus) and GET /report (JSON).
+   * @return {Promise<http.Server>}
+   */
+  listen(port, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      const path = req.url.split("?")[0];
+      if (req.method === "GET" && path === "/metrics") {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+        return res.end(this.prometheus());
+      }
+      if (req.method === "GET" && path === "/report") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify(this.report(), null, 2));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    return new Promise((resolve) => this.server.listen(port, host, () => resolve(this.server)));
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    const loop = async () => {
+      try {
+        await this.refresh();
+      } catch (err) {
+        this.log(`refresh failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  async stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (this.server) await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  ExecutorMonitor,
+  collectExecutorMetrics,
+  evaluateAlerts,
+  executionLatencies,
+  toPrometheus,
+};
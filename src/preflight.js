@@ -0,0 +1,248 @@
+const { ethers } = require("ethers");
+
+/**
+ * Execution preflight
+ * Simulates HelioraInterface.executeCondition with eth_call before anything is
+ * submitted, so a doomed execution costs no gas. A revert is decoded into a
+ * category:
+ *
+ *   WINDOW_EXPIRED, CONDITION_NOT_MET, INSUFFICIENT_FEE, CONDITION_STATE,
+ *   CONDITION_NOT_FOUND, UNAUTHORIZED,
+ *   CALLDATA_MISMATCH, PAUSED            HelioraInterface / HelioraExecutor checks
+ *   RECORD_CLOSED, UNDER_CHALLENGE       ConditionRegistry refused to record the run
+ *                                        on the linked record
+ *   REENTRANT                            a nonReentrant guard was hit
+ *   TARGET_REVERTED                      target reverted with Error(string) or no data
+ *   CUSTOM_ERROR                         target reverted with a custom error
+ *   PANIC                                target reverted with Panic(uint256)
+ *   REVERTED                             anything else
+ *
+ * HelioraExecutor re-raises target failures as Error(string) and turns custom
+ * errors and panics into "Execution failed", so those are recovered by also
+ * simulating the target call itself, from the executor contract's address.
+ */
+
+const ERRORS = new ethers.Interface(["error Error(string)", "error Panic(uint256)"]);
+const ERROR_SELECTOR = ERRORS.getError("Error").selector;
+const PANIC_SELECTOR = ERRORS.getError("Panic").selector;
+
+// https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_CODES = {
+  0x00: "generic compiler panic",
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array encoding",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to invalid internal function",
+};
+
+// Revert reasons raised before the target is called
+const EXECUTE_REVERTS = {
+  "Condition not found": "CONDITION_NOT_FOUND",
+  "Not authorized executor": "UNAUTHORIZED",
+  "Condition not active": "CONDITION_STATE",
+  "Condition not met": "CONDITION_NOT_MET",
+  "Execution window expired": "WINDOW_EXPIRED",
+  "Insufficient execution fee": "INSUFFICIENT_FEE",
+  "Calldata mismatch": "CALLDATA_MISMATCH",
+  "Protocol paused": "PAUSED",
+  "Not active": "RECORD_CLOSED",
+  "Execution under challenge": "UNDER_CHALLENGE",
+  "Reentrant call": "REENTRANT",
+};
+
+/**
+ * Raw revert data from a failed eth_call, or null when the error is not a revert.
+ */
+function revertData(err) {
+  for (const data of [err?.data, err?.error?.data, err?.info?.error?.data, err?.data?.data]) {
+    if (typeof data === "string" && ethers.isHexString(data)) return data;
+  }
+  return null;
+}
+
+/**
+ * Decode raw revert data.
+ * @param {string} data
+ * @param {object} [options]
+ * @param {ethers.Interface|Array} [options.abi] target ABI, to name custom errors
+ * @return {{kind: "empty"|"error"|"panic"|"custom", reason?: string, panicCode?: number,
+ *   selector?: string, name?: string, args?: Array, data: string}}
+ */
+function decodeRevertData(data, { abi } = {}) {
+  if (!data || data === "0x") return { kind: "empty", data: "0x" };
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return { kind: "error", reason: ERRORS.decodeErrorResult("Error", data)[0], data };
+    }
+    if (selector === PANIC_SELECTOR) {
+      return { kind: "panic", panicCode: Number(ERRORS.decodeErrorResult("Panic", data)[0]), data };
+    }
+  } catch (_) {
+    // Malformed payload behind a known selector, treat as custom
+  }
+
+  const custom = { kind: "custom", selector, name: null, args: null, data };
+  if (abi) {
+    const iface = abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return { ...custom, name: parsed.name, args: [...parsed.args] };
+    } catch (_) {
+      // Selector matches but the data doesn't decode
+    }
+  }
+  return custom;
+}
+
+/**
+ * Map decoded target revert data to a preflight revert.
+ */
+function targetRevert(decoded) {
+  switch (decoded.kind) {
+    case "error":
+      return { category: "TARGET_REVERTED", message: `target reverted: ${decoded.reason}`, reason: decoded.reason };
+    case "panic": {
+      const description = PANIC_CODES[decoded.panicCode] || "unknown panic";
+      const hex = `0x${decoded.panicCode.toString(16).padStart(2, "0")}`;
+      return {
+        category: "PANIC",
+        message: `target panicked: ${description} (${hex})`,
+        panicCode: decoded.panicCode,
+        reason: description,
+      };
+    }
+    case "custom": {
+      const signature = decoded.name ? `${decoded.name}(${decoded.args.join(", ")})` : decoded.selector;
+      return {
+        category: "CUSTOM_ERROR",
+        message: `target reverted with custom error ${signature}`,
+        selector: decoded.selector,
+        errorName: decoded.name,
+        args: decoded.args,
+      };
+    }
+    default:
+      return { category: "TARGET_REVERTED", message: "target reverted without a reason", reason: null };
+  }
+}
+
+function quantity(value) {
+  return ethers.toQuantity(BigInt(value));
+}
+
+async function call(provider, tx, blockTag, stateOverrides) {
+  const params = [tx, blockTag];
+  if (stateOverrides) params.push(stateOverrides);
+  try {
+    return { ok: true, data: await provider.send("eth_call", params) };
+  } catch (err) {
+    const data = revertData(err);
+    if (data === null) throw err;
+    return { ok: false, data };
+  }
+}
+
+async function estimateGas(provider, tx, blockTag, stateOverrides) {
+  const params = [tx, blockTag];
+  if (stateOverrides) params.push(stateOverrides);
+  try {
+    return BigInt(await provider.send("eth_estimateGas", params));
+  } catch (_) {
+    return null; // e.g. the node doesn't take state overrides on eth_estimateGas
+  }
+}
+
+/**
+ * Categorize an executeCondition revert. Reasons from the HelioraInterface checks
+ * map directly; anything else is replayed against the target.
+ */
+async function classifyRevert(helioraInterface, conditionId, data, context) {
+  const { provider, callData, value, stateOverrides, blockTag, targetAbi } = context;
+  const decoded = decodeRevertData(data, { abi: targetAbi });
+  if (decoded.kind === "error" && EXECUTE_REVERTS[decoded.reason]) {
+    return { category: EXECUTE_REVERTS[decoded.reason], message: decoded.reason, reason: decoded.reason };
+  }
+
+  // Replay the target call as HelioraExecutor makes it
+  const condition = await helioraInterface.getCondition(conditionId);
+  const target = await call(
+    provider,
+    {
+      from: await helioraInterface.helioraExecutor(),
+      to: condition.targetContract,
+      data: ethers.concat([condition.targetFunction, callData]),
+      value: quantity(value),
+    },
+    blockTag,
+    stateOverrides
+  );
+  if (!target.ok) return targetRevert(decodeRevertData(target.data, { abi: targetAbi }));
+
+  // The target succeeds on its own: the executor contract rejected the call
+  const reason = decoded.kind === "error" ? decoded.reason : null;
+  return { category: "REVERTED", message: reason || "execution reverted", reason };
+}
+
+/**
+ * Simulate executeCondition and estimate its cost.
+ * @param {ethers.Contract} helioraInterface bound to a runner with a JSON-RPC provider
+ * @param {bigint|number} conditionId
+ * @param {object} options
+ * @param {string} options.from executor address submitting the execution
+ * @param {string} [options.callData="0x"]
+ * @param {bigint} [options.value] defaults to HelioraInterface.executionFee()
+ * @param {object} [options.stateOverrides] eth_call state override set (address => {balance, code, state, stateDiff})
+ * @param {string|number} [options.blockTag="latest"]
+ * @param {ethers.Interface|Array} [options.targetAbi] names the target's custom errors
+ * @return {Promise<{ok: boolean, conditionId: bigint, from: string, value: bigint, gasEstimate: bigint|null,
+ *   gasPrice: bigint|null, costWei: bigint|null, revert: object|null}>}
+ *   revert: {category, message, reason?, panicCode?, selector?, errorName?, args?}
+ */
+async function preflightExecution(helioraInterface, conditionId, options) {
+  const { from, callData = "0x", stateOverrides, targetAbi } = options;
+  const blockTag = typeof options.blockTag === "number" ? quantity(options.blockTag) : options.blockTag || "latest";
+  const provider = helioraInterface.runner.provider;
+  const value = options.value ?? (await helioraInterface.executionFee());
+  const tx = {
+    from,
+    to: await helioraInterface.getAddress(),
+    data: helioraInterface.interface.encodeFunctionData("executeCondition", [conditionId, callData]),
+    value: quantity(value),
+  };
+  const result = {
+    ok: false,
+    conditionId: BigInt(conditionId),
+    from,
+    value,
+    gasEstimate: null,
+    gasPrice: null,
+    costWei: null,
+    revert: null,
+  };
+
+  const simulated = await call(provider, tx, blockTag, stateOverrides);
+  if (!simulated.ok) {
+    const context = { provider, callData, value, stateOverrides, blockTag, targetAbi };
+    result.revert = await classifyRevert(helioraInterface, conditionId, simulated.data, context);
+    return result;
+  }
+
+  const [gasEstimate, feeData] = await Promise.all([
+    estimateGas(provider, tx, blockTag, stateOverrides),
+    provider.getFeeData(),
+  ]);
+  result.ok = true;
+  result.gasEstimate = gasEstimate;
+  result.gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+  if (gasEstimate !== null && result.gasPrice !== null) result.costWei = gasEstimate * result.gasPrice + value;
+  return result;
+}
+
+module.exports = { PANIC_CODES, revertData, decodeRevertData, preflightExecution };
@@ -0,0 +1,237 @@
+const { ethers } = require("ethers");
+const { Tier, enumName } = require("./enums");
+const { errorMessage } = require("./errors");
+
+/**
+ * Revenue reporting from HelioraPayment receipts
+ * Receipts are grouped by UTC month, tier and currency. For every month the
+ * report shows what was billed, what was earned (each receipt is recognized
+ * linearly over periodStart..periodEnd) and the deferred balance at month end,
+ * or at `asOf` for the current month.
+ *
+ * USD figures use 8 decimals: USDC at par, ETH through HelioraPriceOracle at the
+ * block of the receipt (needs an archive RPC for older receipts).
+ */
+
+const USD_DECIMALS = 8;
+
+/**
+ * Page through getReceiptCount / getReceipt.
+ * Zero-amount receipts (testnet and granted subscriptions) are skipped.
+ * @return {Promise<object[]>}
+ */
+async function fetchReceipts(payment, { pageSize = 50 } = {}) {
+  const count = Number(await payment.getReceiptCount());
+  const decimals = Number(await payment.paymentTokenDecimals());
+  const receipts = [];
+
+  for (let start = 0; start < count; start += pageSize) {
+    const indexes = [];
+    for (let i = start; i < Math.min(start + pageSize, count); i++) indexes.push(i);
+    const page = await Promise.all(indexes.map((i) => payment.getReceipt(i)));
+
+    page.forEach((r, n) => {
+      if (r.amountUSDC === 0n && r.amountETH === 0n) return;
+      const usdc = r.amountUSDC > 0n;
+      receipts.push({
+        index: indexes[n],
+        payer: r.payer,
+        tier: enumName(Tier, r.tier),
+        currency: usdc ? "USDC" : "ETH",
+        amount: usdc ? r.amountUSDC : r.amountETH,
+        decimals: usdc ? decimals : 18,
+        timestamp: Number(r.timestamp),
+        periodStart: Number(r.periodStart),
+        periodEnd: Number(r.periodEnd),
+      });
+    });
+  }
+  return receipts;
+}
+
+// Last block with timestamp <= `timestamp` (binary search)
+async function blockAtTimestamp(provider, timestamp, cache = new Map()) {
+  const getBlock = async (n) => {
+    if (!cache.has(n)) cache.set(n, await provider.getBlock(n));
+    return cache.get(n);
+  };
+  let lo = 0;
+  let hi = await provider.getBlockNumber();
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if ((await getBlock(mid)).timestamp <= timestamp) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Set `usd` (8 decimals) on every receipt; ETH receipts use the oracle price at
+ * the receipt's block. Receipts whose price cannot be read, is stale or is not
+ * positive get usd = null and a `priceError`.
+ */
+async function attachUsd(receipts, { oracle, pair = "ETH/USD" }) {
+  const provider = oracle.runner.provider;
+  const blocks = new Map();
+  const prices = new Map();
+
+  for (const receipt of receipts) {
+    if (receipt.currency === "USDC") {
+      receipt.usd = receipt.amount * 10n ** BigInt(USD_DECIMALS - receipt.decimals);
+      continue;
+    }
+    try {
+      const blockTag = await blockAtTimestamp(provider, receipt.timestamp, blocks);
+      if (!prices.has(blockTag)) prices.set(blockTag, await oracle.getPrice(pair, { blockTag }));
+      const { price, decimals, stale } = prices.get(blockTag);
+      if (stale) throw new Error(`${pair} price stale at block ${blockTag}`);
+      if (price <= 0n) throw new Error(`${pair} price not positive (${price}) at block ${blockTag}`);
+      receipt.ethPrice = ethers.formatUnits(price, decimals);
+      receipt.usd = (receipt.amount * price * 10n ** BigInt(USD_DECIMALS)) / (10n ** 18n * 10n ** BigInt(decimals));
+    } catch (err) {
+      receipt.usd = null;
+      receipt.priceError = errorMessage(err);
+    }
+  }
+  return receipts;
+}
+
+function monthOf(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 7);
+}
+
+// [start, end) of every UTC month from `from` to `to` (seconds)
+function monthsBetween(from, to) {
+  const months = [];
+  const d = new Date(from * 1000);
+  let cursor = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  while (cursor / 1000 <= to) {
+    const next = new Date(cursor);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    months.push({ month: monthOf(cursor / 1000), start: cursor / 1000, end: next.getTime() / 1000 });
+    cursor = next.getTime();
+  }
+  return months;
+}
+
+// Amount earned by time t, floored so that monthly slices add up exactly
+function earnedBy(amount, receipt, t) {
+  const length = receipt.periodEnd - receipt.periodStart;
+  if (t >= receipt.periodEnd || length <= 0) return t >= receipt.periodStart ? amount : 0n;
+  if (t <= receipt.periodStart) return 0n;
+  return (amount * BigInt(t - receipt.periodStart)) / BigInt(length);
+}
+
+/**
+ * @param {object[]} receipts fetchReceipts() (optionally attachUsd()) output
+ * @param {object} options
+ * @param {number} options.asOf report date (seconds); later receipts are ignored
+ * @return {{asOf: number, rows: object[], totals: object[]}}
+ */
+function buildRevenueReport(receipts, { asOf }) {
+  const included = receipts.filter((r) => r.timestamp <= asOf);
+  const withUsd = included.length > 0 && included.every((r) => r.usd !== undefined);
+  const groups = new Map();
+  for (const r of included) {
+    const key = `${r.tier}|${r.currency}`;
+    if (!groups.has(key)) groups.set(key, { tier: r.tier, currency: r.currency, decimals: r.decimals, receipts: [] });
+    groups.get(key).receipts.push(r);
+  }
+
+  const rows = [];
+  const totals = [];
+  const first = Math.min(...included.map((r) => r.timestamp));
+  const months = included.length ? monthsBetween(first, asOf) : [];
+
+  for (const group of [...groups.values()].sort((a, b) => (a.tier + a.currency).localeCompare(b.tier + b.currency))) {
+    const usdKnown = withUsd && group.receipts.every((r) => r.usd !== null);
+    const sum = { billed: 0n, recognized: 0n, billedUsd: 0n, recognizedUsd: 0n };
+
+    for (const { month, start, end } of months) {
+      const until = Math.min(end, asOf);
+      const row = { month, tier: group.tier, currency: group.currency, decimals: group.decimals, receipts: 0, billed: 0n, recognized: 0n };
+      let billedUsd = 0n;
+      let recognizedUsd = 0n;
+
+      for (const r of group.receipts) {
+        if (r.timestamp >= start && r.timestamp < end) {
+          row.receipts++;
+          row.billed += r.amount;
+          if (usdKnown) billedUsd += r.usd;
+        }
+        row.recognized += earnedBy(r.amount, r, until) - earnedBy(r.amount, r, start);
+        if (usdKnown) recognizedUsd += earnedBy(r.usd, r, until) - earnedBy(r.usd, r, start);
+      }
+
+      sum.billed += row.billed;
+      sum.recognized += row.recognized;
+      sum.billedUsd += billedUsd;
+      sum.recognizedUsd += recognizedUsd;
+      row.deferred = sum.billed - sum.recognized;
+      row.billedUsd = usdKnown ? billedUsd : null;
+      row.recognizedUsd = usdKnown ? recognizedUsd : null;
+      row.deferredUsd = usdKnown ? sum.billedUsd - sum.recognizedUsd : null;
+
+      if (row.billed || row.recognized || row.deferred) rows.push(row);
+    }
+
+    totals.push({
+      tier: group.tier,
+      currency: group.currency,
+      decimals: group.decimals,
+      receipts: group.receipts.length,
+      billed: sum.billed,
+      recognized: sum.recognized,
+      deferred: sum.billed - sum.recognized,
+      billedUsd: usdKnown ? sum.billedUsd : null,
+      recognizedUsd: usdKnown ? sum.recognizedUsd : null,
+      deferredUsd: usdKnown ? sum.billedUsd - sum.recognizedUsd : null,
+    });
+  }
+
+  rows.sort((a, b) => a.month.localeCompare(b.month));
+  return { asOf, rows, totals };
+}
+
+const AMOUNT_FIELDS = ["billed", "recognized", "deferred"];
+const USD_FIELDS = ["billedUsd", "recognizedUsd", "deferredUsd"];
+
+// Bigints => decimal strings in the row's currency / USD
+function formatRow({ decimals, ...row }) {
+  const out = { ...row };
+  for (const f of AMOUNT_FIELDS) out[f] = ethers.formatUnits(row[f], decimals);
+  for (const f of USD_FIELDS) out[f] = row[f] === null ? null : ethers.formatUnits(row[f], USD_DECIMALS);
+  return out;
+}
+
+function toJson(report) {
+  return JSON.stringify(
+    {
+      asOf: new Date(report.asOf * 1000).toISOString(),
+      rows: report.rows.map(formatRow),
+      totals: report.totals.map(formatRow),
+    },
+    null,
+    2
+  );
+}
+
+const CSV_COLUMNS = ["month", "tier", "currency", "receipts", ...AMOUNT_FIELDS, ...USD_FIELDS];
+
+function toCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of report.rows.map(formatRow)) {
+    lines.push(CSV_COLUMNS.map((c) => (row[c] === null ? "" : row[c])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  USD_DECIMALS,
+  fetchReceipts,
+  blockAtTimestamp,
+  attachUsd,
+  buildRevenueReport,
+  toJson,
+  toCsv,
+};
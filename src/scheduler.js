@@ -0,0 +1,149 @@
+/**
+ * Cron scheduler (protocol side)
+ * On-chain schedules repeat at a fixed interval (registerRecurringCondition).
+ * Calendar schedules ("0 9 * * 1-5") are kept here instead: every job always has
+ * one SINGLE TIMESTAMP condition registered for its next cron time, and once
+ * that condition is executed (or its window closes) the next one is registered.
+ *
+ * State lives on-chain. After a restart, a job adopts the live condition it
+ * registered before: same target and selector, a trigger time matching the
+ * expression, still inside its execution window.
+ */
+
+const { parseCron, nextCronTime, matchesCron } = require("./cron");
+const { toSelector } = require("./sdk");
+const {
+  InterfaceConditionType: ConditionType,
+  InterfaceConditionStatus: ConditionStatus,
+  ExecutionMode,
+} = require("./enums");
+const { errorMessage } = require("./errors");
+
+class CronScheduler {
+  /**
+   * @param {object} options
+   * @param {import("./sdk").HelioraClient} options.client bound to the protocol signer that owns the conditions
+   * @param {{name: string, cron: string, target: string, fn: string}[]} options.jobs
+   * @param {number} [options.leadSeconds=60] never register a run closer than this to the current block
+   * @param {number} [options.intervalMs=60000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.client = options.client;
+    this.jobs = options.jobs.map((job) => ({
+      ...job,
+      schedule: parseCron(job.cron),
+      selector: toSelector(job.fn),
+    }));
+    this.leadSeconds = options.leadSeconds ?? 60;
+    this.intervalMs = options.intervalMs || 60000;
+    this.log = options.log || (() => {});
+
+    this.iface = this.client.contracts.helioraInterface;
+    this.provider = this.iface.runner.provider;
+    this.current = new Map(); // job name => {conditionId, runAt}
+    this._recovered = false;
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Check every job's current condition and register the next run where needed.
+   * @return {Promise<{registered: object[], executed: object[], missed: object[], waiting: object[], failed: object[]}>}
+   */
+  async tick() {
+    const head = await this.provider.getBlock("latest");
+    if (!this._recovered) {
+      await this.recover(head);
+      this._recovered = true;
+    }
+
+    const result = { registered: [], executed: [], missed: [], waiting: [], failed: [] };
+    for (const job of this.jobs) {
+      const current = this.current.get(job.name);
+      if (current) {
+        const outcome = await this.check(job, current, head);
+        result[outcome.bucket].push(outcome);
+        if (outcome.bucket === "waiting") continue;
+      }
+      try {
+        result.registered.push(await this.registerNext(job, head, current));
+      } catch (err) {
+        this.log(`${job.name}: registration failed - ${errorMessage(err)}`);
+        result.failed.push({ job: job.name, reason: errorMessage(err) });
+      }
+    }
+    return result;
+  }
+
+  async check(job, current, head) {
+    const condition = await this.iface.getCondition(current.conditionId);
+    const status = Number(condition.status);
+    const outcome = { job: job.name, conditionId: current.conditionId, runAt: current.runAt };
+    if (status === ConditionStatus.EXECUTED) return { ...outcome, bucket: "executed" };
+    if (status === ConditionStatus.CANCELLED) return { ...outcome, bucket: "missed", reason: "cancelled" };
+    if (BigInt(head.timestamp) > condition.executionWindowEnd) {
+      this.log(`${job.name}: run at ${current.runAt} (condition ${current.conditionId}) was not executed`);
+      return { ...outcome, bucket: "missed", reason: "window expired" };
+    }
+    return { ...outcome, bucket: "waiting" };
+  }
+
+  async registerNext(job, head, previous) {
+    const after = Math.max(head.timestamp + this.leadSeconds, previous ? previous.runAt : 0);
+    const runAt = nextCronTime(job.schedule, after);
+    const { conditionId } = await this.client.registerCondition({ type: "TIMESTAMP", at: runAt, target: job.target, fn: job.fn });
+    await this.client.activate(conditionId);
+    this.current.set(job.name, { conditionId, runAt });
+    this.log(`${job.name}: next run at ${new Date(runAt * 1000).toISOString()} (condition ${conditionId})`);
+    return { job: job.name, conditionId, runAt };
+  }
+
+  // Adopt the newest live condition of each job
+  async recover(head) {
+    const owner = await this.client.runner.getAddress();
+    const ids = await this.iface.getProtocolConditions(owner);
+    for (const id of [...ids].reverse()) {
+      const c = await this.iface.getCondition(id);
+      const live = Number(c.status) === ConditionStatus.ACTIVE || Number(c.status) === ConditionStatus.PENDING;
+      const single = Number(c.conditionType) === ConditionType.TIMESTAMP && Number(c.executionMode) === ExecutionMode.SINGLE;
+      if (!live || !single || BigInt(head.timestamp) > c.executionWindowEnd) continue;
+
+      const job = this.jobs.find(
+        (j) =>
+          !this.current.has(j.name) &&
+          j.target.toLowerCase() === c.targetContract.toLowerCase() &&
+          j.selector === c.targetFunction &&
+          matchesCron(j.schedule, c.conditionValue)
+      );
+      if (!job) continue;
+      if (Number(c.status) === ConditionStatus.PENDING) await this.client.activate(id);
+      this.current.set(job.name, { conditionId: id, runAt: Number(c.conditionValue) });
+      this.log(`${job.name}: recovered condition ${id} (run at ${c.conditionValue})`);
+    }
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this.log(`scheduler started (${this.jobs.length} job(s), every ${this.intervalMs}ms)`);
+
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.log(`tick failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { CronScheduler };
@@ -0,0 +1,200 @@
+const { ethers } = require("ethers");
+const { ArgRule, enumName } = require("../enums");
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * Calldata commitments
+ * Builders for the calldata a HelioraInterface condition is bound to before
+ * activation. Arguments are ABI-encoded from the target function signature,
+ * without the selector (HelioraExecutor prepends it).
+ *
+ *   const { fixed, template, eq, max } = calldata;
+ *   await client.commitCalldata(conditionId, fixed("harvestAmount(uint256)", [100n]));
+ *   await client.commitCalldata(conditionId, template("harvestTo(address recipient, uint256 value)", {
+ *     recipient: eq(vault),
+ *     value: max(10n ** 18n),
+ *   }));
+ */
+
+const MAX_TEMPLATE_ARGS = 16;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * @typedef {object} ArgRuleSpec
+ * @property {"ANY"|"EQ"|"LTE"|"GTE"} rule
+ * @property {*} [value] argument value, encoded with the parameter type
+ *
+ * @typedef {object} FixedCommitment
+ * @property {"FIXED"} mode
+ * @property {string} data calldata stored on-chain
+ *
+ * @typedef {object} HashCommitment
+ * @property {"HASH"} mode
+ * @property {string} hash keccak256 of the calldata
+ * @property {string} [data] calldata to hand to executors, kept off-chain
+ *
+ * @typedef {object} TemplateCommitment
+ * @property {"TEMPLATE"} mode
+ * @property {Array<{rule: "ANY"|"EQ"|"LTE"|"GTE", value: string}>} args one rule per 32-byte word
+ *
+ * @typedef {FixedCommitment|HashCommitment|TemplateCommitment} CalldataCommitment
+ */
+
+function invalid(message, cause) {
+  return new InvalidArgumentError(message, { code: "INVALID_ARGUMENT", cause });
+}
+
+/**
+ * @param {string|ethers.FunctionFragment} fn "harvestTo(address,uint256)" or a full fragment
+ * @return {ethers.FunctionFragment}
+ */
+function fragment(fn) {
+  if (fn instanceof ethers.FunctionFragment) return fn;
+  try {
+    return ethers.FunctionFragment.from(String(fn).trim());
+  } catch (err) {
+    throw invalid(`Invalid function signature "${fn}"`, err);
+  }
+}
+
+/**
+ * ABI-encode arguments for `fn`, without the selector.
+ * @param {string|ethers.FunctionFragment} fn
+ * @param {Array} args
+ * @return {string}
+ */
+function encodeArgs(fn, args = []) {
+  const { inputs } = fragment(fn);
+  if (args.length !== inputs.length) {
+    throw invalid(`${fragment(fn).format()} takes ${inputs.length} arguments, got ${args.length}`);
+  }
+  try {
+    return coder.encode(inputs, args);
+  } catch (err) {
+    throw invalid(`Cannot encode arguments: ${err.shortMessage || err.message}`, err);
+  }
+}
+
+const any = () => ({ rule: "ANY" });
+const eq = (value) => ({ rule: "EQ", value });
+const max = (value) => ({ rule: "LTE", value });
+const min = (value) => ({ rule: "GTE", value });
+
+function isRule(entry) {
+  return entry !== null && typeof entry === "object" && !Array.isArray(entry) && ArgRule[entry.rule] !== undefined;
+}
+
+/**
+ * @param {string|ethers.FunctionFragment} fn
+ * @param {Array} args
+ * @return {FixedCommitment}
+ */
+function fixed(fn, args) {
+  return { mode: "FIXED", data: encodeArgs(fn, args) };
+}
+
+/**
+ * @param {string|ethers.FunctionFragment} fn
+ * @param {Array} args
+ * @return {HashCommitment}
+ */
+function hash(fn, args) {
+  const data = encodeArgs(fn, args);
+  return { mode: "HASH", hash: ethers.keccak256(data), data };
+}
+
+/**
+ * Constrain each argument of `fn`. Only static types fit one word each; LTE /
+ * GTE compare unsigned, so they only take uint parameters.
+ * @param {string|ethers.FunctionFragment} fn
+ * @param {Array|Object<string,*>} rules by position or parameter name; a bare
+ *        value means eq(value), a missing entry any()
+ * @return {TemplateCommitment}
+ */
+function template(fn, rules = []) {
+  const { inputs } = fragment(fn);
+  if (inputs.length === 0) throw invalid("Template needs at least one argument");
+  if (inputs.length > MAX_TEMPLATE_ARGS) {
+    throw invalid(`Template has ${inputs.length} arguments (max ${MAX_TEMPLATE_ARGS})`);
+  }
+  const byName = !Array.isArray(rules);
+  if (byName) {
+    const unknown = Object.keys(rules).filter((key) => !inputs.some((param) => param.name === key));
+    if (unknown.length) throw invalid(`Unknown parameter "${unknown[0]}"`);
+  } else if (rules.length > inputs.length) {
+    throw invalid(`${inputs.length} parameters, got ${rules.length} rules`);
+  }
+
+  const args = inputs.map((param, i) => {
+    const entry = byName ? rules[param.name] : rules[i];
+    const { rule, value } = entry === undefined ? any() : isRule(entry) ? entry : eq(entry);
+    const label = param.name || `argument ${i}`;
+    if (param.isArray() || param.isTuple() || param.type === "string" || param.type === "bytes") {
+      throw invalid(`${label} is ${param.type}; templates only constrain static types`);
+    }
+    if ((rule === "LTE" || rule === "GTE") && !param.type.startsWith("uint")) {
+      throw invalid(`${label} is ${param.type}; ${rule} only compares uint values`);
+    }
+    if (rule === "ANY") return { rule, value: ethers.ZeroHash };
+    try {
+      return { rule, value: coder.encode([param.type], [value]) };
+    } catch (err) {
+      throw invalid(`Cannot encode ${label}: ${err.shortMessage || err.message}`, err);
+    }
+  });
+  return { mode: "TEMPLATE", args };
+}
+
+/**
+ * HelioraInterface.ArgConstraint structs for a template.
+ * @param {TemplateCommitment} commitment
+ */
+function toConstraints(commitment) {
+  return commitment.args.map(({ rule, value }) => ({ rule: ArgRule[rule], value }));
+}
+
+/**
+ * Rebuild template rules from HelioraInterface.getCalldataTemplate().
+ */
+function fromConstraints(constraints) {
+  return constraints.map(({ rule, value }) => ({ rule: enumName(ArgRule, rule), value }));
+}
+
+/**
+ * Off-chain mirror of the HelioraInterface check.
+ * @param {CalldataCommitment|null} commitment
+ * @param {string} data
+ * @return {boolean}
+ */
+function matches(commitment, data) {
+  if (!commitment) return true;
+  if (commitment.mode === "FIXED") return ethers.hexlify(data) === ethers.hexlify(commitment.data);
+  if (commitment.mode === "HASH") return ethers.keccak256(data) === commitment.hash;
+
+  const bytes = ethers.getBytes(data);
+  if (bytes.length !== commitment.args.length * 32) return false;
+  return commitment.args.every(({ rule, value }, i) => {
+    const word = BigInt(ethers.hexlify(bytes.slice(i * 32, (i + 1) * 32)));
+    const bound = BigInt(value);
+    if (rule === "EQ") return word === bound;
+    if (rule === "LTE") return word <= bound;
+    if (rule === "GTE") return word >= bound;
+    return true;
+  });
+}
+
+module.exports = {
+  MAX_TEMPLATE_ARGS,
+  encodeArgs,
+  any,
+  eq,
+  max,
+  min,
+  fixed,
+  hash,
+  template,
+  toConstraints,
+  fromConstraints,
+  matches,
+};
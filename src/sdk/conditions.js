@@ -0,0 +1,134 @@
+const { ethers } = require("ethers");
+const { ConditionType, NodeOp, enumName, enumValue } = require("../enums");
+const { InvalidArgumentError } = require("./errors");
+
+/**
+ * Composite condition builder
+ * Expression trees over ConditionRegistry leaf triggers, flattened into the
+ * ConditionNode[] list registerCompositeCondition expects (root first, every
+ * child after its parent).
+ *
+ *   const { and, or, timestamp, priceBelow } = conditions;
+ *   await client.registerCompositeCondition({
+ *     condition: and(timestamp(1767225600), priceBelow("ETH/USD", 2000n * 10n ** 8n)),
+ *     target, fn: "rebalance()",
+ *   });
+ */
+
+const MAX_CONDITION_NODES = 16;
+
+/**
+ * @typedef {"BLOCK_NUMBER"|"TIMESTAMP"|"PRICE_ABOVE"|"PRICE_BELOW"|"BALANCE_THRESHOLD"} LeafTypeName
+ *
+ * @typedef {object} LeafNode
+ * @property {"LEAF"} op
+ * @property {LeafTypeName} type
+ * @property {bigint} value threshold (block, timestamp, feed price or wei)
+ * @property {string} [pair] PRICE_ABOVE / PRICE_BELOW
+ * @property {string} [account] BALANCE_THRESHOLD (default: the condition target)
+ *
+ * @typedef {object} OperatorNode
+ * @property {"AND"|"OR"} op
+ * @property {ConditionNode[]} children
+ *
+ * @typedef {LeafNode|OperatorNode} ConditionNode
+ */
+
+function invalid(message) {
+  return new InvalidArgumentError(message, { code: "INVALID_ARGUMENT" });
+}
+
+function leaf(type, value, fields = {}) {
+  value = BigInt(value);
+  if (value <= 0n) throw invalid(`${type} threshold must be positive`);
+  return { op: "LEAF", type, value, ...fields };
+}
+
+function operator(op, children) {
+  if (children.length < 2) throw invalid(`${op} needs at least two conditions`);
+  return { op, children };
+}
+
+function price(type, pair, threshold) {
+  if (!pair) throw invalid(`${type} needs a price pair`);
+  return leaf(type, threshold, { pair });
+}
+
+const blockNumber = (block) => leaf("BLOCK_NUMBER", block);
+const timestamp = (time) => leaf("TIMESTAMP", time);
+const priceAbove = (pair, threshold) => price("PRICE_ABOVE", pair, threshold);
+const priceBelow = (pair, threshold) => price("PRICE_BELOW", pair, threshold);
+
+/**
+ * @param {bigint|number} threshold wei
+ * @param {string} [account] default: the condition target
+ */
+function balanceAbove(threshold, account) {
+  if (account !== undefined && !ethers.isAddress(account)) throw invalid(`Invalid account "${account}"`);
+  return leaf("BALANCE_THRESHOLD", threshold, account === undefined ? {} : { account });
+}
+
+const and = (...children) => operator("AND", children);
+const or = (...children) => operator("OR", children);
+
+/**
+ * Flatten a tree into ConditionRegistry.ConditionNode structs.
+ * @param {ConditionNode} tree
+ */
+function toNodes(tree) {
+  const nodes = [];
+  const visit = (node) => {
+    const index = nodes.length;
+    nodes.push(null);
+    if (node.op === "LEAF") {
+      const leafType = enumValue(ConditionType, node.type, "condition type");
+      if (leafType === ConditionType.COMPOSITE) throw invalid("COMPOSITE is not a leaf type");
+      nodes[index] = {
+        op: NodeOp.LEAF,
+        leafType,
+        value: BigInt(node.value),
+        account: node.account || ethers.ZeroAddress,
+        pair: node.pair || "",
+        children: [],
+      };
+    } else {
+      const op = enumValue(NodeOp, node.op, "operator");
+      const children = node.children.map(visit);
+      nodes[index] = { op, leafType: 0, value: 0n, account: ethers.ZeroAddress, pair: "", children };
+    }
+    return index;
+  };
+  visit(tree);
+  if (nodes.length > MAX_CONDITION_NODES) {
+    throw invalid(`Composite condition has ${nodes.length} nodes (max ${MAX_CONDITION_NODES})`);
+  }
+  return nodes;
+}
+
+/**
+ * Rebuild a tree from ConditionRegistry.getConditionNodes().
+ * @return {ConditionNode}
+ */
+function fromNodes(nodes, index = 0) {
+  const node = nodes[index];
+  if (Number(node.op) !== NodeOp.LEAF) {
+    return { op: enumName(NodeOp, node.op), children: node.children.map((child) => fromNodes(nodes, Number(child))) };
+  }
+  const result = { op: "LEAF", type: enumName(ConditionType, node.leafType), value: node.value };
+  if (node.pair) result.pair = node.pair;
+  if (node.account !== ethers.ZeroAddress) result.account = node.account;
+  return result;
+}
+
+module.exports = {
+  MAX_CONDITION_NODES,
+  blockNumber,
+  timestamp,
+  priceAbove,
+  priceBelow,
+  balanceAbove,
+  and,
+  or,
+  toNodes,
+  fromNodes,
+};
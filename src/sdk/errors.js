@@ -0,0 +1,206 @@
+const { ethers } = require("ethers");
+
+/**
+ * Typed SDK errors
+ * Contract reverts are decoded from the raw `Error(string)` reason and mapped to
+ * one of the classes below; `err.reason` keeps the original revert string.
+ * Execution preflight results (src/preflight.js) map with preflightError().
+ */
+
+class HelioraError extends Error {
+  constructor(message, { code = "REVERTED", reason = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+class UnauthorizedError extends HelioraError {}
+class InvalidArgumentError extends HelioraError {}
+class ConditionStateError extends HelioraError {}
+class PaymentError extends HelioraError {}
+class StakeError extends HelioraError {}
+class ProtocolPausedError extends HelioraError {}
+
+// The execution target reverted; `details` has the preflight revert (category, panicCode, errorName, args, ...)
+class ExecutionRevertedError extends HelioraError {
+  constructor(message, { details = {}, ...options } = {}) {
+    super(message, options);
+    this.details = details;
+  }
+}
+
+// Off-chain entitlement checks (X-Execution-Key); `status` is the HTTP status to answer with
+class EntitlementError extends HelioraError {
+  constructor(message, { status = 403, ...options } = {}) {
+    super(message, options);
+    this.status = status;
+  }
+}
+
+// Revert reason => [class, code]
+const REVERTS = {
+  "Not owner": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not authorized": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not condition owner": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not registrant": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not executor": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not authorized executor": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not slasher": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not operator": [UnauthorizedError, "UNAUTHORIZED"],
+  "Not HelioraInterface": [UnauthorizedError, "UNAUTHORIZED"],
+
+  "Invalid target contract": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid target": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid condition value": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid value": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Block must be in future": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Timestamp must be in future": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Testnet is free": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid interval": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Schedule ends before first run": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Repeatable needs a schedule": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Use registerCompositeCondition": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid node count": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid leaf type": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Leaf has children": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Missing price pair": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Operator needs two children": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid child index": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Node has two parents": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Unreachable node": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid calldata hash": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid template": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Calldata mismatch": [InvalidArgumentError, "CALLDATA_MISMATCH"],
+  "Invalid reward": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Timeout out of bounds": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid linked type": [InvalidArgumentError, "INVALID_ARGUMENT"],
+  "Invalid interface id": [InvalidArgumentError, "INVALID_ARGUMENT"],
+
+  "Condition not found": [ConditionStateError, "CONDITION_NOT_FOUND"],
+  "Condition not pending": [ConditionStateError, "CONDITION_STATE"],
+  "Condition not active": [ConditionStateError, "CONDITION_STATE"],
+  "Cannot cancel executed condition": [ConditionStateError, "CONDITION_STATE"],
+  "Not active": [ConditionStateError, "CONDITION_STATE"],
+  "Not registered": [ConditionStateError, "CONDITION_STATE"],
+  "Cannot cancel": [ConditionStateError, "CONDITION_STATE"],
+  "Execution under challenge": [ConditionStateError, "CONDITION_STATE"],
+  "Managed by HelioraInterface": [ConditionStateError, "CONDITION_STATE"],
+  "Condition not open": [ConditionStateError, "CONDITION_STATE"],
+  "Not linked": [ConditionStateError, "NOT_LINKED"],
+  "Already linked": [ConditionStateError, "ALREADY_LINKED"],
+  "No condition registry": [ConditionStateError, "NOT_LINKED"],
+  "Condition not met": [ConditionStateError, "CONDITION_NOT_MET"],
+  "Execution window expired": [ConditionStateError, "WINDOW_EXPIRED"],
+  "No execution proof": [ConditionStateError, "CHALLENGE_STATE"],
+  "Already challenged": [ConditionStateError, "CHALLENGE_STATE"],
+  "Challenge period expired": [ConditionStateError, "CHALLENGE_STATE"],
+  "Not challenged": [ConditionStateError, "CHALLENGE_STATE"],
+  "Already resolved": [ConditionStateError, "CHALLENGE_STATE"],
+  "Resolution pending": [ConditionStateError, "CHALLENGE_STATE"],
+  "Resolution timed out": [ConditionStateError, "CHALLENGE_STATE"],
+
+  "Insufficient execution fee": [PaymentError, "INSUFFICIENT_FEE"],
+  "Insufficient ETH": [PaymentError, "INSUFFICIENT_PAYMENT"],
+  "Insufficient balance": [PaymentError, "INSUFFICIENT_PAYMENT"],
+  "Insufficient allowance": [PaymentError, "INSUFFICIENT_ALLOWANCE"],
+  "USDC transfer failed": [PaymentError, "INSUFFICIENT_PAYMENT"],
+  "Tier not active": [PaymentError, "TIER_UNAVAILABLE"],
+  "Price not set": [PaymentError, "TIER_UNAVAILABLE"],
+  "ETH price not set": [PaymentError, "TIER_UNAVAILABLE"],
+  "No active subscription": [PaymentError, "NO_SUBSCRIPTION"],
+  "Incorrect bond": [PaymentError, "INCORRECT_BOND"],
+  "Nothing to claim": [PaymentError, "NOTHING_TO_CLAIM"],
+
+  "Below condition stake": [StakeError, "INSUFFICIENT_STAKE"],
+  "Below minimum stake": [StakeError, "INSUFFICIENT_STAKE"],
+  "Already staked": [StakeError, "ALREADY_STAKED"],
+  "Already released": [StakeError, "STAKE_RELEASED"],
+  "No stake": [StakeError, "NO_STAKE"],
+  "Not staked": [StakeError, "NO_STAKE"],
+  "Executor not staked": [StakeError, "NO_STAKE"],
+  "Nothing to unstake": [StakeError, "NO_STAKE"],
+  "Invalid amount": [StakeError, "INVALID_AMOUNT"],
+  "Still unbonding": [StakeError, "UNBONDING"],
+  "Challenge window open": [StakeError, "UNBONDING"],
+  "Stake locked": [StakeError, "STAKE_LOCKED"],
+  "Registry not set": [StakeError, "UNEXPECTED_STAKE"],
+  "Staking not set": [StakeError, "UNEXPECTED_STAKE"],
+
+  "Protocol paused": [ProtocolPausedError, "PAUSED"],
+};
+
+// Preflight category => class
+const PREFLIGHT_ERRORS = {
+  CONDITION_NOT_FOUND: ConditionStateError,
+  CONDITION_STATE: ConditionStateError,
+  CONDITION_NOT_MET: ConditionStateError,
+  WINDOW_EXPIRED: ConditionStateError,
+  INSUFFICIENT_FEE: PaymentError,
+  CALLDATA_MISMATCH: InvalidArgumentError,
+  PAUSED: ProtocolPausedError,
+  RECORD_CLOSED: ConditionStateError,
+  UNDER_CHALLENGE: ConditionStateError,
+  UNAUTHORIZED: UnauthorizedError,
+  TARGET_REVERTED: ExecutionRevertedError,
+  CUSTOM_ERROR: ExecutionRevertedError,
+  PANIC: ExecutionRevertedError,
+};
+
+const ERROR_STRING = new ethers.Interface(["error Error(string)"]);
+
+/**
+ * Extract the Error(string) reason from an ethers error, if any.
+ */
+function revertReason(err) {
+  if (typeof err?.reason === "string") return err.reason;
+  if (err?.revert?.name === "Error") return err.revert.args[0];
+  const data = err?.data ?? err?.error?.data ?? err?.info?.error?.data;
+  if (typeof data === "string" && data.startsWith("0x08c379a0")) {
+    try {
+      return ERROR_STRING.decodeErrorResult("Error", data)[0];
+    } catch (_) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert any thrown value into a HelioraError (already-typed errors pass through).
+ */
+function decodeError(err) {
+  if (err instanceof HelioraError) return err;
+  const reason = revertReason(err);
+  if (reason === null) {
+    return new HelioraError(err?.shortMessage || err?.message || String(err), { code: "UNKNOWN", cause: err });
+  }
+  const [ErrorClass, code] = REVERTS[reason] || [HelioraError, "REVERTED"];
+  return new ErrorClass(reason, { code, reason, cause: err });
+}
+
+/**
+ * Convert a preflightExecution() revert into a HelioraError; `code` is the category.
+ */
+function preflightError(revert) {
+  const ErrorClass = PREFLIGHT_ERRORS[revert.category] || HelioraError;
+  const options = { code: revert.category, reason: revert.reason ?? null };
+  if (ErrorClass === ExecutionRevertedError) options.details = revert;
+  return new ErrorClass(revert.message, options);
+}
+
+module.exports = {
+  HelioraError,
+  UnauthorizedError,
+  InvalidArgumentError,
+  ConditionStateError,
+  PaymentError,
+  StakeError,
+  ProtocolPausedError,
+  ExecutionRevertedError,
+  EntitlementError,
+  revertReason,
+  decodeError,
+  preflightError,
+};
@@ -0,0 +1,480 @@
+const { ethers } = require("ethers");
+const { connectProtocol, CONTRACT_NAMES } = require("../contracts");
+const {
+  InterfaceConditionType,
+  InterfaceConditionStatus,
+  CalldataMode,
+  ConditionStatus: RegistryConditionStatus,
+  ExecutionMode,
+  Tier,
+  enumName,
+  enumValue,
+} = require("../enums");
+const { preflightExecution } = require("../preflight");
+const errors = require("./errors");
+const conditions = require("./conditions");
+const calldata = require("./calldata");
+
+/**
+ * Heliora SDK
+ * High-level client for integrating protocols. Built from a HelioraRouter address;
+ * every other contract is discovered through `getContracts()`.
+ *
+ *   const client = await HelioraClient.connect(routerAddress, signer);
+ *   const { conditionId } = await client.registerCondition({
+ *     type: "TIMESTAMP", at: 1767225600, target, fn: "harvest()", every: 3600,
+ *   });
+ *   await client.activate(conditionId);
+ */
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/**
+ * @typedef {"BLOCK_NUMBER"|"TIMESTAMP"} ConditionTypeName
+ * @typedef {"SINGLE"|"REPEATABLE"} ExecutionModeName
+ * @typedef {"PENDING"|"ACTIVE"|"EXECUTED"|"CANCELLED"} ConditionStatusName
+ * @typedef {"TESTNET"|"MAINNET"|"ENTERPRISE"} TierName
+ *
+ * @typedef {object} RegisterConditionParams
+ * @property {ConditionTypeName|number} type
+ * @property {bigint|number} at block number or unix timestamp that triggers execution
+ * @property {string} target contract called on execution
+ * @property {string} fn function signature ("harvest()") or 4-byte selector
+ * @property {ExecutionModeName|number} [mode="SINGLE"] REPEATABLE needs `every`
+ * @property {bigint|number} [every] recurring: blocks / seconds between runs (implies REPEATABLE)
+ * @property {bigint|number} [maxRuns] recurring: runs before the condition finishes (default unlimited)
+ * @property {bigint|number} [endsAt] recurring: no run after this block / timestamp
+ * @property {calldata.CalldataCommitment} [calldata] committed right after registration (see commitCalldata)
+ *
+ * @typedef {object} Schedule
+ * @property {bigint} interval
+ * @property {bigint} maxRuns 0 = unlimited
+ * @property {bigint} endsAt 0 = open-ended
+ * @property {bigint} runs
+ * @property {bigint} firstRun
+ * @property {bigint|null} nextRun due or upcoming run, null once the schedule ended
+ * @property {bigint|null} nextWindowEnd
+ *
+ * @typedef {object} TxResult
+ * @property {string} txHash
+ * @property {number} blockNumber
+ *
+ * @typedef {object} ConditionStatus
+ * @property {bigint} conditionId
+ * @property {string} protocol
+ * @property {ConditionTypeName} type
+ * @property {ExecutionModeName} mode
+ * @property {ConditionStatusName} status
+ * @property {bigint} conditionValue
+ * @property {string} target
+ * @property {string} selector
+ * @property {bigint} createdAt
+ * @property {bigint} lastExecutedAt
+ * @property {bigint} executionWindowEnd
+ * @property {boolean} ready
+ * @property {Schedule|null} schedule recurring conditions only
+ * @property {bigint|null} registryId linked ConditionRegistry record, null before linkCondition
+ * @property {{owner: string, amount: bigint, released: boolean, locked: boolean}|null} stake
+ *   condition stake of the linked record
+ *
+ * @typedef {object} RegisterCompositeParams
+ * @property {conditions.ConditionNode} condition tree built with `conditions` (and, or, timestamp, priceBelow, ...)
+ * @property {string} target contract called on execution
+ * @property {string} fn function signature ("harvest()") or 4-byte selector
+ * @property {boolean} [repeatable=false]
+ *
+ * @typedef {object} PreflightResult
+ * @property {boolean} ok executeCondition would succeed
+ * @property {bigint|null} gasEstimate
+ * @property {bigint|null} gasPrice
+ * @property {bigint|null} costWei gasEstimate * gasPrice + fee
+ * @property {bigint} value execution fee sent
+ * @property {errors.HelioraError|null} error typed error when the execution would revert
+ */
+
+/**
+ * Function signature or raw selector => 4-byte selector.
+ * @param {string} fn "harvest()", "transfer(address,uint256)" or "0x4641257d"
+ */
+function toSelector(fn) {
+  if (ethers.isHexString(fn, 4)) return fn.toLowerCase();
+  try {
+    return ethers.FunctionFragment.from(fn.trim()).selector;
+  } catch (err) {
+    throw new errors.InvalidArgumentError(`Invalid function signature "${fn}"`, { code: "INVALID_ARGUMENT", cause: err });
+  }
+}
+
+class HelioraClient {
+  /**
+   * @param {Object<string,ethers.Contract>} contracts connectProtocol() result
+   * @param {ethers.ContractRunner} runner signer (or provider for read-only use)
+   */
+  constructor(contracts, runner) {
+    this.contracts = contracts;
+    this.runner = runner;
+  }
+
+  /**
+   * Discover all protocol contracts from a HelioraRouter.
+   * @param {string} routerAddress
+   * @param {ethers.ContractRunner} runner
+   * @return {Promise<HelioraClient>}
+   */
+  static async connect(routerAddress, runner) {
+    const { router } = connectProtocol({ router: routerAddress }, runner);
+    const addresses = await router.getContracts();
+    const keys = Object.keys(CONTRACT_NAMES).filter((key) => key !== "router");
+    const contracts = connectProtocol(
+      Object.fromEntries(keys.map((key, i) => [key, addresses[i]])),
+      runner
+    );
+    return new HelioraClient({ ...contracts, router }, runner);
+  }
+
+  _contract(key) {
+    const contract = this.contracts[key];
+    if (!contract) throw new errors.HelioraError(`${CONTRACT_NAMES[key]} not registered on router`, { code: "NOT_DEPLOYED" });
+    return contract;
+  }
+
+  async _send(promise) {
+    try {
+      const tx = await promise;
+      return await tx.wait();
+    } catch (err) {
+      throw errors.decodeError(err);
+    }
+  }
+
+  // ===========================================================================
+  // CONDITIONS
+  // ===========================================================================
+
+  /**
+   * Register a HelioraInterface condition; with `every`, a recurring one starting at `at`.
+   * Posts the condition stake when HelioraInterface is linked to HelioraStaking.
+   * @param {RegisterConditionParams} params
+   * @return {Promise<TxResult & {conditionId: bigint, registryId: bigint|null, stake: bigint}>}
+   */
+  async registerCondition({ type, at, target, fn, mode = "SINGLE", every, maxRuns = 0, endsAt = 0, calldata: commitment }) {
+    if (!ethers.isAddress(target)) {
+      throw new errors.InvalidArgumentError(`Invalid target "${target}"`, { code: "INVALID_ARGUMENT" });
+    }
+    const executionMode = enumValue(ExecutionMode, mode, "execution mode");
+    if (executionMode === ExecutionMode.REPEATABLE && every === undefined) {
+      throw new errors.InvalidArgumentError("REPEATABLE conditions need `every`", { code: "INVALID_ARGUMENT" });
+    }
+    const iface = this._contract("helioraInterface");
+    const conditionType = enumValue(InterfaceConditionType, type, "condition type");
+    const value = await this._registrationStake();
+    const receipt = await this._send(
+      every === undefined
+        ? iface.registerCondition(
+            conditionType,
+            BigInt(at),
+            target,
+            toSelector(fn),
+            executionMode,
+            { value }
+          )
+        : iface.registerRecurringCondition(
+            conditionType,
+            BigInt(at),
+            BigInt(every),
+            BigInt(maxRuns),
+            BigInt(endsAt),
+            target,
+            toSelector(fn),
+            { value }
+          )
+    );
+    const { conditionId } = this._event(receipt, "ConditionRegistered").args;
+    const linked = this._event(receipt, "ConditionLinked");
+    if (commitment) await this.commitCalldata(conditionId, commitment);
+    return {
+      conditionId,
+      registryId: linked ? linked.args.registryId : null,
+      stake: value,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  /**
+   * Link a condition registered before HelioraInterface had a ConditionRegistry,
+   * posting its condition stake. The condition keeps its ID.
+   * @param {bigint|number} conditionId PENDING or ACTIVE HelioraInterface condition
+   * @return {Promise<TxResult & {registryId: bigint, stake: bigint}>}
+   */
+  async linkCondition(conditionId) {
+    const iface = this._contract("helioraInterface");
+    const value = await this._registrationStake();
+    const receipt = await this._send(iface.linkCondition(conditionId, { value }));
+    const { registryId } = this._event(receipt, "ConditionLinked").args;
+    return { registryId, stake: value, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  // Condition stake HelioraInterface takes with a registration (0 unless linked to HelioraStaking)
+  async _registrationStake() {
+    const iface = this._contract("helioraInterface");
+    const [registry, staking] = await Promise.all([iface.conditionRegistry(), iface.staking()]);
+    if (registry === ethers.ZeroAddress || staking === ethers.ZeroAddress) return 0n;
+    return this._contract("staking").conditionStake();
+  }
+
+  // First event named `name` in a receipt (HelioraInterface events by default)
+  _event(receipt, name, contract = this._contract("helioraInterface")) {
+    return receipt.logs.map((log) => contract.interface.parseLog(log)).find((parsed) => parsed && parsed.name === name);
+  }
+
+  /**
+   * Bind a PENDING condition to calldata built with `calldata` (fixed, hash, template).
+   * @param {bigint|number} conditionId
+   * @param {calldata.CalldataCommitment} commitment
+   * @return {Promise<TxResult>}
+   */
+  async commitCalldata(conditionId, commitment) {
+    const iface = this._contract("helioraInterface");
+    let call;
+    switch (commitment?.mode) {
+      case "FIXED":
+        call = iface.commitFixedCalldata(conditionId, commitment.data);
+        break;
+      case "HASH":
+        call = iface.commitCalldataHash(conditionId, commitment.hash);
+        break;
+      case "TEMPLATE":
+        call = iface.commitCalldataTemplate(conditionId, calldata.toConstraints(commitment));
+        break;
+      default:
+        throw new errors.InvalidArgumentError(`Unknown calldata commitment mode "${commitment?.mode}"`, {
+          code: "INVALID_ARGUMENT",
+        });
+    }
+    const receipt = await this._send(call);
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Read a condition's calldata commitment; null when the executor picks the calldata.
+   * @param {bigint|number} conditionId
+   * @return {Promise<calldata.CalldataCommitment|null>}
+   */
+  async getCalldataCommitment(conditionId) {
+    const iface = this._contract("helioraInterface");
+    const mode = enumName(CalldataMode, await iface.calldataModes(conditionId));
+    if (mode === "FIXED") return { mode, data: await iface.getFixedCalldata(conditionId) };
+    if (mode === "HASH") return { mode, hash: await iface.calldataHashes(conditionId) };
+    if (mode === "TEMPLATE") return { mode, args: calldata.fromConstraints(await iface.getCalldataTemplate(conditionId)) };
+    return null;
+  }
+
+  /** @return {Promise<TxResult>} */
+  async activate(conditionId) {
+    const receipt = await this._send(this._contract("helioraInterface").activateCondition(conditionId));
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /** @return {Promise<TxResult>} */
+  async cancel(conditionId) {
+    const receipt = await this._send(this._contract("helioraInterface").cancelCondition(conditionId));
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * @param {bigint|number} conditionId
+   * @return {Promise<ConditionStatus>}
+   */
+  async getConditionStatus(conditionId) {
+    const iface = this._contract("helioraInterface");
+    let condition, ready, schedule, next, registryId;
+    try {
+      [condition, ready, schedule, next, registryId] = await Promise.all([
+        iface.getCondition(conditionId),
+        iface.isConditionReady(conditionId),
+        iface.schedules(conditionId),
+        iface.getNextRun(conditionId),
+        iface.registryIds(conditionId),
+      ]);
+    } catch (err) {
+      throw errors.decodeError(err);
+    }
+
+    let stake = null;
+    if (this.contracts.staking && registryId !== 0n) {
+      const staking = this.contracts.staking;
+      const [info, locked] = await Promise.all([staking.getConditionStake(registryId), staking.lockedStakes(registryId)]);
+      if (info.owner !== ethers.ZeroAddress) {
+        stake = { owner: info.owner, amount: info.amount, released: info.released, locked };
+      }
+    }
+
+    return {
+      conditionId: condition.conditionId,
+      protocol: condition.protocol,
+      type: enumName(InterfaceConditionType, condition.conditionType),
+      mode: enumName(ExecutionMode, condition.executionMode),
+      status: enumName(InterfaceConditionStatus, condition.status),
+      conditionValue: condition.conditionValue,
+      target: condition.targetContract,
+      selector: condition.targetFunction,
+      createdAt: condition.createdAt,
+      lastExecutedAt: condition.lastExecutedAt,
+      executionWindowEnd: condition.executionWindowEnd,
+      ready,
+      schedule:
+        schedule.interval === 0n
+          ? null
+          : {
+              interval: schedule.interval,
+              maxRuns: schedule.maxRuns,
+              endsAt: schedule.endsAt,
+              runs: schedule.runs,
+              firstRun: schedule.firstRun,
+              nextRun: next.runAt === 0n ? null : next.runAt,
+              nextWindowEnd: next.runAt === 0n ? null : next.windowEnd,
+            },
+      registryId: registryId === 0n ? null : registryId,
+      stake,
+    };
+  }
+
+  /**
+   * Register a COMPOSITE condition on ConditionRegistry (activate it there with activateCondition).
+   * @param {RegisterCompositeParams} params
+   * @return {Promise<TxResult & {conditionId: bigint, nodes: number}>}
+   */
+  async registerCompositeCondition({ condition, target, fn, repeatable = false }) {
+    if (!ethers.isAddress(target)) {
+      throw new errors.InvalidArgumentError(`Invalid target "${target}"`, { code: "INVALID_ARGUMENT" });
+    }
+    const registry = this._contract("conditionRegistry");
+    const nodes = conditions.toNodes(condition);
+    const receipt = await this._send(registry.registerCompositeCondition(nodes, target, toSelector(fn), repeatable));
+    const event = receipt.logs
+      .map((log) => registry.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ConditionRegistered");
+    return { conditionId: event.args.id, nodes: nodes.length, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  /**
+   * Read a COMPOSITE condition back as a tree.
+   * @param {bigint|number} conditionId ConditionRegistry id
+   * @return {Promise<{conditionId: bigint, status: string, ready: boolean, condition: conditions.ConditionNode}>}
+   */
+  async getCompositeCondition(conditionId) {
+    const registry = this._contract("conditionRegistry");
+    const [condition, nodes, ready] = await Promise.all([
+      registry.getCondition(conditionId),
+      registry.getConditionNodes(conditionId),
+      registry.isConditionReady(conditionId),
+    ]);
+    if (!nodes.length) {
+      throw new errors.ConditionStateError(`Condition ${conditionId} is not composite`, { code: "CONDITION_NOT_FOUND" });
+    }
+    return {
+      conditionId: condition.id,
+      status: enumName(RegistryConditionStatus, condition.status),
+      ready,
+      condition: conditions.fromNodes(nodes),
+    };
+  }
+
+  /**
+   * Simulate executeCondition as `from` (default: the runner) without sending it.
+   * @param {bigint|number} conditionId
+   * @param {{from?: string, callData?: string, value?: bigint, stateOverrides?: object, targetAbi?: Array}} [options]
+   * @return {Promise<PreflightResult>}
+   */
+  async preflightExecution(conditionId, options = {}) {
+    const iface = this._contract("helioraInterface");
+    const from = options.from || (await this.runner.getAddress());
+    const { revert, ...result } = await preflightExecution(iface, conditionId, { ...options, from });
+    return { ...result, error: revert ? errors.preflightError(revert) : null };
+  }
+
+  // ===========================================================================
+  // STAKING
+  // ===========================================================================
+
+  /**
+   * Post the condition stake of a ConditionRegistry condition on HelioraStaking
+   * (HelioraInterface conditions are staked when they are registered or linked).
+   * @param {bigint|number} conditionId ConditionRegistry id
+   * @param {{amount?: bigint}} [options] defaults to HelioraStaking.conditionStake()
+   * @return {Promise<TxResult & {amount: bigint}>}
+   */
+  async stakeForCondition(conditionId, { amount } = {}) {
+    const staking = this._contract("staking");
+    const value = amount ?? (await staking.conditionStake());
+    const receipt = await this._send(staking.stakeForCondition(conditionId, { value }));
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, amount: value };
+  }
+
+  // ===========================================================================
+  // CHALLENGES
+  // ===========================================================================
+
+  /**
+   * Challenge the latest execution of a ConditionRegistry record, posting the current challengeBond.
+   * @param {bigint|number} conditionId ConditionRegistry id
+   * @return {Promise<TxResult & {challengeId: bigint, bond: bigint}>} challengeId is what the owner resolves
+   */
+  async challengeExecution(conditionId) {
+    const registry = this._contract("conditionRegistry");
+    const bond = await registry.challengeBond();
+    const receipt = await this._send(registry.challengeExecution(conditionId, { value: bond }));
+    const { challengeId } = this._event(receipt, "ConditionChallenged", registry).args;
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, challengeId, bond };
+  }
+
+  /**
+   * Withdraw refunded bonds, challenge rewards and compensation from ConditionRegistry.
+   * @return {Promise<TxResult & {amount: bigint}>}
+   */
+  async claim() {
+    const registry = this._contract("conditionRegistry");
+    const amount = await registry.claimable(await this.runner.getAddress());
+    const receipt = await this._send(registry.claim());
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, amount };
+  }
+
+  // ===========================================================================
+  // SUBSCRIPTIONS
+  // ===========================================================================
+
+  /**
+   * Subscribe to a paid tier, approving USDC first when needed.
+   * @param {{tier?: TierName|number, currency?: "USDC"|"ETH", protocolName: string}} params
+   * @return {Promise<TxResult & {amount: bigint, currency: string}>}
+   */
+  async subscribe({ tier = "MAINNET", currency = "USDC", protocolName }) {
+    const payment = this._contract("payment");
+    const tierValue = enumValue(Tier, tier, "tier");
+    const config = await payment.getTierConfig(tierValue);
+    currency = String(currency).toUpperCase();
+
+    if (currency === "ETH") {
+      const receipt = await this._send(payment.subscribeETH(tierValue, protocolName, { value: config.priceETH }));
+      return { txHash: receipt.hash, blockNumber: receipt.blockNumber, amount: config.priceETH, currency };
+    }
+    if (currency !== "USDC") {
+      throw new errors.InvalidArgumentError(`Unsupported currency "${currency}"`, { code: "INVALID_ARGUMENT" });
+    }
+
+    const token = new ethers.Contract(await payment.paymentToken(), ERC20_ABI, this.runner);
+    const owner = await this.runner.getAddress();
+    const spender = await payment.getAddress();
+    if ((await token.allowance(owner, spender)) < config.priceUSDC) {
+      await this._send(token.approve(spender, config.priceUSDC));
+    }
+    const receipt = await this._send(payment.subscribeUSDC(tierValue, protocolName));
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, amount: config.priceUSDC, currency };
+  }
+}
+
+module.exports = { HelioraClient, toSelector, conditions, calldata, ...errors };
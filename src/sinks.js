@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Notification sinks
+ * A sink is `{ name, notify(notification) }`; notify() may be async and should
+ * throw when delivery fails so the caller can log it.
+ */
+
+function stdoutSink({ write = (line) => process.stdout.write(line) } = {}) {
+  return {
+    name: "stdout",
+    notify: async (notification) => write(`${JSON.stringify(notification)}\n`),
+  };
+}
+
+// Appends one JSON object per line
+function fileSink(file) {
+  return {
+    name: `file:${file}`,
+    notify: async (notification) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(notification)}\n`);
+    },
+  };
+}
+
+// POSTs the notification as JSON
+function webhookSink(url, { fetch = globalThis.fetch, headers = {} } = {}) {
+  return {
+    name: `webhook:${new URL(url).host}`,
+    notify: async (notification) => {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(notification),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    },
+  };
+}
+
+/**
+ * @param {{sinks: string[], file?: string, webhookUrl?: string}} config
+ */
+function createSinks(config) {
+  return config.sinks.map((name) => {
+    switch (name) {
+      case "stdout":
+        return stdoutSink();
+      case "file":
+        if (!config.file) throw new Error("SWEEPER_FILE not set");
+        return fileSink(config.file);
+      case "webhook":
+        if (!config.webhookUrl) throw new Error("SWEEPER_WEBHOOK_URL not set");
+        return webhookSink(config.webhookUrl);
+      default:
+        throw new Error(`Unknown notification sink "${name}"`);
+    }
+  });
+}
+
+module.exports = { stdoutSink, fileSink, webhookSink, createSinks };
@@ -0,0 +1,320 @@
+/**
+ * Slashing engine
+ * Turns protocol faults into HelioraStaking.slashExecutor calls:
+ *
+ *   - missed execution: an ACTIVE HelioraInterface condition whose execution
+ *     window closed without a ConditionExecuted event, charged to the assigned
+ *     executor (by default the ConditionRegistry executor, i.e. the operator).
+ *     Recurring conditions are judged run by run against their schedule, until
+ *     they are EXECUTED or CANCELLED
+ *   - invalid execution: a ConditionRegistry challenge resolved with
+ *     ChallengeResolved(valid = false), charged to the challenged executor.
+ *     A registry wired to HelioraStaking slashes these itself, under the same
+ *     reason, so the engine only covers registries without staking
+ *
+ * Every slash carries a structured reason (see slashReason) and the condition
+ * id. Reasons already in getSlashHistory are never submitted again, so restarts
+ * and overlapping scans cannot slash the same condition (or run) twice.
+ */
+
+const { ethers } = require("ethers");
+const { InterfaceConditionType: ConditionType, InterfaceConditionStatus: ConditionStatus } = require("./enums");
+const { errorMessage } = require("./errors");
+const { queryFilterInRanges } = require("./logs");
+
+const DEFAULT_AMOUNTS = {
+  missed: ethers.parseEther("0.01"),
+  invalid: ethers.parseEther("0.05"),
+};
+
+const FAULTS = {
+  missed: { kind: "missed-execution", source: "interface" },
+  invalid: { kind: "invalid-execution", source: "registry" },
+};
+
+/**
+ * "<kind>:<source>:<conditionId>[:<run>]", e.g. "missed-execution:interface:12".
+ * The source tells the two condition id spaces apart. Missed runs of recurring
+ * conditions add the run's block or timestamp, e.g. "missed-execution:interface:12:5400";
+ * invalid runs of repeatable registry records add their execution block, as the
+ * registry does.
+ */
+function slashReason(fault, conditionId, run) {
+  const { kind, source } = FAULTS[fault];
+  const reason = `${kind}:${source}:${conditionId}`;
+  return run === undefined ? reason : `${reason}:${run}`;
+}
+
+/**
+ * @return {{fault: string, kind: string, source: string, conditionId: bigint, run?: bigint}|null} null for free-form reasons
+ */
+function parseSlashReason(reason) {
+  const match = /^([a-z-]+):([a-z]+):(\d+)(?::(\d+))?$/.exec(reason);
+  if (!match) return null;
+  const fault = Object.keys(FAULTS).find((f) => FAULTS[f].kind === match[1] && FAULTS[f].source === match[2]);
+  if (!fault) return null;
+  const parsed = { fault, kind: match[1], source: match[2], conditionId: BigInt(match[3]) };
+  if (match[4] !== undefined) parsed.run = BigInt(match[4]);
+  return parsed;
+}
+
+class SlashingEngine {
+  /**
+   * @param {object} options
+   * @param {object} options.contracts connectProtocol() result, bound to the slasher (or owner) signer
+   * @param {object} [options.amounts] wei per fault, see DEFAULT_AMOUNTS
+   * @param {function} [options.assignee] async (condition) => executor charged for a missed
+   *        HelioraInterface condition (default: ConditionRegistry executor)
+   * @param {boolean} [options.dryRun=false] report planned slashes without submitting them
+   * @param {number} [options.fromBlock=0]
+   * @param {number} [options.batchSize=2000] max blocks per eth_getLogs
+   * @param {number} [options.intervalMs=30000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.contracts = options.contracts;
+    this.amounts = { ...DEFAULT_AMOUNTS, ...options.amounts };
+    this.assignee = options.assignee || (() => this.contracts.conditionRegistry.executor());
+    this.dryRun = options.dryRun === true;
+    this.intervalMs = options.intervalMs || 30000;
+    this.log = options.log || (() => {});
+
+    this.provider = this.contracts.staking.runner.provider;
+    this.fromBlock = options.fromBlock || 0;
+    this.nextBlock = this.fromBlock;
+    this.batchSize = options.batchSize || 2000;
+    this.tracked = new Set(); // HelioraInterface condition ids
+    this.history = new Map(); // tracked id => { activated, executed[], cancelled } block numbers
+    this.cursors = new Map(); // recurring id => first run not judged yet
+    this.invalid = new Set(); // ConditionRegistry challenge ids resolved invalid, not yet slashed
+    this.retries = []; // faults whose slash failed, submitted again on the next tick
+    this._window = null;
+    this._timer = null;
+    this._running = false;
+  }
+
+  async discover(toBlock) {
+    const iface = this.contracts.helioraInterface;
+    const registry = this.contracts.conditionRegistry;
+    const history = (e) => this.history.get(e.args.conditionId);
+    const scan = (contract, filter) => queryFilterInRanges(contract, filter, this.nextBlock, toBlock, this.batchSize);
+    const registered = await scan(iface, iface.filters.ConditionRegistered());
+    const activated = await scan(iface, iface.filters.ConditionActivated());
+    const executed = await scan(iface, iface.filters.ConditionExecuted());
+    const cancelled = await scan(iface, iface.filters.ConditionCancelled());
+    const resolved = await scan(registry, registry.filters.ChallengeResolved());
+
+    for (const e of registered) {
+      this.tracked.add(e.args.conditionId);
+      this.history.set(e.args.conditionId, { activated: null, executed: [], cancelled: null });
+    }
+    for (const e of activated) if (history(e)) history(e).activated = e.blockNumber;
+    for (const e of executed) history(e)?.executed.push(e.blockNumber);
+    for (const e of cancelled) if (history(e)) history(e).cancelled = e.blockNumber;
+    for (const e of resolved) if (!e.args.valid) this.invalid.add(e.args.challengeId);
+    this.nextBlock = Math.max(this.nextBlock, toBlock + 1);
+  }
+
+  /**
+   * One scan: find faults, then slash (or plan, in dry-run mode) each one once.
+   * @return {Promise<{slashed: object[], planned: object[], skipped: object[], failed: object[]}>}
+   */
+  async tick() {
+    const head = await this.provider.getBlock("latest");
+    await this.discover(head.number);
+    const done = new Set((await this.contracts.staking.getSlashHistory()).map((s) => s.reason));
+    const result = { slashed: [], planned: [], skipped: [], failed: [] };
+
+    const faults = this.retries.splice(0);
+    for (const id of [...this.tracked]) {
+      const { finished, faults: found } = await this.missedExecutions(id, head);
+      if (finished) {
+        this.tracked.delete(id);
+        this.history.delete(id);
+      }
+      for (const fault of found) (fault.skipped ? result.skipped : faults).push(fault);
+    }
+    for (const challengeId of [...this.invalid]) {
+      this.invalid.delete(challengeId);
+      faults.push(await this.invalidExecution(challengeId));
+    }
+
+    for (const fault of faults) {
+      if (done.has(fault.reason)) {
+        result.skipped.push({ ...fault, skipped: "already slashed" });
+        continue;
+      }
+      const outcome = await this.slash(fault);
+      result[outcome.bucket].push(outcome.fault);
+      if (outcome.bucket === "failed") this.retries.push(fault);
+      else done.add(fault.reason);
+    }
+    return result;
+  }
+
+  /**
+   * @return {Promise<{finished: boolean, faults: object[]}>} faults (some with `skipped`) found
+   *         so far; finished conditions are no longer tracked
+   */
+  async missedExecutions(id, head) {
+    const iface = this.contracts.helioraInterface;
+    const condition = await iface.getCondition(id);
+    const schedule = await iface.schedules(id);
+    if (schedule.interval > 0n) return this.missedRuns(id, condition, schedule, head);
+    const fault = await this.missedExecution(id, condition, head);
+    return { finished: fault !== null, faults: fault ? [fault] : [] };
+  }
+
+  /**
+   * @return {Promise<object|null>} a fault, a fault with `skipped`, or null while the window is still open
+   */
+  async missedExecution(id, condition, head) {
+    const status = Number(condition.status);
+    const byBlock = Number(condition.conditionType) === ConditionType.BLOCK_NUMBER;
+    const fault = { fault: "missed", conditionId: id, reason: slashReason("missed", id) };
+
+    if (status === ConditionStatus.EXECUTED || status === ConditionStatus.CANCELLED) return { ...fault, skipped: "finished" };
+    const closed = byBlock ? BigInt(head.number) > condition.executionWindowEnd : BigInt(head.timestamp) > condition.executionWindowEnd;
+    if (!closed) return null;
+    if (status !== ConditionStatus.ACTIVE) return { ...fault, skipped: "never activated" };
+
+    // Repeatable conditions stay ACTIVE after executing
+    const { activated, executed } = this.history.get(id);
+    if (executed.length > 0) return { ...fault, skipped: "executed" };
+
+    // Activated after the window closed: nobody could have executed it
+    if (activated !== null && (await this.point(condition, activated)) > condition.executionWindowEnd) {
+      return { ...fault, skipped: "activated after the window" };
+    }
+
+    const executor = await this.assignee(condition);
+    if (!executor) return { ...fault, skipped: "no assigned executor" };
+    return { ...fault, executor, windowEnd: condition.executionWindowEnd };
+  }
+
+  /**
+   * Recurring conditions: each scheduled run whose window closed unexecuted is
+   * a fault of its own. Runs follow HelioraInterface._dueRun: a run is due until
+   * its window closes or the next run starts, and runs before activation, or
+   * from the run the condition finished in, are not owed.
+   */
+  async missedRuns(id, condition, schedule, head) {
+    const status = Number(condition.status);
+    const byBlock = Number(condition.conditionType) === ConditionType.BLOCK_NUMBER;
+    const now = BigInt(byBlock ? head.number : head.timestamp);
+    const window = (await this.executionWindow()) * (byBlock ? 1n : 2n);
+    const { interval, endsAt } = schedule;
+    const history = this.history.get(id);
+
+    // Run an execution at `at` executed
+    const runOf = (at) => {
+      const last = endsAt !== 0n && endsAt < at ? endsAt : at;
+      return schedule.firstRun + ((last - schedule.firstRun) / interval) * interval;
+    };
+    const executed = new Set();
+    for (const block of history.executed) executed.add(runOf(await this.point(condition, block)));
+    const activatedAt = history.activated === null ? null : await this.point(condition, history.activated);
+    let finishedAt = null;
+    if (status === ConditionStatus.EXECUTED) finishedAt = await this.point(condition, history.executed.at(-1));
+    if (status === ConditionStatus.CANCELLED) finishedAt = await this.point(condition, history.cancelled);
+
+    const faults = [];
+    let executor;
+    for (let runAt = this.cursors.get(id) ?? schedule.firstRun; endsAt === 0n || runAt <= endsAt; runAt += interval) {
+      const lastRun = endsAt !== 0n && runAt + interval > endsAt;
+      const windowEnd = lastRun || window < interval ? runAt + window : runAt + interval - 1n;
+      if (finishedAt !== null && finishedAt <= windowEnd) break;
+      if (now <= windowEnd) {
+        this.cursors.set(id, runAt);
+        return { finished: false, faults };
+      }
+      if (activatedAt === null || activatedAt > windowEnd || executed.has(runAt)) continue;
+
+      const fault = { fault: "missed", conditionId: id, run: runAt, reason: slashReason("missed", id, runAt) };
+      if (executor === undefined) executor = await this.assignee(condition);
+      faults.push(executor ? { ...fault, executor, windowEnd } : { ...fault, skipped: "no assigned executor" });
+    }
+    this.cursors.delete(id);
+    return { finished: true, faults };
+  }
+
+  // Block number of an event, or its timestamp for timestamp conditions
+  async point(condition, blockNumber) {
+    if (Number(condition.conditionType) === ConditionType.BLOCK_NUMBER) return BigInt(blockNumber);
+    return BigInt((await this.provider.getBlock(blockNumber)).timestamp);
+  }
+
+  async executionWindow() {
+    if (this._window === null) this._window = await this.contracts.helioraInterface.EXECUTION_WINDOW();
+    return this._window;
+  }
+
+  // The challenge names the execution: a linked record may have recorded newer runs since
+  async invalidExecution(challengeId) {
+    const registry = this.contracts.conditionRegistry;
+    const challenge = await registry.challenges(challengeId);
+    const id = challenge.conditionId;
+    const [condition, proof] = await Promise.all([registry.getCondition(id), registry.getExecutionProof(id)]);
+    const run = condition.repeatable ? challenge.executionBlock : undefined;
+    return { fault: "invalid", conditionId: id, reason: slashReason("invalid", id, run), executor: challenge.executor, txHash: proof.txHash };
+  }
+
+  async slash(fault) {
+    const staking = this.contracts.staking;
+    const amount = this.amounts[fault.fault];
+    const entry = { ...fault, amount };
+
+    if (!(await this.slashable(fault.executor))) {
+      return { bucket: "skipped", fault: { ...entry, skipped: "executor not staked" } };
+    }
+    if (this.dryRun) {
+      this.log(`would slash ${fault.executor} ${ethers.formatEther(amount)} ETH (${fault.reason})`);
+      return { bucket: "planned", fault: entry };
+    }
+    try {
+      const tx = await staking.slashExecutor(fault.executor, amount, fault.reason, fault.conditionId);
+      await tx.wait();
+      this.log(`slashed ${fault.executor} ${ethers.formatEther(amount)} ETH (${fault.reason}) tx ${tx.hash}`);
+      return { bucket: "slashed", fault: { ...entry, slashTxHash: tx.hash } };
+    } catch (err) {
+      this.log(`${fault.reason}: slash failed - ${errorMessage(err)}`);
+      return { bucket: "failed", fault: { ...entry, error: errorMessage(err) } };
+    }
+  }
+
+  // Same check as HelioraStaking.slashExecutor: bonded stake, or stake still unbonding
+  async slashable(executor) {
+    const staking = this.contracts.staking;
+    if ((await staking.getExecutorStake(executor)).active) return true;
+    return (await staking.getUnbonding(executor)).amount > 0n;
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this.log(`slasher started (${this.dryRun ? "dry run" : "on-chain"}, every ${this.intervalMs}ms)`);
+
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.log(`tick failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_AMOUNTS,
+  SlashingEngine,
+  slashReason,
+  parseSlashReason,
+};
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Fork state snapshots
+ * A snapshot is the remote state a Hardhat fork actually read: code, balance
+ * and storage slots per account, captured by pointing the fork at a recording
+ * JSON-RPC proxy. Loading it with hardhat_setCode / hardhat_setStorageAt gives
+ * the same contracts (real USDC, real Chainlink aggregators) on a plain local
+ * network, with no RPC access.
+ *
+ * Slots that were never read are absent and read as zero after loading, so a
+ * snapshot only covers the calls made while it was captured.
+ */
+
+const DEFAULT_SNAPSHOT = path.join(__dirname, "..", "cache", "fork", "base.json");
+
+function snapshotPath(env = process.env) {
+  return env.FORK_SNAPSHOT || DEFAULT_SNAPSHOT;
+}
+
+/**
+ * @return {object|null} null when no snapshot has been captured
+ */
+function readSnapshot(file = snapshotPath()) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeSnapshot(snapshot, file = snapshotPath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+  return file;
+}
+
+// Account state reads made by the fork, keyed by JSON-RPC method
+const RECORDED = {
+  eth_getCode: (account, [, result]) => (account.code = result),
+  eth_getBalance: (account, [, result]) => (account.balance = result),
+  eth_getStorageAt: (account, [[, slot], result]) => {
+    if (BigInt(result) !== 0n) account.storage[ethers.zeroPadValue(ethers.toBeHex(BigInt(slot)), 32)] = result;
+  },
+};
+
+/**
+ * JSON-RPC proxy that forwards to `upstream` and records every account read.
+ * @param {string} upstream RPC URL
+ * @param {object} [options]
+ * @param {function} [options.fetch] fetch implementation
+ * @return {Promise<{url: string, accounts: object, close: function}>}
+ */
+async function recordingProxy(upstream, options = {}) {
+  const doFetch = options.fetch || fetch;
+  const accounts = {};
+
+  function record(request, response) {
+    const handler = RECORDED[request.method];
+    if (!handler || !response || response.error) return;
+    const address = request.params[0].toLowerCase();
+    if (!accounts[address]) accounts[address] = { code: "0x", balance: "0x0", storage: {} };
+    handler(accounts[address], [request.params, response.result]);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    try {
+      const upstreamRes = await doFetch(upstream, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+      });
+      const text = await upstreamRes.text();
+      const requests = [].concat(JSON.parse(body));
+      const responses = [].concat(JSON.parse(text));
+      for (const request of requests) record(request, responses.find((r) => r.id === request.id));
+      res.writeHead(upstreamRes.status, { "Content-Type": "application/json" });
+      res.end(text);
+    } catch (err) {
+      res.writeHead(502);
+      res.end(err.message);
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    accounts,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Write a snapshot's contracts into the local network.
+ * Accounts without code (EOAs) are left alone.
+ * @param {{request: function}} provider EIP-1193 provider, e.g. hre.network.provider
+ */
+async function loadSnapshot(provider, snapshot) {
+  for (const [address, account] of Object.entries(snapshot.accounts)) {
+    if (account.code === "0x") continue;
+    await provider.request({ method: "hardhat_setCode", params: [address, account.code] });
+    if (BigInt(account.balance) > 0n) {
+      await provider.request({ method: "hardhat_setBalance", params: [address, ethers.toQuantity(BigInt(account.balance))] });
+    }
+    for (const [slot, value] of Object.entries(account.storage)) {
+      await provider.request({ method: "hardhat_setStorageAt", params: [address, ethers.toQuantity(BigInt(slot)), value] });
+    }
+  }
+}
+
+/**
+ * Give `account` a token balance by finding the balanceOf mapping slot
+ * (keccak256(account . slot) for slot 0..maxSlot) and writing it directly.
+ * @param {{request: function}} provider EIP-1193 provider
+ * @param {import("ethers").Contract} token ERC20 bound to a runner
+ * @return {Promise<number>} the mapping slot
+ */
+async function setTokenBalance(provider, token, account, amount, { maxSlot = 20 } = {}) {
+  const address = await token.getAddress();
+  const value = ethers.zeroPadValue(ethers.toBeHex(amount), 32);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  for (let slot = 0; slot <= maxSlot; slot++) {
+    const key = ethers.keccak256(coder.encode(["address", "uint256"], [account, slot]));
+    const previous = await provider.request({ method: "eth_getStorageAt", params: [address, key, "latest"] });
+    await provider.request({ method: "hardhat_setStorageAt", params: [address, ethers.toQuantity(key), value] });
+    if ((await token.balanceOf(account)) === BigInt(amount)) return slot;
+    await provider.request({ method: "hardhat_setStorageAt", params: [address, ethers.toQuantity(key), previous] });
+  }
+  throw new Error(`No balanceOf mapping found in slots 0..${maxSlot} of ${address}`);
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT,
+  snapshotPath,
+  readSnapshot,
+  writeSnapshot,
+  recordingProxy,
+  loadSnapshot,
+  setTokenBalance,
+};
@@ -0,0 +1,158 @@
+const { Tier, enumName } = require("./enums");
+const { errorMessage } = require("./errors");
+
+/**
+ * Subscription expiry sweeper
+ * Classifies every HelioraPayment subscription against chain time and notifies
+ * the configured sinks when a subscription changes state. HelioraPayment keeps
+ * `active` set after expiry, so "expired" here means past expiresAt + GRACE_PERIOD.
+ *
+ * With a worker attached, conditions owned by lapsed (expired or cancelled)
+ * subscribers are paused and resumed again after renewal.
+ */
+
+const SubscriptionState = {
+  ACTIVE: "active",
+  EXPIRING: "expiring", // within warnDays of expiresAt
+  GRACE: "grace", // past expiresAt, inside GRACE_PERIOD
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+const LAPSED = [SubscriptionState.EXPIRED, SubscriptionState.CANCELLED];
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * @param {{active: boolean, expiresAt: bigint|number}} subscription
+ * @param {number} now chain timestamp (seconds)
+ * @param {{warnDays: number, gracePeriod: number}} options
+ */
+function classify(subscription, now, { warnDays, gracePeriod }) {
+  if (!subscription.active) return SubscriptionState.CANCELLED;
+  const expiresAt = Number(subscription.expiresAt);
+  if (now > expiresAt + gracePeriod) return SubscriptionState.EXPIRED;
+  if (now > expiresAt) return SubscriptionState.GRACE;
+  if (now > expiresAt - warnDays * DAY) return SubscriptionState.EXPIRING;
+  return SubscriptionState.ACTIVE;
+}
+
+/**
+ * Subscriber addresses from indexed SubscriptionCreated events.
+ * @param {object} store indexer store (MemoryStore / PostgresStore)
+ */
+function subscribersFromStore(store) {
+  return async () => {
+    const records = await store.find({ contract: "payment", event: "SubscriptionCreated" });
+    return [...new Set(records.map((r) => r.args.subscriber))];
+  };
+}
+
+class SubscriptionSweeper {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Contract} options.payment HelioraPayment
+   * @param {object[]} [options.sinks] see src/sinks.js
+   * @param {number} [options.warnDays=7] "expiring" threshold
+   * @param {function} [options.subscribers] async () => addresses, defaults to walking allSubscribers
+   * @param {import("./worker").ExecutorWorker} [options.worker] paused for lapsed subscribers
+   * @param {number} [options.intervalMs=3600000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.payment = options.payment;
+    this.sinks = options.sinks || [];
+    this.warnDays = options.warnDays ?? 7;
+    this.subscribers = options.subscribers || (() => this.allSubscribers());
+    this.worker = options.worker || null;
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.log = options.log || (() => {});
+
+    this.provider = this.payment.runner.provider;
+    this.states = new Map(); // subscriber => last state
+    this._timer = null;
+    this._running = false;
+  }
+
+  async allSubscribers() {
+    const count = Number(await this.payment.getSubscriberCount());
+    const addresses = [];
+    for (let i = 0; i < count; i++) addresses.push(await this.payment.allSubscribers(i));
+    return addresses;
+  }
+
+  /**
+   * Classify every subscriber, notify on state changes and pause/resume the worker.
+   * @return {Promise<object[]>} one entry per subscriber
+   */
+  async sweep() {
+    const now = (await this.provider.getBlock("latest")).timestamp;
+    const gracePeriod = Number(await this.payment.GRACE_PERIOD());
+    const results = [];
+
+    for (const subscriber of await this.subscribers()) {
+      const sub = await this.payment.getSubscription(subscriber);
+      const state = classify(sub, now, { warnDays: this.warnDays, gracePeriod });
+      const previous = this.states.get(subscriber) || null;
+      this.states.set(subscriber, state);
+
+      const result = {
+        subscriber,
+        state,
+        previous,
+        tier: enumName(Tier, sub.tier),
+        protocolName: sub.protocolName,
+        expiresAt: Number(sub.expiresAt),
+        secondsLeft: Number(sub.expiresAt) - now,
+      };
+      results.push(result);
+
+      // First sighting of a healthy subscription is not news
+      if (state !== previous && !(previous === null && state === SubscriptionState.ACTIVE)) {
+        await this.notify(result);
+      }
+      if (this.worker) {
+        if (LAPSED.includes(state)) this.worker.pauseOwner(subscriber);
+        else this.worker.resumeOwner(subscriber);
+      }
+    }
+    return results;
+  }
+
+  async notify(result) {
+    const notification = {
+      type: `subscription.${result.state}`,
+      ...result,
+      expiresAt: new Date(result.expiresAt * 1000).toISOString(),
+    };
+    for (const sink of this.sinks) {
+      try {
+        await sink.notify(notification);
+      } catch (err) {
+        this.log(`${sink.name}: notification failed - ${errorMessage(err)}`);
+      }
+    }
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    const loop = async () => {
+      try {
+        await this.sweep();
+      } catch (err) {
+        this.log(`sweep failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { SubscriptionSweeper, SubscriptionState, classify, subscribersFromStore };
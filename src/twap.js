@@ -0,0 +1,109 @@
+const { ethers } = require("ethers");
+
+/**
+ * TWAP and held-price checks through HelioraPriceOracle
+ * The verdicts come from the oracle's own views (getTwap, isPriceHeldAbove /
+ * isPriceHeldBelow) via eth_call, so they can't drift from the contract. The
+ * round walk here (back from the latest round through getRoundData, stopping at
+ * the start of the phase, a missing round or a non-positive answer) only
+ * describes a held-price streak for reports.
+ */
+
+const MAX_TWAP_ROUNDS = 50;
+const MAX_STALENESS = 3600;
+
+const AGGREGATOR_ABI = [
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+  "function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+const AGGREGATOR_ROUND_MASK = (1n << 64n) - 1n;
+
+/**
+ * Read up to `count` rounds, newest first.
+ * @param {import("ethers").Contract} feed AggregatorV3 (see AGGREGATOR_ABI)
+ * @param {number} count
+ * @param {object} [options]
+ * @param {function} [options.takeWhile] (round) => boolean, stops before the first round it rejects
+ * @return {Promise<{roundId: bigint, answer: bigint, updatedAt: bigint}[]>}
+ */
+async function readRounds(feed, count, { blockTag = "latest", takeWhile = () => true } = {}) {
+  const rounds = [];
+  let round = await feed.latestRoundData({ blockTag });
+  while (round.answer > 0n && round.updatedAt !== 0n && takeWhile(round)) {
+    rounds.push({ roundId: round.roundId, answer: round.answer, updatedAt: round.updatedAt });
+    if (rounds.length === count || (round.roundId & AGGREGATOR_ROUND_MASK) <= 1n) break;
+    try {
+      round = await feed.getRoundData(round.roundId - 1n, { blockTag });
+    } catch (_) {
+      break;
+    }
+  }
+  return rounds;
+}
+
+/**
+ * Leading streak of rounds at or beyond `threshold`.
+ * @return {{rounds: number, since: bigint|null}} since = updatedAt of the oldest round in the streak
+ */
+function heldStreak(rounds, threshold, above) {
+  let held = 0;
+  let since = null;
+  for (const { answer, updatedAt } of rounds) {
+    if (above ? answer < threshold : answer > threshold) break;
+    held++;
+    since = updatedAt;
+  }
+  return { rounds: held, since };
+}
+
+async function feedFor(oracle, pair, blockTag) {
+  const info = await oracle.getFeedInfo(pair, { blockTag });
+  if (!info.active) return null;
+  return new ethers.Contract(info.feedAddress, AGGREGATOR_ABI, oracle.runner);
+}
+
+/**
+ * HelioraPriceOracle.getTwap (null when the feed is inactive).
+ * @return {Promise<{twap: bigint, median: bigint, rounds: number, fromTimestamp: bigint, stale: boolean}|null>}
+ */
+async function getTwap(oracle, pair, count, { blockTag = "latest" } = {}) {
+  if (count < 1 || count > MAX_TWAP_ROUNDS) throw new RangeError(`rounds must be 1..${MAX_TWAP_ROUNDS}`);
+  if (!(await feedFor(oracle, pair, blockTag))) return null;
+  const check = await oracle.getTwap(pair, count, { blockTag });
+  return {
+    twap: check.twap,
+    median: check.median,
+    rounds: Number(check.rounds),
+    fromTimestamp: check.fromTimestamp,
+    stale: check.stale,
+  };
+}
+
+/**
+ * HelioraPriceOracle.isPriceHeldAbove / isPriceHeldBelow, with the streak behind it.
+ * @return {Promise<{held: boolean, rounds: number, since: bigint|null, stale: boolean}|null>}
+ */
+async function getPriceHeld(oracle, pair, threshold, { above, minRounds = 1, minDuration = 0, blockTag = "latest" }) {
+  const feed = await feedFor(oracle, pair, blockTag);
+  if (!feed) return null;
+  const held = above
+    ? await oracle.isPriceHeldAbove(pair, threshold, minRounds, minDuration, { blockTag })
+    : await oracle.isPriceHeldBelow(pair, threshold, minRounds, minDuration, { blockTag });
+  const block = await oracle.runner.provider.getBlock(blockTag);
+  const latest = await feed.latestRoundData({ blockTag });
+  const stale = BigInt(block.timestamp) - latest.updatedAt > BigInt(MAX_STALENESS);
+  const limit = BigInt(threshold);
+  const takeWhile = ({ answer }) => (above ? answer >= limit : answer <= limit);
+  const streak = heldStreak(await readRounds(feed, MAX_TWAP_ROUNDS, { blockTag, takeWhile }), limit, above);
+  return { held, ...streak, stale };
+}
+
+module.exports = {
+  MAX_TWAP_ROUNDS,
+  AGGREGATOR_ABI,
+  readRounds,
+  heldStreak,
+  getTwap,
+  getPriceHeld,
+};
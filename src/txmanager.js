@@ -0,0 +1,370 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Executor transaction manager
+ * Submits EIP-1559 transactions from a pool of executor keys without waiting for
+ * them to be mined:
+ *
+ *   - nonces are assigned from a local queue per key, so many executions can be
+ *     in flight inside one execution window
+ *   - a transaction still unmined `bumpAfterBlocks` after its last broadcast is
+ *     replaced (same nonce) with fees raised by `bumpPercent`, or to the market
+ *     fee if that is higher
+ *   - the worst-case cost (gasLimit * maxFeePerGas) of an execution never goes
+ *     above `maxSpendRatio` times its executionFee (`maxSpendWei` when the fee is 0)
+ *   - pending transactions are written to `file` after every change and picked
+ *     up again on restart
+ *
+ * Finished transactions are reported by poll(); nothing is awaited in between.
+ */
+
+const DEFAULT_GAS_BUFFER_PERCENT = 20;
+const MIN_REPLACEMENT_PERCENT = 10; // geth / Hardhat mempool replacement rule
+
+const BIGINT_FIELDS = ["value", "gasLimit", "maxFeePerGas", "maxPriorityFeePerGas", "cap"];
+
+function bump(value, percent) {
+  return (value * BigInt(100 + percent)) / 100n;
+}
+
+function max(...values) {
+  return values.reduce((a, b) => (b > a ? b : a));
+}
+
+// Another sender (e.g. the worker's own signer sharing a key) used the nonce first
+function isNonceConflict(err) {
+  return (
+    err.code === "NONCE_EXPIRED" ||
+    err.code === "REPLACEMENT_UNDERPRICED" ||
+    /nonce too low|nonce has already been used|replacement transaction underpriced|already known/i.test(err.message || "")
+  );
+}
+
+class TransactionManager {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Signer[]} options.signers executor keys, each connected to the provider
+   * @param {import("ethers").Contract} [options.helioraInterface] drops keys that are not authorized executors on init()
+   * @param {string} [options.file] pending state (JSON); in memory only when omitted
+   * @param {number} [options.bumpAfterBlocks=3]
+   * @param {number} [options.bumpPercent=15] at least 10, the mempool replacement minimum
+   * @param {number} [options.maxSpendRatio=2] cap on gasLimit * maxFeePerGas, as a multiple of executionFee
+   * @param {bigint} [options.maxSpendWei] cap when executionFee is 0 (uncapped when omitted)
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    if (!options.signers || !options.signers.length) throw new Error("No executor keys");
+    this.signers = options.signers;
+    this.provider = options.signers[0].provider;
+    this.helioraInterface = options.helioraInterface || null;
+    this.file = options.file || null;
+    this.bumpAfterBlocks = options.bumpAfterBlocks ?? 3;
+    this.bumpPercent = options.bumpPercent ?? 15;
+    this.maxSpendRatio = options.maxSpendRatio ?? 2;
+    this.maxSpendWei = options.maxSpendWei ?? null;
+    this.log = options.log || (() => {});
+    if (this.bumpPercent < MIN_REPLACEMENT_PERCENT) {
+      throw new Error(`bumpPercent must be at least ${MIN_REPLACEMENT_PERCENT}`);
+    }
+
+    this.nonces = new Map(); // address => next nonce
+    this.transactions = new Map(); // id => pending transaction
+    this._nextId = 1;
+    this._turn = 0;
+  }
+
+  /**
+   * Load persisted state, check key authorization and sync nonces with the chain.
+   */
+  async init() {
+    this._load();
+
+    if (this.helioraInterface) {
+      const authorized = [];
+      for (const signer of this.signers) {
+        const address = await signer.getAddress();
+        if (await this.helioraInterface.authorizedExecutors(address)) authorized.push(signer);
+        else this.log(`${address} is not an authorized executor, skipping`);
+      }
+      if (!authorized.length) throw new Error("No authorized executor keys");
+      this.signers = authorized;
+    }
+
+    for (const signer of this.signers) await this._syncNonce(await signer.getAddress());
+    if (this.transactions.size) this.log(`recovered ${this.transactions.size} pending transaction(s)`);
+  }
+
+  /** @return {object[]} transactions not yet mined */
+  pending() {
+    return [...this.transactions.values()];
+  }
+
+  /**
+   * Spend cap for one execution.
+   * @return {bigint|null} null = uncapped
+   */
+  spendCap(executionFee) {
+    if (executionFee > 0n) return (executionFee * BigInt(Math.round(this.maxSpendRatio * 10000))) / 10000n;
+    return this.maxSpendWei;
+  }
+
+  // ===========================================================================
+  // SUBMISSION
+  // ===========================================================================
+
+  /**
+   * Choose the key for the next submission, so the caller can simulate from it
+   * first and pass it back as `request.from`.
+   * @return {Promise<string>} address of the least busy key
+   */
+  async pickSender() {
+    return this._pickSigner().getAddress();
+  }
+
+  /**
+   * Sign and broadcast a transaction from the least busy key.
+   * @param {object} request
+   * @param {string} request.to
+   * @param {string} [request.from] key to sign with, see pickSender() (default: the least busy key)
+   * @param {string} [request.data="0x"]
+   * @param {bigint} [request.value=0n]
+   * @param {bigint} [request.executionFee] spend cap base (default: value)
+   * @param {bigint} [request.gasLimit] estimated (+20%) when omitted
+   * @param {object} [request.meta] caller data kept with the transaction (JSON)
+   * @return {Promise<object>} the pending transaction: { id, from, nonce, hash, ... }
+   */
+  async submit(request) {
+    const signer = request.from ? this._signerFor(request.from) : this._pickSigner();
+    const from = await signer.getAddress();
+    const value = request.value ?? 0n;
+    const data = request.data ?? "0x";
+    const gasLimit =
+      request.gasLimit ??
+      bump(await this.provider.estimateGas({ from, to: request.to, data, value }), DEFAULT_GAS_BUFFER_PERCENT);
+    const cap = this.spendCap(request.executionFee ?? value);
+
+    const fees = await this.provider.getFeeData();
+    let maxFeePerGas = fees.maxFeePerGas;
+    let maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+    if (cap !== null && gasLimit * maxFeePerGas > cap) {
+      const capped = cap / gasLimit;
+      const block = await this.provider.getBlock("latest");
+      if (capped < block.baseFeePerGas + maxPriorityFeePerGas) {
+        throw new Error(`Spend cap ${cap} wei is below the market cost of ${gasLimit} gas`);
+      }
+      maxFeePerGas = capped;
+    }
+
+    const tx = {
+      id: this._nextId++,
+      from,
+      nonce: this._takeNonce(from),
+      to: request.to,
+      data,
+      value,
+      gasLimit,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      cap,
+      hashes: [],
+      bumps: 0,
+      sentBlock: null,
+      meta: request.meta || {},
+    };
+
+    try {
+      await this._broadcast(signer, tx);
+    } catch (err) {
+      if (!isNonceConflict(err)) {
+        // The nonce was not used: hand it back, or resync when later ones are taken
+        if (this.nonces.get(from.toLowerCase()) === tx.nonce + 1) this.nonces.set(from.toLowerCase(), tx.nonce);
+        else await this._syncNonce(from);
+        throw err;
+      }
+      await this._syncNonce(from);
+      tx.nonce = this._takeNonce(from);
+      this.log(`tx ${tx.id}: nonce conflict, retrying with nonce ${tx.nonce}`);
+      await this._broadcast(signer, tx);
+    }
+    this.transactions.set(tx.id, tx);
+    this._persist();
+    this.log(`tx ${tx.id}: sent ${tx.hashes[0]} from ${from} (nonce ${tx.nonce})`);
+    return { ...tx, hash: tx.hashes[0] };
+  }
+
+  // ===========================================================================
+  // POLLING
+  // ===========================================================================
+
+  /**
+   * Check every pending transaction: report the mined ones, replace the stuck
+   * ones and rebroadcast any the node lost.
+   * @return {Promise<{confirmed: object[], reverted: object[], dropped: object[], bumped: object[]}>}
+   *   confirmed / reverted entries carry the `receipt`
+   */
+  async poll() {
+    const result = { confirmed: [], reverted: [], dropped: [], bumped: [] };
+    if (!this.transactions.size) return result;
+    const head = await this.provider.getBlockNumber();
+
+    for (const tx of [...this.transactions.values()]) {
+      let receipt = await this._findReceipt(tx);
+      if (!receipt && (await this.provider.getTransactionCount(tx.from, "latest")) > tx.nonce) {
+        // One of our own broadcasts may have taken the nonce since the first look
+        receipt = await this._findReceipt(tx);
+        if (!receipt) {
+          this.transactions.delete(tx.id);
+          this.log(`tx ${tx.id}: nonce ${tx.nonce} was used by another transaction`);
+          result.dropped.push(tx);
+          continue;
+        }
+      }
+      if (receipt) {
+        this.transactions.delete(tx.id);
+        const bucket = receipt.status === 1 ? "confirmed" : "reverted";
+        this.log(`tx ${tx.id}: ${bucket} in block ${receipt.blockNumber} (${receipt.hash})`);
+        result[bucket].push({ ...tx, hash: receipt.hash, receipt });
+        continue;
+      }
+
+      try {
+        if (tx.sentBlock === null || !(await this._inMempool(tx))) {
+          await this._broadcast(this._signerFor(tx.from), tx, { replace: false });
+          this.log(`tx ${tx.id}: rebroadcast`);
+        } else if (head - tx.sentBlock >= this.bumpAfterBlocks && (await this._bump(tx))) {
+          result.bumped.push({ ...tx, hash: tx.hashes.at(-1) });
+        }
+      } catch (err) {
+        this.log(`tx ${tx.id}: resend failed - ${err.shortMessage || err.message}`);
+      }
+    }
+    this._persist();
+    return result;
+  }
+
+  async _bump(tx) {
+    const fees = await this.provider.getFeeData();
+    let maxFeePerGas = max(bump(tx.maxFeePerGas, this.bumpPercent), fees.maxFeePerGas);
+    let maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas, this.bumpPercent), fees.maxPriorityFeePerGas);
+    if (tx.cap !== null && tx.gasLimit * maxFeePerGas > tx.cap) {
+      maxFeePerGas = tx.cap / tx.gasLimit;
+      if (maxFeePerGas < bump(tx.maxFeePerGas, MIN_REPLACEMENT_PERCENT)) {
+        this.log(`tx ${tx.id}: at spend cap, not bumping`);
+        return false;
+      }
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    if (maxPriorityFeePerGas < bump(tx.maxPriorityFeePerGas, MIN_REPLACEMENT_PERCENT)) {
+      this.log(`tx ${tx.id}: at spend cap, not bumping`);
+      return false;
+    }
+
+    const previous = { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+    Object.assign(tx, { maxFeePerGas, maxPriorityFeePerGas });
+    try {
+      await this._broadcast(this._signerFor(tx.from), tx);
+    } catch (err) {
+      Object.assign(tx, previous);
+      throw err;
+    }
+    tx.bumps++;
+    this.log(`tx ${tx.id}: replaced with ${tx.hashes.at(-1)} (maxFeePerGas ${maxFeePerGas})`);
+    return true;
+  }
+
+  // ===========================================================================
+  // INTERNAL
+  // ===========================================================================
+
+  async _broadcast(signer, tx, { replace = true } = {}) {
+    const sent = await signer.sendTransaction({
+      type: 2,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    });
+    if (replace || !tx.hashes.includes(sent.hash)) tx.hashes.push(sent.hash);
+    tx.sentBlock = await this.provider.getBlockNumber();
+  }
+
+  async _findReceipt(tx) {
+    for (const hash of tx.hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async _inMempool(tx) {
+    for (const hash of tx.hashes) {
+      if (await this.provider.getTransaction(hash)) return true;
+    }
+    return false;
+  }
+
+  // Fewest pending transactions first, round robin between equals
+  _pickSigner() {
+    const load = new Map(this.signers.map((s, i) => [i, 0]));
+    const index = new Map(this.signers.map((s, i) => [s.address?.toLowerCase(), i]));
+    for (const tx of this.transactions.values()) {
+      const i = index.get(tx.from.toLowerCase());
+      if (i !== undefined) load.set(i, load.get(i) + 1);
+    }
+    const order = this.signers.map((s, i) => (this._turn + i) % this.signers.length);
+    const chosen = order.reduce((best, i) => (load.get(i) < load.get(best) ? i : best));
+    this._turn = (chosen + 1) % this.signers.length;
+    return this.signers[chosen];
+  }
+
+  _signerFor(address) {
+    const signer = this.signers.find((s) => s.address?.toLowerCase() === address.toLowerCase());
+    if (!signer) throw new Error(`No key for ${address}`);
+    return signer;
+  }
+
+  _takeNonce(address) {
+    const key = address.toLowerCase();
+    const nonce = this.nonces.get(key);
+    this.nonces.set(key, nonce + 1);
+    return nonce;
+  }
+
+  // Next nonce = the chain's pending count, or past our own pending transactions
+  async _syncNonce(address) {
+    const key = address.toLowerCase();
+    let next = await this.provider.getTransactionCount(address, "pending");
+    for (const tx of this.transactions.values()) {
+      if (tx.from.toLowerCase() === key) next = Math.max(next, tx.nonce + 1);
+    }
+    this.nonces.set(key, next);
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    for (const saved of state.pending) {
+      const tx = { ...saved };
+      for (const field of BIGINT_FIELDS) tx[field] = saved[field] === null ? null : BigInt(saved[field]);
+      this.transactions.set(tx.id, tx);
+    }
+    this._nextId = state.nextId;
+  }
+
+  _persist() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const pending = this.pending().map((tx) => {
+      const saved = { ...tx };
+      for (const field of BIGINT_FIELDS) saved[field] = tx[field] === null ? null : tx[field].toString();
+      return saved;
+    });
+    fs.writeFileSync(this.file, JSON.stringify({ nextId: this._nextId, pending }, null, 2) + "\n");
+  }
+}
+
+module.exports = { TransactionManager };
@@ -0,0 +1,232 @@
+/**
+ * Challenge watcher (fraud-proof bot)
+ * Re-verifies every ConditionRegistry execution and submits challengeExecution
+ * before challengeDeadline when the recorded execution does not hold up:
+ *
+ *   - the trigger must have been met at the recorded executionBlock
+ *     (block/timestamp, or the oracle at that block via archive eth_call;
+ *     COMPOSITE conditions evaluate their whole AND/OR tree)
+ *   - executionTxHash must be a successful transaction, mined no later than the
+ *     recording, that emits HelioraExecutor.Executed for the condition's target
+ *     and selector, either for the registry id itself or for the HelioraInterface
+ *     condition executed in the same transaction. HelioraInterface records
+ *     executions of linked conditions in the execution transaction itself,
+ *     with a zero executionTxHash; that transaction is checked instead
+ *
+ * Each challenge posts ConditionRegistry.challengeBond; refunds and rewards
+ * accrue to the watcher's claimable balance (ConditionRegistry.claim).
+ */
+
+const { ethers } = require("ethers");
+const { ConditionType } = require("./enums");
+const { evaluateTrigger } = require("./evaluator");
+const { errorMessage } = require("./errors");
+const { queryFilterInRanges } = require("./logs");
+
+const DEFAULT_POLICY = {
+  verifyCondition: true,
+  verifyTransaction: true,
+  // Challenge when a check cannot be performed (e.g. no price pair known)
+  challengeUnverifiable: false,
+  // Price pair per registry condition id, falling back to defaultPair
+  pairs: {},
+  defaultPair: null,
+};
+
+class ChallengeWatcher {
+  /**
+   * @param {object} options
+   * @param {object} options.contracts connectProtocol() result (conditionRegistry, executor, priceOracle, helioraInterface)
+   * @param {object} [options.policy] see DEFAULT_POLICY
+   * @param {boolean} [options.dryRun=false] report without submitting challenges
+   * @param {number} [options.fromBlock=0]
+   * @param {number} [options.batchSize=2000] max blocks per eth_getLogs
+   * @param {number} [options.intervalMs=10000]
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.contracts = options.contracts;
+    this.policy = { ...DEFAULT_POLICY, ...options.policy };
+    this.dryRun = options.dryRun === true;
+    this.nextBlock = options.fromBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.intervalMs = options.intervalMs || 10000;
+    this.log = options.log || (() => {});
+
+    this.provider = this.contracts.conditionRegistry.runner.provider;
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * Scan new ConditionExecuted events, batchSize blocks per eth_getLogs (public
+   * RPCs cap the range), and verify each one.
+   * @return {Promise<object[]>} one report per execution
+   */
+  async tick() {
+    const head = await this.provider.getBlockNumber();
+    const registry = this.contracts.conditionRegistry;
+    const filter = registry.filters.ConditionExecuted();
+    const events = await queryFilterInRanges(registry, filter, this.nextBlock, head, this.batchSize);
+    this.nextBlock = Math.max(this.nextBlock, head + 1);
+    const reports = [];
+    for (const event of events) {
+      reports.push(
+        await this.review(event.args.id, event.args.executor, Number(event.args.blockNumber), event.transactionHash)
+      );
+    }
+    return reports;
+  }
+
+  /**
+   * Verify one recorded execution and challenge it if the policy says so.
+   * @param {string} [recordedIn] hash of the transaction that recorded it
+   */
+  async review(conditionId, executor, executionBlock, recordedIn) {
+    const registry = this.contracts.conditionRegistry;
+    const condition = await registry.getCondition(conditionId);
+    const proof = await registry.getExecutionProof(conditionId);
+    const txHash = proof.txHash === ethers.ZeroHash && recordedIn ? recordedIn : proof.txHash;
+
+    const report = { conditionId, executor, executionBlock, txHash, failures: [], unverifiable: [], challenged: false };
+
+    // Repeatable conditions overwrite the proof; only the latest one is challengeable
+    if (Number(proof.blockNumber) !== executionBlock) {
+      report.skipped = "superseded by a later execution";
+      return report;
+    }
+
+    if (this.policy.verifyCondition) await this.checkCondition(condition, executionBlock, report);
+    if (this.policy.verifyTransaction) await this.checkTransaction(condition, proof, report);
+
+    report.valid = report.failures.length === 0;
+    const shouldChallenge = !report.valid || (this.policy.challengeUnverifiable && report.unverifiable.length > 0);
+    if (shouldChallenge) await this.challenge(condition, proof, report);
+    return report;
+  }
+
+  async checkCondition(condition, executionBlock, report) {
+    const id = condition.id.toString();
+    const type = Number(condition.conditionType);
+    const nodes =
+      type === ConditionType.COMPOSITE ? await this.contracts.conditionRegistry.getConditionNodes(condition.id) : undefined;
+    const verdict = await evaluateTrigger(type, condition.conditionValue, {
+      oracle: this.contracts.priceOracle,
+      provider: this.provider,
+      pair: this.policy.pairs[id] || this.policy.defaultPair,
+      account: condition.targetContract,
+      nodes,
+      blockTag: executionBlock,
+    });
+    report.verdict = verdict;
+
+    if (verdict.ready) return;
+    if (["no price pair", "no account"].includes(verdict.reason) || verdict.reason.startsWith("unsupported")) {
+      report.unverifiable.push(`condition: ${verdict.reason}`);
+    } else {
+      report.failures.push(`condition not met at block ${executionBlock}: ${verdict.reason}`);
+    }
+  }
+
+  async checkTransaction(condition, proof, report) {
+    const receipt = await this.provider.getTransactionReceipt(report.txHash);
+    if (!receipt) {
+      report.failures.push("execution tx not found");
+      return;
+    }
+    if (receipt.status !== 1) {
+      report.failures.push("execution tx reverted");
+      return;
+    }
+    if (receipt.blockNumber > Number(proof.blockNumber)) {
+      report.failures.push("execution tx mined after it was recorded");
+      return;
+    }
+
+    const executor = this.contracts.executor;
+    const executorAddress = (await executor.getAddress()).toLowerCase();
+    const executed = receipt.logs
+      .filter((log) => log.address.toLowerCase() === executorAddress)
+      .map((log) => executor.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === "Executed" && parsed.args.success);
+
+    const interfaceIds = await this.interfaceExecutions(receipt);
+    const match = executed.find(
+      (e) =>
+        e.args.targetContract === condition.targetContract &&
+        e.args.targetFunction === condition.targetFunction &&
+        (e.args.conditionId === condition.id || interfaceIds.has(e.args.conditionId))
+    );
+    if (!match) report.failures.push("execution tx has no matching HelioraExecutor.Executed event");
+  }
+
+  // HelioraInterface condition ids executed in this receipt
+  async interfaceExecutions(receipt) {
+    const iface = this.contracts.helioraInterface;
+    const ids = new Set();
+    if (!iface) return ids;
+    const address = (await iface.getAddress()).toLowerCase();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) continue;
+      const parsed = iface.interface.parseLog(log);
+      if (parsed && parsed.name === "ConditionExecuted") ids.add(parsed.args.conditionId);
+    }
+    return ids;
+  }
+
+  async challenge(condition, proof, report) {
+    const registry = this.contracts.conditionRegistry;
+    const head = await this.provider.getBlockNumber();
+    // Challenges are per execution: an open one on an earlier run of a linked
+    // record leaves this run challengeable
+    if (proof.challenged) {
+      report.skipped = "already challenged";
+      report.challengeId = await registry.latestChallenge(condition.id);
+      return;
+    }
+    // The challenge lands in the next block at the earliest
+    if (BigInt(head) + 1n > condition.challengeDeadline) {
+      report.skipped = "challenge period expired";
+      this.log(`condition ${condition.id}: invalid execution, challenge period expired`);
+      return;
+    }
+    if (this.dryRun) {
+      this.log(`condition ${condition.id}: would challenge (${report.failures.concat(report.unverifiable).join("; ")})`);
+      return;
+    }
+
+    try {
+      const tx = await registry.challengeExecution(condition.id, { value: await registry.challengeBond() });
+      await tx.wait();
+      report.challenged = true;
+      report.challengeTx = tx.hash;
+      report.challengeId = await registry.latestChallenge(condition.id);
+      this.log(`condition ${condition.id}: challenged (${tx.hash})`);
+    } catch (err) {
+      report.error = errorMessage(err);
+      this.log(`condition ${condition.id}: challenge failed - ${report.error}`);
+    }
+  }
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.log(`tick failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { ChallengeWatcher, DEFAULT_POLICY };
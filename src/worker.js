@@ -0,0 +1,388 @@
+/**
+ * Heliora executor worker
+ * Discovers HelioraInterface conditions from ConditionRegistered events, executes
+ * them once ready and inside the execution window. HelioraInterface records the
+ * execution on the linked ConditionRegistry record and credits the executor on
+ * HelioraStaking itself; conditions registered before linking have no record
+ * until linkCondition, and the worker only credits the executor for them (see
+ * recordOutcome). Every execution is simulated first (src/preflight.js) and only
+ * submitted when it would succeed.
+ * With a TransactionManager (src/txmanager.js) executions are submitted without
+ * waiting and settled on a later tick, once mined. Recurring conditions stay
+ * tracked from run to run until their schedule ends. Conditions bound to FIXED
+ * calldata execute with the committed payload; for the others, `callData` applies.
+ */
+
+const {
+  InterfaceConditionType: ConditionType,
+  InterfaceConditionStatus: ConditionStatus,
+  CalldataMode,
+} = require("./enums");
+const { preflightExecution } = require("./preflight");
+const { errorMessage } = require("./errors");
+const { queryFilterInRanges } = require("./logs");
+
+class ExecutorWorker {
+  /**
+   * @param {object} options
+   * @param {object} options.contracts connectProtocol() result, bound to the executor signer
+   * @param {string} options.executorAddress address of the signer submitting executions
+   * @param {boolean} [options.dryRun=true] simulate executions with eth_call only
+   * @param {Array} [options.targetAbi] names custom errors of targets in preflight failures
+   * @param {import("./txmanager").TransactionManager} [options.txManager] submits executions from a key pool
+   * @param {number} [options.intervalMs=10000]
+   * @param {number} [options.fromBlock=0] first block scanned for ConditionRegistered
+   * @param {number} [options.batchSize=2000] max blocks per eth_getLogs
+   * @param {function} [options.callData] (condition) => bytes passed to executeCondition, unless
+   *   the condition committed FIXED calldata
+   * @param {function} [options.log]
+   */
+  constructor(options) {
+    this.contracts = options.contracts;
+    this.executorAddress = options.executorAddress;
+    this.dryRun = options.dryRun !== false;
+    this.intervalMs = options.intervalMs || 10000;
+    this.callData = options.callData || (() => "0x");
+    this.targetAbi = options.targetAbi;
+    this.txManager = options.txManager || null;
+    this.log = options.log || (() => {});
+
+    this.provider = this.contracts.helioraInterface.runner.provider;
+    this.nextBlock = options.fromBlock || 0;
+    this.batchSize = options.batchSize || 2000;
+    this.tracked = new Set(); // HelioraInterface condition ids
+    this.linkedIds = new Map(); // interface id => HelioraInterface.registryIds
+    this.schedules = new Map(); // interface id => recurring schedule, or null
+    this.boundCalldata = new Map(); // interface id => FIXED calldata, or null
+    this.pausedOwners = new Set(); // lowercased protocol addresses
+    this._timer = null;
+    this._running = false;
+  }
+
+  // ===========================================================================
+  // DISCOVERY
+  // ===========================================================================
+
+  async discover(toBlock) {
+    const iface = this.contracts.helioraInterface;
+    const filter = iface.filters.ConditionRegistered();
+    const events = await queryFilterInRanges(iface, filter, this.nextBlock, toBlock, this.batchSize);
+    this.nextBlock = Math.max(this.nextBlock, toBlock + 1);
+    const ids = [];
+    for (const e of events) {
+      ids.push(e.args.conditionId);
+      this.tracked.add(e.args.conditionId);
+    }
+    if (ids.length) this.log(`discovered ${ids.length} condition(s): ${ids.join(", ")}`);
+    return ids;
+  }
+
+  // ===========================================================================
+  // POLLING
+  // ===========================================================================
+
+  /**
+   * Run one discovery + execution pass.
+   * @return {Promise<{discovered: bigint[], executed: object[], submitted: object[], skipped: object[], failed: object[]}>}
+   *   submitted: sent through the txManager, reported under executed / failed once mined
+   */
+  async tick() {
+    const head = await this.provider.getBlock("latest");
+    const result = {
+      discovered: await this.discover(head.number),
+      executed: [],
+      submitted: [],
+      skipped: [],
+      failed: [],
+    };
+    if (this.txManager) await this.settle(result);
+
+    const fee = await this.contracts.helioraInterface.executionFee();
+    for (const id of [...this.tracked]) {
+      const outcome = await this.processCondition(id, head, fee);
+      result[outcome.bucket].push(outcome);
+    }
+    return result;
+  }
+
+  async processCondition(id, head, fee) {
+    if (this.inFlight().has(id)) return { bucket: "skipped", conditionId: id, reason: "in flight" };
+    const iface = this.contracts.helioraInterface;
+    const condition = await iface.getCondition(id);
+    const status = Number(condition.status);
+
+    if (status === ConditionStatus.EXECUTED || status === ConditionStatus.CANCELLED) {
+      this.tracked.delete(id);
+      return { bucket: "skipped", conditionId: id, reason: "finished" };
+    }
+    if (this.pausedOwners.has(condition.protocol.toLowerCase())) {
+      return { bucket: "skipped", conditionId: id, reason: "owner paused" };
+    }
+    if (await this.schedule(id)) {
+      const skip = await this.recurringSkip(condition, head);
+      if (skip) return skip;
+    } else {
+      if (!(await iface.isConditionReady(id))) {
+        return { bucket: "skipped", conditionId: id, reason: status === ConditionStatus.ACTIVE ? "not ready" : "not active" };
+      }
+      if (!this.withinWindow(condition, head)) {
+        this.tracked.delete(id);
+        this.log(`condition ${id}: execution window expired`);
+        return { bucket: "skipped", conditionId: id, reason: "window expired" };
+      }
+    }
+
+    try {
+      return await this.execute(condition, fee);
+    } catch (err) {
+      this.log(`condition ${id}: execution failed - ${errorMessage(err)}`);
+      return { bucket: "failed", conditionId: id, reason: errorMessage(err) };
+    }
+  }
+
+  // Skip outcome for a recurring condition, or null when its run is due. A missed
+  // run is skipped on-chain, so only a finished schedule stops tracking.
+  async recurringSkip(condition, head) {
+    const id = condition.conditionId;
+    const iface = this.contracts.helioraInterface;
+    const status = Number(condition.status);
+    const [ready, next] = await Promise.all([iface.isConditionReady(id), iface.getNextRun(id)]);
+
+    if (next.runAt === 0n) {
+      this.tracked.delete(id);
+      return { bucket: "skipped", conditionId: id, reason: "schedule ended" };
+    }
+    if (!ready) {
+      return { bucket: "skipped", conditionId: id, reason: status === ConditionStatus.ACTIVE ? "not ready" : "not active", nextRun: next.runAt };
+    }
+    if (!this.withinWindow({ conditionType: condition.conditionType, executionWindowEnd: next.windowEnd }, head)) {
+      return { bucket: "skipped", conditionId: id, reason: "window closing", nextRun: next.runAt };
+    }
+    return null;
+  }
+
+  /**
+   * HelioraInterface.schedules(id), cached; null for conditions without a schedule.
+   */
+  async schedule(id) {
+    if (!this.schedules.has(id)) {
+      const s = await this.contracts.helioraInterface.schedules(id);
+      this.schedules.set(id, s.interval > 0n ? { interval: s.interval, maxRuns: s.maxRuns, endsAt: s.endsAt, firstRun: s.firstRun } : null);
+    }
+    return this.schedules.get(id);
+  }
+
+  /**
+   * Calldata to execute with: the FIXED commitment, cached (it can't change once
+   * the condition is active), or options.callData.
+   */
+  async resolveCallData(condition) {
+    const id = condition.conditionId;
+    if (!this.boundCalldata.has(id)) {
+      const iface = this.contracts.helioraInterface;
+      const mode = Number(await iface.calldataModes(id));
+      this.boundCalldata.set(id, mode === CalldataMode.FIXED ? await iface.getFixedCalldata(id) : null);
+    }
+    return this.boundCalldata.get(id) ?? this.callData(condition);
+  }
+
+  // The execution lands in the next block at the earliest
+  withinWindow(condition, head) {
+    if (Number(condition.conditionType) === ConditionType.BLOCK_NUMBER) {
+      return BigInt(head.number) + 1n <= condition.executionWindowEnd;
+    }
+    return BigInt(head.timestamp) < condition.executionWindowEnd;
+  }
+
+  // ===========================================================================
+  // EXECUTION
+  // ===========================================================================
+
+  async execute(condition, fee) {
+    const id = condition.conditionId;
+    const callData = await this.resolveCallData(condition);
+    const iface = this.contracts.helioraInterface;
+    // Simulate from the key that will sign
+    const from = this.txManager ? await this.txManager.pickSender() : this.executorAddress;
+
+    const check = await preflightExecution(iface, id, {
+      from,
+      callData,
+      value: fee,
+      targetAbi: this.targetAbi,
+    });
+    if (!check.ok) {
+      const { category, message } = check.revert;
+      // Parked until the challenge on its last run is resolved
+      if (category === "UNDER_CHALLENGE") return { bucket: "skipped", conditionId: id, reason: "under challenge" };
+      // The linked record takes no more runs
+      if (category === "WINDOW_EXPIRED" || category === "RECORD_CLOSED") this.tracked.delete(id);
+      this.log(`condition ${id}: preflight failed - ${message}`);
+      return { bucket: "failed", conditionId: id, reason: message, category, submitted: false };
+    }
+    if (this.dryRun) {
+      this.log(`condition ${id}: dry run ok (fee ${fee}, gas ${check.gasEstimate})`);
+      return { bucket: "executed", conditionId: id, dryRun: true, fee, gasEstimate: check.gasEstimate };
+    }
+    if (this.txManager) {
+      const tx = await this.txManager.submit({
+        to: await iface.getAddress(),
+        from,
+        data: iface.interface.encodeFunctionData("executeCondition", [id, callData]),
+        value: fee,
+        executionFee: fee,
+        meta: { conditionId: id.toString() },
+      });
+      this.log(`condition ${id}: submitted ${tx.hash} from ${tx.from}`);
+      return { bucket: "submitted", conditionId: id, fee, txId: tx.id, from: tx.from, nonce: tx.nonce, txHash: tx.hash };
+    }
+
+    const tx = await iface.executeCondition(id, callData, { value: fee });
+    const receipt = await tx.wait();
+    this.log(`condition ${id}: executed in block ${receipt.blockNumber} (${receipt.hash})`);
+
+    const outcome = {
+      bucket: "executed",
+      conditionId: id,
+      dryRun: false,
+      fee,
+      gasEstimate: check.gasEstimate,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+    return Object.assign(outcome, await this.recordOutcome(condition));
+  }
+
+  // Condition ids with an execution pending in the txManager (including ones recovered from disk)
+  inFlight() {
+    if (!this.txManager) return new Set();
+    return new Set(
+      this.txManager
+        .pending()
+        .filter((tx) => tx.meta.conditionId !== undefined)
+        .map((tx) => BigInt(tx.meta.conditionId))
+    );
+  }
+
+  /**
+   * Move mined txManager executions to executed (recorded + credited) or failed.
+   */
+  async settle(result) {
+    const { confirmed, reverted, dropped } = await this.txManager.poll();
+    for (const tx of confirmed) {
+      if (tx.meta.conditionId === undefined) continue;
+      const id = BigInt(tx.meta.conditionId);
+      const condition = await this.contracts.helioraInterface.getCondition(id);
+      const outcome = {
+        bucket: "executed",
+        conditionId: id,
+        dryRun: false,
+        fee: tx.value,
+        from: tx.from,
+        txHash: tx.hash,
+        blockNumber: tx.receipt.blockNumber,
+        bumps: tx.bumps,
+      };
+      result.executed.push(Object.assign(outcome, await this.recordOutcome(condition, tx.from)));
+    }
+    for (const tx of [...reverted, ...dropped]) {
+      if (tx.meta.conditionId === undefined) continue;
+      const reason = tx.receipt ? `reverted in block ${tx.receipt.blockNumber}` : "dropped";
+      this.log(`condition ${tx.meta.conditionId}: execution ${reason}`);
+      result.failed.push({ bucket: "failed", conditionId: BigInt(tx.meta.conditionId), reason, txHash: tx.hash });
+    }
+  }
+
+  /**
+   * Registry id and executor credit of a mined execution. Linked conditions were
+   * recorded and credited by HelioraInterface in the execution itself (credited
+   * when the executor has an active stake). Unlinked ones are not recorded: only
+   * an explicit link says which registry record a condition is.
+   * @return {Promise<{registryId: bigint|null, credited: boolean}>}
+   */
+  async recordOutcome(condition, executor = this.executorAddress) {
+    const linked = await this.linkedRegistryId(condition.conditionId);
+    if (linked === null) {
+      return { registryId: null, credited: await this.creditExecutor(condition.conditionId, executor) };
+    }
+    const staking = this.contracts.staking;
+    const credited = staking ? (await staking.getExecutorStake(executor)).active : false;
+    return { registryId: linked, credited };
+  }
+
+  /**
+   * HelioraInterface.registryIds(id), or null while the condition is not linked.
+   * Only links are cached: linkCondition can link a condition later.
+   */
+  async linkedRegistryId(id) {
+    if (!this.linkedIds.has(id)) {
+      const registryId = await this.contracts.helioraInterface.registryIds(id);
+      if (registryId === 0n) return null;
+      this.linkedIds.set(id, registryId);
+    }
+    return this.linkedIds.get(id);
+  }
+
+  async creditExecutor(conditionId, executor = this.executorAddress) {
+    const staking = this.contracts.staking;
+    if (!staking) return false;
+
+    try {
+      await (await staking.recordExecution(executor)).wait();
+      return true;
+    } catch (err) {
+      this.log(`condition ${conditionId}: staking.recordExecution failed - ${errorMessage(err)}`);
+      return false;
+    }
+  }
+
+  // ===========================================================================
+  // OWNERS
+  // ===========================================================================
+
+  /**
+   * Stop executing conditions owned by `protocol` (e.g. lapsed subscription).
+   * Its conditions stay tracked and resume with resumeOwner().
+   */
+  pauseOwner(protocol) {
+    const key = protocol.toLowerCase();
+    if (this.pausedOwners.has(key)) return false;
+    this.pausedOwners.add(key);
+    this.log(`paused conditions owned by ${protocol}`);
+    return true;
+  }
+
+  resumeOwner(protocol) {
+    if (!this.pausedOwners.delete(protocol.toLowerCase())) return false;
+    this.log(`resumed conditions owned by ${protocol}`);
+    return true;
+  }
+
+  // ===========================================================================
+  // LIFECYCLE
+  // ===========================================================================
+
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this.log(`worker started (${this.dryRun ? "dry run" : "on-chain"}, every ${this.intervalMs}ms)`);
+
+    const loop = async () => {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.log(`tick failed - ${errorMessage(err)}`);
+      }
+      if (this._running) this._timer = setTimeout(loop, this.intervalMs);
+    };
+    loop();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { ExecutorWorker };
@@ -0,0 +1,119 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Operator administration tasks
+ *   npx hardhat heliora:set-fee --fee 0.001 --network base
+ * Addresses come from deployments/<network>.json. Every task prints the calls it
+ * will send and a before/after diff, and asks for confirmation unless --yes.
+ */
+
+function adminTask(name, description) {
+  return task(`heliora:${name}`, description)
+    .addOptionalParam("deployments", "Manifest directory (default: deployments/)", undefined, types.string)
+    .addFlag("yes", "Skip the confirmation prompt");
+}
+
+async function run(hre, action, args, params) {
+  const { readManifest } = require("../src/deployments");
+  const { connectProtocol } = require("../src/contracts");
+  const { runAdminAction } = require("../src/admin");
+
+  const manifest = readManifest(hre.network.name, args.deployments);
+  const [signer] = await hre.ethers.getSigners();
+  const contracts = connectProtocol(manifest.contracts, signer);
+  console.log(`${hre.network.name} (${manifest.chainId}) as ${signer.address}`);
+  return runAdminAction(contracts, action, params, { yes: args.yes, log: console.log });
+}
+
+const uint = (value) => (value === undefined ? undefined : BigInt(value));
+
+adminTask("authorize-executor", "Authorize an executor on HelioraExecutor and HelioraInterface")
+  .addParam("account", "Executor address")
+  .setAction((args, hre) => run(hre, "authorize-executor", args, { account: args.account }));
+
+adminTask("revoke-executor", "Revoke an executor on HelioraExecutor and HelioraInterface")
+  .addParam("account", "Executor address")
+  .setAction((args, hre) => run(hre, "revoke-executor", args, { account: args.account }));
+
+adminTask("set-fee", "Set the HelioraInterface execution fee")
+  .addParam("fee", "Fee in ETH (0 for no fee)")
+  .setAction((args, hre) => run(hre, "set-fee", args, { fee: args.fee }));
+
+adminTask("set-tier", "Update a payment tier; omitted fields keep their current value")
+  .addParam("tier", "TESTNET, MAINNET or ENTERPRISE")
+  .addOptionalParam("priceUsdc", "Price in USDC")
+  .addOptionalParam("priceEth", "Price in ETH")
+  .addOptionalParam("maxConditions", "Max conditions (0 = unlimited)")
+  .addOptionalParam("maxExecutionsDay", "Max executions per day (0 = unlimited)")
+  .addOptionalParam("active", "Tier available for purchase", undefined, types.boolean)
+  .setAction((args, hre) =>
+    run(hre, "set-tier", args, {
+      tier: args.tier,
+      priceUsdc: args.priceUsdc,
+      priceEth: args.priceEth,
+      maxConditions: uint(args.maxConditions),
+      maxExecutionsDay: uint(args.maxExecutionsDay),
+      active: args.active,
+    })
+  );
+
+adminTask("grant-subscription", "Grant a subscription without payment")
+  .addParam("subscriber", "Subscriber address")
+  .addParam("tier", "TESTNET, MAINNET or ENTERPRISE")
+  .addOptionalParam("days", "Duration in days", 30, types.int)
+  .addOptionalParam("protocolName", "Protocol name", "")
+  .setAction((args, hre) =>
+    run(hre, "grant-subscription", args, {
+      subscriber: args.subscriber,
+      tier: args.tier,
+      days: args.days,
+      protocolName: args.protocolName,
+    })
+  );
+
+adminTask("register-feed", "Register (or replace) a Chainlink price feed")
+  .addParam("pair", "Price pair, e.g. ETH/USD")
+  .addParam("feed", "Chainlink aggregator address")
+  .setAction((args, hre) => run(hre, "register-feed", args, { pair: args.pair, feed: args.feed }));
+
+adminTask("remove-feed", "Deactivate a Chainlink price feed")
+  .addParam("pair", "Price pair, e.g. ETH/USD")
+  .setAction((args, hre) => run(hre, "remove-feed", args, { pair: args.pair }));
+
+adminTask("slash", "Slash an executor's stake")
+  .addParam("executor", "Executor address")
+  .addParam("amount", "Amount in ETH")
+  .addParam("reason", "Reason recorded on-chain")
+  .addOptionalParam("conditionId", "Related condition id", "0")
+  .setAction((args, hre) =>
+    run(hre, "slash", args, {
+      executor: args.executor,
+      amount: args.amount,
+      reason: args.reason,
+      conditionId: args.conditionId,
+    })
+  );
+
+adminTask("set-challenge-terms", "Update ConditionRegistry challenge terms; omitted fields keep their current value")
+  .addOptionalParam("bond", "Challenge bond in ETH")
+  .addOptionalParam("slashAmount", "Executor stake slashed on an upheld challenge, in ETH")
+  .addOptionalParam("rewardBps", "Share of the slashed stake paid to the challenger (basis points)")
+  .addOptionalParam("resolutionTimeout", "Blocks the owner has to resolve a challenge")
+  .setAction((args, hre) =>
+    run(hre, "set-challenge-terms", args, {
+      bond: args.bond,
+      slashAmount: args.slashAmount,
+      rewardBps: uint(args.rewardBps),
+      resolutionTimeout: uint(args.resolutionTimeout),
+    })
+  );
+
+adminTask("set-paused", "Pause or unpause the protocol, or one pause scope")
+  .addParam("paused", "true or false", undefined, types.boolean)
+  .addOptionalParam("scope", "REGISTRATION, EXECUTION, STAKING or PAYMENTS (default: everything)")
+  .setAction((args, hre) => run(hre, "set-paused", args, { paused: args.paused, scope: args.scope }));
+
+adminTask("transfer-ownership", "Transfer ownership of the protocol contracts")
+  .addParam("to", "New owner")
+  .addOptionalParam("contracts", "Comma-separated manifest keys (default: all)")
+  .setAction((args, hre) => run(hre, "transfer-ownership", args, { to: args.to, contracts: args.contracts }));
@@ -0,0 +1,19 @@
+const { task, types } = require("hardhat/config");
+
+task("heliora:deploy", "Deploy and wire all Heliora Protocol contracts")
+  .addOptionalParam("treasury", "HelioraPayment treasury (default: deployer)")
+  .addOptionalParam("slasher", "HelioraStaking slasher (default: deployer)")
+  .addOptionalParam("operator", "Off-chain executor account (default: deployer)")
+  .addOptionalParam("usdc", "USDC address override")
+  .addOptionalParam("out", "Manifest directory (default: deployments/)", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const { deployProtocol } = require("../scripts/deploy");
+    await deployProtocol(hre, {
+      treasury: args.treasury,
+      slasher: args.slasher,
+      operator: args.operator,
+      usdc: args.usdc,
+      outDir: args.out,
+      log: console.log,
+    });
+  });
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+const PRICE_USDC = 500_000000n; // MAINNET tier, 6 decimals
+
+/**
+ * Base fork snapshot for the integration tests (test/Fork.test.js)
+ *   npx hardhat heliora:fork-snapshot --rpc https://mainnet.base.org
+ * Forks Base through a recording proxy, runs the calls the tests make against
+ * real USDC and the Chainlink feeds, and stores every account read to disk.
+ * Hardhat's fork response cache is cleared first: cached reads would never
+ * reach the proxy.
+ */
+task("heliora:fork-snapshot", "Capture Base state for the fork integration tests")
+  .addOptionalParam("rpc", "Base RPC URL (default: FORK_RPC_URL, then RPC_URL)")
+  .addOptionalParam("block", "Fork block (default: latest)", undefined, types.int)
+  .addOptionalParam("out", "Snapshot file (default: FORK_SNAPSHOT or cache/fork/base.json)")
+  .setAction(async (args, hre) => {
+    const { ethers } = require("ethers");
+    const { NETWORKS, deployProtocol } = require("../scripts/deploy");
+    const { recordingProxy, setTokenBalance, snapshotPath, writeSnapshot } = require("../src/snapshot");
+
+    if (hre.network.name !== "hardhat") throw new Error("heliora:fork-snapshot runs on the in-process hardhat network");
+    const rpc = args.rpc || process.env.FORK_RPC_URL || process.env.RPC_URL;
+    if (!rpc) throw new Error("No RPC URL (--rpc, FORK_RPC_URL or RPC_URL)");
+
+    const upstream = new ethers.JsonRpcProvider(rpc);
+    const { chainId } = await upstream.getNetwork();
+    if (chainId !== 8453n) throw new Error(`Expected Base (8453), got chain ${chainId}`);
+    const block = await upstream.getBlock(args.block ?? "latest");
+    const { usdc, feeds } = NETWORKS.base;
+
+    fs.rmSync(path.join(hre.config.paths.cache, "hardhat-network-fork"), { recursive: true, force: true });
+    const proxy = await recordingProxy(rpc);
+    const provider = hre.network.provider;
+    try {
+      await provider.request({ method: "hardhat_reset", params: [{ forking: { jsonRpcUrl: proxy.url, blockNumber: block.number } }] });
+
+      const [, subscriber] = await hre.ethers.getSigners();
+      const manifest = await deployProtocol(hre, { outDir: false, usdc, feeds });
+      const oracle = await hre.ethers.getContractAt("HelioraPriceOracle", manifest.contracts.priceOracle);
+      for (const pair of Object.keys(feeds)) await oracle.getPrice(pair);
+
+      const token = await hre.ethers.getContractAt("IERC20", usdc);
+      await token.decimals();
+      await setTokenBalance(provider, token, subscriber.address, PRICE_USDC);
+      await token.connect(subscriber).approve(manifest.contracts.payment, PRICE_USDC);
+      const payment = await hre.ethers.getContractAt("HelioraPayment", manifest.contracts.payment);
+      await (await payment.connect(subscriber).subscribeUSDC(1, "Snapshot")).wait();
+    } finally {
+      await provider.request({ method: "hardhat_reset", params: [] });
+      await proxy.close();
+    }
+
+    const file = writeSnapshot(
+      {
+        network: "base",
+        chainId: 8453,
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        usdc,
+        feeds,
+        accounts: proxy.accounts,
+      },
+      args.out || snapshotPath()
+    );
+    console.log(`Captured ${Object.keys(proxy.accounts).length} account(s) at block ${block.number} to ${file}`);
+    return file;
+  });
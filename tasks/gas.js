@@ -0,0 +1,27 @@
+const { task, types } = require("hardhat/config");
+const { TASK_TEST } = require("hardhat/builtin-tasks/task-names");
+
+/**
+ * Gas benchmarks against the committed budget (test/Gas.test.js)
+ *   npx hardhat heliora:gas
+ *   npx hardhat heliora:gas --tolerance 2
+ *   npx hardhat heliora:gas --update
+ *   npx hardhat heliora:gas --runs 10000 --via-ir false
+ * --runs / --via-ir override the optimizer settings for this run only and
+ * recompile, so the report compares the tuned build against the baseline.
+ */
+task("heliora:gas", "Benchmark contract functions against test/gas/baseline.json")
+  .addOptionalParam("tolerance", "Allowed increase over the baseline, in percent", undefined, types.float)
+  .addOptionalParam("runs", "Optimizer runs override", undefined, types.int)
+  .addOptionalParam("viaIr", "viaIR override", undefined, types.boolean)
+  .addFlag("update", "Rewrite the baseline with the current numbers")
+  .setAction(async (args, hre) => {
+    for (const { settings } of hre.config.solidity.compilers) {
+      if (args.runs !== undefined) settings.optimizer = { ...settings.optimizer, enabled: true, runs: args.runs };
+      if (args.viaIr !== undefined) settings.viaIR = args.viaIr;
+    }
+    process.env.GAS_REPORT = "true";
+    if (args.update) process.env.GAS_UPDATE = "true";
+    if (args.tolerance !== undefined) process.env.GAS_TOLERANCE = String(args.tolerance);
+    return hre.run(TASK_TEST, { testFiles: ["test/Gas.test.js"] });
+  });
@@ -0,0 +1,5 @@
+require("./deploy");
+require("./admin");
+require("./revenue");
+require("./fork");
+require("./gas");
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+
+/**
+ * Revenue report from HelioraPayment receipts
+ *   npx hardhat heliora:revenue --network base --format csv --out revenue.csv --usd
+ */
+task("heliora:revenue", "Export billed, recognized and deferred revenue by month, tier and currency")
+  .addOptionalParam("format", "csv or json", "csv")
+  .addOptionalParam("out", "Output file (default: stdout)")
+  .addOptionalParam("asOf", "Report date, ISO 8601 (default: latest block)")
+  .addOptionalParam("pair", "Oracle pair for ETH conversion", "ETH/USD")
+  .addOptionalParam("deployments", "Manifest directory (default: deployments/)", undefined, types.string)
+  .addFlag("usd", "Convert ETH receipts to USD with HelioraPriceOracle at the receipt block")
+  .setAction(async (args, hre) => {
+    const { readManifest } = require("../src/deployments");
+    const { connectProtocol } = require("../src/contracts");
+    const { fetchReceipts, attachUsd, buildRevenueReport, toCsv, toJson } = require("../src/revenue");
+
+    if (!["csv", "json"].includes(args.format)) throw new Error(`Unknown format "${args.format}" (expected csv, json)`);
+    const manifest = readManifest(hre.network.name, args.deployments);
+    const contracts = connectProtocol(manifest.contracts, hre.ethers.provider);
+
+    const asOf = args.asOf
+      ? Math.floor(Date.parse(args.asOf) / 1000)
+      : (await hre.ethers.provider.getBlock("latest")).timestamp;
+    if (Number.isNaN(asOf)) throw new Error(`Invalid --as-of "${args.asOf}"`);
+
+    const receipts = await fetchReceipts(contracts.payment);
+    if (args.usd) {
+      await attachUsd(receipts, { oracle: contracts.priceOracle, pair: args.pair });
+      for (const r of receipts.filter((r) => r.priceError)) {
+        console.error(`receipt ${r.index}: no ${args.pair} price (${r.priceError})`);
+      }
+    }
+
+    const report = buildRevenueReport(receipts, { asOf });
+    const output = args.format === "csv" ? toCsv(report) : toJson(report) + "\n";
+    if (args.out) {
+      fs.writeFileSync(args.out, output);
+      console.log(`Wrote ${report.rows.length} row(s) to ${args.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return report;
+  });
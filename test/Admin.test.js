@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { runAdminAction, diffState } = require("../src/admin");
+
+const { ethers } = hre;
+
+describe("Admin", function () {
+  let manifest, contracts, owner, executor, subscriber, lines;
+
+  beforeEach(async function () {
+    [owner, executor, subscriber] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false });
+    contracts = connectProtocol(manifest.contracts, owner);
+    lines = [];
+  });
+
+  function run(action, params, options = {}) {
+    return runAdminAction(contracts, action, params, { yes: true, log: (l) => lines.push(l), ...options });
+  }
+
+  it("should authorize and revoke an executor on both contracts", async function () {
+    const result = await run("authorize-executor", { account: executor.address });
+    expect(result.txHashes).to.have.length(2);
+    expect(await contracts.executor.authorizedCallers(executor.address)).to.be.true;
+    expect(await contracts.helioraInterface.authorizedExecutors(executor.address)).to.be.true;
+    expect(lines).to.include("* helioraInterface.authorizedExecutors: false -> true");
+
+    await run("revoke-executor", { account: executor.address });
+    expect(await contracts.executor.authorizedCallers(executor.address)).to.be.false;
+    expect(await contracts.helioraInterface.authorizedExecutors(executor.address)).to.be.false;
+  });
+
+  it("should ask for confirmation unless --yes", async function () {
+    const questions = [];
+    const result = await run("set-fee", { fee: "0.01" }, { yes: false, confirm: async (q) => (questions.push(q), false) });
+    expect(questions).to.have.length(1);
+    expect(result.aborted).to.be.true;
+    expect(await contracts.helioraInterface.executionFee()).to.equal(0);
+
+    await run("set-fee", { fee: "0.01" }, { yes: false, confirm: async () => true });
+    expect(await contracts.helioraInterface.executionFee()).to.equal(ethers.parseEther("0.01"));
+  });
+
+  it("should keep unspecified tier fields", async function () {
+    const before = await contracts.payment.getTierConfig(1);
+    const result = await run("set-tier", { tier: "mainnet", priceUsdc: "750", active: false });
+    const after = await contracts.payment.getTierConfig(1);
+    expect(after.priceUSDC).to.equal(750_000000n);
+    expect(after.priceETH).to.equal(before.priceETH);
+    expect(after.maxConditions).to.equal(before.maxConditions);
+    expect(after.active).to.be.false;
+    expect(result.after["MAINNET.priceUSDC"]).to.equal("750.0");
+  });
+
+  it("should grant a subscription", async function () {
+    await run("grant-subscription", { subscriber: subscriber.address, tier: "ENTERPRISE", days: 7, protocolName: "Acme" });
+    const sub = await contracts.payment.getSubscription(subscriber.address);
+    expect(sub.tier).to.equal(2);
+    expect(sub.protocolName).to.equal("Acme");
+    expect(await contracts.payment.isActiveSubscription(subscriber.address)).to.be.true;
+  });
+
+  it("should register and remove feeds", async function () {
+    await run("register-feed", { pair: "SOL/USD", feed: manifest.feeds["ETH/USD"] });
+    expect((await contracts.priceOracle.getFeedInfo("SOL/USD")).active).to.be.true;
+    await run("remove-feed", { pair: "SOL/USD" });
+    expect((await contracts.priceOracle.getFeedInfo("SOL/USD")).active).to.be.false;
+  });
+
+  it("should slash an executor with reason and condition id", async function () {
+    await contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.5") });
+    const result = await run("slash", { executor: executor.address, amount: "0.1", reason: "missed", conditionId: "4" });
+    expect(result.after.amount).to.equal("0.4");
+    const [record] = await contracts.staking.getSlashHistory();
+    expect(record.reason).to.equal("missed");
+    expect(record.conditionId).to.equal(4);
+  });
+
+  it("should keep unspecified challenge terms", async function () {
+    const result = await run("set-challenge-terms", { bond: "0.02", resolutionTimeout: 600n });
+    expect(await contracts.conditionRegistry.challengeBond()).to.equal(ethers.parseEther("0.02"));
+    expect(await contracts.conditionRegistry.resolutionTimeout()).to.equal(600);
+    expect(result.after.challengeSlashAmount).to.equal("0.05");
+    expect(result.after.challengerRewardBps).to.equal(5000n);
+    expect(result.after.staking).to.equal(manifest.contracts.staking);
+  });
+
+  it("should pause a single scope", async function () {
+    const result = await run("set-paused", { paused: true, scope: "execution" });
+    expect(result.calls[0].method).to.equal("setScopePaused");
+    expect(result.after).to.deep.equal({ paused: false, "EXECUTION.paused": true });
+    expect(await contracts.router.isPaused(1)).to.be.true;
+    expect(await contracts.router.isPaused(3)).to.be.false;
+  });
+
+  it("should transfer ownership across all contracts", async function () {
+    const result = await run("transfer-ownership", { to: subscriber.address });
+    expect(result.calls.map((c) => c.key)).to.deep.equal([
+      "executor",
+      "helioraInterface",
+      "payment",
+      "staking",
+      "conditionRegistry",
+      "priceOracle",
+      "router",
+    ]);
+    for (const contract of Object.values(contracts)) {
+      expect(await contract.owner()).to.equal(subscriber.address);
+    }
+    const again = await run("transfer-ownership", { to: subscriber.address });
+    expect(again.calls).to.deep.equal([]);
+  });
+
+  it("should diff state snapshots", function () {
+    expect(diffState({ a: 1n, b: true }, { a: 2n, b: true })).to.deep.equal(["* a: 1 -> 2", "  b: true"]);
+  });
+
+  describe("Tasks", function () {
+    let outDir, log;
+
+    beforeEach(function () {
+      outDir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-admin-"));
+      fs.writeFileSync(path.join(outDir, "hardhat.json"), JSON.stringify(manifest));
+      log = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(function () {
+      console.log = log;
+      fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("should resolve addresses from the manifest", async function () {
+      const result = await hre.run("heliora:set-paused", { paused: true, yes: true, deployments: outDir });
+      expect(result.before).to.deep.equal({ paused: false });
+      expect(await contracts.router.paused()).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+
+const { ethers } = hre;
+
+describe("Challenge bonds", function () {
+  const STAKE = ethers.parseEther("0.2");
+  let contracts, registry, staking, operator, protocol, executor, challenger, other;
+  let bond, slashAmount;
+
+  beforeEach(async function () {
+    [operator, protocol, executor, challenger, other] = await ethers.getSigners();
+    const manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    registry = contracts.conditionRegistry;
+    staking = contracts.staking;
+
+    await registry.setExecutor(executor.address);
+    await staking.connect(executor).stakeAsExecutor({ value: STAKE });
+    bond = await registry.challengeBond();
+    slashAmount = await registry.challengeSlashAmount();
+  });
+
+  // Condition registered by `protocol`, execution recorded by `executor`
+  async function recordedExecution() {
+    await registry.connect(protocol).registerCondition(0, 1, protocol.address, "0x12345678", false);
+    const id = (await registry.nextConditionId()) - 1n;
+    await registry.connect(protocol).activateCondition(id);
+    await registry.connect(executor).recordExecution(id, ethers.id(`tx-${id}`));
+    return id;
+  }
+
+  // [condition id, challenge id]
+  async function challenged() {
+    const id = await recordedExecution();
+    await registry.connect(challenger).challengeExecution(id, { value: bond });
+    return [id, await registry.latestChallenge(id)];
+  }
+
+  async function claimed(signer) {
+    const before = await ethers.provider.getBalance(signer.address);
+    const receipt = await (await registry.connect(signer).claim()).wait();
+    return (await ethers.provider.getBalance(signer.address)) + receipt.gasUsed * receipt.gasPrice - before;
+  }
+
+  it("should take a bond from any challenger", async function () {
+    const id = await recordedExecution();
+    await expect(registry.connect(challenger).challengeExecution(id)).to.be.revertedWith("Incorrect bond");
+    await expect(
+      registry.connect(challenger).challengeExecution(id, { value: bond * 2n })
+    ).to.be.revertedWith("Incorrect bond");
+
+    await expect(registry.connect(challenger).challengeExecution(id, { value: bond }))
+      .to.emit(registry, "ConditionChallenged")
+      .withArgs(id, 1, challenger.address);
+    expect(await registry.latestChallenge(id)).to.equal(1);
+    const challenge = await registry.challenges(1);
+    expect(challenge.conditionId).to.equal(id);
+    expect(challenge.challenger).to.equal(challenger.address);
+    expect(challenge.executor).to.equal(executor.address);
+    expect(challenge.open).to.be.true;
+    expect(challenge.executionBlock).to.equal((await registry.getExecutionProof(id)).blockNumber);
+    expect(challenge.bond).to.equal(bond);
+    expect(challenge.resolveBy).to.equal(BigInt(await ethers.provider.getBlockNumber()) + (await registry.resolutionTimeout()));
+    expect(await ethers.provider.getBalance(await registry.getAddress())).to.equal(bond);
+  });
+
+  it("should slash the executor and pay the challenger and registrant on an upheld challenge", async function () {
+    const [id, challengeId] = await challenged();
+    const treasuryBefore = await ethers.provider.getBalance(operator.address);
+
+    const reward = (slashAmount * (await registry.challengerRewardBps())) / 10000n;
+    await expect(registry.resolveChallenge(challengeId, false))
+      .to.emit(staking, "ExecutorSlashed")
+      .withArgs(executor.address, slashAmount, `invalid-execution:registry:${id}`)
+      .and.to.emit(registry, "ChallengeUpheld")
+      .withArgs(id, challenger.address, slashAmount, reward, slashAmount - reward);
+
+    const stake = await staking.getExecutorStake(executor.address);
+    expect(stake.amount).to.equal(STAKE - slashAmount);
+    expect(stake.slashedAmount).to.equal(slashAmount);
+    const [record] = await staking.getSlashHistory();
+    expect(record.conditionId).to.equal(id);
+    expect((await registry.getCondition(id)).status).to.equal(5); // SLASHED
+
+    // Slashed stake stays in the registry for the payouts, none goes to the treasury
+    expect(await registry.claimable(challenger.address)).to.equal(bond + reward);
+    expect(await registry.claimable(protocol.address)).to.equal(slashAmount - reward);
+    expect(await claimed(challenger)).to.equal(bond + reward);
+    expect(await claimed(protocol)).to.equal(slashAmount - reward);
+    expect(await ethers.provider.getBalance(await registry.getAddress())).to.equal(0);
+    expect(await ethers.provider.getBalance(operator.address)).to.be.lessThanOrEqual(treasuryBefore);
+  });
+
+  it("should forfeit the bond to the executor when the challenge fails", async function () {
+    const [id, challengeId] = await challenged();
+    await expect(registry.resolveChallenge(challengeId, true))
+      .to.emit(registry, "BondForfeited")
+      .withArgs(id, challenger.address, executor.address, bond);
+
+    expect((await staking.getExecutorStake(executor.address)).amount).to.equal(STAKE);
+    expect(await staking.getSlashHistory()).to.have.length(0);
+    expect(await registry.claimable(challenger.address)).to.equal(0);
+    expect(await claimed(executor)).to.equal(bond);
+    await expect(registry.connect(challenger).claim()).to.be.revertedWith("Nothing to claim");
+    await expect(registry.resolveChallenge(challengeId, false)).to.be.revertedWith("Already resolved");
+  });
+
+  it("should refund the bond when the owner never resolves", async function () {
+    await registry.setChallengePeriod(10);
+    await registry.setChallengeTerms(bond, slashAmount, 5000, 100);
+    const [id, challengeId] = await challenged();
+    await staking.setUnbondingPeriod(0);
+    await staking.connect(executor).requestUnstake(STAKE);
+    await expect(registry.connect(other).expireChallenge(challengeId)).to.be.revertedWith("Resolution pending");
+
+    await mine(await registry.resolutionTimeout());
+    await expect(registry.resolveChallenge(challengeId, false)).to.be.revertedWith("Resolution timed out");
+    await expect(staking.connect(executor).withdraw()).to.be.revertedWith("Challenge window open");
+
+    await expect(registry.connect(other).expireChallenge(challengeId))
+      .to.emit(registry, "ChallengeExpired")
+      .withArgs(id, challengeId, challenger.address, bond);
+    expect((await registry.getExecutionProof(id)).valid).to.be.true;
+    expect(await registry.openChallenges(executor.address)).to.equal(0);
+    await expect(registry.connect(other).expireChallenge(challengeId)).to.be.revertedWith("Not challenged");
+
+    expect(await claimed(challenger)).to.equal(bond);
+    await expect(staking.connect(executor).withdraw()).to.emit(staking, "ExecutorUnstaked").withArgs(executor.address, STAKE);
+  });
+
+  it("should slash unbonding stake, up to what is left", async function () {
+    await staking.setMinExecutorStake(ethers.parseEther("0.01"));
+    const [id, challengeId] = await challenged();
+    await staking.connect(executor).requestUnstake(STAKE - ethers.parseEther("0.01"));
+    await time.increase(24 * 60 * 60);
+    await registry.setChallengeTerms(bond, STAKE * 2n, 2500, 100);
+
+    await expect(registry.resolveChallenge(challengeId, false))
+      .to.emit(registry, "ChallengeUpheld")
+      .withArgs(id, challenger.address, STAKE, STAKE / 4n, STAKE - STAKE / 4n);
+    expect((await staking.getUnbonding(executor.address)).amount).to.equal(0);
+    expect(await registry.claimable(challenger.address)).to.equal(bond + STAKE / 4n);
+  });
+
+  it("should return only the bond when there is nothing to slash", async function () {
+    const [id, challengeId] = await challenged();
+    await staking.connect(executor).requestUnstake(STAKE);
+    await staking.slashExecutor(executor.address, STAKE, "missed", 0);
+
+    await expect(registry.resolveChallenge(challengeId, false))
+      .to.emit(registry, "ChallengeUpheld")
+      .withArgs(id, challenger.address, 0, 0, 0);
+    expect(await registry.claimable(challenger.address)).to.equal(bond);
+    expect(await registry.claimable(protocol.address)).to.equal(0);
+
+    // Without HelioraStaking the registry settles bonds only
+    await registry.setStaking(ethers.ZeroAddress);
+    const [, second] = await challenged();
+    await registry.resolveChallenge(second, false);
+    expect(await registry.claimable(challenger.address)).to.equal(bond * 2n);
+  });
+
+  it("should only let the wired registry slash and send ETH", async function () {
+    await expect(
+      staking.connect(other).slashExecutor(executor.address, 1, "x", 0)
+    ).to.be.revertedWith("Not slasher");
+    await expect(other.sendTransaction({ to: await registry.getAddress(), value: 1 })).to.be.revertedWith("Unexpected ETH");
+  });
+
+  it("should restrict challenge terms to the owner", async function () {
+    await expect(registry.connect(other).setChallengeTerms(0, 0, 0, 100)).to.be.revertedWith("Not owner");
+    await expect(registry.connect(other).setStaking(other.address)).to.be.revertedWith("Not owner");
+    await expect(registry.setChallengeTerms(bond, slashAmount, 10001, 100)).to.be.revertedWith("Invalid reward");
+    await expect(registry.setChallengeTerms(bond, slashAmount, 5000, 9)).to.be.revertedWith("Timeout out of bounds");
+
+    await expect(registry.setChallengeTerms(0, slashAmount, 5000, 100))
+      .to.emit(registry, "ChallengeTermsUpdated")
+      .withArgs(0, slashAmount, 5000, 100);
+    const id = await recordedExecution();
+    await registry.connect(challenger).challengeExecution(id); // free challenges
+    expect((await registry.challenges(await registry.latestChallenge(id))).bond).to.equal(0);
+  });
+});
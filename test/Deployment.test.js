@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProtocol, LOCAL_PRICES } = require("../scripts/deploy");
+const { readManifest } = require("../src/deployments");
+
+const { ethers } = hre;
+
+describe("Deployment", function () {
+  let manifest, outDir, deployer, treasury, slasher, operator;
+
+  before(async function () {
+    [deployer, treasury, slasher, operator] = await ethers.getSigners();
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-deploy-"));
+    manifest = await deployProtocol(hre, {
+      treasury: treasury.address,
+      slasher: slasher.address,
+      operator: operator.address,
+      outDir,
+    });
+  });
+
+  after(function () {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it("should write a per-network manifest", async function () {
+    const onDisk = readManifest("hardhat", outDir);
+    expect(onDisk.contracts).to.deep.equal(manifest.contracts);
+    expect(onDisk.chainId).to.equal(31337);
+    expect(onDisk.deployer).to.equal(deployer.address);
+  });
+
+  it("should register all contracts on the router", async function () {
+    const router = await ethers.getContractAt("HelioraRouter", manifest.contracts.router);
+    const contracts = await router.getContracts();
+    expect(contracts._executor).to.equal(manifest.contracts.executor);
+    expect(contracts._helioraInterface).to.equal(manifest.contracts.helioraInterface);
+    expect(contracts._payment).to.equal(manifest.contracts.payment);
+    expect(contracts._staking).to.equal(manifest.contracts.staking);
+    expect(contracts._conditionRegistry).to.equal(manifest.contracts.conditionRegistry);
+    expect(contracts._priceOracle).to.equal(manifest.contracts.priceOracle);
+  });
+
+  it("should pass constructor arguments", async function () {
+    const iface = await ethers.getContractAt("HelioraInterface", manifest.contracts.helioraInterface);
+    const payment = await ethers.getContractAt("HelioraPayment", manifest.contracts.payment);
+    const staking = await ethers.getContractAt("HelioraStaking", manifest.contracts.staking);
+    const registry = await ethers.getContractAt("ConditionRegistry", manifest.contracts.conditionRegistry);
+
+    expect(await iface.helioraExecutor()).to.equal(manifest.contracts.executor);
+    expect(await payment.paymentToken()).to.equal(manifest.mocks.usdc);
+    expect(await payment.paymentTokenDecimals()).to.equal(6);
+    expect(await payment.treasury()).to.equal(treasury.address);
+    expect(await staking.slasher()).to.equal(slasher.address);
+    expect(await registry.executor()).to.equal(operator.address);
+  });
+
+  it("should authorize HelioraInterface on HelioraExecutor", async function () {
+    const executor = await ethers.getContractAt("HelioraExecutor", manifest.contracts.executor);
+    expect(await executor.authorizedCallers(manifest.contracts.helioraInterface)).to.be.true;
+  });
+
+  it("should lock HelioraStaking withdrawals on ConditionRegistry challenges", async function () {
+    const staking = await ethers.getContractAt("HelioraStaking", manifest.contracts.staking);
+    expect(await staking.conditionRegistry()).to.equal(manifest.contracts.conditionRegistry);
+  });
+
+  it("should let ConditionRegistry slash on upheld challenges", async function () {
+    const registry = await ethers.getContractAt("ConditionRegistry", manifest.contracts.conditionRegistry);
+    expect(await registry.staking()).to.equal(manifest.contracts.staking);
+  });
+
+  it("should link HelioraInterface conditions to ConditionRegistry and HelioraStaking", async function () {
+    const iface = await ethers.getContractAt("HelioraInterface", manifest.contracts.helioraInterface);
+    const registry = await ethers.getContractAt("ConditionRegistry", manifest.contracts.conditionRegistry);
+    const staking = await ethers.getContractAt("HelioraStaking", manifest.contracts.staking);
+    expect(await iface.conditionRegistry()).to.equal(manifest.contracts.conditionRegistry);
+    expect(await iface.staking()).to.equal(manifest.contracts.staking);
+    expect(await registry.helioraInterface()).to.equal(manifest.contracts.helioraInterface);
+    expect(await staking.helioraInterface()).to.equal(manifest.contracts.helioraInterface);
+  });
+
+  it("should authorize the operator on HelioraInterface", async function () {
+    const iface = await ethers.getContractAt("HelioraInterface", manifest.contracts.helioraInterface);
+    expect(await iface.authorizedExecutors(operator.address)).to.be.true;
+  });
+
+  it("should register mock price feeds", async function () {
+    const oracle = await ethers.getContractAt("HelioraPriceOracle", manifest.contracts.priceOracle);
+    expect(await oracle.getRegisteredPairsCount()).to.equal(3);
+    for (const [pair, price] of Object.entries(LOCAL_PRICES)) {
+      expect((await oracle.getFeedInfo(pair)).feedAddress).to.equal(manifest.feeds[pair]);
+      expect(await oracle.getPriceUSD(pair)).to.equal(price);
+    }
+  });
+
+  it("should skip the manifest when outDir is false", async function () {
+    const result = await deployProtocol(hre, { outDir: false, feeds: {} });
+    expect(result.feeds).to.deep.equal({});
+    expect(fs.readdirSync(outDir)).to.deep.equal(["hardhat.json"]);
+  });
+});
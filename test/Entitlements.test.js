@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { EntitlementService, MemoryCounterStore, entitlementMiddleware } = require("../src/entitlements");
+const { EntitlementError } = require("../src/sdk");
+
+const { ethers } = hre;
+
+const DAY = 24 * 60 * 60;
+
+describe("Entitlements", function () {
+  let manifest, contracts, owner, subscriber, other, clock, service;
+
+  beforeEach(async function () {
+    [owner, subscriber, other] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, owner);
+
+    // MAINNET with small limits
+    await contracts.payment.setTierConfig(1, 500_000000n, ethers.parseEther("0.2"), 2, 3, true);
+    await contracts.payment.grantSubscription(subscriber.address, 1, 30 * DAY, "Acme");
+    await contracts.payment.linkAccessKey(subscriber.address, "key-acme");
+
+    clock = (await time.latest()) * 1000;
+    service = new EntitlementService({
+      payment: contracts.payment,
+      fromBlock: manifest.startBlock,
+      cacheMs: 0,
+      now: () => clock,
+    });
+  });
+
+  async function expectCode(promise, code) {
+    try {
+      await promise;
+    } catch (err) {
+      expect(err).to.be.instanceOf(EntitlementError);
+      expect(err.code).to.equal(code);
+      return err;
+    }
+    expect.fail(`expected ${code}`);
+  }
+
+  it("should map an access key to its subscriber", async function () {
+    expect(await service.resolveKey("key-acme")).to.equal(subscriber.address);
+    const entitlement = await service.authorize("key-acme");
+    expect(entitlement.tier).to.equal("MAINNET");
+    expect(entitlement.limits).to.deep.equal({ maxConditions: 2, maxExecutionsDay: 3 });
+    await expectCode(service.authorize("key-unknown"), "UNKNOWN_KEY");
+  });
+
+  it("should reject a key replaced by a newer one", async function () {
+    expect(await service.resolveKey("key-acme")).to.equal(subscriber.address);
+    await contracts.payment.linkAccessKey(subscriber.address, "key-acme-2");
+    await expectCode(service.resolveKey("key-acme"), "UNKNOWN_KEY");
+    expect(await service.resolveKey("key-acme-2")).to.equal(subscriber.address);
+  });
+
+  it("should honour the grace period", async function () {
+    await time.increase(31 * DAY);
+    clock = (await time.latest()) * 1000;
+    const entitlement = await service.authorize("key-acme");
+    expect(entitlement.inGrace).to.be.true;
+
+    await time.increase(3 * DAY);
+    const err = await expectCode(service.authorize("key-acme"), "NO_SUBSCRIPTION");
+    expect(err.status).to.equal(402);
+  });
+
+  it("should reject an unsubscribed account", async function () {
+    await contracts.payment.linkAccessKey(other.address, "key-other");
+    await expectCode(service.authorize("key-other"), "NO_SUBSCRIPTION");
+  });
+
+  it("should enforce maxConditions until a slot is released", async function () {
+    await service.authorize("key-acme", "condition");
+    await service.authorize("key-acme", "condition");
+    const err = await expectCode(service.authorize("key-acme", "condition"), "CONDITION_LIMIT");
+    expect(err.status).to.equal(429);
+    expect((await service.entitlement(subscriber.address)).usage.conditions).to.equal(2);
+
+    await service.releaseCondition(subscriber.address);
+    expect((await service.authorize("key-acme", "condition")).usage.conditions).to.equal(2);
+  });
+
+  it("should treat a zero limit as unlimited", async function () {
+    await contracts.payment.setTierConfig(1, 500_000000n, ethers.parseEther("0.2"), 0, 3, true);
+    for (let i = 0; i < 5; i++) await service.authorize("key-acme", "condition");
+    expect((await service.entitlement(subscriber.address)).usage.conditions).to.equal(5);
+  });
+
+  it("should count open conditions on-chain after a restart", async function () {
+    const iface = contracts.helioraInterface.connect(subscriber);
+    const target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    const selector = target.interface.getFunction("harvest").selector;
+    const stake = await contracts.staking.conditionStake();
+    const at = (await ethers.provider.getBlockNumber()) + 1000;
+    for (let i = 0; i < 3; i++) await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: stake });
+    await iface.cancelCondition(1);
+
+    const restarted = new EntitlementService({
+      payment: contracts.payment,
+      helioraInterface: contracts.helioraInterface,
+      fromBlock: manifest.startBlock,
+      cacheMs: 0,
+      now: () => clock,
+    });
+    expect((await restarted.entitlement(subscriber.address)).usage.conditions).to.equal(2);
+    await expectCode(restarted.authorize("key-acme", "condition"), "CONDITION_LIMIT");
+
+    await iface.cancelCondition(2);
+    await restarted.releaseCondition(subscriber.address);
+    expect((await restarted.authorize("key-acme", "condition")).usage.conditions).to.equal(2);
+  });
+
+  it("should not release condition slots below zero", async function () {
+    const counts = new Map();
+    const counters = {
+      get: async (key) => counts.get(key) || 0,
+      increment: async (key, by) => counts.set(key, (counts.get(key) || 0) + by).get(key),
+    };
+    const unclamped = new EntitlementService({ payment: contracts.payment, counters, cacheMs: 0, now: () => clock });
+    await unclamped.releaseCondition(subscriber.address);
+    await unclamped.releaseCondition(subscriber.address);
+    expect((await unclamped.entitlement(subscriber.address)).usage.conditions).to.equal(0);
+  });
+
+  it("should reset daily executions at midnight UTC", async function () {
+    for (let i = 0; i < 3; i++) await service.authorize("key-acme", "execution");
+    await expectCode(service.authorize("key-acme", "execution"), "EXECUTION_LIMIT");
+
+    clock = (Math.floor(clock / (DAY * 1000)) + 1) * DAY * 1000;
+    expect((await service.authorize("key-acme", "execution")).usage.executionsToday).to.equal(1);
+  });
+
+  it("should queue executions past the daily limit", async function () {
+    const queueing = new EntitlementService({ payment: contracts.payment, overLimit: "queue", cacheMs: 0, now: () => clock });
+    for (let i = 0; i < 3; i++) await queueing.authorize("key-acme", "execution");
+    const parked = await queueing.authorize("key-acme", "execution", { conditionId: 7 });
+    expect(parked.queued).to.be.true;
+    expect(parked.usage.executionsToday).to.equal(3);
+    expect(queueing.takeDue()).to.deep.equal([]);
+
+    clock = parked.retryAt;
+    expect(queueing.takeDue()).to.deep.equal([{ subscriber: subscriber.address, payload: { conditionId: 7 }, retryAt: parked.retryAt }]);
+    expect(queueing.queue).to.have.length(0);
+  });
+
+  describe("MemoryCounterStore", function () {
+    it("should expire counters and never go negative", async function () {
+      const store = new MemoryCounterStore();
+      expect(await store.increment("a", 1, 1000, 0)).to.equal(1);
+      expect(await store.increment("a", 1, 5000, 500)).to.equal(2);
+      expect(await store.get("a", 999)).to.equal(2);
+      expect(await store.get("a", 1000)).to.equal(0);
+      expect(await store.increment("b", -1)).to.equal(0);
+    });
+  });
+
+  describe("Middleware", function () {
+    function request(middleware, headers = {}) {
+      const req = { headers };
+      const res = {
+        headers: {},
+        setHeader(name, value) {
+          this.headers[name] = value;
+        },
+      };
+      return new Promise((resolve, reject) => {
+        res.end = function (body) {
+          this.body = JSON.parse(body);
+          resolve({ req, res, next: false });
+        };
+        middleware(req, res, (err) => (err ? reject(err) : resolve({ req, res, next: true })));
+      });
+    }
+
+    it("should pass entitled requests through", async function () {
+      const { req, next } = await request(entitlementMiddleware(service, { action: "condition" }), {
+        "x-execution-key": "key-acme",
+      });
+      expect(next).to.be.true;
+      expect(req.entitlement.subscriber).to.equal(subscriber.address);
+      expect(req.entitlement.usage.conditions).to.equal(1);
+    });
+
+    it("should answer with the error code", async function () {
+      const middleware = entitlementMiddleware(service);
+      const missing = await request(middleware);
+      expect(missing.res.statusCode).to.equal(401);
+      expect(missing.res.body.code).to.equal("MISSING_KEY");
+
+      const unknown = await request(middleware, { "x-execution-key": "nope" });
+      expect(unknown.res.statusCode).to.equal(401);
+      expect(unknown.res.body.code).to.equal("UNKNOWN_KEY");
+    });
+
+    it("should allow keyless requests when keys are not required", async function () {
+      const { req, next } = await request(entitlementMiddleware(service, { required: false }));
+      expect(next).to.be.true;
+      expect(req.entitlement).to.be.undefined;
+    });
+
+    it("should answer 202 for queued executions", async function () {
+      service.overLimit = "queue";
+      const middleware = entitlementMiddleware(service, { action: "execution" });
+      for (let i = 0; i < 3; i++) await request(middleware, { "x-execution-key": "key-acme" });
+      const { res, next } = await request(middleware, { "x-execution-key": "key-acme" });
+      expect(next).to.be.false;
+      expect(res.statusCode).to.equal(202);
+      expect(res.body.code).to.equal("EXECUTION_QUEUED");
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { evaluateCondition, evaluateTrigger, ConditionType } = require("../src/evaluator");
+const { getTwap, getPriceHeld } = require("../src/twap");
+const { and, or, blockNumber, timestamp, priceBelow, balanceAbove, toNodes } = require("../src/sdk/conditions");
+
+describe("Condition evaluator", function () {
+  let registry, oracle, feed, owner, user, account;
+
+  const PRICE = 250000000000n; // $2500, 8 decimals
+
+  beforeEach(async function () {
+    [owner, user, account] = await ethers.getSigners();
+    const Registry = await ethers.getContractFactory("ConditionRegistry");
+    registry = await Registry.deploy(owner.address);
+    const Oracle = await ethers.getContractFactory("HelioraPriceOracle");
+    oracle = await Oracle.deploy();
+    const MockFeed = await ethers.getContractFactory("MockChainlinkFeed");
+    feed = await MockFeed.deploy(8, PRICE);
+    await oracle.registerFeed("ETH/USD", await feed.getAddress());
+  });
+
+  async function register(type, value, target = user.address) {
+    await registry.connect(user).registerCondition(type, value, target, "0x12345678", false);
+    const id = await registry.nextConditionId() - 1n;
+    await registry.connect(user).activateCondition(id);
+    return registry.getCondition(id);
+  }
+
+  describe("Price conditions", function () {
+    it("should be ready when price is above threshold", async function () {
+      const cond = await register(ConditionType.PRICE_ABOVE, 200000000000n);
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(v.ready).to.be.true;
+      expect(v.type).to.equal("PRICE_ABOVE");
+      expect(v.observed).to.equal(PRICE);
+      expect(v.decimals).to.equal(8);
+      expect(v.timestamp).to.equal(await time.latest());
+    });
+
+    it("should follow setPrice for PRICE_ABOVE", async function () {
+      const cond = await register(ConditionType.PRICE_ABOVE, 300000000000n);
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD" })).ready).to.be.false;
+      await feed.setPrice(310000000000n);
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(v.ready).to.be.true;
+      expect(v.observed).to.equal(310000000000n);
+    });
+
+    it("should follow setPrice for PRICE_BELOW", async function () {
+      const cond = await register(ConditionType.PRICE_BELOW, 200000000000n);
+      const before = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(before.ready).to.be.false;
+      expect(before.reason).to.contain(">");
+      await feed.setPrice(190000000000n);
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD" })).ready).to.be.true;
+    });
+
+    it("should not be ready on a stale price", async function () {
+      const cond = await register(ConditionType.PRICE_ABOVE, 1n);
+      const now = await time.latest();
+      await feed.setUpdatedAt(now - 7200);
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(v.ready).to.be.false;
+      expect(v.stale).to.be.true;
+      expect(v.reason).to.equal("stale price");
+      expect(v.timestamp).to.equal(now - 7200);
+    });
+
+    it("should not be ready on a non-positive price", async function () {
+      const cond = await register(ConditionType.PRICE_BELOW, 100n);
+      await feed.setPrice(0);
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(v.ready).to.be.false;
+      expect(v.reason).to.equal("invalid price");
+    });
+
+    it("should report inactive feeds", async function () {
+      const cond = await register(ConditionType.PRICE_ABOVE, 1n);
+      await oracle.removeFeed("ETH/USD");
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+      expect(v.ready).to.be.false;
+      expect(v.reason).to.contain("feed unavailable");
+    });
+
+    it("should require a pair", async function () {
+      const cond = await register(ConditionType.PRICE_ABOVE, 1n);
+      expect((await evaluateCondition(cond, { oracle })).reason).to.equal("no price pair");
+    });
+
+    it("should evaluate at a historical block", async function () {
+      const cond = await register(ConditionType.PRICE_BELOW, 200000000000n);
+      const before = await ethers.provider.getBlockNumber();
+      await feed.setPrice(190000000000n);
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD" })).ready).to.be.true;
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD", blockTag: before })).ready).to.be.false;
+    });
+  });
+
+  describe("TWAP and held prices", function () {
+    let now;
+
+    // Rounds (oldest first): $2500 at -400s, -300s, -200s, then a $1900 wick at -10s
+    beforeEach(async function () {
+      now = BigInt(await time.latest()) + 1000n;
+      await feed.setUpdatedAt(now - 400n);
+      await feed.pushRound(PRICE, now - 300n);
+      await feed.pushRound(PRICE, now - 200n);
+      await feed.pushRound(190000000000n, now - 10n);
+      await time.increaseTo(now);
+    });
+
+    it("should read the TWAP from the oracle", async function () {
+      for (const rounds of [1, 3, 4, 10]) {
+        const onChain = await oracle.getTwap("ETH/USD", rounds);
+        const local = await getTwap(oracle, "ETH/USD", rounds);
+        expect(local.twap).to.equal(onChain.twap);
+        expect(local.median).to.equal(onChain.median);
+        expect(local.rounds).to.equal(Number(onChain.rounds));
+        expect(local.fromTimestamp).to.equal(onChain.fromTimestamp);
+      }
+      await oracle.removeFeed("ETH/USD");
+      expect(await getTwap(oracle, "ETH/USD", 4)).to.equal(null);
+    });
+
+    it("should take held-price verdicts from the oracle and report the streak", async function () {
+      const cases = [
+        [true, 200000000000n, 4, 400, 0, null],
+        [true, 200000000000n, 1, 0, 0, null],
+        [false, 200000000000n, 1, 10, 1, now - 10n],
+        [false, 200000000000n, 1, 11, 1, now - 10n],
+        [true, 180000000000n, 4, 400, 4, now - 400n],
+      ];
+      for (const [above, threshold, minRounds, minDuration, rounds, since] of cases) {
+        const onChain = above
+          ? await oracle.isPriceHeldAbove("ETH/USD", threshold, minRounds, minDuration)
+          : await oracle.isPriceHeldBelow("ETH/USD", threshold, minRounds, minDuration);
+        const local = await getPriceHeld(oracle, "ETH/USD", threshold, { above, minRounds, minDuration });
+        expect(local.held).to.equal(onChain);
+        expect([local.rounds, local.since]).to.deep.equal([rounds, since]);
+      }
+    });
+
+    it("should not follow a wick when comparing the TWAP", async function () {
+      const cond = await register(ConditionType.PRICE_BELOW, 200000000000n);
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD" })).ready).to.be.true;
+
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD", twapRounds: 4 });
+      expect(v.ready).to.be.false;
+      expect(v.spot).to.equal(190000000000n);
+      expect(v.observed > 200000000000n).to.be.true;
+      expect(v.median).to.equal(PRICE);
+      expect(v.reason).to.contain("twap(4)");
+
+      const short = await evaluateCondition(cond, { oracle, pair: "ETH/USD", twapRounds: 5 });
+      expect(short.reason).to.equal("only 4 of 5 rounds");
+    });
+
+    it("should wait until the price has held", async function () {
+      const cond = await register(ConditionType.PRICE_BELOW, 200000000000n);
+      const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD", hold: { seconds: 60 } });
+      expect(v.ready).to.be.false;
+      expect(v.heldRounds).to.equal(1);
+      expect(v.heldSince).to.equal(Number(now - 10n));
+      expect(v.reason).to.contain("needs 1 round(s) and 60s");
+
+      await time.increase(50);
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD", hold: { seconds: 60 } })).ready).to.be.true;
+      expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD", hold: { rounds: 2 } })).ready).to.be.false;
+    });
+  });
+
+  describe("Composite conditions", function () {
+    async function registerComposite(tree) {
+      await registry.connect(user).registerCompositeCondition(toNodes(tree), user.address, "0x12345678", false);
+      const id = (await registry.nextConditionId()) - 1n;
+      await registry.connect(user).activateCondition(id);
+      return registry.getCondition(id);
+    }
+
+    it("should evaluate every operand with its own parameters", async function () {
+      const far = (await ethers.provider.getBlockNumber()) + 1000;
+      const cond = await registerComposite(
+        and(timestamp(1), or(blockNumber(far), balanceAbove(1n, account.address)), priceBelow("ETH/USD", PRICE))
+      );
+      const v = await evaluateCondition(cond, { oracle, registry });
+      expect(v.ready).to.be.true;
+      expect(v.type).to.equal("COMPOSITE");
+      expect(v.op).to.equal("AND");
+      expect(v.children.map((c) => c.type)).to.deep.equal(["TIMESTAMP", "COMPOSITE", "PRICE_BELOW"]);
+      expect(v.children[1].children.map((c) => c.ready)).to.deep.equal([false, true]);
+      expect(v.children[1].children[1].account).to.equal(account.address);
+      expect(v.children[2].pair).to.equal("ETH/USD");
+      expect(v.reason).to.match(/^and\(time \d+ >= 1; or\(block \d+ < \d+; balance \d+ >= 1\); ETH\/USD/);
+    });
+
+    it("should agree with isConditionReady", async function () {
+      await registry.setPriceOracle(await oracle.getAddress());
+      const cond = await registerComposite(or(blockNumber(10n ** 9n), priceBelow("ETH/USD", 240000000000n)));
+      expect((await evaluateCondition(cond, { oracle, registry })).ready).to.equal(await registry.isConditionReady(cond.id));
+
+      await feed.setPrice(230000000000n);
+      expect((await evaluateCondition(cond, { oracle, registry })).ready).to.be.true;
+      expect(await registry.isConditionReady(cond.id)).to.be.true;
+    });
+
+    it("should need the node list", async function () {
+      const cond = await registerComposite(and(timestamp(1), blockNumber(1)));
+      expect((await evaluateCondition(cond, { oracle })).reason).to.equal("no condition nodes");
+      const nodes = await registry.getConditionNodes(cond.id);
+      expect((await evaluateCondition(cond, { oracle, nodes })).ready).to.be.true;
+    });
+  });
+
+  describe("Balance conditions", function () {
+    it("should use the target as the default account", async function () {
+      const balance = await ethers.provider.getBalance(account.address);
+      const cond = await register(ConditionType.BALANCE_THRESHOLD, balance, account.address);
+      const v = await evaluateCondition(cond, { oracle });
+      expect(v.ready).to.be.true;
+      expect(v.account).to.equal(account.address);
+      expect(v.observed).to.equal(balance);
+    });
+
+    it("should not be ready below threshold", async function () {
+      const balance = await ethers.provider.getBalance(account.address);
+      const cond = await register(ConditionType.BALANCE_THRESHOLD, balance + 1n, account.address);
+      expect((await evaluateCondition(cond, { oracle })).ready).to.be.false;
+      await owner.sendTransaction({ to: account.address, value: 1n });
+      expect((await evaluateCondition(cond, { oracle })).ready).to.be.true;
+    });
+
+    it("should accept an explicit account", async function () {
+      const cond = await register(ConditionType.BALANCE_THRESHOLD, ethers.parseEther("1"), user.address);
+      const v = await evaluateCondition(cond, { oracle, account: ethers.Wallet.createRandom().address });
+      expect(v.ready).to.be.false;
+      expect(v.observed).to.equal(0n);
+    });
+  });
+
+  describe("Block and time conditions", function () {
+    it("should evaluate block conditions", async function () {
+      const target = (await ethers.provider.getBlockNumber()) + 5;
+      const cond = await register(ConditionType.BLOCK_NUMBER, target);
+      expect((await evaluateCondition(cond, { oracle })).ready).to.be.false;
+      await mine(5);
+      expect((await evaluateCondition(cond, { oracle })).ready).to.be.true;
+    });
+
+    it("should evaluate timestamp triggers", async function () {
+      const at = (await time.latest()) + 100;
+      expect((await evaluateTrigger(ConditionType.TIMESTAMP, at, { oracle })).ready).to.be.false;
+      await time.increase(100);
+      expect((await evaluateTrigger(ConditionType.TIMESTAMP, at, { oracle })).ready).to.be.true;
+    });
+  });
+
+  it("should not be ready for inactive conditions", async function () {
+    await registry.connect(user).registerCondition(ConditionType.PRICE_ABOVE, 1, user.address, "0x12345678", false);
+    const cond = await registry.getCondition(1);
+    const v = await evaluateCondition(cond, { oracle, pair: "ETH/USD" });
+    expect(v.ready).to.be.false;
+    expect(v.reason).to.equal("condition not active");
+    expect((await evaluateCondition(cond, { oracle, pair: "ETH/USD", ignoreStatus: true })).ready).to.be.true;
+  });
+});
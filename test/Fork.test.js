@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { readSnapshot, loadSnapshot, recordingProxy, setTokenBalance } = require("../src/snapshot");
+
+const { ethers } = hre;
+
+const PRICE_USDC = 500_000000n;
+const MAX_STALENESS = 3600;
+
+describe("Fork snapshots", function () {
+  it("should record account reads passing through the proxy", async function () {
+    const slot = ethers.zeroPadValue("0x05", 32);
+    const upstream = async (url, init) => {
+      const replies = JSON.parse(init.body).map(({ id, method }) => ({
+        jsonrpc: "2.0",
+        id,
+        result: { eth_getCode: "0x6001", eth_getStorageAt: ethers.zeroPadValue("0x2a", 32), eth_chainId: "0x2105" }[method],
+      }));
+      return { status: 200, text: async () => JSON.stringify(replies) };
+    };
+    const proxy = await recordingProxy("https://base.example", { fetch: upstream });
+    try {
+      const account = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+      const res = await fetch(proxy.url, {
+        method: "POST",
+        body: JSON.stringify([
+          { jsonrpc: "2.0", id: 1, method: "eth_getCode", params: [account, "0x10"] },
+          { jsonrpc: "2.0", id: 2, method: "eth_getStorageAt", params: [account, "0x5", "0x10"] },
+          { jsonrpc: "2.0", id: 3, method: "eth_chainId", params: [] },
+        ]),
+      });
+      expect(await res.json()).to.have.length(3);
+      expect(proxy.accounts).to.deep.equal({
+        [account.toLowerCase()]: { code: "0x6001", balance: "0x0", storage: { [slot]: ethers.zeroPadValue("0x2a", 32) } },
+      });
+    } finally {
+      await proxy.close();
+    }
+  });
+
+  it("should load contract code and storage into the local network", async function () {
+    const feed = await (await ethers.getContractFactory("MockChainlinkFeed")).deploy(8, 2500n * 10n ** 8n);
+    const source = await feed.getAddress();
+    const storage = {};
+    for (let i = 0; i < 8; i++) {
+      const slot = ethers.zeroPadValue(ethers.toBeHex(i), 32);
+      const value = await ethers.provider.getStorage(source, i);
+      if (BigInt(value) !== 0n) storage[slot] = value;
+    }
+    // _rounds[1].answer (mapping at slot 1)
+    const round = ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 1]);
+    storage[round] = await ethers.provider.getStorage(source, round);
+    const copy = ethers.Wallet.createRandom().address;
+    await loadSnapshot(hre.network.provider, {
+      accounts: {
+        [copy.toLowerCase()]: { code: await ethers.provider.getCode(source), balance: "0x0", storage },
+        [ethers.Wallet.createRandom().address.toLowerCase()]: { code: "0x", balance: "0x1", storage: {} },
+      },
+    });
+
+    const loaded = await ethers.getContractAt("MockChainlinkFeed", copy);
+    expect(await loaded.decimals()).to.equal(8);
+    expect((await loaded.latestRoundData())[1]).to.equal(2500n * 10n ** 8n);
+  });
+
+  describe("Base", function () {
+    let snapshot, manifest, contracts, deployer, subscriber;
+
+    before(async function () {
+      snapshot = readSnapshot();
+      // Capture with `npx hardhat heliora:fork-snapshot --rpc <Base RPC>`
+      if (!snapshot) this.skip();
+
+      await loadSnapshot(hre.network.provider, snapshot);
+      [deployer, subscriber] = await ethers.getSigners();
+      manifest = await deployProtocol(hre, { outDir: false, usdc: snapshot.usdc, feeds: snapshot.feeds });
+      contracts = connectProtocol(manifest.contracts, deployer);
+    });
+
+    it("should subscribe with real USDC", async function () {
+      const usdc = await ethers.getContractAt("IERC20", snapshot.usdc);
+      expect(await usdc.decimals()).to.equal(6);
+      expect(await contracts.payment.paymentTokenDecimals()).to.equal(6);
+
+      await setTokenBalance(hre.network.provider, usdc, subscriber.address, PRICE_USDC);
+      const treasuryBefore = await usdc.balanceOf(deployer.address);
+
+      await usdc.connect(subscriber).approve(manifest.contracts.payment, PRICE_USDC - 1n);
+      await expect(contracts.payment.connect(subscriber).subscribeUSDC(1, "Fork")).to.be.reverted;
+
+      await usdc.connect(subscriber).approve(manifest.contracts.payment, PRICE_USDC);
+      await contracts.payment.connect(subscriber).subscribeUSDC(1, "Fork");
+      expect(await contracts.payment.isActiveSubscription(subscriber.address)).to.be.true;
+      expect(await usdc.balanceOf(deployer.address)).to.equal(treasuryBefore + PRICE_USDC);
+      expect(await usdc.balanceOf(subscriber.address)).to.equal(0);
+      expect(await usdc.allowance(subscriber.address, manifest.contracts.payment)).to.equal(0);
+    });
+
+    it("should read round data from the Chainlink feeds", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const prices = {};
+      for (const [pair, feed] of Object.entries(snapshot.feeds)) {
+        const info = await contracts.priceOracle.getFeedInfo(pair);
+        expect(info.feedAddress).to.equal(feed);
+        expect(info.decimals).to.equal(8);
+
+        const check = await contracts.priceOracle.getPrice(pair);
+        expect(check.price).to.be.greaterThan(0);
+        expect(check.timestamp).to.be.at.most(snapshot.timestamp);
+        // The local chain is ahead of the snapshot: staleness follows the real updatedAt
+        expect(check.stale).to.equal(now - Number(check.timestamp) > MAX_STALENESS);
+        prices[pair] = Number(ethers.formatUnits(check.price, check.decimals));
+      }
+      expect(prices["USDC/USD"]).to.be.within(0.9, 1.1);
+      expect(prices["BTC/USD"]).to.be.greaterThan(prices["ETH/USD"]);
+    });
+
+    it("should register a real feed under a new pair", async function () {
+      const feed = snapshot.feeds["ETH/USD"];
+      await contracts.priceOracle.registerFeed("ETH/USD:fork", feed);
+      expect((await contracts.priceOracle.getPrice("ETH/USD:fork")).price).to.equal(
+        (await contracts.priceOracle.getPrice("ETH/USD")).price
+      );
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { runBenchmarks, compilerSettings, compareToBaseline, formatReport } = require("./gas/benchmarks");
+
+/**
+ * Gas budget (see test/gas/)
+ *   npx hardhat heliora:gas            # print the report
+ *   npx hardhat heliora:gas --update   # rewrite test/gas/baseline.json
+ * A function fails its budget when it costs more than its baseline plus
+ * GAS_TOLERANCE percent (default: the baseline's tolerancePercent).
+ * Builds with other compiler settings (heliora:gas --runs / --via-ir) only
+ * report the difference.
+ */
+const BASELINE = path.join(__dirname, "gas", "baseline.json");
+
+describe("Gas budget", function () {
+  this.timeout(0);
+
+  it("should keep every benchmark within its budget", async function () {
+    const results = await runBenchmarks();
+    const compiler = await compilerSettings();
+    const baseline = fs.existsSync(BASELINE) ? JSON.parse(fs.readFileSync(BASELINE, "utf8")) : null;
+
+    if (process.env.GAS_UPDATE === "true") {
+      const functions = Object.fromEntries(Object.entries(results).sort(([a], [b]) => a.localeCompare(b)));
+      const updated = { compiler, tolerancePercent: baseline ? baseline.tolerancePercent : 5, functions };
+      fs.writeFileSync(BASELINE, JSON.stringify(updated, null, 2) + "\n");
+      console.log(`Wrote ${Object.keys(functions).length} benchmark(s) to ${path.relative(process.cwd(), BASELINE)}`);
+      return;
+    }
+    expect(baseline, "no gas baseline, run: npx hardhat heliora:gas --update").to.not.be.null;
+
+    const tolerancePercent = Number(process.env.GAS_TOLERANCE ?? baseline.tolerancePercent);
+    const rows = compareToBaseline(results, baseline, tolerancePercent);
+    const report = formatReport(rows, { compiler, baselineCompiler: baseline.compiler, tolerancePercent });
+    if (process.env.GAS_REPORT === "true") console.log(report);
+    if (JSON.stringify(compiler) !== JSON.stringify(baseline.compiler)) {
+      console.log("Compiler settings differ from the baseline, budget not enforced");
+      return;
+    }
+
+    const failing = rows.filter((r) => ["over", "new", "missing"].includes(r.status));
+    expect(failing.map((r) => `${r.name}: ${r.status}`), report).to.deep.equal([]);
+  });
+
+  it("should compare against the baseline with a tolerance", function () {
+    const baseline = { functions: { a: 1000, b: 1000, c: 1000, gone: 1 } };
+    const rows = compareToBaseline({ a: 1049, b: 1051, c: 900, added: 5 }, baseline, 5);
+    expect(rows.map((r) => [r.name, r.status])).to.deep.equal([
+      ["a", "ok"],
+      ["added", "new"],
+      ["b", "over"],
+      ["c", "improved"],
+      ["gone", "missing"],
+    ]);
+    expect(rows.find((r) => r.name === "b").change).to.be.closeTo(5.1, 1e-9);
+  });
+});
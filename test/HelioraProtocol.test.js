@@ -1,5 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const BOND = ethers.parseEther("0.01"); // ConditionRegistry default challengeBond
 
 describe("HelioraExecutor", function () {
   let executor, owner, user;
@@ -221,18 +224,24 @@ describe("HelioraStaking", function () {
 
     it("should unstake correctly", async function () {
       await staking.connect(executor1).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+      await expect(staking.connect(executor1).requestUnstake(ethers.parseEther("0.1"))).to.emit(staking, "UnstakeRequested");
+      const stake = await staking.getExecutorStake(executor1.address);
+      expect(stake.active).to.be.false;
+      expect(stake.amount).to.equal(0);
+
+      await time.increase(24 * 60 * 60);
       const balBefore = await ethers.provider.getBalance(executor1.address);
-      const tx = await staking.connect(executor1).unstakeExecutor();
+      const tx = await staking.connect(executor1).withdraw();
       const receipt = await tx.wait();
       const gasCost = receipt.gasUsed * receipt.gasPrice;
       const balAfter = await ethers.provider.getBalance(executor1.address);
       expect(balAfter + gasCost - balBefore).to.equal(ethers.parseEther("0.1"));
-      const stake = await staking.getExecutorStake(executor1.address);
-      expect(stake.active).to.be.false;
+      expect((await staking.getUnbonding(executor1.address)).amount).to.equal(0);
     });
 
     it("should reject unstake when not staked", async function () {
-      await expect(staking.connect(executor1).unstakeExecutor()).to.be.revertedWith("Not staked");
+      await expect(staking.connect(executor1).requestUnstake(1)).to.be.revertedWith("Not staked");
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Nothing to unstake");
     });
 
     it("should return active executors", async function () {
@@ -249,6 +258,118 @@ describe("HelioraStaking", function () {
     });
   });
 
+  describe("Unbonding", function () {
+    const DAY = 24 * 60 * 60;
+    let registry;
+
+    beforeEach(async function () {
+      registry = await (await ethers.getContractFactory("ConditionRegistry")).deploy(executor1.address);
+      await staking.setConditionRegistry(await registry.getAddress());
+      await staking.connect(executor1).stakeAsExecutor({ value: ethers.parseEther("0.5") });
+    });
+
+    // executor1 records an execution of a fresh registry condition
+    async function recordExecution() {
+      await registry.connect(executor2).registerCondition(0, 100, executor2.address, "0x12345678", false);
+      const id = await registry.nextConditionId() - 1n;
+      await registry.connect(executor2).activateCondition(id);
+      await registry.connect(executor1).recordExecution(id, ethers.id(`tx-${id}`));
+      return id;
+    }
+
+    it("should keep the rest of a partial unstake bonded", async function () {
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.2"));
+      const stake = await staking.getExecutorStake(executor1.address);
+      expect(stake.amount).to.equal(ethers.parseEther("0.3"));
+      expect(stake.active).to.be.true;
+      expect((await staking.getUnbonding(executor1.address)).amount).to.equal(ethers.parseEther("0.2"));
+      expect(await staking.getTotalStaked()).to.equal(ethers.parseEther("0.5"));
+
+      await expect(staking.connect(executor1).requestUnstake(ethers.parseEther("0.25"))).to.be.revertedWith("Below minimum stake");
+      await expect(staking.connect(executor1).requestUnstake(ethers.parseEther("1"))).to.be.revertedWith("Invalid amount");
+      await expect(staking.connect(executor1).requestUnstake(0)).to.be.revertedWith("Invalid amount");
+    });
+
+    it("should withdraw only after the unbonding period", async function () {
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.2"));
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Still unbonding");
+
+      await time.increase(DAY / 2);
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.1")); // restarts the delay
+      await time.increase(DAY / 2);
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Still unbonding");
+
+      await time.increase(DAY / 2);
+      await expect(staking.connect(executor1).withdraw())
+        .to.emit(staking, "ExecutorUnstaked")
+        .withArgs(executor1.address, ethers.parseEther("0.3"));
+    });
+
+    it("should hold withdrawals while executions can be challenged", async function () {
+      await recordExecution();
+      expect(await registry.hasPendingExecutions(executor1.address)).to.be.true;
+      await staking.setUnbondingPeriod(0);
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.5"));
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Challenge window open");
+
+      await mine(300);
+      expect(await registry.hasPendingExecutions(executor1.address)).to.be.false;
+      await expect(staking.connect(executor1).withdraw()).to.emit(staking, "ExecutorUnstaked");
+    });
+
+    it("should hold withdrawals until challenges are resolved", async function () {
+      const id = await recordExecution();
+      await registry.connect(executor2).challengeExecution(id, { value: BOND });
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.5"));
+      await mine(300);
+      await time.increase(DAY);
+      expect(await registry.openChallenges(executor1.address)).to.equal(1);
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Challenge window open");
+
+      await registry.resolveChallenge(await registry.latestChallenge(id), true);
+      expect(await registry.openChallenges(executor1.address)).to.equal(0);
+      await expect(staking.connect(executor1).withdraw()).to.emit(staking, "ExecutorUnstaked");
+    });
+
+    it("should slash an executor that is unbonding", async function () {
+      const id = await recordExecution();
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.4"));
+      await registry.connect(executor2).challengeExecution(id, { value: BOND });
+      await time.increase(DAY);
+      await expect(staking.connect(executor1).withdraw()).to.be.revertedWith("Challenge window open");
+
+      // Fraud confirmed while the exit is pending: bonded stake goes first, then unbonding
+      await registry.resolveChallenge(await registry.latestChallenge(id), false);
+      await staking.connect(slasher).slashExecutor(executor1.address, ethers.parseEther("0.25"), "invalid execution", id);
+      expect((await staking.getExecutorStake(executor1.address)).amount).to.equal(0);
+      expect((await staking.getUnbonding(executor1.address)).amount).to.equal(ethers.parseEther("0.25"));
+      expect((await staking.getExecutorStake(executor1.address)).slashedAmount).to.equal(ethers.parseEther("0.25"));
+
+      await mine(300);
+      const balBefore = await ethers.provider.getBalance(executor1.address);
+      const receipt = await (await staking.connect(executor1).withdraw()).wait();
+      const balAfter = await ethers.provider.getBalance(executor1.address);
+      expect(balAfter + receipt.gasUsed * receipt.gasPrice - balBefore).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("should slash stake that is fully unbonding", async function () {
+      await staking.connect(executor1).requestUnstake(ethers.parseEther("0.5"));
+      await staking.connect(slasher).slashExecutor(executor1.address, ethers.parseEther("1"), "missed", 1);
+      expect((await staking.getUnbonding(executor1.address)).amount).to.equal(0);
+      expect((await staking.getExecutorStake(executor1.address)).slashedAmount).to.equal(ethers.parseEther("0.5"));
+      await expect(
+        staking.connect(slasher).slashExecutor(executor1.address, 1, "missed", 1)
+      ).to.be.revertedWith("Executor not staked");
+    });
+
+    it("should restrict unbonding settings to the owner", async function () {
+      await expect(staking.connect(executor1).setUnbondingPeriod(0)).to.be.revertedWith("Not owner");
+      await expect(staking.connect(executor1).setConditionRegistry(executor1.address)).to.be.revertedWith("Not owner");
+      await expect(staking.setUnbondingPeriod(31 * DAY)).to.be.revertedWith("Period out of bounds");
+      await expect(staking.setUnbondingPeriod(7 * DAY)).to.emit(staking, "UnbondingPeriodUpdated").withArgs(7 * DAY);
+    });
+  });
+
   describe("Slashing", function () {
     beforeEach(async function () {
       await staking.connect(executor1).stakeAsExecutor({ value: ethers.parseEther("0.5") });
@@ -508,26 +629,38 @@ describe("ConditionRegistry", function () {
     });
 
     it("should allow challenge within deadline", async function () {
-      await registry.connect(challenger).challengeExecution(1);
+      await registry.connect(challenger).challengeExecution(1, { value: BOND });
       const proof = await registry.getExecutionProof(1);
       expect(proof.challenged).to.be.true;
     });
 
     it("should reject duplicate challenge", async function () {
-      await registry.connect(challenger).challengeExecution(1);
-      await expect(registry.connect(challenger).challengeExecution(1)).to.be.revertedWith("Already challenged");
+      await registry.connect(challenger).challengeExecution(1, { value: BOND });
+      await expect(registry.connect(challenger).challengeExecution(1, { value: BOND })).to.be.revertedWith("Already challenged");
+    });
+
+    it("should not record over a challenged execution", async function () {
+      await registry.connect(user).registerCondition(0, 100, user.address, "0x12345678", true);
+      await registry.connect(user).activateCondition(2);
+      await registry.connect(executor).recordExecution(2, ethers.id("first"));
+      await registry.connect(challenger).challengeExecution(2, { value: BOND });
+      await expect(registry.connect(executor).recordExecution(2, ethers.id("second"))).to.be.revertedWith("Execution under challenge");
+
+      await registry.connect(owner).resolveChallenge(await registry.latestChallenge(2), true);
+      await registry.connect(executor).recordExecution(2, ethers.id("second"));
+      expect((await registry.getExecutionProof(2)).txHash).to.equal(ethers.id("second"));
     });
 
     it("should resolve challenge as valid", async function () {
-      await registry.connect(challenger).challengeExecution(1);
-      await registry.connect(owner).resolveChallenge(1, true);
+      await registry.connect(challenger).challengeExecution(1, { value: BOND });
+      await registry.connect(owner).resolveChallenge(await registry.latestChallenge(1), true);
       const proof = await registry.getExecutionProof(1);
       expect(proof.valid).to.be.true;
     });
 
     it("should resolve challenge as invalid (slash)", async function () {
-      await registry.connect(challenger).challengeExecution(1);
-      await registry.connect(owner).resolveChallenge(1, false);
+      await registry.connect(challenger).challengeExecution(1, { value: BOND });
+      await registry.connect(owner).resolveChallenge(await registry.latestChallenge(1), false);
       const proof = await registry.getExecutionProof(1);
       expect(proof.valid).to.be.false;
       const condition = await registry.getCondition(1);
@@ -548,6 +681,107 @@ describe("ConditionRegistry", function () {
       const stats = await registry.getStats();
       expect(stats.registered).to.equal(1);
     });
+
+    it("should count repeatable conditions as active after executing", async function () {
+      await registry.connect(user).registerCondition(0, 100, user.address, "0x12345678", true);
+      await registry.connect(user).activateCondition(1);
+      const txHash = ethers.keccak256(ethers.toUtf8Bytes("test"));
+      await registry.connect(executor).recordExecution(1, txHash);
+      await registry.connect(executor).recordExecution(1, txHash);
+      let stats = await registry.getStats();
+      expect(stats.executed).to.equal(2);
+      expect(stats.active).to.equal(1);
+
+      await registry.connect(challenger).challengeExecution(1, { value: BOND });
+      await registry.connect(owner).resolveChallenge(await registry.latestChallenge(1), false);
+      stats = await registry.getStats();
+      expect(stats.active).to.equal(0);
+    });
+  });
+
+  describe("Composite Conditions", function () {
+    const LEAF = 0, AND = 1, OR = 2;
+    const COMPOSITE = 5;
+    const usd = (n) => BigInt(n) * 10n ** 8n;
+    const leaf = (leafType, value, { pair = "", account = ethers.ZeroAddress } = {}) =>
+      ({ op: LEAF, leafType, value, account, pair, children: [] });
+    const node = (op, children) => ({ op, leafType: 0, value: 0, account: ethers.ZeroAddress, pair: "", children });
+    let oracle, feed;
+
+    beforeEach(async function () {
+      oracle = await (await ethers.getContractFactory("HelioraPriceOracle")).deploy();
+      feed = await (await ethers.getContractFactory("MockChainlinkFeed")).deploy(8, usd(2500));
+      await oracle.registerFeed("ETH/USD", await feed.getAddress());
+    });
+
+    async function registerComposite(nodes) {
+      await registry.connect(user).registerCompositeCondition(nodes, user.address, "0x12345678", false);
+      const id = (await registry.nextConditionId()) - 1n;
+      await registry.connect(user).activateCondition(id);
+      return id;
+    }
+
+    it("should store the expression tree", async function () {
+      const id = await registerComposite([node(AND, [1, 2]), leaf(1, 1000), leaf(3, usd(2000), { pair: "ETH/USD" })]);
+      const condition = await registry.getCondition(id);
+      expect(condition.conditionType).to.equal(COMPOSITE);
+      expect(condition.conditionValue).to.equal(3);
+
+      const nodes = await registry.getConditionNodes(id);
+      expect(nodes.map((n) => Number(n.op))).to.deep.equal([AND, LEAF, LEAF]);
+      expect(nodes[0].children).to.deep.equal([1n, 2n]);
+      expect(nodes[2].pair).to.equal("ETH/USD");
+    });
+
+    it("should reject malformed trees", async function () {
+      const register = (nodes) => registry.connect(user).registerCompositeCondition(nodes, user.address, "0x12345678", false);
+      await expect(register([])).to.be.revertedWith("Invalid node count");
+      await expect(register(Array(17).fill(leaf(0, 1)))).to.be.revertedWith("Invalid node count");
+      await expect(register([node(AND, [1]), leaf(0, 1)])).to.be.revertedWith("Operator needs two children");
+      await expect(register([node(OR, [0, 1]), leaf(0, 1)])).to.be.revertedWith("Invalid child index");
+      await expect(register([node(OR, [1, 1]), leaf(0, 1)])).to.be.revertedWith("Node has two parents");
+      await expect(register([node(OR, [1, 2]), leaf(0, 1), leaf(0, 1), leaf(0, 1)])).to.be.revertedWith("Unreachable node");
+      await expect(register([leaf(2, usd(1))])).to.be.revertedWith("Missing price pair");
+      await expect(register([leaf(COMPOSITE, 1)])).to.be.revertedWith("Invalid leaf type");
+      await expect(register([leaf(0, 0)])).to.be.revertedWith("Invalid value");
+      await expect(
+        registry.connect(user).registerCondition(COMPOSITE, 1, user.address, "0x12345678", false)
+      ).to.be.revertedWith("Use registerCompositeCondition");
+    });
+
+    it("should resolve AND / OR readiness through the price oracle", async function () {
+      await registry.setPriceOracle(await oracle.getAddress());
+      const past = (await time.latest()) - 10;
+      const belowPrice = leaf(3, usd(2000), { pair: "ETH/USD" });
+      const and = await registerComposite([node(AND, [1, 2]), leaf(1, past), belowPrice]);
+      const or = await registerComposite([node(OR, [1, 2]), leaf(0, 10n ** 9n), belowPrice]);
+      expect(await registry.isConditionReady(and)).to.be.false;
+      expect(await registry.isConditionReady(or)).to.be.false;
+
+      await feed.setPrice(usd(1900));
+      expect(await registry.isConditionReady(and)).to.be.true;
+      expect(await registry.isConditionReady(or)).to.be.true;
+
+      // (block far away OR balance of `user` >= 1 wei) AND price below, nested
+      const nested = await registerComposite([
+        node(AND, [1, 4]),
+        node(OR, [2, 3]),
+        leaf(0, 10n ** 9n),
+        leaf(4, 1, { account: user.address }),
+        belowPrice,
+      ]);
+      expect(await registry.isConditionReady(nested)).to.be.true;
+    });
+
+    it("should not resolve price leaves without an oracle or feed", async function () {
+      const priced = await registerComposite([leaf(2, usd(1), { pair: "ETH/USD" })]);
+      expect(await registry.isConditionReady(priced)).to.be.false;
+
+      await registry.setPriceOracle(await oracle.getAddress());
+      expect(await registry.isConditionReady(priced)).to.be.true;
+      const missing = await registerComposite([leaf(2, usd(1), { pair: "BTC/USD" })]);
+      expect(await registry.isConditionReady(missing)).to.be.false;
+    });
   });
 
   describe("Admin", function () {
@@ -556,6 +790,12 @@ describe("ConditionRegistry", function () {
       expect(await registry.executor()).to.equal(user.address);
     });
 
+    it("should update the price oracle", async function () {
+      await expect(registry.connect(user).setPriceOracle(user.address)).to.be.revertedWith("Not owner");
+      await registry.setPriceOracle(user.address);
+      expect(await registry.priceOracle()).to.equal(user.address);
+    });
+
     it("should update challenge period", async function () {
       await registry.setChallengePeriod(600);
       expect(await registry.challengePeriod()).to.equal(600);
@@ -706,6 +946,238 @@ describe("HelioraInterface", function () {
       expect(await iface.isConditionReady(1)).to.be.false; // PENDING, not ACTIVE
     });
   });
+
+  describe("Recurring Schedules", function () {
+    const HOUR = 3600;
+    let target, selector;
+
+    beforeEach(async function () {
+      target = await (await ethers.getContractFactory("MockTarget")).deploy();
+      selector = target.interface.getFunction("harvest").selector;
+      await executorContract.authorizeCaller(await iface.getAddress());
+      await iface.authorizeExecutor(owner.address);
+    });
+
+    async function registerRecurring(type, first, interval, { maxRuns = 0, endsAt = 0 } = {}) {
+      await iface.connect(user).registerRecurringCondition(type, first, interval, maxRuns, endsAt, await target.getAddress(), selector);
+      const id = (await iface.getProtocolConditions(user.address)).at(-1);
+      await iface.connect(user).activateCondition(id);
+      return id;
+    }
+
+    async function tryExecute(id) {
+      try {
+        await iface.executeCondition(id, "0x");
+        return true;
+      } catch (err) {
+        expect(err.message).to.contain("Condition not met");
+        return false;
+      }
+    }
+
+    it("should register a REPEATABLE condition with its schedule", async function () {
+      const first = (await time.latest()) + HOUR;
+      const id = await registerRecurring(1, first, HOUR, { maxRuns: 24 });
+      const cond = await iface.getCondition(id);
+      expect(cond.executionMode).to.equal(1); // REPEATABLE
+      const schedule = await iface.schedules(id);
+      expect([schedule.interval, schedule.maxRuns, schedule.endsAt, schedule.runs, schedule.firstRun])
+        .to.deep.equal([BigInt(HOUR), 24n, 0n, 0n, BigInt(first)]);
+      expect(await iface.getNextRun(id)).to.deep.equal([BigInt(first), BigInt(first + 200)]);
+
+      await expect(
+        iface.registerRecurringCondition(1, first, 0, 0, 0, user.address, selector)
+      ).to.be.revertedWith("Invalid interval");
+      await expect(
+        iface.registerRecurringCondition(1, first, HOUR, 0, first - 1, user.address, selector)
+      ).to.be.revertedWith("Schedule ends before first run");
+      await expect(
+        iface.registerRecurringCondition(1, 1, HOUR, 0, 0, user.address, selector)
+      ).to.be.revertedWith("Timestamp must be in future");
+    });
+
+    it("should not register a REPEATABLE condition without a schedule", async function () {
+      await expect(
+        iface.connect(user).registerCondition(1, (await time.latest()) + HOUR, user.address, selector, 1)
+      ).to.be.revertedWith("Repeatable needs a schedule");
+    });
+
+    it("should fire an hourly job exactly once per hour", async function () {
+      const first = (await time.latest()) + HOUR;
+      const id = await registerRecurring(1, first, HOUR);
+
+      // Try every 2 minutes for 3 hours (two attempts land in each 200s window)
+      const runs = [];
+      for (let at = first - 240; at < first + 3 * HOUR; at += 120) {
+        await time.increaseTo(at);
+        if (await tryExecute(id)) runs.push((await time.latest()) - first);
+      }
+      expect(runs.map((offset) => Math.floor(offset / HOUR))).to.deep.equal([0, 1, 2]);
+      expect(runs.every((offset) => offset % HOUR <= 200)).to.be.true;
+      expect(await target.count()).to.equal(3);
+      expect((await iface.schedules(id)).runs).to.equal(3);
+      expect((await iface.getCondition(id)).conditionValue).to.equal(BigInt(first + 3 * HOUR));
+    });
+
+    it("should skip a missed run instead of replaying it", async function () {
+      const first = (await time.latest()) + 100;
+      const id = await registerRecurring(1, first, 1000);
+      await time.increaseTo(first + 500); // window of the first run closed
+      expect(await iface.isConditionReady(id)).to.be.false;
+      expect(await iface.getNextRun(id)).to.deep.equal([BigInt(first + 1000), BigInt(first + 1200)]);
+      expect(await tryExecute(id)).to.be.false;
+
+      await time.increaseTo(first + 1000);
+      expect(await iface.isConditionReady(id)).to.be.true;
+      expect(await tryExecute(id)).to.be.true;
+      expect(await tryExecute(id)).to.be.false;
+      const cond = await iface.getCondition(id);
+      expect(cond.conditionValue).to.equal(BigInt(first + 2000));
+      expect(cond.executionWindowEnd).to.equal(BigInt(first + 2200));
+    });
+
+    it("should finish after maxRuns", async function () {
+      const first = (await ethers.provider.getBlockNumber()) + 10;
+      const id = await registerRecurring(0, first, 50, { maxRuns: 2 });
+      await mine(10);
+      await expect(iface.executeCondition(id, "0x")).to.emit(iface, "ConditionRescheduled").withArgs(id, first + 50, first + 150);
+      await mine(50);
+      await iface.executeCondition(id, "0x");
+      expect((await iface.getCondition(id)).status).to.equal(2); // EXECUTED
+      expect(await iface.getNextRun(id)).to.deep.equal([0n, 0n]);
+      await mine(50);
+      await expect(iface.executeCondition(id, "0x")).to.be.revertedWith("Condition not active");
+    });
+
+    it("should not schedule runs after endsAt", async function () {
+      const first = (await time.latest()) + 100;
+      const id = await registerRecurring(1, first, 1000, { endsAt: first + 1500 });
+      await time.increaseTo(first);
+      expect(await tryExecute(id)).to.be.true;
+      expect((await iface.getCondition(id)).status).to.equal(1); // ACTIVE, one run left
+
+      await time.increaseTo(first + 1300); // last run missed
+      expect(await iface.getNextRun(id)).to.deep.equal([0n, 0n]);
+      expect(await iface.isConditionReady(id)).to.be.false;
+
+      const second = await registerRecurring(1, first + 2000, 1000, { endsAt: first + 2500 });
+      await time.increaseTo(first + 2000);
+      expect(await tryExecute(second)).to.be.true;
+      expect((await iface.getCondition(second)).status).to.equal(2); // EXECUTED, next run past endsAt
+    });
+  });
+
+  describe("Calldata Commitments", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    let target, selector;
+
+    beforeEach(async function () {
+      target = await (await ethers.getContractFactory("MockTarget")).deploy();
+      selector = target.interface.getFunction("harvestTo").selector;
+      await executorContract.authorizeCaller(await iface.getAddress());
+      await iface.authorizeExecutor(owner.address);
+      const at = (await ethers.provider.getBlockNumber()) + 5;
+      await iface.connect(user).registerRecurringCondition(0, at, 1, 0, 0, await target.getAddress(), selector); // every block
+    });
+
+    const args = (recipient, value) => coder.encode(["address", "uint256"], [recipient, value]);
+
+    async function activate() {
+      await iface.connect(user).activateCondition(1);
+      await mine(5);
+    }
+
+    it("should let the executor choose calldata without a commitment", async function () {
+      await activate();
+      expect(await iface.calldataModes(1)).to.equal(0); // NONE
+      await iface.executeCondition(1, args(otherUser.address, 7));
+      expect(await target.lastCaller()).to.equal(otherUser.address);
+    });
+
+    it("should only execute FIXED calldata", async function () {
+      const payload = args(user.address, 100);
+      await expect(iface.connect(user).commitFixedCalldata(1, payload))
+        .to.emit(iface, "CalldataCommitted")
+        .withArgs(1, 1, ethers.keccak256(payload));
+      expect(await iface.getFixedCalldata(1)).to.equal(payload);
+      await activate();
+
+      await expect(iface.executeCondition(1, args(otherUser.address, 100))).to.be.revertedWith("Calldata mismatch");
+      await expect(iface.executeCondition(1, "0x")).to.be.revertedWith("Calldata mismatch");
+      await iface.executeCondition(1, payload);
+      expect(await target.lastCaller()).to.equal(user.address);
+      expect(await target.lastValue()).to.equal(100);
+    });
+
+    it("should only execute calldata matching a HASH commitment", async function () {
+      const payload = args(user.address, 100);
+      await iface.connect(user).commitCalldataHash(1, ethers.keccak256(payload));
+      expect(await iface.getFixedCalldata(1)).to.equal("0x");
+      await activate();
+
+      await expect(iface.executeCondition(1, args(user.address, 101))).to.be.revertedWith("Calldata mismatch");
+      await iface.executeCondition(1, payload);
+      expect(await target.count()).to.equal(1);
+    });
+
+    it("should check each argument against a TEMPLATE", async function () {
+      const limit = ethers.parseEther("1");
+      await iface.connect(user).commitCalldataTemplate(1, [
+        { rule: 1, value: coder.encode(["address"], [user.address]) }, // EQ
+        { rule: 2, value: coder.encode(["uint256"], [limit]) }, // LTE
+      ]);
+      const template = await iface.getCalldataTemplate(1);
+      expect(template.map((arg) => arg.rule)).to.deep.equal([1n, 2n]);
+      await activate();
+
+      await expect(iface.executeCondition(1, args(otherUser.address, 1))).to.be.revertedWith("Calldata mismatch");
+      await expect(iface.executeCondition(1, args(user.address, limit + 1n))).to.be.revertedWith("Calldata mismatch");
+      await expect(
+        iface.executeCondition(1, ethers.concat([args(user.address, 1), ethers.ZeroHash]))
+      ).to.be.revertedWith("Calldata mismatch");
+      await iface.executeCondition(1, args(user.address, limit));
+      await iface.executeCondition(1, args(user.address, 0));
+      expect(await target.count()).to.equal(2);
+    });
+
+    it("should apply GTE and ANY rules", async function () {
+      await iface.connect(user).commitCalldataTemplate(1, [
+        { rule: 0, value: ethers.ZeroHash }, // ANY
+        { rule: 3, value: coder.encode(["uint256"], [50]) }, // GTE
+      ]);
+      await activate();
+      await expect(iface.executeCondition(1, args(otherUser.address, 49))).to.be.revertedWith("Calldata mismatch");
+      await iface.executeCondition(1, args(otherUser.address, 50));
+    });
+
+    it("should only take commitments from the protocol while pending", async function () {
+      await expect(iface.connect(otherUser).commitCalldataHash(1, ethers.id("x"))).to.be.revertedWith("Not condition owner");
+      await expect(iface.connect(user).commitCalldataHash(1, ethers.ZeroHash)).to.be.revertedWith("Invalid calldata hash");
+      await expect(iface.connect(user).commitCalldataTemplate(1, [])).to.be.revertedWith("Invalid template");
+      const tooLong = Array.from({ length: 17 }, () => ({ rule: 0, value: ethers.ZeroHash }));
+      await expect(iface.connect(user).commitCalldataTemplate(1, tooLong)).to.be.revertedWith("Invalid template");
+
+      // A new commitment replaces the previous one
+      await iface.connect(user).commitCalldataTemplate(1, [{ rule: 0, value: ethers.ZeroHash }]);
+      await iface.connect(user).commitFixedCalldata(1, args(user.address, 1));
+      expect(await iface.calldataModes(1)).to.equal(1); // FIXED
+      expect(await iface.getCalldataTemplate(1)).to.have.length(0);
+
+      await activate();
+      await expect(iface.connect(user).commitFixedCalldata(1, "0x")).to.be.revertedWith("Condition not pending");
+    });
+
+    it("should check recurring runs", async function () {
+      const first = (await ethers.provider.getBlockNumber()) + 5;
+      await iface.connect(user).registerRecurringCondition(0, first, 50, 0, 0, await target.getAddress(), selector);
+      const payload = args(user.address, 3);
+      await iface.connect(user).commitFixedCalldata(2, payload);
+      await iface.connect(user).activateCondition(2);
+      await mine(5);
+      await expect(iface.executeCondition(2, args(user.address, 4))).to.be.revertedWith("Calldata mismatch");
+      await expect(iface.executeCondition(2, payload)).to.emit(iface, "ConditionRescheduled");
+    });
+  });
 });
 
 describe("HelioraPayment", function () {
@@ -951,4 +1423,68 @@ describe("HelioraPriceOracle", function () {
     await oracle.transferOwnership(addr1.address);
     expect(await oracle.owner()).to.equal(addr1.address);
   });
+
+  describe("TWAP", function () {
+    const usd = (n) => BigInt(n) * 10n ** 8n;
+    let feed, now;
+
+    // Rounds (oldest first): $2000 at -400s, -300s, -200s, then a $1500 wick at -10s
+    beforeEach(async function () {
+      const MockFeed = await ethers.getContractFactory("MockChainlinkFeed");
+      feed = await MockFeed.deploy(8, usd(2000));
+      await oracle.registerFeed("ETH/USD", await feed.getAddress());
+      now = BigInt(await time.latest()) + 1000n;
+      await feed.setUpdatedAt(now - 400n);
+      await feed.pushRound(usd(2000), now - 300n);
+      await feed.pushRound(usd(2000), now - 200n);
+      await feed.pushRound(usd(1500), now - 10n);
+      await time.increaseTo(now);
+    });
+
+    it("should expose round history on the mock feed", async function () {
+      expect(await feed.latestRound()).to.equal(4);
+      expect((await feed.getRoundData(2)).answer).to.equal(usd(2000));
+      await expect(feed.getRoundData(5)).to.be.revertedWith("No data present");
+    });
+
+    it("should weight each round by how long it was the latest", async function () {
+      const check = await oracle.getTwap("ETH/USD", 4);
+      expect(check.rounds).to.equal(4);
+      expect(check.fromTimestamp).to.equal(now - 400n);
+      // 2000 * 390s + 1500 * 10s over 400s
+      expect(check.twap).to.equal((usd(2000) * 390n + usd(1500) * 10n) / 400n);
+      expect(check.median).to.equal(usd(2000));
+      expect(check.stale).to.be.false;
+    });
+
+    it("should ignore a one-round wick that the spot check follows", async function () {
+      expect(await oracle.isPriceBelow("ETH/USD", usd(1900))).to.be.true;
+      expect(await oracle.isTwapBelow("ETH/USD", usd(1900), 4)).to.be.false;
+      expect(await oracle.isTwapAbove("ETH/USD", usd(1900), 4)).to.be.true;
+    });
+
+    it("should not confirm a TWAP over missing rounds or a stale feed", async function () {
+      expect((await oracle.getTwap("ETH/USD", 10)).rounds).to.equal(4);
+      expect(await oracle.isTwapAbove("ETH/USD", usd(1000), 10)).to.be.false;
+      await expect(oracle.getTwap("ETH/USD", 0)).to.be.revertedWith("Invalid rounds");
+      await expect(oracle.getTwap("ETH/USD", 51)).to.be.revertedWith("Invalid rounds");
+
+      await time.increase(3601);
+      expect(await oracle.isTwapAbove("ETH/USD", usd(1000), 4)).to.be.false;
+    });
+
+    it("should require a price to hold for rounds and a duration", async function () {
+      expect(await oracle.isPriceHeldBelow("ETH/USD", usd(1900), 1, 0)).to.be.true;
+      expect(await oracle.isPriceHeldBelow("ETH/USD", usd(1900), 2, 0)).to.be.false;
+      expect(await oracle.isPriceHeldBelow("ETH/USD", usd(1900), 1, 60)).to.be.false;
+
+      expect(await oracle.isPriceHeldAbove("ETH/USD", usd(1000), 4, 400)).to.be.true;
+      expect(await oracle.isPriceHeldAbove("ETH/USD", usd(1000), 5, 0)).to.be.false;
+      expect(await oracle.isPriceHeldAbove("ETH/USD", usd(1900), 1, 0)).to.be.false;
+
+      await oracle.removeFeed("ETH/USD");
+      expect(await oracle.isPriceHeldAbove("ETH/USD", usd(1000), 1, 0)).to.be.false;
+      expect(await oracle.isTwapAbove("ETH/USD", usd(1000), 1)).to.be.false;
+    });
+  });
 });
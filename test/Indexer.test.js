@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const {
+  Indexer,
+  MemoryStore,
+  PostgresStore,
+  executionsForProtocol,
+  executionsByExecutor,
+  slashesForExecutor,
+  conditionHistory,
+  subscriptionHistory,
+} = require("../src/indexer");
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+  let manifest, contracts, target, operator, protocol, subscriber, store, indexer;
+
+  beforeEach(async function () {
+    [operator, protocol, subscriber] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    const Target = await ethers.getContractFactory("MockTarget");
+    target = await Target.deploy();
+
+    store = new MemoryStore();
+    indexer = new Indexer({ contracts, store, startBlock: manifest.startBlock, confirmations: 3, batchSize: 5 });
+  });
+
+  async function registerAndExecute() {
+    const selector = target.interface.getFunction("harvest").selector;
+    const at = (await ethers.provider.getBlockNumber()) + 5;
+    const iface = contracts.helioraInterface.connect(protocol);
+    await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+    await iface.activateCondition(1);
+    await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.5") });
+    await mine(5);
+    const worker = new ExecutorWorker({ contracts, executorAddress: operator.address, dryRun: false, fromBlock: manifest.startBlock });
+    return (await worker.tick()).executed[0];
+  }
+
+  it("should backfill deployment events from the start block", async function () {
+    const result = await indexer.sync();
+    expect(result.fromBlock).to.equal(manifest.startBlock);
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    const updates = await store.find({ contract: "router", event: "ContractUpdated" });
+    expect(updates).to.have.length(6);
+    expect(updates[0].args.name).to.equal("executor");
+  });
+
+  it("should normalize records", async function () {
+    const outcome = await registerAndExecute();
+    await indexer.sync();
+    const [record] = await store.find({ contract: "helioraInterface", event: "ConditionExecuted" });
+    expect(record.conditionId).to.equal("1");
+    expect(record.txHash).to.equal(outcome.txHash);
+    expect(record.blockNumber).to.equal(outcome.blockNumber);
+    expect(record.accounts).to.deep.equal([operator.address.toLowerCase()]);
+    expect(record.args.feePaid).to.equal("0");
+    expect(record.timestamp).to.be.a("number");
+  });
+
+  it("should only index new blocks on the next sync", async function () {
+    await indexer.sync();
+    const before = (await store.find()).length;
+    const result = await indexer.sync();
+    expect(result.indexed).to.equal(0);
+    expect((await store.find()).length).to.equal(before);
+  });
+
+  describe("Queries", function () {
+    it("should return all executions for a protocol", async function () {
+      await registerAndExecute();
+      await indexer.sync();
+      const executions = await executionsForProtocol(store, protocol.address);
+      expect(executions.map((r) => r.contract)).to.deep.equal(["conditionRegistry", "helioraInterface"]); // recorded within the execution
+      expect(await executionsForProtocol(store, subscriber.address)).to.deep.equal([]);
+      expect(await executionsByExecutor(store, operator.address)).to.have.length(2);
+    });
+
+    it("should return slashes for an executor", async function () {
+      await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.5") });
+      await contracts.staking.slashExecutor(operator.address, ethers.parseEther("0.1"), "missed execution", 7);
+      await indexer.sync();
+      const slashes = await slashesForExecutor(store, operator.address);
+      expect(slashes).to.have.length(1);
+      expect(slashes[0].args.reason).to.equal("missed execution");
+      expect(slashes[0].args.amount).to.equal(ethers.parseEther("0.1").toString());
+    });
+
+    it("should return condition and subscription history", async function () {
+      await registerAndExecute();
+      await contracts.payment.connect(subscriber).subscribeETH(1, "Acme", { value: ethers.parseEther("0.2") });
+      await indexer.sync();
+      const history = await conditionHistory(store, "helioraInterface", 1);
+      expect(history.map((r) => r.event)).to.deep.equal(["ConditionRegistered", "ConditionLinked", "ConditionActivated", "ConditionExecuted"]);
+      const subs = await subscriptionHistory(store, subscriber.address);
+      expect(subs.map((r) => r.event)).to.deep.equal(["SubscriptionCreated", "PaymentReceived"]);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("should rewind and re-index when the cursor block is replaced", async function () {
+      await indexer.sync();
+      const snapshot = await takeSnapshot();
+      await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.1") });
+      await indexer.sync();
+      expect(await store.find({ event: "ExecutorStaked" })).to.have.length(1);
+
+      // Replace the tip with a different block
+      await snapshot.restore();
+      await contracts.staking.connect(subscriber).stakeAsExecutor({ value: ethers.parseEther("0.2") });
+      await mine(1);
+
+      const result = await indexer.sync();
+      expect(result.reorg).to.not.be.null;
+      const staked = await store.find({ event: "ExecutorStaked" });
+      expect(staked).to.have.length(1);
+      expect(staked[0].args.executor).to.equal(subscriber.address);
+      expect((await store.getCursor()).hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+  });
+
+  describe("Stores", function () {
+    it("should persist the embedded store to disk", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-indexer-"));
+      const file = path.join(dir, "index.json");
+      const fileStore = new MemoryStore({ file });
+      await fileStore.init();
+      await new Indexer({ contracts, store: fileStore, startBlock: manifest.startBlock }).sync();
+
+      const reopened = new MemoryStore({ file });
+      await reopened.init();
+      expect(await reopened.getCursor()).to.deep.equal(await fileStore.getCursor());
+      expect((await reopened.find()).length).to.equal((await fileStore.find()).length);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should append each batch to the embedded store and compact it on init", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-indexer-"));
+      const file = path.join(dir, "index.json");
+      const fileStore = new MemoryStore({ file });
+      await fileStore.init();
+      const record = (id, blockNumber) => ({ id, blockNumber, logIndex: 0, event: "E", args: {} });
+      await fileStore.commit([record("a", 1), record("b", 2)], { number: 2, hash: "0x02" });
+      const size = fs.statSync(file).size;
+      await fileStore.commit([record("c", 3)], { number: 3, hash: "0x03" });
+      await fileStore.rewind(2);
+      const appended = fs.readFileSync(file, "utf8").slice(size).split("\n").filter(Boolean);
+      expect(appended.map((line) => JSON.parse(line))).to.deep.equal([
+        { records: [record("c", 3)], cursor: { number: 3, hash: "0x03" } },
+        { rewind: 2 },
+      ]);
+
+      // A line cut short by a crash is dropped
+      fs.appendFileSync(file, '{"records":[{"id":"d"');
+      const reopened = new MemoryStore({ file });
+      await reopened.init();
+      expect((await reopened.find()).map((r) => r.id)).to.deep.equal(["a", "b"]);
+      expect(await reopened.getCursor()).to.deep.equal({ number: 3, hash: "0x03" });
+      expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.have.length(1);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should build parameterized Postgres queries", async function () {
+      const calls = [];
+      const pool = { query: async (sql, params) => (calls.push({ sql, params }), { rows: [] }) };
+      const pg = new PostgresStore({ pool });
+      await pg.find({ contract: "staking", event: "ExecutorSlashed", account: "0xABC", fromBlock: 10 });
+      const [{ sql, params }] = calls;
+      expect(sql).to.contain("FROM heliora_events WHERE contract = $1 AND event = ANY($2) AND $3 = ANY(accounts) AND block_number >= $4");
+      expect(params).to.deep.equal(["staking", ["ExecutorSlashed"], "0xabc", 10]);
+    });
+
+    it("should commit each Postgres batch with its cursor in one transaction", async function () {
+      const calls = [];
+      let fail = false;
+      const client = {
+        query: async (sql) => {
+          calls.push(sql.trim().split(/\s+/).slice(0, 3).join(" "));
+          if (fail && sql.includes("_state")) throw new Error("connection lost");
+          return { rows: [] };
+        },
+        release: () => calls.push("release"),
+      };
+      const pg = new PostgresStore({ pool: { connect: async () => client } });
+      const record = { id: "a", blockNumber: 1, logIndex: 0, accounts: [], args: {} };
+      await pg.commit([record, { ...record, id: "b" }], { number: 1, hash: "0x01" });
+      expect(calls).to.deep.equal([
+        "BEGIN",
+        "INSERT INTO heliora_events",
+        "INSERT INTO heliora_events",
+        "INSERT INTO heliora_state",
+        "COMMIT",
+        "release",
+      ]);
+
+      calls.length = 0;
+      fail = true;
+      await expect(pg.commit([record], { number: 2, hash: "0x02" })).to.be.rejectedWith("connection lost");
+      expect(calls).to.deep.equal(["BEGIN", "INSERT INTO heliora_events", "INSERT INTO heliora_state", "ROLLBACK", "release"]);
+    });
+  });
+});
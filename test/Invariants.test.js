@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { generate, runSequence, fuzz, formatFailure } = require("./fuzz/harness");
+const protocol = require("./fuzz/protocol");
+
+/**
+ * Stateful fuzzing (see test/fuzz/)
+ *   npm run fuzz                                  # FUZZ_RUNS=3 FUZZ_STEPS=40 from FUZZ_SEED=1
+ *   FUZZ_SEED=random FUZZ_RUNS=50 npm run fuzz
+ *   FUZZ_REPLAY=cache/fuzz/seed-7.json npm run fuzz
+ * Failures are shrunk and written to cache/fuzz/seed-<seed>.json for replay.
+ */
+const FUZZ_DIR = path.join(__dirname, "..", "cache", "fuzz");
+
+function fuzzOptions(env = process.env) {
+  return {
+    seed: env.FUZZ_SEED === "random" ? Math.floor(Math.random() * 2 ** 31) : Number(env.FUZZ_SEED || 1),
+    runs: Number(env.FUZZ_RUNS || 3),
+    steps: Number(env.FUZZ_STEPS || 40),
+  };
+}
+
+describe("Protocol invariants", function () {
+  this.timeout(0);
+
+  before(function () {
+    protocol.reset();
+  });
+
+  it("should hold across random action sequences", async function () {
+    if (process.env.FUZZ_REPLAY) {
+      const { sequence } = JSON.parse(fs.readFileSync(process.env.FUZZ_REPLAY, "utf8"));
+      const { failure } = await runSequence(protocol.suite, sequence);
+      expect(failure, failure && `${failure.name} at step ${failure.step}: ${failure.message}`).to.be.null;
+      return;
+    }
+
+    const result = await fuzz(protocol.suite, fuzzOptions());
+    if (result) {
+      fs.mkdirSync(FUZZ_DIR, { recursive: true });
+      const file = path.join(FUZZ_DIR, `seed-${result.seed}.json`);
+      fs.writeFileSync(file, JSON.stringify({ seed: result.seed, failure: result.failure, sequence: result.sequence }, null, 2));
+      expect.fail(`${formatFailure(result)}\nreplay: FUZZ_REPLAY=${path.relative(process.cwd(), file)} npm run fuzz`);
+    }
+  });
+});
+
+describe("Fuzzing harness", function () {
+  // Counter model: "boom" only breaks the invariant once "arm" ran before it
+  const toy = {
+    setup: async () => ({ armed: false, broken: false }),
+    actions: {
+      noop: { weight: 4, args: (r) => ({ n: r.int(0, 9) }), run: async () => {} },
+      arm: { run: async (ctx) => (ctx.armed = true) },
+      boom: { run: async (ctx) => (ctx.broken = ctx.armed) },
+      revert: { run: async () => Promise.reject(Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" })) },
+    },
+    invariants: {
+      intact: async (ctx) => expect(ctx.broken).to.be.false,
+    },
+  };
+
+  it("should generate the same sequence from the same seed", function () {
+    expect(generate(42, 30, toy.actions)).to.deep.equal(generate(42, 30, toy.actions));
+    expect(generate(42, 30, toy.actions)).to.not.deep.equal(generate(43, 30, toy.actions));
+  });
+
+  it("should treat reverts as rejected steps", async function () {
+    const result = await runSequence(toy, [{ action: "revert", args: {} }, { action: "noop", args: {} }]);
+    expect(result).to.deep.equal({ failure: null, steps: 2, rejected: 1 });
+  });
+
+  it("should shrink a failing sequence to the steps that matter", async function () {
+    const result = await fuzz(toy, { seed: 1, runs: 20, steps: 30 });
+    expect(result.original.name).to.equal("intact");
+    expect(result.sequence.map((s) => s.action)).to.deep.equal(["arm", "boom"]);
+    expect((await runSequence(toy, result.sequence)).failure.name).to.equal("intact");
+  });
+});
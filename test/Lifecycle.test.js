@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ConditionStatus, InterfaceConditionStatus } = require("../src/enums");
+
+const { ethers } = hre;
+
+describe("Condition lifecycle", function () {
+  let manifest, contracts, iface, registry, staking, target, selector, operator, protocol, other, stake;
+
+  beforeEach(async function () {
+    [operator, protocol, other] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    iface = contracts.helioraInterface;
+    registry = contracts.conditionRegistry;
+    staking = contracts.staking;
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    selector = target.interface.getFunction("harvest").selector;
+    stake = await staking.conditionStake();
+  });
+
+  // Interface block condition due in `offset` blocks; returns its id
+  async function register(offset = 3, { activate = true, value = stake } = {}) {
+    const at = (await ethers.provider.getBlockNumber()) + offset;
+    await iface.connect(protocol).registerCondition(0, at, await target.getAddress(), selector, 0, { value });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    if (activate) await iface.connect(protocol).activateCondition(id);
+    return id;
+  }
+
+  async function recordStatus(registryId) {
+    return Number((await registry.getCondition(registryId)).status);
+  }
+
+  it("should create the registry record and lock the stake at registration", async function () {
+    const at = (await ethers.provider.getBlockNumber()) + 50;
+    await expect(
+      iface.connect(protocol).registerCondition(0, at, await target.getAddress(), selector, 0)
+    ).to.be.revertedWith("Below condition stake");
+
+    await expect(iface.connect(protocol).registerCondition(0, at, await target.getAddress(), selector, 0, { value: stake }))
+      .to.emit(iface, "ConditionLinked")
+      .withArgs(1, 1, stake)
+      .and.to.emit(registry, "ConditionLinked")
+      .withArgs(1, 1)
+      .and.to.emit(staking, "ConditionStaked")
+      .withArgs(protocol.address, 1, stake);
+
+    expect(await iface.registryIds(1)).to.equal(1);
+    expect(await registry.interfaceIds(1)).to.equal(1);
+    const record = await registry.getCondition(1);
+    expect([record.registrant, record.conditionValue, record.targetContract, record.targetFunction]).to.deep.equal([
+      protocol.address,
+      BigInt(at),
+      await target.getAddress(),
+      selector,
+    ]);
+    expect(record.status).to.equal(ConditionStatus.REGISTERED);
+    expect((await staking.getConditionStake(1)).owner).to.equal(protocol.address);
+    expect(await staking.lockedStakes(1)).to.be.true;
+
+    await iface.connect(protocol).activateCondition(1);
+    expect(await recordStatus(1)).to.equal(ConditionStatus.ACTIVE);
+  });
+
+  it("should only change linked records and stakes through HelioraInterface", async function () {
+    await register(50);
+    await expect(registry.connect(protocol).activateCondition(1)).to.be.revertedWith("Managed by HelioraInterface");
+    await expect(registry.connect(protocol).cancelCondition(1)).to.be.revertedWith("Managed by HelioraInterface");
+    await expect(registry.recordExecution(1, ethers.id("tx"))).to.be.revertedWith("Managed by HelioraInterface");
+    await expect(registry.connect(other).recordLinkedExecution(1, other.address, true)).to.be.revertedWith("Not HelioraInterface");
+    await expect(registry.connect(other).cancelLinkedCondition(1)).to.be.revertedWith("Not HelioraInterface");
+
+    await expect(staking.connect(protocol).releaseConditionStake(1)).to.be.revertedWith("Stake locked");
+    await expect(staking.connect(other).settleConditionStake(1)).to.be.revertedWith("Not HelioraInterface");
+    await expect(
+      staking.connect(other).stakeConditionFor(other.address, 2, { value: stake })
+    ).to.be.revertedWith("Not HelioraInterface");
+
+    // Direct condition stakes go to the registrant's own registry conditions
+    await registry.connect(protocol).registerCondition(0, 1, await target.getAddress(), selector, false);
+    await expect(staking.connect(other).stakeForCondition(2, { value: stake })).to.be.revertedWith("Not registrant");
+    await staking.connect(protocol).stakeForCondition(2, { value: stake });
+  });
+
+  it("should record the execution and credit the executor", async function () {
+    await staking.stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    const id = await register();
+    await mine(3);
+
+    const tx = await iface.executeCondition(id, "0x");
+    const { blockNumber } = await tx.wait();
+    await expect(tx)
+      .to.emit(registry, "ConditionExecuted")
+      .withArgs(1, operator.address, blockNumber)
+      .and.to.emit(staking, "ConditionStakeReleased")
+      .withArgs(protocol.address, 1, stake);
+
+    const proof = await registry.getExecutionProof(1);
+    expect([proof.executor, proof.blockNumber, proof.txHash]).to.deep.equal([operator.address, BigInt(blockNumber), ethers.ZeroHash]);
+    expect(await recordStatus(1)).to.equal(ConditionStatus.EXECUTED);
+    expect((await staking.getExecutorStake(operator.address)).executionCount).to.equal(1);
+    expect(await staking.lockedStakes(1)).to.be.false;
+    expect((await staking.getConditionStake(1)).released).to.be.true;
+  });
+
+  it("should execute for executors without a stake, without crediting them", async function () {
+    const id = await register();
+    await mine(3);
+    const notStaked = staking.interface.encodeErrorResult("Error(string)", ["Executor not staked"]);
+    await expect(iface.executeCondition(id, "0x"))
+      .to.emit(iface, "ExecutionNotCredited")
+      .withArgs(id, operator.address, notStaked);
+    expect((await registry.getExecutionProof(1)).executor).to.equal(operator.address);
+    expect((await staking.getExecutorStake(operator.address)).executionCount).to.equal(0);
+  });
+
+  it("should cancel the record and release the stake on cancellation", async function () {
+    const pending = await register(50, { activate: false });
+    const active = await register(50);
+
+    await expect(iface.connect(protocol).cancelCondition(pending))
+      .to.emit(registry, "ConditionCancelled")
+      .withArgs(1)
+      .and.to.emit(staking, "ConditionStakeReleased")
+      .withArgs(protocol.address, 1, stake);
+    await iface.connect(protocol).cancelCondition(active);
+    expect([await recordStatus(1), await recordStatus(2)]).to.deep.equal([ConditionStatus.CANCELLED, ConditionStatus.CANCELLED]);
+    expect((await registry.getStats()).cancelled).to.equal(2);
+    expect(await staking.lockedStakes(2)).to.be.false;
+    await expect(staking.connect(protocol).releaseConditionStake(2)).to.be.revertedWith("Already released");
+  });
+
+  it("should keep a recurring record open until its schedule completes", async function () {
+    const first = (await ethers.provider.getBlockNumber()) + 5;
+    await iface.connect(protocol).registerRecurringCondition(0, first, 10, 2, 0, await target.getAddress(), selector, { value: stake });
+    await iface.connect(protocol).activateCondition(1);
+    const record = await registry.getCondition(1);
+    expect([record.conditionValue, record.repeatable]).to.deep.equal([BigInt(first), true]);
+
+    await mine(5);
+    await iface.executeCondition(1, "0x");
+    expect(await recordStatus(1)).to.equal(ConditionStatus.ACTIVE);
+    expect(await staking.lockedStakes(1)).to.be.true;
+
+    await mine(10);
+    await expect(iface.executeCondition(1, "0x")).to.emit(staking, "ConditionStakeReleased");
+    expect(await recordStatus(1)).to.equal(ConditionStatus.EXECUTED);
+    expect((await registry.getStats()).executed).to.equal(2);
+  });
+
+  it("should keep running a recurring condition while its last execution is challenged", async function () {
+    const [, , , second] = await ethers.getSigners();
+    await iface.authorizeExecutor(second.address);
+    await staking.connect(second).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    const bond = await registry.challengeBond();
+    const first = (await ethers.provider.getBlockNumber()) + 5;
+    await iface.connect(protocol).registerRecurringCondition(0, first, 10, 0, 0, await target.getAddress(), selector, { value: stake });
+    await iface.connect(protocol).activateCondition(1);
+    await mine(5);
+    await iface.executeCondition(1, "0x");
+    await registry.connect(other).challengeExecution(1, { value: bond });
+
+    const firstChallenge = await registry.latestChallenge(1);
+
+    await mine(10);
+    await iface.connect(second).executeCondition(1, "0x");
+    expect(await target.count()).to.equal(2);
+    const proof = await registry.getExecutionProof(1);
+    expect([proof.executor, proof.challenged]).to.deep.equal([second.address, false]);
+
+    // The newer run can be challenged while the first challenge is open
+    await expect(registry.connect(other).challengeExecution(1, { value: bond }))
+      .to.emit(registry, "ConditionChallenged")
+      .withArgs(1, firstChallenge + 1n, other.address);
+    await expect(registry.connect(other).challengeExecution(1, { value: bond })).to.be.revertedWith("Already challenged");
+    const secondChallenge = await registry.challenges(firstChallenge + 1n);
+    expect([secondChallenge.executor, secondChallenge.executionBlock]).to.deep.equal([second.address, proof.blockNumber]);
+    expect(await registry.openConditionChallenges(1)).to.equal(2);
+
+    // Each challenge stays with the execution it was raised against
+    await expect(registry.resolveChallenge(firstChallenge, true))
+      .to.emit(registry, "BondForfeited")
+      .withArgs(1, other.address, operator.address, bond);
+    expect(await registry.openChallenges(operator.address)).to.equal(0);
+    expect((await registry.getExecutionProof(1)).valid).to.be.true;
+    await expect(registry.resolveChallenge(firstChallenge + 1n, false))
+      .to.emit(staking, "ExecutorSlashed")
+      .withArgs(second.address, await registry.challengeSlashAmount(), `invalid-execution:registry:1:${proof.blockNumber}`);
+    expect((await registry.getExecutionProof(1)).valid).to.be.false;
+    expect(await registry.openConditionChallenges(1)).to.equal(0);
+  });
+
+  it("should finish a recurring condition once its record is slashed", async function () {
+    const first = (await ethers.provider.getBlockNumber()) + 5;
+    await iface.connect(protocol).registerRecurringCondition(0, first, 10, 0, 0, await target.getAddress(), selector, { value: stake });
+    await iface.connect(protocol).activateCondition(1);
+    await mine(5);
+    await iface.executeCondition(1, "0x");
+    await registry.connect(other).challengeExecution(1, { value: await registry.challengeBond() });
+    await registry.resolveChallenge(await registry.latestChallenge(1), false);
+    expect(await recordStatus(1)).to.equal(ConditionStatus.SLASHED);
+
+    await mine(10);
+    await expect(iface.executeCondition(1, "0x"))
+      .to.emit(staking, "ConditionStakeReleased")
+      .withArgs(protocol.address, 1, stake)
+      .and.not.to.emit(iface, "ConditionRescheduled");
+    expect(await target.count()).to.equal(2);
+    expect((await iface.getCondition(1)).status).to.equal(InterfaceConditionStatus.EXECUTED);
+    expect(await recordStatus(1)).to.equal(ConditionStatus.SLASHED);
+    expect((await registry.getStats()).executed).to.equal(1);
+    await mine(10);
+    await expect(iface.executeCondition(1, "0x")).to.be.revertedWith("Condition not active");
+  });
+
+  it("should link conditions registered before the registry was set", async function () {
+    await iface.setConditionRegistry(ethers.ZeroAddress);
+    await expect(register(50, { activate: false })).to.be.revertedWith("Registry not set");
+    const pending = await register(50, { activate: false, value: 0 });
+    const active = await register(50, { value: 0 });
+    const cancelled = await register(50, { value: 0 });
+    await iface.connect(protocol).cancelCondition(cancelled);
+    await expect(iface.connect(protocol).linkCondition(pending, { value: stake })).to.be.revertedWith("No condition registry");
+
+    await iface.setConditionRegistry(manifest.contracts.conditionRegistry);
+    await expect(iface.connect(other).linkCondition(pending, { value: stake })).to.be.revertedWith("Not condition owner");
+    await expect(iface.connect(protocol).linkCondition(pending)).to.be.revertedWith("Below condition stake");
+    await expect(iface.connect(protocol).linkCondition(cancelled, { value: stake })).to.be.revertedWith("Condition not open");
+
+    await expect(iface.connect(protocol).linkCondition(pending, { value: stake }))
+      .to.emit(iface, "ConditionLinked")
+      .withArgs(pending, 1, stake);
+    await iface.connect(protocol).linkCondition(active, { value: stake });
+    expect([await iface.registryIds(pending), await iface.registryIds(active)]).to.deep.equal([1n, 2n]);
+    expect([await recordStatus(1), await recordStatus(2)]).to.deep.equal([ConditionStatus.REGISTERED, ConditionStatus.ACTIVE]);
+    expect(await registry.interfaceIds(2)).to.equal(active);
+    await expect(iface.connect(protocol).linkCondition(active, { value: stake })).to.be.revertedWith("Already linked");
+
+    await mine(50);
+    await iface.executeCondition(active, "0x");
+    expect(await recordStatus(2)).to.equal(ConditionStatus.EXECUTED);
+  });
+
+  it("should restrict lifecycle wiring to owners", async function () {
+    await expect(iface.connect(other).setConditionRegistry(other.address)).to.be.revertedWith("Not owner");
+    await expect(iface.connect(other).setStaking(other.address)).to.be.revertedWith("Not owner");
+    await expect(registry.connect(other).setHelioraInterface(other.address)).to.be.revertedWith("Not owner");
+    await expect(staking.connect(other).setHelioraInterface(other.address)).to.be.revertedWith("Not owner");
+
+    // Without HelioraStaking, conditions are linked but take no stake
+    await iface.setStaking(ethers.ZeroAddress);
+    await expect(register(50)).to.be.revertedWith("Staking not set");
+    await register(50, { value: 0 });
+    expect(await iface.registryIds(1)).to.equal(1);
+    expect((await staking.getConditionStake(1)).owner).to.equal(ethers.ZeroAddress);
+  });
+});
@@ -0,0 +1,33 @@
+const { expect } = require("chai");
+const { blockRanges, queryFilterInRanges } = require("../src/logs");
+
+describe("Log scans", function () {
+  it("should split a scan into ranges of at most batchSize blocks", function () {
+    expect(blockRanges(10, 20, 4)).to.deep.equal([
+      [10, 13],
+      [14, 17],
+      [18, 20],
+    ]);
+    expect(blockRanges(10, 10, 4)).to.deep.equal([[10, 10]]);
+    expect(blockRanges(11, 10, 4)).to.deep.equal([]);
+  });
+
+  it("should query every range in order and return the events in block order", async function () {
+    const calls = [];
+    const contract = {
+      queryFilter: async (filter, from, to) => {
+        calls.push([filter, from, to]);
+        return [{ blockNumber: from }, { blockNumber: to }];
+      },
+    };
+    const events = await queryFilterInRanges(contract, "ConditionExecuted", 5, 11, 3);
+    expect(calls).to.deep.equal([
+      ["ConditionExecuted", 5, 7],
+      ["ConditionExecuted", 8, 10],
+      ["ConditionExecuted", 11, 11],
+    ]);
+    expect(events.map((e) => e.blockNumber)).to.deep.equal([5, 7, 8, 10, 11, 11]);
+    expect(await queryFilterInRanges(contract, "ConditionExecuted", 12, 11, 3)).to.deep.equal([]);
+    expect(calls).to.have.length(3);
+  });
+});
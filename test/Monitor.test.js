@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const { Indexer, MemoryStore } = require("../src/indexer");
+const { ExecutorMonitor, collectExecutorMetrics, evaluateAlerts, toPrometheus } = require("../src/monitor");
+
+const { ethers } = hre;
+
+describe("ExecutorMonitor", function () {
+  let manifest, contracts, operator, protocol, second, store, indexer;
+
+  beforeEach(async function () {
+    [operator, protocol, second] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.3") });
+    store = new MemoryStore();
+    indexer = new Indexer({ contracts, store, startBlock: manifest.startBlock });
+  });
+
+  // Register a block condition and let the worker execute it `late` blocks after it became ready
+  async function executeLate(late) {
+    const target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    const selector = target.interface.getFunction("harvest").selector;
+    const iface = contracts.helioraInterface.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + 3;
+    await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    await iface.activateCondition(id);
+    await mine(at - (await ethers.provider.getBlockNumber()) + late - 1);
+    const worker = new ExecutorWorker({ contracts, executorAddress: operator.address, dryRun: false, fromBlock: manifest.startBlock });
+    return (await worker.tick()).executed[0];
+  }
+
+  function find(metrics, address) {
+    return metrics.find((m) => m.executor === address);
+  }
+
+  it("should compute success rate, stake headroom and latency", async function () {
+    const executed = await executeLate(4);
+    expect(executed.credited).to.be.true;
+    await contracts.staking.slashExecutor(operator.address, ethers.parseEther("0.05"), "late", executed.conditionId);
+    await indexer.sync();
+
+    const m = find(await collectExecutorMetrics({ staking: contracts.staking, store }), operator.address);
+    expect(m.executions).to.equal(1);
+    expect(m.missed).to.equal(1);
+    expect(m.successRate).to.equal(0.5);
+    expect(m.stake).to.equal(ethers.parseEther("0.25"));
+    expect(m.headroom).to.equal(ethers.parseEther("0.15"));
+    expect(m.headroomRatio).to.be.closeTo(1.5, 1e-9);
+    expect(m.latencyBlocks).to.deep.equal({ samples: 1, avg: 4, max: 4 });
+    expect(m.periodSlashes).to.equal(1);
+  });
+
+  it("should only count slashes inside the period", async function () {
+    await contracts.staking.slashExecutor(operator.address, ethers.parseEther("0.01"), "old", 0);
+    await time.increase(31 * 24 * 60 * 60);
+    await contracts.staking.slashExecutor(operator.address, ethers.parseEther("0.01"), "new", 0);
+    const m = find(await collectExecutorMetrics({ staking: contracts.staking }), operator.address);
+    expect(m.periodSlashes).to.equal(1);
+    expect(m.periodSlashedAmount).to.equal(ethers.parseEther("0.01"));
+    expect(m.slashedAmount).to.equal(ethers.parseEther("0.02"));
+  });
+
+  it("should alert executors drifting toward deactivation", async function () {
+    await contracts.staking.connect(second).stakeAsExecutor({ value: ethers.parseEther("0.12") });
+    let alerts = evaluateAlerts(await collectExecutorMetrics({ staking: contracts.staking }));
+    expect(alerts).to.deep.equal([
+      { executor: second.address, metric: "headroomRatio", value: alerts[0].value, threshold: 0.5, severity: "warning" },
+    ]);
+
+    await contracts.staking.slashExecutor(second.address, ethers.parseEther("0.05"), "missed", 0);
+    alerts = evaluateAlerts(await collectExecutorMetrics({ staking: contracts.staking }));
+    expect(alerts.map((a) => [a.executor, a.metric, a.severity])).to.deep.equal([[second.address, "active", "critical"]]);
+  });
+
+  it("should alert on latency and success rate thresholds", async function () {
+    await executeLate(3);
+    await indexer.sync();
+    const metrics = await collectExecutorMetrics({ staking: contracts.staking, store });
+    expect(evaluateAlerts(metrics)).to.deep.equal([]);
+    const alerts = evaluateAlerts(metrics, { maxLatencyBlocks: 2, minSuccessRate: 1.1 });
+    expect(alerts.map((a) => a.metric)).to.deep.equal(["successRate", "latencyBlocks"]);
+  });
+
+  it("should render Prometheus metrics", async function () {
+    const metrics = await collectExecutorMetrics({ staking: contracts.staking });
+    const text = toPrometheus(metrics, [{ executor: operator.address, metric: "successRate", severity: "warning" }]);
+    expect(text).to.contain("# TYPE heliora_executor_stake_eth gauge");
+    expect(text).to.contain(`heliora_executor_stake_eth{executor="${operator.address}"} 0.3`);
+    expect(text).to.contain(`heliora_executor_alert{executor="${operator.address}",metric="successRate",severity="warning"} 1`);
+    // No executions yet: no success ratio sample
+    expect(text).to.not.contain("heliora_executor_success_ratio{");
+  });
+
+  it("should serve /metrics and /report over HTTP", async function () {
+    const monitor = new ExecutorMonitor({ staking: contracts.staking, store, beforeRefresh: () => indexer.sync() });
+    await monitor.refresh();
+    const server = await monitor.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const metrics = await fetch(`${base}/metrics`);
+      expect(metrics.headers.get("content-type")).to.contain("text/plain");
+      expect(await metrics.text()).to.contain("heliora_executor_active");
+
+      const report = await (await fetch(`${base}/report`)).json();
+      expect(report.executors[0]).to.include({ executor: operator.address, stake: "0.3", minStake: "0.1" });
+      expect((await fetch(`${base}/nope`)).status).to.equal(404);
+    } finally {
+      await monitor.stop();
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { PauseScope } = require("../src/enums");
+const { preflightExecution } = require("../src/preflight");
+
+const { ethers } = hre;
+
+describe("Protocol pause", function () {
+  let manifest, contracts, router, target, selector, operator, protocol, executor, subscriber;
+
+  beforeEach(async function () {
+    [operator, protocol, executor, subscriber] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    router = contracts.router;
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    selector = target.interface.getFunction("harvest").selector;
+  });
+
+  // Interface condition 1 (linked to registry record 1) and registry condition 2,
+  // due in `offset` blocks, all ACTIVE
+  async function registerConditions(offset = 2) {
+    const at = (await ethers.provider.getBlockNumber()) + offset;
+    const iface = contracts.helioraInterface.connect(protocol);
+    const registry = contracts.conditionRegistry.connect(protocol);
+    await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+    await iface.activateCondition(1);
+    await registry.registerCondition(0, at, await target.getAddress(), selector, false);
+    await registry.activateCondition(2);
+  }
+
+  it("should wire every state-changing contract to the router", async function () {
+    for (const key of ["executor", "helioraInterface", "payment", "staking", "conditionRegistry"]) {
+      expect(await contracts[key].router(), key).to.equal(manifest.contracts.router);
+    }
+  });
+
+  it("should stop registration, execution, staking and payments when paused", async function () {
+    await registerConditions();
+    await contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    await router.setPaused(true);
+    await mine(2);
+
+    const iface = contracts.helioraInterface.connect(protocol);
+    const registry = contracts.conditionRegistry.connect(protocol);
+    const payment = contracts.payment.connect(subscriber);
+    const price = (await contracts.payment.getTierConfig(1)).priceETH;
+    const targetAddress = await target.getAddress();
+    const blocked = [
+      () => iface.registerCondition(0, 10_000, targetAddress, selector, 0),
+      () => iface.registerRecurringCondition(0, 10_000, 100, 0, 0, targetAddress, selector),
+      () => registry.registerCondition(0, 10_000, targetAddress, selector, false),
+      () => contracts.helioraInterface.executeCondition(1, "0x"),
+      () => contracts.executor.execute(1, targetAddress, selector, "0x"),
+      () => contracts.executor.executeSimple(1),
+      () => contracts.conditionRegistry.recordExecution(2, ethers.id("tx")),
+      () => contracts.staking.recordExecution(executor.address),
+      () => contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.1") }),
+      () => contracts.staking.connect(protocol).stakeForCondition(2, { value: ethers.parseEther("0.01") }),
+      () => payment.subscribeETH(1, "Acme", { value: price }),
+      () => payment.subscribeUSDC(1, "Acme"),
+      () => payment.renewETH({ value: price }),
+      () => payment.renewUSDC(),
+    ];
+    for (const send of blocked) await expect(send()).to.be.revertedWith("Protocol paused");
+    expect(await target.count()).to.equal(0);
+
+    await router.setPaused(false);
+    await contracts.helioraInterface.executeCondition(1, "0x");
+    expect(await target.count()).to.equal(1);
+  });
+
+  it("should keep exit paths open while paused", async function () {
+    await registerConditions(100);
+    const staking = contracts.staking.connect(protocol);
+    await staking.stakeForCondition(2, { value: ethers.parseEther("0.01") });
+    await contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    const price = (await contracts.payment.getTierConfig(1)).priceETH;
+    await contracts.payment.connect(subscriber).subscribeETH(1, "Acme", { value: price });
+    await router.setPaused(true);
+
+    await expect(contracts.helioraInterface.connect(protocol).cancelCondition(1))
+      .to.emit(contracts.staking, "ConditionStakeReleased")
+      .withArgs(protocol.address, 1, ethers.parseEther("0.01"));
+    await contracts.conditionRegistry.connect(protocol).cancelCondition(2);
+    await staking.releaseConditionStake(2);
+    await contracts.staking.connect(executor).requestUnstake(ethers.parseEther("0.1"));
+    await time.increase(24 * 60 * 60);
+    await expect(contracts.staking.connect(executor).withdraw()).to.emit(contracts.staking, "ExecutorUnstaked");
+    await contracts.payment.connect(subscriber).cancelSubscription();
+  });
+
+  it("should keep challenges and slashing available while paused", async function () {
+    await registerConditions();
+    await mine(2);
+    await contracts.conditionRegistry.recordExecution(2, ethers.id("tx"));
+    await contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.5") });
+    await router.setPaused(true);
+
+    await contracts.conditionRegistry.connect(subscriber).challengeExecution(2, { value: await contracts.conditionRegistry.challengeBond() });
+    await contracts.conditionRegistry.resolveChallenge(await contracts.conditionRegistry.latestChallenge(2), false);
+    await contracts.staking.slashExecutor(executor.address, ethers.parseEther("0.1"), "invalid", 1);
+    expect((await contracts.staking.getExecutorStake(executor.address)).slashedAmount).to.equal(ethers.parseEther("0.1"));
+  });
+
+  it("should pause one scope at a time", async function () {
+    await registerConditions();
+    await mine(2);
+    await expect(router.setScopePaused(PauseScope.EXECUTION, true))
+      .to.emit(router, "ScopePaused")
+      .withArgs(PauseScope.EXECUTION, true);
+    expect(await router.isPaused(PauseScope.EXECUTION)).to.be.true;
+    expect(await router.isPaused(PauseScope.PAYMENTS)).to.be.false;
+
+    await expect(contracts.helioraInterface.executeCondition(1, "0x")).to.be.revertedWith("Protocol paused");
+    await expect(contracts.conditionRegistry.recordExecution(2, ethers.id("tx"))).to.be.revertedWith("Protocol paused");
+    const preflight = await preflightExecution(contracts.helioraInterface, 1, { from: operator.address });
+    expect(preflight.revert.category).to.equal("PAUSED");
+
+    // Everything else keeps working
+    const stake = await contracts.staking.conditionStake();
+    await contracts.helioraInterface.connect(protocol).registerCondition(0, 10_000, await target.getAddress(), selector, 0, { value: stake });
+    await contracts.staking.connect(executor).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    const price = (await contracts.payment.getTierConfig(1)).priceETH;
+    await contracts.payment.connect(subscriber).subscribeETH(1, "Acme", { value: price });
+
+    await router.setScopePaused(PauseScope.EXECUTION, false);
+    await router.setScopePaused(PauseScope.PAYMENTS, true);
+    await contracts.helioraInterface.executeCondition(1, "0x");
+    await expect(
+      contracts.payment.connect(subscriber).renewETH({ value: price })
+    ).to.be.revertedWith("Protocol paused");
+  });
+
+  it("should only let owners change the router or pause scopes", async function () {
+    await expect(router.connect(protocol).setScopePaused(PauseScope.EXECUTION, true)).to.be.revertedWith("Not owner");
+    for (const key of ["executor", "helioraInterface", "payment", "staking", "conditionRegistry"]) {
+      await expect(contracts[key].connect(protocol).setRouter(ethers.ZeroAddress), key).to.be.revertedWith("Not owner");
+    }
+    // Unwired contracts ignore the router
+    await contracts.helioraInterface.setRouter(ethers.ZeroAddress);
+    await router.setPaused(true);
+    const stake = await contracts.staking.conditionStake();
+    await contracts.helioraInterface.connect(protocol).registerCondition(0, 10_000, await target.getAddress(), selector, 0, { value: stake });
+  });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { decodeRevertData, preflightExecution } = require("../src/preflight");
+const { HelioraClient, ExecutionRevertedError, ConditionStateError } = require("../src/sdk");
+
+const { ethers } = hre;
+
+describe("Execution preflight", function () {
+  let manifest, contracts, target, operator, protocol, other;
+
+  beforeEach(async function () {
+    [operator, protocol, other] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+  });
+
+  // Register + activate a block condition on `fn`, `offset` blocks ahead
+  async function registerCondition(fn, offset = 3) {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + offset;
+    const stake = await contracts.staking.conditionStake();
+    await iface.registerCondition(0, at, await target.getAddress(), target.interface.getFunction(fn).selector, 0, { value: stake });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    await iface.activateCondition(id);
+    return id;
+  }
+
+  function preflight(id, options = {}) {
+    return preflightExecution(contracts.helioraInterface, id, { from: operator.address, ...options });
+  }
+
+  it("should estimate gas and cost without executing", async function () {
+    await contracts.helioraInterface.setExecutionFee(1000n);
+    const id = await registerCondition("harvest");
+    await mine(3);
+    const result = await preflight(id);
+    expect(result.ok).to.be.true;
+    expect(result.revert).to.be.null;
+    expect(result.value).to.equal(1000n);
+    expect(result.gasEstimate > 21000n).to.be.true;
+    expect(result.costWei).to.equal(result.gasEstimate * result.gasPrice + 1000n);
+    expect(await target.count()).to.equal(0);
+  });
+
+  it("should categorize HelioraInterface checks", async function () {
+    const id = await registerCondition("harvest", 10);
+    expect((await preflight(id)).revert.category).to.equal("CONDITION_NOT_MET");
+    expect((await preflight(99)).revert.category).to.equal("CONDITION_NOT_FOUND");
+    expect((await preflight(id, { from: other.address })).revert.category).to.equal("UNAUTHORIZED");
+
+    await contracts.helioraInterface.setExecutionFee(1000n);
+    await mine(10);
+    const fee = await preflight(id, { value: 999n });
+    expect(fee.revert).to.include({ category: "INSUFFICIENT_FEE", reason: "Insufficient execution fee" });
+
+    await mine(200);
+    expect((await preflight(id)).revert.category).to.equal("WINDOW_EXPIRED");
+  });
+
+  it("should categorize linked record and reentrancy reverts", async function () {
+    const id = await registerCondition("failWith");
+    await mine(3);
+    const categories = { "Not active": "RECORD_CLOSED", "Execution under challenge": "UNDER_CHALLENGE", "Reentrant call": "REENTRANT" };
+    for (const [reason, category] of Object.entries(categories)) {
+      const callData = ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]);
+      expect((await preflight(id, { callData })).revert).to.include({ category, reason });
+    }
+  });
+
+  it("should report the target's revert reason", async function () {
+    const id = await registerCondition("fail");
+    await mine(3);
+    const { ok, revert } = await preflight(id);
+    expect(ok).to.be.false;
+    expect(revert).to.include({ category: "TARGET_REVERTED", reason: "MockTarget: failed" });
+
+    const silent = await registerCondition("failSilent");
+    await mine(3);
+    expect((await preflight(silent)).revert).to.include({ category: "TARGET_REVERTED", reason: null });
+  });
+
+  it("should recover custom errors the executor reduces to a string", async function () {
+    const id = await registerCondition("failCustom");
+    await mine(3);
+    const executor = await contracts.helioraInterface.helioraExecutor();
+
+    const bare = (await preflight(id)).revert;
+    expect(bare.category).to.equal("CUSTOM_ERROR");
+    expect(bare.selector).to.equal(target.interface.getError("HarvestBlocked").selector);
+    expect(bare.errorName).to.be.null;
+
+    const named = (await preflight(id, { targetAbi: target.interface })).revert;
+    expect(named.errorName).to.equal("HarvestBlocked");
+    expect(named.args).to.deep.equal([0n, executor]);
+  });
+
+  it("should decode panics", async function () {
+    const id = await registerCondition("failPanic");
+    await mine(3);
+    const callData = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0]);
+    const { revert } = await preflight(id, { callData });
+    expect(revert).to.include({ category: "PANIC", panicCode: 0x12 });
+    expect(revert.message).to.contain("division or modulo by zero");
+
+    expect((await preflight(id, { callData: ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1]) })).ok).to.be.true;
+  });
+
+  it("should apply state overrides to the simulation", async function () {
+    const id = await registerCondition("failCustom");
+    await mine(3);
+    // MockTarget.count lives in slot 0
+    const stateOverrides = {
+      [await target.getAddress()]: { stateDiff: { [ethers.ZeroHash]: ethers.zeroPadValue("0x07", 32) } },
+    };
+    const { revert } = await preflight(id, { stateOverrides, targetAbi: target.interface });
+    expect(revert.args[0]).to.equal(7n);
+    expect(await target.count()).to.equal(0);
+  });
+
+  it("should decode raw revert data", function () {
+    expect(decodeRevertData("0x").kind).to.equal("empty");
+    expect(decodeRevertData(target.interface.encodeErrorResult("HarvestBlocked", [3, other.address]), { abi: target.interface }))
+      .to.include({ kind: "custom", name: "HarvestBlocked" });
+    const panic = new ethers.Interface(["error Panic(uint256)"]).encodeErrorResult("Panic", [0x11]);
+    expect(decodeRevertData(panic)).to.include({ kind: "panic", panicCode: 0x11 });
+  });
+
+  describe("SDK", function () {
+    it("should return typed errors", async function () {
+      const client = await HelioraClient.connect(manifest.contracts.router, operator);
+      const id = await registerCondition("failCustom");
+      expect((await client.preflightExecution(id)).error).to.be.instanceOf(ConditionStateError);
+
+      await mine(3);
+      const { ok, error } = await client.preflightExecution(id);
+      expect(ok).to.be.false;
+      expect(error).to.be.instanceOf(ExecutionRevertedError);
+      expect(error.code).to.equal("CUSTOM_ERROR");
+      expect(error.details.selector).to.equal(target.interface.getError("HarvestBlocked").selector);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { fetchReceipts, attachUsd, buildRevenueReport, toCsv } = require("../src/revenue");
+
+const { ethers } = hre;
+
+const DAY = 24 * 60 * 60;
+const PERIOD = 30 * DAY;
+
+describe("Revenue report", function () {
+  let manifest, contracts, acme, other, granted, monthStart, t0, t1, asOf;
+
+  before(async function () {
+    [, acme, other, granted] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false });
+    contracts = connectProtocol(manifest.contracts, (await ethers.getSigners())[0]);
+    const feed = await ethers.getContractAt("MockChainlinkFeed", manifest.feeds["ETH/USD"]);
+    const usdc = await ethers.getContractAt("MockERC20", manifest.mocks.usdc);
+
+    // Start of the next UTC month
+    const now = new Date((await time.latest()) * 1000);
+    monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) / 1000;
+    t0 = monthStart + 10 * DAY;
+    t1 = monthStart + 15 * DAY;
+    asOf = monthStart + 40 * DAY;
+
+    await time.setNextBlockTimestamp(t0);
+    await contracts.payment.connect(acme).subscribeETH(1, "Acme", { value: ethers.parseEther("0.2") });
+    await feed.setPrice(3000n * 10n ** 8n);
+
+    await usdc.mint(other.address, 500_000000n);
+    await usdc.connect(other).approve(manifest.contracts.payment, 500_000000n);
+    await time.setNextBlockTimestamp(t1);
+    await contracts.payment.connect(other).subscribeUSDC(1, "Other");
+    await contracts.payment.grantSubscription(granted.address, 2, PERIOD, "Granted");
+  });
+
+  it("should page through receipts and skip zero-amount ones", async function () {
+    const receipts = await fetchReceipts(contracts.payment, { pageSize: 1 });
+    expect(await contracts.payment.getReceiptCount()).to.equal(3);
+    expect(receipts.map((r) => [r.index, r.currency, r.tier])).to.deep.equal([
+      [0, "ETH", "MAINNET"],
+      [1, "USDC", "MAINNET"],
+    ]);
+    expect(receipts[1]).to.include({ amount: 500_000000n, decimals: 6, periodStart: t1, periodEnd: t1 + PERIOD });
+  });
+
+  it("should split billed, recognized and deferred revenue by month", async function () {
+    const report = buildRevenueReport(await fetchReceipts(contracts.payment), { asOf });
+    const first = new Date(monthStart * 1000).toISOString().slice(0, 7);
+    expect(report.rows.map((r) => `${r.month} ${r.currency}`)).to.deep.equal([
+      `${first} ETH`,
+      `${first} USDC`,
+      `${report.rows[2].month} ETH`,
+      `${report.rows[3].month} USDC`,
+    ]);
+
+    const eth = ethers.parseEther("0.2");
+    const [ethFirst, , ethSecond] = report.rows;
+    const secondStart = Date.parse(`${ethSecond.month}-01T00:00:00Z`) / 1000;
+    expect(ethFirst.billed).to.equal(eth);
+    expect(ethFirst.recognized).to.equal((eth * BigInt(secondStart - t0)) / BigInt(PERIOD));
+    expect(ethFirst.deferred).to.equal(eth - ethFirst.recognized);
+    // The ETH period ends before asOf: fully recognized
+    expect(ethFirst.recognized + ethSecond.recognized).to.equal(eth);
+    expect(ethSecond.deferred).to.equal(0);
+
+    const usdcTotal = report.totals.find((t) => t.currency === "USDC");
+    expect(usdcTotal.recognized).to.equal((500_000000n * BigInt(asOf - t1)) / BigInt(PERIOD));
+    expect(usdcTotal.deferred).to.equal(500_000000n - usdcTotal.recognized);
+    expect(usdcTotal.billedUsd).to.be.null;
+  });
+
+  it("should convert ETH at the oracle price of the receipt block", async function () {
+    const receipts = await attachUsd(await fetchReceipts(contracts.payment), { oracle: contracts.priceOracle });
+    expect(receipts[0].ethPrice).to.equal("2500.0");
+    expect(receipts[0].usd).to.equal(500n * 10n ** 8n);
+    expect(receipts[1].usd).to.equal(500n * 10n ** 8n);
+
+    const report = buildRevenueReport(receipts, { asOf });
+    const eth = report.totals.find((t) => t.currency === "ETH");
+    expect(eth.billedUsd).to.equal(500n * 10n ** 8n);
+    expect(eth.recognizedUsd).to.equal(500n * 10n ** 8n);
+  });
+
+  it("should leave USD empty for stale or non-positive prices", async function () {
+    const receipts = await fetchReceipts(contracts.payment);
+    const oracle = (check) => ({ runner: contracts.priceOracle.runner, getPrice: async () => check });
+
+    const [stale] = await attachUsd([{ ...receipts[0] }], { oracle: oracle({ price: 2500n * 10n ** 8n, decimals: 8, stale: true }) });
+    expect(stale.usd).to.be.null;
+    expect(stale.priceError).to.match(/^ETH\/USD price stale/);
+
+    for (const price of [0n, -1n]) {
+      const [receipt] = await attachUsd([{ ...receipts[0] }], { oracle: oracle({ price, decimals: 8, stale: false }) });
+      expect(receipt.usd).to.be.null;
+      expect(receipt.ethPrice).to.be.undefined;
+      expect(receipt.priceError).to.contain("price not positive");
+    }
+  });
+
+  it("should ignore receipts after the report date", async function () {
+    const report = buildRevenueReport(await fetchReceipts(contracts.payment), { asOf: t0 + DAY });
+    expect(report.totals.map((t) => t.currency)).to.deep.equal(["ETH"]);
+  });
+
+  it("should write CSV through heliora:revenue", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-revenue-"));
+    fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(manifest));
+    const out = path.join(dir, "revenue.csv");
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await hre.run("heliora:revenue", { deployments: dir, out, usd: true, asOf: new Date(asOf * 1000).toISOString() });
+    } finally {
+      console.log = log;
+    }
+
+    const [header, ...lines] = fs.readFileSync(out, "utf8").trim().split("\n");
+    expect(header).to.equal("month,tier,currency,receipts,billed,recognized,deferred,billedUsd,recognizedUsd,deferredUsd");
+    expect(lines).to.have.length(4);
+    expect(lines[0]).to.match(/^\d{4}-\d{2},MAINNET,ETH,1,0\.2,/);
+    expect(toCsv(buildRevenueReport([], { asOf }))).to.equal(`${header}\n`);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
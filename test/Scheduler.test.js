@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { HelioraClient } = require("../src/sdk");
+const { parseCron, nextCronTime, matchesCron } = require("../src/cron");
+const { CronScheduler } = require("../src/scheduler");
+
+const { ethers } = hre;
+
+const HOUR = 3600;
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe("Cron expressions", function () {
+  it("should find the next matching minute", function () {
+    expect(nextCronTime("0 * * * *", at("2026-03-02T10:00:00Z"))).to.equal(at("2026-03-02T11:00:00Z"));
+    expect(nextCronTime("@hourly", at("2026-03-02T10:59:59Z"))).to.equal(at("2026-03-02T11:00:00Z"));
+    expect(nextCronTime("*/15 * * * *", at("2026-03-02T10:16:00Z"))).to.equal(at("2026-03-02T10:30:00Z"));
+    expect(nextCronTime("@monthly", at("2026-12-15T00:00:00Z"))).to.equal(at("2027-01-01T00:00:00Z"));
+  });
+
+  it("should skip to matching days", function () {
+    // Friday 2026-03-06 evening -> Monday 09:00
+    expect(nextCronTime("0 9-17 * * 1-5", at("2026-03-06T18:00:00Z"))).to.equal(at("2026-03-09T09:00:00Z"));
+    // Day of month OR day of week once both are restricted
+    expect(nextCronTime("0 0 15 * 0", at("2026-03-02T00:00:00Z"))).to.equal(at("2026-03-08T00:00:00Z"));
+    expect(nextCronTime("0 0 29 2 *", at("2026-03-01T00:00:00Z"))).to.equal(at("2028-02-29T00:00:00Z"));
+    expect(parseCron("0 0 * * 7").dayOfWeek.has(0)).to.be.true;
+  });
+
+  it("should match only cron times", function () {
+    expect(matchesCron(parseCron("30 2 * * *"), at("2026-03-02T02:30:00Z"))).to.be.true;
+    expect(matchesCron(parseCron("30 2 * * *"), at("2026-03-02T02:30:01Z"))).to.be.false;
+    expect(matchesCron(parseCron("30 2 * * *"), at("2026-03-02T03:30:00Z"))).to.be.false;
+  });
+
+  it("should reject invalid expressions", function () {
+    expect(() => parseCron("* * * *")).to.throw(SyntaxError, /5 fields/);
+    expect(() => parseCron("60 * * * *")).to.throw(SyntaxError, /minute/);
+    expect(() => parseCron("0 5-2 * * *")).to.throw(SyntaxError, /hour/);
+    expect(() => parseCron("*/0 * * * *")).to.throw(SyntaxError);
+    expect(() => nextCronTime("0 0 31 2 *", 0)).to.throw(RangeError);
+  });
+});
+
+describe("CronScheduler", function () {
+  let manifest, contracts, client, target, operator, protocol, job;
+
+  beforeEach(async function () {
+    [operator, protocol] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    client = await HelioraClient.connect(manifest.contracts.router, protocol);
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    job = { name: "harvest", cron: "0 * * * *", target: await target.getAddress(), fn: "harvest()" };
+  });
+
+  function createScheduler() {
+    return new CronScheduler({ client, jobs: [job], leadSeconds: 60 });
+  }
+
+  async function execute(conditionId) {
+    const fee = await contracts.helioraInterface.executionFee();
+    await contracts.helioraInterface.executeCondition(conditionId, "0x", { value: fee });
+  }
+
+  it("should register the next cron time and move on once it ran", async function () {
+    const scheduler = createScheduler();
+    const first = await scheduler.tick();
+    expect(first.registered).to.have.length(1);
+    const { conditionId, runAt } = first.registered[0];
+    expect(runAt % HOUR).to.equal(0);
+    expect(runAt).to.be.greaterThan((await time.latest()) + 59);
+    const condition = await contracts.helioraInterface.getCondition(conditionId);
+    expect(condition.conditionValue).to.equal(BigInt(runAt));
+    expect(condition.status).to.equal(1); // ACTIVE
+
+    expect((await scheduler.tick()).waiting).to.have.length(1);
+
+    await time.increaseTo(runAt);
+    await execute(conditionId);
+    const second = await scheduler.tick();
+    expect(second.executed[0]).to.include({ conditionId, runAt });
+    expect(second.registered[0].runAt).to.equal(runAt + HOUR);
+    expect(await target.count()).to.equal(1);
+  });
+
+  it("should report a missed run and schedule the next one", async function () {
+    const scheduler = createScheduler();
+    const { runAt } = (await scheduler.tick()).registered[0];
+    await time.increaseTo(runAt + 1000);
+
+    const result = await scheduler.tick();
+    expect(result.missed[0]).to.include({ runAt, reason: "window expired" });
+    expect(result.registered[0].runAt).to.equal(runAt + HOUR);
+  });
+
+  it("should adopt its live condition after a restart", async function () {
+    const { conditionId, runAt } = (await createScheduler().tick()).registered[0];
+
+    const restarted = createScheduler();
+    const result = await restarted.tick();
+    expect(result.registered).to.have.length(0);
+    expect(result.waiting[0]).to.include({ conditionId, runAt });
+    expect(await contracts.helioraInterface.getProtocolConditions(protocol.address)).to.have.length(1);
+  });
+});
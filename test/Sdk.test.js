@@ -0,0 +1,376 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const {
+  HelioraClient,
+  toSelector,
+  HelioraError,
+  UnauthorizedError,
+  InvalidArgumentError,
+  ConditionStateError,
+  PaymentError,
+  StakeError,
+  decodeError,
+  conditions,
+  calldata,
+} = require("../src/sdk");
+
+const { ethers } = hre;
+
+describe("HelioraClient", function () {
+  let manifest, client, target, deployer, protocol, other;
+
+  beforeEach(async function () {
+    [deployer, protocol, other] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    client = await HelioraClient.connect(manifest.contracts.router, protocol);
+    const Target = await ethers.getContractFactory("MockTarget");
+    target = await Target.deploy();
+  });
+
+  it("should discover contracts from the router", async function () {
+    expect(await client.contracts.helioraInterface.getAddress()).to.equal(manifest.contracts.helioraInterface);
+    expect(await client.contracts.staking.getAddress()).to.equal(manifest.contracts.staking);
+    expect(await client.contracts.payment.getAddress()).to.equal(manifest.contracts.payment);
+  });
+
+  describe("toSelector", function () {
+    it("should compute selectors from signatures", function () {
+      expect(toSelector("harvest()")).to.equal(target.interface.getFunction("harvest").selector);
+      expect(toSelector("harvestAmount(uint256)")).to.equal(target.interface.getFunction("harvestAmount").selector);
+    });
+
+    it("should pass raw selectors through", function () {
+      expect(toSelector("0x4641257D")).to.equal("0x4641257d");
+    });
+
+    it("should reject invalid signatures", function () {
+      expect(() => toSelector("not a function")).to.throw(InvalidArgumentError);
+    });
+  });
+
+  describe("Conditions", function () {
+    it("should register with names instead of ordinals", async function () {
+      const at = (await time.latest()) + 3600;
+      const { conditionId, registryId, stake, txHash } = await client.registerCondition({
+        type: "TIMESTAMP",
+        at,
+        target: await target.getAddress(),
+        fn: "harvest()",
+        mode: "SINGLE",
+      });
+      expect(conditionId).to.equal(1);
+      expect(registryId).to.equal(1);
+      expect(stake).to.equal(ethers.parseEther("0.01"));
+      expect(txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      const status = await client.getConditionStatus(conditionId);
+      expect(status.type).to.equal("TIMESTAMP");
+      expect(status.mode).to.equal("SINGLE");
+      expect(status.status).to.equal("PENDING");
+      expect(status.conditionValue).to.equal(at);
+      expect(status.selector).to.equal(toSelector("harvest()"));
+      expect(status.protocol).to.equal(protocol.address);
+      expect(status.ready).to.be.false;
+      expect(status.registryId).to.equal(registryId);
+      expect(status.stake).to.deep.equal({ owner: protocol.address, amount: stake, released: false, locked: true });
+    });
+
+    it("should default to SINGLE mode", async function () {
+      const at = (await ethers.provider.getBlockNumber()) + 100;
+      const { conditionId } = await client.registerCondition({
+        type: "block_number",
+        at,
+        target: await target.getAddress(),
+        fn: "harvest()",
+      });
+      expect((await client.getConditionStatus(conditionId)).mode).to.equal("SINGLE");
+    });
+
+    it("should activate and cancel", async function () {
+      const at = (await ethers.provider.getBlockNumber()) + 100;
+      const { conditionId } = await client.registerCondition({ type: "BLOCK_NUMBER", at, target: await target.getAddress(), fn: "harvest()" });
+      await client.activate(conditionId);
+      expect((await client.getConditionStatus(conditionId)).status).to.equal("ACTIVE");
+      await client.cancel(conditionId);
+      const status = await client.getConditionStatus(conditionId);
+      expect(status.status).to.equal("CANCELLED");
+      expect(status.stake.released).to.be.true;
+      expect(status.stake.locked).to.be.false;
+    });
+
+    it("should link conditions registered before the registry was set", async function () {
+      const iface = client.contracts.helioraInterface.connect(deployer);
+      await iface.setConditionRegistry(ethers.ZeroAddress);
+      const at = (await ethers.provider.getBlockNumber()) + 100;
+      const registered = await client.registerCondition({ type: "BLOCK_NUMBER", at, target: await target.getAddress(), fn: "harvest()" });
+      expect(registered.registryId).to.be.null;
+      expect(registered.stake).to.equal(0);
+      expect((await client.getConditionStatus(registered.conditionId)).stake).to.be.null;
+
+      await iface.setConditionRegistry(manifest.contracts.conditionRegistry);
+      const { registryId, stake } = await client.linkCondition(registered.conditionId);
+      expect(registryId).to.equal(1);
+      expect(stake).to.equal(ethers.parseEther("0.01"));
+      expect((await client.getConditionStatus(registered.conditionId)).stake.locked).to.be.true;
+
+      const err = await client.linkCondition(registered.conditionId).catch((e) => e);
+      expect(err).to.be.instanceOf(ConditionStateError);
+      expect(err.code).to.equal("ALREADY_LINKED");
+    });
+
+    it("should reject unknown enum names", async function () {
+      await expect(
+        client.registerCondition({ type: "PRICE_ABOVE", at: 1, target: await target.getAddress(), fn: "harvest()" })
+      ).to.be.rejectedWith(TypeError, /Unknown condition type/);
+    });
+
+    it("should decode reverts into typed errors", async function () {
+      const err = await client
+        .registerCondition({ type: "BLOCK_NUMBER", at: 1, target: await target.getAddress(), fn: "harvest()" })
+        .catch((e) => e);
+      expect(err).to.be.instanceOf(InvalidArgumentError);
+      expect(err).to.be.instanceOf(HelioraError);
+      expect(err.code).to.equal("INVALID_ARGUMENT");
+      expect(err.reason).to.equal("Block must be in future");
+    });
+
+    it("should raise UnauthorizedError for foreign conditions", async function () {
+      const at = (await ethers.provider.getBlockNumber()) + 100;
+      const { conditionId } = await client.registerCondition({ type: "BLOCK_NUMBER", at, target: await target.getAddress(), fn: "harvest()" });
+      const stranger = await HelioraClient.connect(manifest.contracts.router, other);
+      await expect(stranger.activate(conditionId)).to.be.rejectedWith(UnauthorizedError, "Not condition owner");
+    });
+
+    it("should register a recurring condition with every", async function () {
+      const at = (await time.latest()) + 3600;
+      const { conditionId } = await client.registerCondition({
+        type: "TIMESTAMP",
+        at,
+        every: 3600,
+        maxRuns: 24,
+        target: await target.getAddress(),
+        fn: "harvest()",
+      });
+      const status = await client.getConditionStatus(conditionId);
+      expect(status.mode).to.equal("REPEATABLE");
+      expect(status.schedule).to.deep.equal({
+        interval: 3600n,
+        maxRuns: 24n,
+        endsAt: 0n,
+        runs: 0n,
+        firstRun: BigInt(at),
+        nextRun: BigInt(at),
+        nextWindowEnd: BigInt(at + 200),
+      });
+
+      const single = await client.registerCondition({ type: "TIMESTAMP", at, target: await target.getAddress(), fn: "harvest()" });
+      expect((await client.getConditionStatus(single.conditionId)).schedule).to.equal(null);
+      await expect(
+        client.registerCondition({ type: "TIMESTAMP", at, every: 0, target: await target.getAddress(), fn: "harvest()" })
+      ).to.be.rejectedWith(InvalidArgumentError, "Invalid interval");
+      await expect(
+        client.registerCondition({ type: "TIMESTAMP", at, mode: "REPEATABLE", target: await target.getAddress(), fn: "harvest()" })
+      ).to.be.rejectedWith(InvalidArgumentError, "REPEATABLE conditions need `every`");
+    });
+
+    it("should raise ConditionStateError for unknown conditions", async function () {
+      const err = await client.getConditionStatus(99).catch((e) => e);
+      expect(err).to.be.instanceOf(ConditionStateError);
+      expect(err.code).to.equal("CONDITION_NOT_FOUND");
+    });
+  });
+
+  describe("Composite conditions", function () {
+    const { and, or, blockNumber, timestamp, priceBelow, balanceAbove, toNodes, fromNodes } = conditions;
+
+    it("should flatten trees root first", function () {
+      const tree = and(timestamp(100), or(blockNumber(5), priceBelow("ETH/USD", 2000n)));
+      const nodes = toNodes(tree);
+      expect(nodes.map((n) => [n.op, n.children])).to.deep.equal([
+        [1, [1, 2]],
+        [0, []],
+        [2, [3, 4]],
+        [0, []],
+        [0, []],
+      ]);
+      expect(nodes[4]).to.include({ leafType: 3, value: 2000n, pair: "ETH/USD" });
+      expect(fromNodes(nodes)).to.deep.equal(tree);
+    });
+
+    it("should reject trees the registry would refuse", function () {
+      expect(() => or(timestamp(1))).to.throw(InvalidArgumentError, "at least two");
+      expect(() => priceBelow("", 1)).to.throw(InvalidArgumentError, "price pair");
+      expect(() => timestamp(0)).to.throw(InvalidArgumentError, "positive");
+      expect(() => balanceAbove(1, "0x1234")).to.throw(InvalidArgumentError, "Invalid account");
+      const wide = or(...Array.from({ length: 16 }, (_, i) => blockNumber(i + 1)));
+      expect(() => toNodes(wide)).to.throw(InvalidArgumentError, "17 nodes");
+    });
+
+    it("should register and read back a composite condition", async function () {
+      const feed = await (await ethers.getContractFactory("MockChainlinkFeed")).deploy(8, 1900n * 10n ** 8n);
+      await client.contracts.priceOracle.connect(deployer).registerFeed("ETH/USD", await feed.getAddress());
+
+      const condition = and(timestamp((await time.latest()) - 1), priceBelow("ETH/USD", 2000n * 10n ** 8n));
+      const { conditionId, nodes } = await client.registerCompositeCondition({
+        condition,
+        target: await target.getAddress(),
+        fn: "harvest()",
+      });
+      expect(nodes).to.equal(3);
+      await client.contracts.conditionRegistry.activateCondition(conditionId);
+
+      const read = await client.getCompositeCondition(conditionId);
+      expect(read).to.deep.include({ conditionId, status: "ACTIVE", ready: true });
+      expect(read.condition).to.deep.equal(condition);
+
+      await feed.setPrice(2100n * 10n ** 8n);
+      expect((await client.getCompositeCondition(conditionId)).ready).to.be.false;
+    });
+  });
+
+  describe("Calldata commitments", function () {
+    const { fixed, hash, template, eq, max, min, any, matches } = calldata;
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const fn = "harvestTo(address recipient, uint256 value)";
+
+    it("should encode arguments from the function signature", function () {
+      const data = coder.encode(["address", "uint256"], [other.address, 5n]);
+      expect(fixed(fn, [other.address, 5n])).to.deep.equal({ mode: "FIXED", data });
+      expect(hash(fn, [other.address, 5n])).to.deep.equal({ mode: "HASH", hash: ethers.keccak256(data), data });
+
+      const byName = template(fn, { recipient: other.address, value: max(10n) });
+      expect(byName.args).to.deep.equal([
+        { rule: "EQ", value: coder.encode(["address"], [other.address]) },
+        { rule: "LTE", value: coder.encode(["uint256"], [10n]) },
+      ]);
+      expect(template(fn, [any(), min(1n)]).args[0]).to.deep.equal({ rule: "ANY", value: ethers.ZeroHash });
+      expect(matches(byName, data)).to.be.true;
+      expect(matches(byName, coder.encode(["address", "uint256"], [other.address, 11n]))).to.be.false;
+    });
+
+    it("should reject templates the contract can't check", function () {
+      expect(() => fixed(fn, [other.address])).to.throw(InvalidArgumentError, "takes 2 arguments");
+      expect(() => fixed("not a function", [])).to.throw(InvalidArgumentError, "Invalid function signature");
+      expect(() => template(fn, { amount: 1n })).to.throw(InvalidArgumentError, 'Unknown parameter "amount"');
+      expect(() => template(fn, { recipient: max(1n) })).to.throw(InvalidArgumentError, "only compares uint");
+      expect(() => template("f(string s)", { s: eq("x") })).to.throw(InvalidArgumentError, "static types");
+      expect(() => template("f()")).to.throw(InvalidArgumentError, "at least one argument");
+      expect(() => template(fn, { value: eq(-1n) })).to.throw(InvalidArgumentError, "Cannot encode value");
+    });
+
+    it("should register with a commitment and read it back", async function () {
+      const at = (await ethers.provider.getBlockNumber()) + 10;
+      const params = { type: "BLOCK_NUMBER", at, target: await target.getAddress(), fn: "harvestTo(address,uint256)" };
+      const bound = template(fn, { recipient: protocol.address, value: max(100n) });
+      const { conditionId } = await client.registerCondition({ ...params, calldata: bound });
+      expect(await client.getCalldataCommitment(conditionId)).to.deep.equal(bound);
+
+      const payload = fixed(fn, [protocol.address, 100n]);
+      await client.commitCalldata(conditionId, payload);
+      expect(await client.getCalldataCommitment(conditionId)).to.deep.equal(payload);
+      await client.activate(conditionId);
+
+      await expect(client.commitCalldata(conditionId, payload)).to.be.rejectedWith(ConditionStateError, "Condition not pending");
+      await expect(client.commitCalldata(conditionId, { mode: "ANY" })).to.be.rejectedWith(InvalidArgumentError);
+
+      const { conditionId: free } = await client.registerCondition(params);
+      expect(await client.getCalldataCommitment(free)).to.be.null;
+    });
+
+    it("should report calldata mismatches from preflight", async function () {
+      const at = (await ethers.provider.getBlockNumber()) + 3;
+      const { conditionId } = await client.registerCondition({
+        type: "BLOCK_NUMBER",
+        at,
+        target: await target.getAddress(),
+        fn: "harvestTo(address,uint256)",
+        calldata: hash(fn, [protocol.address, 1n]),
+      });
+      await client.activate(conditionId);
+      await mine(3);
+
+      const result = await client.preflightExecution(conditionId, { from: deployer.address, callData: "0x" });
+      expect(result.ok).to.be.false;
+      expect(result.error).to.be.instanceOf(InvalidArgumentError);
+      expect(result.error.code).to.equal("CALLDATA_MISMATCH");
+      const callData = hash(fn, [protocol.address, 1n]).data;
+      expect((await client.preflightExecution(conditionId, { from: deployer.address, callData })).ok).to.be.true;
+    });
+  });
+
+  describe("Staking", function () {
+    it("should stake the default condition stake", async function () {
+      await client.contracts.conditionRegistry.registerCondition(0, 1, await target.getAddress(), "0x12345678", false);
+      const { amount } = await client.stakeForCondition(1);
+      expect(amount).to.equal(ethers.parseEther("0.01"));
+      const stake = await client.contracts.staking.getConditionStake(1);
+      expect(stake.owner).to.equal(protocol.address);
+      expect(stake.amount).to.equal(amount);
+    });
+
+    it("should raise StakeError on double stake", async function () {
+      await client.contracts.conditionRegistry.registerCondition(0, 1, await target.getAddress(), "0x12345678", false);
+      await client.stakeForCondition(1);
+      const err = await client.stakeForCondition(1).catch((e) => e);
+      expect(err).to.be.instanceOf(StakeError);
+      expect(err.code).to.equal("ALREADY_STAKED");
+    });
+  });
+
+  describe("Challenges", function () {
+    it("should post the bond, and claim it back when the challenge expires", async function () {
+      const registry = client.contracts.conditionRegistry;
+      await registry.connect(deployer).setChallengeTerms(ethers.parseEther("0.01"), 0, 0, 10);
+      await registry.registerCondition(0, 1, await target.getAddress(), "0x12345678", false);
+      await registry.activateCondition(1);
+      await registry.connect(deployer).recordExecution(1, ethers.id("tx"));
+
+      const challenger = await HelioraClient.connect(manifest.contracts.router, other);
+      const { bond, challengeId } = await challenger.challengeExecution(1);
+      expect(bond).to.equal(ethers.parseEther("0.01"));
+      expect(challengeId).to.equal(await registry.latestChallenge(1));
+      const err = await challenger.challengeExecution(1).catch((e) => e);
+      expect(err).to.be.instanceOf(ConditionStateError);
+      expect(err.code).to.equal("CHALLENGE_STATE");
+
+      await mine(10);
+      await registry.expireChallenge(challengeId);
+      expect((await challenger.claim()).amount).to.equal(bond);
+      const empty = await challenger.claim().catch((e) => e);
+      expect(empty).to.be.instanceOf(PaymentError);
+      expect(empty.code).to.equal("NOTHING_TO_CLAIM");
+    });
+  });
+
+  describe("Subscriptions", function () {
+    it("should approve and subscribe with USDC", async function () {
+      const usdc = await ethers.getContractAt("MockERC20", manifest.mocks.usdc);
+      await usdc.mint(protocol.address, 500n * 10n ** 6n);
+      const result = await client.subscribe({ tier: "MAINNET", protocolName: "Acme" });
+      expect(result.currency).to.equal("USDC");
+      expect(result.amount).to.equal(500n * 10n ** 6n);
+      expect(await client.contracts.payment.isActiveSubscription(protocol.address)).to.be.true;
+    });
+
+    it("should subscribe with ETH", async function () {
+      const result = await client.subscribe({ tier: "ENTERPRISE", currency: "eth", protocolName: "Acme" });
+      expect(result.amount).to.equal(ethers.parseEther("0.8"));
+      const sub = await client.contracts.payment.getSubscription(protocol.address);
+      expect(sub.tier).to.equal(2);
+    });
+
+    it("should raise PaymentError without USDC balance", async function () {
+      const err = await client.subscribe({ tier: "MAINNET", protocolName: "Acme" }).catch((e) => e);
+      expect(err).to.be.instanceOf(PaymentError);
+      expect(err.reason).to.equal("Insufficient balance");
+    });
+  });
+
+  it("should wrap non-revert errors", function () {
+    const err = decodeError(new Error("network down"));
+    expect(err).to.be.instanceOf(HelioraError);
+    expect(err.code).to.equal("UNKNOWN");
+  });
+});
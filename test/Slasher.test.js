@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const { SlashingEngine, DEFAULT_AMOUNTS, slashReason, parseSlashReason } = require("../src/slasher");
+
+const { ethers } = hre;
+
+const WINDOW = 100; // HelioraInterface.EXECUTION_WINDOW (blocks)
+
+describe("SlashingEngine", function () {
+  let manifest, contracts, operator, protocol, challenger, target, selector;
+
+  beforeEach(async function () {
+    [operator, protocol, challenger] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.3") });
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    selector = target.interface.getFunction("harvest").selector;
+  });
+
+  function createEngine(options = {}) {
+    return new SlashingEngine({ contracts, fromBlock: manifest.startBlock, ...options });
+  }
+
+  // Block condition due in 3 blocks; returns [id, last block of its execution window]
+  async function registerBlockCondition({ activate = true } = {}) {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + 3;
+    await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    if (activate) await iface.activateCondition(id);
+    return [id, at + WINDOW];
+  }
+
+  async function mineTo(block) {
+    await mine(block - (await ethers.provider.getBlockNumber()));
+  }
+
+  it("should slash the assigned executor once the window closes unexecuted", async function () {
+    const [id, windowEnd] = await registerBlockCondition();
+    const engine = createEngine();
+
+    await mineTo(windowEnd);
+    expect((await engine.tick()).slashed).to.have.length(0);
+
+    await mine(1);
+    const { slashed } = await engine.tick();
+    expect(slashed).to.have.length(1);
+    expect(slashed[0]).to.include({ fault: "missed", executor: operator.address, reason: `missed-execution:interface:${id}` });
+
+    const [record] = await contracts.staking.getSlashHistory();
+    expect(record.executor).to.equal(operator.address);
+    expect(record.amount).to.equal(DEFAULT_AMOUNTS.missed);
+    expect(record.conditionId).to.equal(id);
+    expect((await contracts.staking.getExecutorStake(operator.address)).missedCount).to.equal(1);
+  });
+
+  it("should never slash the same condition twice", async function () {
+    await registerBlockCondition();
+    await mine(WINDOW + 5);
+    expect((await createEngine().tick()).slashed).to.have.length(1);
+
+    // A restarted engine rediscovers the condition from events
+    const restarted = await createEngine().tick();
+    expect(restarted.slashed).to.have.length(0);
+    expect(restarted.skipped.map((s) => s.skipped)).to.deep.equal(["already slashed"]);
+    expect(await contracts.staking.getSlashHistory()).to.have.length(1);
+  });
+
+  it("should leave executed, cancelled and late-activated conditions alone", async function () {
+    const [executed] = await registerBlockCondition();
+    const [cancelled] = await registerBlockCondition();
+    const [late, windowEnd] = await registerBlockCondition({ activate: false });
+    await contracts.helioraInterface.connect(protocol).cancelCondition(cancelled);
+    await mine(3);
+    const worker = new ExecutorWorker({ contracts, executorAddress: operator.address, dryRun: false, fromBlock: manifest.startBlock });
+    await worker.tick();
+    await mineTo(windowEnd + 1);
+    await contracts.helioraInterface.connect(protocol).activateCondition(late);
+
+    const result = await createEngine().tick();
+    expect(result.slashed).to.have.length(0);
+    expect(result.skipped.map((s) => [s.conditionId, s.skipped])).to.deep.equal([
+      [executed, "finished"],
+      [cancelled, "finished"],
+      [late, "activated after the window"],
+    ]);
+  });
+
+  it("should slash each missed run of a recurring condition until it finishes", async function () {
+    const iface = contracts.helioraInterface;
+    const first = (await ethers.provider.getBlockNumber()) + 3;
+    const stake = await contracts.staking.conditionStake();
+    await iface.connect(protocol).registerRecurringCondition(0, first, 20, 0, 0, await target.getAddress(), selector, { value: stake });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    await iface.connect(protocol).activateCondition(id);
+    const engine = createEngine();
+
+    // Runs at first + 20 and first + 40 are skipped once the first one executed
+    await mineTo(first);
+    await iface.executeCondition(id, "0x");
+    await mineTo(first + 60);
+    const { slashed } = await engine.tick();
+    expect(slashed.map((s) => [s.run, s.reason])).to.deep.equal([
+      [BigInt(first + 20), `missed-execution:interface:${id}:${first + 20}`],
+      [BigInt(first + 40), `missed-execution:interface:${id}:${first + 40}`],
+    ]);
+    expect(parseSlashReason(slashed[0].reason)).to.include({ conditionId: id, run: BigInt(first + 20) });
+
+    await iface.executeCondition(id, "0x");
+    await mineTo(first + 85);
+    expect((await engine.tick()).slashed).to.have.length(0);
+    expect(engine.tracked.has(id)).to.be.true;
+
+    await iface.connect(protocol).cancelCondition(id);
+    await mineTo(first + 105);
+    expect((await engine.tick()).slashed).to.have.length(0);
+    expect(engine.tracked.has(id)).to.be.false;
+    expect((await contracts.staking.getExecutorStake(operator.address)).missedCount).to.equal(2);
+  });
+
+  async function challengeForged(count) {
+    const registry = contracts.conditionRegistry;
+    const bond = await registry.challengeBond();
+    for (let i = 0; i < count; i++) {
+      await registry.connect(protocol).registerCondition(0, 1, await target.getAddress(), selector, false);
+      await registry.connect(protocol).activateCondition(i + 1);
+      await registry.recordExecution(i + 1, ethers.keccak256(ethers.toUtf8Bytes(`forged-${i}`)));
+      await registry.connect(challenger).challengeExecution(i + 1, { value: bond });
+    }
+  }
+
+  it("should slash the recorded executor of an execution resolved invalid", async function () {
+    const registry = contracts.conditionRegistry;
+    await registry.setStaking(ethers.ZeroAddress); // no automatic slashing
+    await challengeForged(2);
+    await registry.resolveChallenge(await registry.latestChallenge(1), false);
+    await registry.resolveChallenge(await registry.latestChallenge(2), true);
+
+    const { slashed } = await createEngine({ amounts: { invalid: ethers.parseEther("0.02") } }).tick();
+    expect(slashed.map((s) => [s.conditionId, s.executor, s.reason, s.amount])).to.deep.equal([
+      [1n, operator.address, "invalid-execution:registry:1", ethers.parseEther("0.02")],
+    ]);
+    expect((await contracts.staking.getSlashHistory())[0].conditionId).to.equal(1);
+  });
+
+  it("should name the upheld run of a repeatable record", async function () {
+    const registry = contracts.conditionRegistry;
+    await registry.setStaking(ethers.ZeroAddress);
+    const bond = await registry.challengeBond();
+    await registry.connect(protocol).registerCondition(0, 1, await target.getAddress(), selector, true);
+    await registry.connect(protocol).activateCondition(1);
+    const blocks = [];
+    for (const valid of [true, false]) {
+      const receipt = await (await registry.recordExecution(1, ethers.id(`forged-${blocks.length}`))).wait();
+      blocks.push(receipt.blockNumber);
+      await registry.connect(challenger).challengeExecution(1, { value: bond });
+      await registry.resolveChallenge(await registry.latestChallenge(1), valid);
+    }
+
+    const { slashed } = await createEngine().tick();
+    expect(slashed.map((s) => s.reason)).to.deep.equal([`invalid-execution:registry:1:${blocks[1]}`]);
+  });
+
+  it("should not slash again what the registry slashed on resolution", async function () {
+    await challengeForged(1);
+    await contracts.conditionRegistry.resolveChallenge(await contracts.conditionRegistry.latestChallenge(1), false);
+
+    const { slashed, skipped } = await createEngine().tick();
+    expect(slashed).to.have.length(0);
+    expect(skipped.map((s) => [s.reason, s.skipped])).to.deep.equal([["invalid-execution:registry:1", "already slashed"]]);
+    expect(await contracts.staking.getSlashHistory()).to.have.length(1);
+  });
+
+  it("should report planned slashes in dry-run mode", async function () {
+    const [id] = await registerBlockCondition();
+    await mine(WINDOW + 5);
+    const logs = [];
+    const engine = createEngine({ dryRun: true, log: (l) => logs.push(l) });
+    const { planned, slashed } = await engine.tick();
+
+    expect(slashed).to.have.length(0);
+    expect(planned.map((p) => [p.conditionId, p.executor, p.amount])).to.deep.equal([[id, operator.address, DEFAULT_AMOUNTS.missed]]);
+    expect(logs).to.deep.equal([`would slash ${operator.address} 0.01 ETH (missed-execution:interface:${id})`]);
+    expect(await contracts.staking.getSlashHistory()).to.have.length(0);
+  });
+
+  it("should skip executors that are not staked", async function () {
+    await registerBlockCondition();
+    await mine(WINDOW + 5);
+    const { skipped } = await createEngine({ assignee: () => challenger.address }).tick();
+    expect(skipped.map((s) => [s.executor, s.skipped])).to.deep.equal([[challenger.address, "executor not staked"]]);
+  });
+
+  it("should slash executors that unstaked everything while still unbonding", async function () {
+    await registerBlockCondition();
+    await contracts.staking.requestUnstake(ethers.parseEther("0.3"));
+    expect((await contracts.staking.getExecutorStake(operator.address)).active).to.be.false;
+    await mine(WINDOW + 5);
+
+    const { slashed } = await createEngine().tick();
+    expect(slashed.map((s) => s.executor)).to.deep.equal([operator.address]);
+    expect((await contracts.staking.getUnbonding(operator.address)).amount).to.equal(ethers.parseEther("0.3") - DEFAULT_AMOUNTS.missed);
+  });
+
+  it("should round-trip structured reasons", function () {
+    expect(parseSlashReason(slashReason("invalid", 7n))).to.deep.equal({
+      fault: "invalid",
+      kind: "invalid-execution",
+      source: "registry",
+      conditionId: 7n,
+    });
+    expect(parseSlashReason("late")).to.be.null;
+  });
+});
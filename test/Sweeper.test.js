@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const { MemoryStore, Indexer } = require("../src/indexer");
+const { SubscriptionSweeper, subscribersFromStore } = require("../src/sweeper");
+const { fileSink, webhookSink } = require("../src/sinks");
+
+const { ethers } = hre;
+
+const DAY = 24 * 60 * 60;
+const PRICE = ethers.parseEther("0.2");
+
+describe("SubscriptionSweeper", function () {
+  let manifest, contracts, operator, acme, other, notifications, sweeper;
+
+  beforeEach(async function () {
+    [operator, acme, other] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    await contracts.payment.connect(acme).subscribeETH(1, "Acme", { value: PRICE });
+
+    notifications = [];
+    const memorySink = { name: "memory", notify: async (n) => notifications.push(n) };
+    sweeper = new SubscriptionSweeper({ payment: contracts.payment, sinks: [memorySink] });
+  });
+
+  async function stateOf(subscriber) {
+    return (await sweeper.sweep()).find((r) => r.subscriber === subscriber).state;
+  }
+
+  it("should walk the 30-day period and the grace period", async function () {
+    expect(await stateOf(acme.address)).to.equal("active");
+    await time.increase(24 * DAY);
+    expect(await stateOf(acme.address)).to.equal("expiring");
+    await time.increase(7 * DAY);
+    expect(await stateOf(acme.address)).to.equal("grace");
+    expect(await contracts.payment.isActiveSubscription(acme.address)).to.be.true;
+    await time.increase(3 * DAY);
+    expect(await stateOf(acme.address)).to.equal("expired");
+    expect(await contracts.payment.isActiveSubscription(acme.address)).to.be.false;
+
+    expect(notifications.map((n) => n.type)).to.deep.equal([
+      "subscription.expiring",
+      "subscription.grace",
+      "subscription.expired",
+    ]);
+    expect(notifications[2]).to.include({ subscriber: acme.address, previous: "grace", tier: "MAINNET", protocolName: "Acme" });
+  });
+
+  it("should only notify on state changes", async function () {
+    await time.increase(25 * DAY);
+    await sweeper.sweep();
+    await sweeper.sweep();
+    expect(notifications).to.have.length(1);
+  });
+
+  it("should report renewals and cancellations", async function () {
+    await time.increase(32 * DAY);
+    await sweeper.sweep();
+    await contracts.payment.connect(acme).renewETH({ value: PRICE });
+    expect(await stateOf(acme.address)).to.equal("active");
+    await contracts.payment.connect(acme).cancelSubscription();
+    expect(await stateOf(acme.address)).to.equal("cancelled");
+    expect(notifications.map((n) => n.type)).to.deep.equal(["subscription.grace", "subscription.active", "subscription.cancelled"]);
+  });
+
+  it("should read subscribers from indexed SubscriptionCreated events", async function () {
+    await contracts.payment.connect(other).subscribeETH(2, "Other", { value: ethers.parseEther("0.8") });
+    const store = new MemoryStore();
+    await new Indexer({ contracts, store, startBlock: manifest.startBlock }).sync();
+    const indexed = new SubscriptionSweeper({ payment: contracts.payment, subscribers: subscribersFromStore(store) });
+    expect((await indexed.sweep()).map((r) => r.subscriber)).to.deep.equal([acme.address, other.address]);
+  });
+
+  it("should pause the worker for lapsed subscribers", async function () {
+    const target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    const selector = target.interface.getFunction("harvest").selector;
+    const iface = contracts.helioraInterface.connect(acme);
+    const at = (await time.latest()) + 40 * DAY;
+    await iface.registerCondition(1, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+    await iface.activateCondition(1);
+
+    const worker = new ExecutorWorker({ contracts, executorAddress: operator.address, dryRun: false, fromBlock: manifest.startBlock });
+    const paused = new SubscriptionSweeper({ payment: contracts.payment, worker });
+
+    await time.increaseTo(at);
+    await mine(1);
+    await paused.sweep();
+    expect(worker.pausedOwners.has(acme.address.toLowerCase())).to.be.true;
+    const result = await worker.tick();
+    expect(result.executed).to.have.length(0);
+    expect(result.skipped[0].reason).to.equal("owner paused");
+
+    await contracts.payment.connect(acme).renewETH({ value: PRICE });
+    await paused.sweep();
+    expect((await worker.tick()).executed).to.have.length(1);
+  });
+
+  describe("Sinks", function () {
+    const notification = { type: "subscription.expired", subscriber: "0xabc" };
+
+    it("should append JSON lines to a file", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "heliora-sinks-"));
+      const file = path.join(dir, "nested", "out.jsonl");
+      const sink = fileSink(file);
+      await sink.notify(notification);
+      await sink.notify(notification);
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+      expect(lines.map((l) => JSON.parse(l))).to.deep.equal([notification, notification]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should POST to a webhook and surface failures", async function () {
+      const calls = [];
+      const ok = webhookSink("https://hooks.example.com/x", { fetch: async (url, init) => (calls.push({ url, init }), { ok: true }) });
+      await ok.notify(notification);
+      expect(calls[0].init.method).to.equal("POST");
+      expect(JSON.parse(calls[0].init.body)).to.deep.equal(notification);
+
+      const failing = webhookSink("https://hooks.example.com/x", { fetch: async () => ({ ok: false, status: 500 }) });
+      const logs = [];
+      const s = new SubscriptionSweeper({ payment: contracts.payment, sinks: [failing], log: (l) => logs.push(l) });
+      await time.increase(25 * DAY);
+      await s.sweep();
+      expect(logs).to.deep.equal(["webhook:hooks.example.com: notification failed - webhook responded 500"]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { TransactionManager } = require("../src/txmanager");
+const { ExecutorWorker } = require("../src/worker");
+
+const { ethers, network } = hre;
+
+describe("TransactionManager", function () {
+  let manifest, contracts, target, operator, protocol, keys;
+
+  beforeEach(async function () {
+    [operator, protocol] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+    target = await (await ethers.getContractFactory("MockTarget")).deploy();
+
+    keys = [];
+    for (let i = 0; i < 2; i++) {
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await operator.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+      await contracts.helioraInterface.authorizeExecutor(wallet.address);
+      keys.push(wallet);
+    }
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  async function createManager(options = {}) {
+    const manager = new TransactionManager({ signers: keys, helioraInterface: contracts.helioraInterface, ...options });
+    await manager.init();
+    return manager;
+  }
+
+  function harvest() {
+    return { to: target.target, data: target.interface.encodeFunctionData("harvest") };
+  }
+
+  // Next block's base fee far above anything already in the mempool
+  async function spikeBaseFee() {
+    const baseFee = ethers.toQuantity(ethers.parseUnits("100", "gwei"));
+    await network.provider.send("hardhat_setNextBlockBaseFeePerGas", [baseFee]);
+  }
+
+  it("should queue nonces locally while transactions are pending", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const manager = await createManager({ signers: keys.slice(0, 1) });
+    const sent = [];
+    for (let i = 0; i < 3; i++) sent.push(await manager.submit(harvest()));
+    expect(sent.map((tx) => tx.nonce)).to.deep.equal([0, 1, 2]);
+    expect(manager.pending()).to.have.length(3);
+
+    await mine(1);
+    const { confirmed } = await manager.poll();
+    expect(confirmed.map((tx) => tx.receipt.status)).to.deep.equal([1, 1, 1]);
+    expect(await target.count()).to.equal(3);
+    expect(manager.pending()).to.have.length(0);
+  });
+
+  it("should spread transactions over the key pool", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const manager = await createManager();
+    const senders = [];
+    for (let i = 0; i < 4; i++) senders.push((await manager.submit(harvest())).from);
+    expect(senders.filter((a) => a === keys[0].address)).to.have.length(2);
+    expect(senders.filter((a) => a === keys[1].address)).to.have.length(2);
+  });
+
+  it("should only use authorized executor keys", async function () {
+    const stranger = ethers.Wallet.createRandom().connect(ethers.provider);
+    const manager = await createManager({ signers: [stranger, keys[0]] });
+    expect(manager.signers).to.deep.equal([keys[0]]);
+    await expect(createManager({ signers: [stranger] })).to.be.rejectedWith("No authorized executor keys");
+  });
+
+  it("should replace a stuck transaction with higher fees", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const manager = await createManager({ signers: keys.slice(0, 1), bumpAfterBlocks: 2 });
+    const sent = await manager.submit(harvest());
+
+    await spikeBaseFee();
+    await mine(1);
+    expect((await manager.poll()).bumped).to.have.length(0); // 1 block, not stuck yet
+    await mine(1);
+    const { bumped } = await manager.poll();
+    expect(bumped).to.have.length(1);
+    expect(bumped[0].nonce).to.equal(sent.nonce);
+    expect(bumped[0].maxFeePerGas >= (sent.maxFeePerGas * 115n) / 100n).to.be.true;
+
+    await mine(1);
+    const { confirmed } = await manager.poll();
+    expect(confirmed[0].hash).to.equal(bumped[0].hash);
+    expect(confirmed[0].bumps).to.equal(1);
+    expect(await target.count()).to.equal(1);
+  });
+
+  it("should cap spend relative to the execution fee", async function () {
+    const manager = await createManager({ maxSpendRatio: 2 });
+    expect(manager.spendCap(1000n)).to.equal(2000n);
+    expect(manager.spendCap(0n)).to.equal(null);
+    await expect(manager.submit({ ...harvest(), executionFee: 1000n })).to.be.rejectedWith("Spend cap");
+
+    // Cap just above the submission: the stuck transaction is left alone
+    await network.provider.send("evm_setAutomine", [false]);
+    const gasLimit = 100000n;
+    const { maxFeePerGas } = await ethers.provider.getFeeData();
+    const maxSpendWei = (gasLimit * maxFeePerGas * 105n) / 100n;
+    const capped = await createManager({ signers: keys.slice(1), bumpAfterBlocks: 1, maxSpendWei });
+    await capped.submit({ ...harvest(), gasLimit });
+    await spikeBaseFee();
+    await mine(1);
+    expect((await capped.poll()).bumped).to.have.length(0);
+    expect(capped.pending()[0].bumps).to.equal(0);
+  });
+
+  it("should recover pending transactions after a restart", async function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "heliora-tx-")), "pending.json");
+    await network.provider.send("evm_setAutomine", [false]);
+    const first = await createManager({ signers: keys.slice(0, 1), file });
+    const lost = await first.submit({ ...harvest(), meta: { conditionId: "7" } });
+
+    // The node forgets the transaction while the manager is down
+    await network.provider.send("hardhat_dropTransaction", [lost.hash]);
+    const restarted = await createManager({ signers: keys.slice(0, 1), file });
+    expect(restarted.pending().map((tx) => [tx.nonce, tx.meta.conditionId])).to.deep.equal([[0, "7"]]);
+    expect((await restarted.submit(harvest())).nonce).to.equal(1);
+
+    await restarted.poll(); // rebroadcasts nonce 0
+    await mine(1);
+    const { confirmed } = await restarted.poll();
+    expect(confirmed.map((tx) => tx.nonce)).to.deep.equal([0, 1]);
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).pending).to.deep.equal([]);
+  });
+
+  it("should report transactions whose nonce was used elsewhere", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const manager = await createManager({ signers: keys.slice(0, 1) });
+    const sent = await manager.submit(harvest());
+    await network.provider.send("hardhat_dropTransaction", [sent.hash]);
+    await keys[0].sendTransaction({ to: operator.address, value: 1n, nonce: sent.nonce });
+    await mine(1);
+    const { dropped } = await manager.poll();
+    expect(dropped.map((tx) => tx.id)).to.deep.equal([sent.id]);
+  });
+
+  it("should not report a transaction as dropped when its receipt shows up late", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const manager = await createManager({ signers: keys.slice(0, 1) });
+    const sent = await manager.submit(harvest());
+    await mine(1);
+    // The node has not indexed the receipt on the first look, but the nonce is already used
+    const getTransactionReceipt = manager.provider.getTransactionReceipt;
+    let lookups = 0;
+    manager.provider.getTransactionReceipt = (hash) => (lookups++ ? getTransactionReceipt.call(manager.provider, hash) : null);
+    let result;
+    try {
+      result = await manager.poll();
+    } finally {
+      manager.provider.getTransactionReceipt = getTransactionReceipt;
+    }
+    expect(result.dropped).to.have.length(0);
+    expect(result.confirmed.map((tx) => tx.id)).to.deep.equal([sent.id]);
+  });
+
+  describe("ExecutorWorker", function () {
+    it("should submit executions without waiting and settle them once mined", async function () {
+      const iface = contracts.helioraInterface.connect(protocol);
+      const selector = target.interface.getFunction("harvest").selector;
+      const at = (await ethers.provider.getBlockNumber()) + 5;
+      for (let i = 0; i < 2; i++) {
+        await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+        await iface.activateCondition(i + 1);
+      }
+      await mine(5);
+
+      const worker = new ExecutorWorker({
+        contracts,
+        executorAddress: operator.address,
+        fromBlock: manifest.startBlock,
+        dryRun: false,
+        txManager: await createManager(),
+      });
+      await network.provider.send("evm_setAutomine", [false]);
+      const submitted = await worker.tick();
+      expect(submitted.submitted.map((s) => s.from)).to.have.members(keys.map((k) => k.address));
+      expect((await worker.tick()).skipped.map((s) => s.reason)).to.deep.equal(["in flight", "in flight"]);
+
+      await mine(1);
+      await network.provider.send("evm_setAutomine", [true]); // registry / staking calls wait for receipts
+      const settled = await worker.tick();
+      expect(settled.executed.map((e) => e.conditionId)).to.have.members([1n, 2n]);
+      expect(settled.skipped.map((s) => s.reason)).to.deep.equal(["finished", "finished"]);
+      expect(await target.count()).to.equal(2);
+    });
+
+    it("should preflight from the key that signs the execution", async function () {
+      const iface = contracts.helioraInterface.connect(protocol);
+      const selector = target.interface.getFunction("harvest").selector;
+      const at = (await ethers.provider.getBlockNumber()) + 3;
+      await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: await contracts.staking.conditionStake() });
+      await iface.activateCondition(1);
+      await mine(3);
+
+      // executorAddress is not an authorized executor, the pool keys are
+      const worker = new ExecutorWorker({
+        contracts,
+        executorAddress: protocol.address,
+        fromBlock: manifest.startBlock,
+        dryRun: false,
+        txManager: await createManager(),
+      });
+      const { submitted, failed } = await worker.tick();
+      expect(failed).to.have.length(0);
+      expect(submitted.map((s) => s.from)).to.have.length(1);
+      expect(keys.map((k) => k.address)).to.include(submitted[0].from);
+    });
+  });
+});
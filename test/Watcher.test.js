@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+const { ChallengeWatcher } = require("../src/watcher");
+const { and, blockNumber, priceBelow, toNodes } = require("../src/sdk/conditions");
+
+const { ethers } = hre;
+
+describe("ChallengeWatcher", function () {
+  let manifest, contracts, target, feed, operator, protocol, challenger, selector;
+
+  beforeEach(async function () {
+    [operator, protocol, challenger] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false });
+    contracts = connectProtocol(manifest.contracts, operator);
+    feed = await ethers.getContractAt("MockChainlinkFeed", manifest.feeds["ETH/USD"]);
+    const Target = await ethers.getContractFactory("MockTarget");
+    target = await Target.deploy();
+    selector = target.interface.getFunction("harvest").selector;
+  });
+
+  function createWatcher(options = {}) {
+    return new ChallengeWatcher({
+      contracts: connectProtocol(manifest.contracts, challenger),
+      fromBlock: manifest.startBlock,
+      ...options,
+    });
+  }
+
+  async function registerInRegistry(type, value) {
+    const registry = contracts.conditionRegistry.connect(protocol);
+    await registry.registerCondition(type, value, await target.getAddress(), selector, false);
+    const id = (await registry.nextConditionId()) - 1n;
+    await registry.activateCondition(id);
+    return id;
+  }
+
+  // Forge a bad execution: the registry executor records an execution with an arbitrary tx hash
+  async function forgeExecution(id, txHash = ethers.keccak256(ethers.toUtf8Bytes("forged"))) {
+    await contracts.conditionRegistry.recordExecution(id, txHash);
+  }
+
+  it("should accept a genuine execution", async function () {
+    const at = (await ethers.provider.getBlockNumber()) + 5;
+    const stake = await contracts.staking.conditionStake();
+    await contracts.helioraInterface.connect(protocol).registerCondition(0, at, await target.getAddress(), selector, 0, { value: stake });
+    await contracts.helioraInterface.connect(protocol).activateCondition(1);
+    await mine(5);
+    const worker = new ExecutorWorker({ contracts, executorAddress: operator.address, dryRun: false, fromBlock: manifest.startBlock });
+    const [executed] = (await worker.tick()).executed;
+    expect(executed.registryId).to.equal(1);
+
+    // Linked records carry no tx hash; the recording transaction is the execution
+    const [report] = await createWatcher().tick();
+    expect((await contracts.conditionRegistry.getExecutionProof(1)).txHash).to.equal(ethers.ZeroHash);
+    expect(report.txHash).to.equal(executed.txHash);
+    expect(report.valid).to.be.true;
+    expect(report.challenged).to.be.false;
+    expect((await contracts.conditionRegistry.getExecutionProof(1)).challenged).to.be.false;
+  });
+
+  it("should challenge an execution recorded before the condition was met", async function () {
+    const id = await registerInRegistry(0, (await ethers.provider.getBlockNumber()) + 1000);
+    await forgeExecution(id);
+
+    const [report] = await createWatcher().tick();
+    expect(report.valid).to.be.false;
+    expect(report.failures).to.include("execution tx not found");
+    expect(report.failures.some((f) => f.startsWith("condition not met"))).to.be.true;
+    expect(report.challenged).to.be.true;
+    expect((await contracts.conditionRegistry.getExecutionProof(id)).challenged).to.be.true;
+    expect(report.challengeId).to.equal(await contracts.conditionRegistry.latestChallenge(id));
+    const challenge = await contracts.conditionRegistry.challenges(report.challengeId);
+    expect([challenge.challenger, challenge.bond]).to.deep.equal([challenger.address, await contracts.conditionRegistry.challengeBond()]);
+  });
+
+  it("should challenge a tx hash that did not execute the condition", async function () {
+    const id = await registerInRegistry(0, 1);
+    const unrelated = await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    await forgeExecution(id, unrelated.hash);
+
+    const [report] = await createWatcher().tick();
+    expect(report.failures).to.deep.equal(["execution tx has no matching HelioraExecutor.Executed event"]);
+    expect(report.challenged).to.be.true;
+  });
+
+  it("should challenge a price execution against the oracle at the execution block", async function () {
+    const id = await registerInRegistry(3, 200000000000n); // PRICE_BELOW $2000, feed at $2500
+    await forgeExecution(id);
+    await feed.setPrice(190000000000n); // drops afterwards - must not matter
+
+    const [report] = await createWatcher({ policy: { defaultPair: "ETH/USD", verifyTransaction: false } }).tick();
+    expect(report.verdict.observed).to.equal(250000000000n);
+    expect(report.challenged).to.be.true;
+  });
+
+  it("should verify every operand of a composite execution with its own pair", async function () {
+    const registry = contracts.conditionRegistry.connect(protocol);
+    const nodes = toNodes(and(blockNumber(1), priceBelow("ETH/USD", 200000000000n))); // feed at $2500
+    await registry.registerCompositeCondition(nodes, await target.getAddress(), selector, false);
+    const id = (await registry.nextConditionId()) - 1n;
+    await registry.activateCondition(id);
+    await forgeExecution(id);
+
+    const [report] = await createWatcher({ policy: { verifyTransaction: false } }).tick();
+    expect(report.verdict.children.map((c) => c.ready)).to.deep.equal([true, false]);
+    expect(report.failures[0]).to.contain("and(block");
+    expect(report.challenged).to.be.true;
+  });
+
+  it("should leave unverifiable executions alone unless the policy says otherwise", async function () {
+    const id = await registerInRegistry(2, 1n); // PRICE_ABOVE, no pair configured
+    await forgeExecution(id);
+    const policy = { verifyTransaction: false };
+
+    const [lenient] = await createWatcher({ policy }).tick();
+    expect(lenient.unverifiable).to.deep.equal(["condition: no price pair"]);
+    expect(lenient.challenged).to.be.false;
+
+    const [strict] = await createWatcher({ policy: { ...policy, challengeUnverifiable: true } }).tick();
+    expect(strict.challenged).to.be.true;
+  });
+
+  it("should only report in dry-run mode", async function () {
+    const id = await registerInRegistry(0, (await ethers.provider.getBlockNumber()) + 1000);
+    await forgeExecution(id);
+    const [report] = await createWatcher({ dryRun: true }).tick();
+    expect(report.valid).to.be.false;
+    expect(report.challenged).to.be.false;
+    expect((await contracts.conditionRegistry.getExecutionProof(id)).challenged).to.be.false;
+  });
+
+  it("should not challenge after the challenge deadline", async function () {
+    await contracts.conditionRegistry.setChallengePeriod(10);
+    const id = await registerInRegistry(0, (await ethers.provider.getBlockNumber()) + 1000);
+    await forgeExecution(id);
+    await mine(20);
+    const [report] = await createWatcher().tick();
+    expect(report.valid).to.be.false;
+    expect(report.skipped).to.equal("challenge period expired");
+    expect(report.challenged).to.be.false;
+  });
+
+  it("should challenge the latest run of a linked record while an earlier run is challenged", async function () {
+    const iface = contracts.helioraInterface;
+    const registry = contracts.conditionRegistry;
+    const bond = await registry.challengeBond();
+    const first = (await ethers.provider.getBlockNumber()) + 5;
+    const stake = await contracts.staking.conditionStake();
+    await iface.connect(protocol).registerRecurringCondition(0, first, 10, 0, 0, await target.getAddress(), selector, { value: stake });
+    await iface.connect(protocol).activateCondition(1);
+    await mine(5);
+    await iface.executeCondition(1, "0x");
+    await registry.connect(protocol).challengeExecution(1, { value: bond });
+    await mine(10);
+    await iface.executeCondition(1, "0x");
+
+    const watcher = createWatcher();
+    watcher.checkCondition = async (condition, executionBlock, report) => report.failures.push("rejected by the test");
+    const reports = await watcher.tick();
+    expect(reports.map((r) => r.skipped)).to.deep.equal(["superseded by a later execution", undefined]);
+    expect(reports[1].challenged).to.be.true;
+    expect(reports[1].challengeId).to.equal(2);
+    expect(await registry.openConditionChallenges(1)).to.equal(2);
+  });
+
+  it("should not rescan reviewed executions", async function () {
+    const id = await registerInRegistry(0, (await ethers.provider.getBlockNumber()) + 1000);
+    await forgeExecution(id);
+    const watcher = createWatcher();
+    expect(await watcher.tick()).to.have.length(1);
+    expect(await watcher.tick()).to.have.length(0);
+  });
+
+});
@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../scripts/deploy");
+const { connectProtocol } = require("../src/contracts");
+const { ExecutorWorker } = require("../src/worker");
+
+const { ethers } = hre;
+
+describe("ExecutorWorker", function () {
+  let manifest, contracts, target, operator, protocol, selector, stake;
+
+  beforeEach(async function () {
+    [operator, protocol] = await ethers.getSigners();
+    manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    contracts = connectProtocol(manifest.contracts, operator);
+
+    const Target = await ethers.getContractFactory("MockTarget");
+    target = await Target.deploy();
+    selector = target.interface.getFunction("harvest").selector;
+
+    // Operator is the slasher by default; stake so it can be credited
+    await contracts.staking.stakeAsExecutor({ value: ethers.parseEther("0.1") });
+    stake = await contracts.staking.conditionStake();
+  });
+
+  function createWorker(options = {}) {
+    return new ExecutorWorker({
+      contracts,
+      executorAddress: operator.address,
+      fromBlock: manifest.startBlock,
+      dryRun: false,
+      ...options,
+    });
+  }
+
+  // ACTIVE block condition due in `offset` blocks. Unlinked ones are registered as
+  // before HelioraInterface had a registry, optionally with a matching registry record.
+  async function registerBlockCondition(offset, { linked = true, matching = false } = {}) {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const registry = contracts.conditionRegistry.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + offset;
+    if (linked) {
+      await iface.registerCondition(0, at, await target.getAddress(), selector, 0, { value: stake });
+    } else {
+      await contracts.helioraInterface.setConditionRegistry(ethers.ZeroAddress);
+      await iface.registerCondition(0, at, await target.getAddress(), selector, 0);
+      await contracts.helioraInterface.setConditionRegistry(manifest.contracts.conditionRegistry);
+    }
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    await iface.activateCondition(id);
+    if (matching) {
+      await registry.registerCondition(0, at, await target.getAddress(), selector, false);
+      const registryId = (await registry.getRegistrantConditions(protocol.address)).at(-1);
+      await registry.activateCondition(registryId);
+    }
+    return { id, at };
+  }
+
+  it("should discover conditions from ConditionRegistered events", async function () {
+    const { id } = await registerBlockCondition(50);
+    const worker = createWorker();
+    const result = await worker.tick();
+    expect(result.discovered).to.deep.equal([id]);
+    expect(result.skipped[0].reason).to.equal("not ready");
+    expect(worker.tracked.has(id)).to.be.true;
+  });
+
+  it("should not rediscover already scanned blocks", async function () {
+    await registerBlockCondition(50);
+    const worker = createWorker();
+    await worker.tick();
+    const second = await worker.tick();
+    expect(second.discovered).to.deep.equal([]);
+  });
+
+  it("should execute a ready condition and record it", async function () {
+    const { id } = await registerBlockCondition(10);
+    const worker = createWorker();
+    await worker.tick();
+    await mine(10);
+
+    const result = await worker.tick();
+    expect(result.executed).to.have.length(1);
+    const [outcome] = result.executed;
+    expect(outcome.conditionId).to.equal(id);
+    expect(await target.count()).to.equal(1);
+
+    const cond = await contracts.helioraInterface.getCondition(id);
+    expect(cond.status).to.equal(2); // EXECUTED
+
+    // Recorded and credited by HelioraInterface within the execution
+    expect(outcome.registryId).to.equal(await contracts.helioraInterface.registryIds(id));
+    const proof = await contracts.conditionRegistry.getExecutionProof(outcome.registryId);
+    expect(proof.executor).to.equal(operator.address);
+    expect(proof.blockNumber).to.equal(outcome.blockNumber);
+    expect((await contracts.staking.getConditionStake(outcome.registryId)).released).to.be.true;
+
+    const executorStake = await contracts.staking.getExecutorStake(operator.address);
+    expect(executorStake.executionCount).to.equal(1);
+    expect(outcome.credited).to.be.true;
+  });
+
+  it("should not record unlinked conditions on a matching registry record", async function () {
+    await registerBlockCondition(5, { linked: false, matching: true });
+    await mine(5);
+    const [outcome] = (await createWorker().tick()).executed;
+    expect(outcome.registryId).to.be.null;
+    expect((await contracts.conditionRegistry.getExecutionProof(1)).executor).to.equal(ethers.ZeroAddress);
+    expect((await contracts.staking.getExecutorStake(operator.address)).executionCount).to.equal(1);
+    expect(outcome.credited).to.be.true;
+  });
+
+  it("should execute FIXED conditions with the committed calldata", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const harvestTo = target.interface.getFunction("harvestTo");
+    const payload = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [protocol.address, 42]);
+    const at = (await ethers.provider.getBlockNumber()) + 5;
+    await iface.registerCondition(0, at, await target.getAddress(), harvestTo.selector, 0, { value: stake });
+    const id = (await iface.getProtocolConditions(protocol.address)).at(-1);
+    await iface.commitFixedCalldata(id, payload);
+    await iface.activateCondition(id);
+    await mine(5);
+
+    const worker = createWorker({ callData: () => "0xdead" });
+    const result = await worker.tick();
+    expect(result.executed[0].conditionId).to.equal(id);
+    expect(await target.lastValue()).to.equal(42);
+    expect(worker.boundCalldata.get(id)).to.equal(payload);
+  });
+
+  it("should pay the execution fee", async function () {
+    await contracts.helioraInterface.setExecutionFee(ethers.parseEther("0.001"));
+    await registerBlockCondition(5);
+    await mine(5);
+    const result = await createWorker().tick();
+    expect(result.executed[0].fee).to.equal(ethers.parseEther("0.001"));
+    expect(await ethers.provider.getBalance(await target.getAddress())).to.equal(ethers.parseEther("0.001"));
+  });
+
+  it("should execute without a registry record", async function () {
+    await registerBlockCondition(5, { linked: false });
+    await mine(5);
+    const result = await createWorker().tick();
+    expect(result.executed[0].registryId).to.be.null;
+    expect(await target.count()).to.equal(1);
+  });
+
+  it("should only simulate in dry-run mode", async function () {
+    const { id } = await registerBlockCondition(5);
+    await mine(5);
+    const result = await createWorker({ dryRun: true }).tick();
+    expect(result.executed[0].dryRun).to.be.true;
+    expect(await target.count()).to.equal(0);
+    expect((await contracts.helioraInterface.getCondition(id)).status).to.equal(1); // still ACTIVE
+  });
+
+  it("should skip conditions whose execution window expired", async function () {
+    const { id } = await registerBlockCondition(5);
+    await mine(200);
+    const worker = createWorker();
+    const result = await worker.tick();
+    expect(result.skipped[0].reason).to.equal("window expired");
+    expect(worker.tracked.has(id)).to.be.false;
+    expect(await target.count()).to.equal(0);
+  });
+
+  it("should report target reverts as failures", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + 3;
+    await iface.registerCondition(0, at, await target.getAddress(), target.interface.getFunction("fail").selector, 0, { value: stake });
+    await iface.activateCondition(1);
+    await mine(3);
+    const result = await createWorker().tick();
+    expect(result.failed[0].reason).to.contain("MockTarget: failed");
+  });
+
+  it("should not submit executions that fail preflight", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const at = (await ethers.provider.getBlockNumber()) + 3;
+    await iface.registerCondition(0, at, await target.getAddress(), target.interface.getFunction("failCustom").selector, 0, { value: stake });
+    await iface.activateCondition(1);
+    await mine(3);
+    const nonce = await ethers.provider.getTransactionCount(operator.address);
+    const result = await createWorker({ targetAbi: target.interface }).tick();
+    expect(result.failed[0]).to.include({ category: "CUSTOM_ERROR", submitted: false });
+    expect(result.failed[0].reason).to.contain("HarvestBlocked");
+    expect(await ethers.provider.getTransactionCount(operator.address)).to.equal(nonce);
+  });
+
+  it("should drop conditions whose linked record is closed and park challenged ones", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const failWith = target.interface.getFunction("failWith").selector;
+    const at = (await ethers.provider.getBlockNumber()) + 5;
+    for (const id of [1, 2]) {
+      await iface.registerCondition(0, at, await target.getAddress(), failWith, 0, { value: stake });
+      await iface.activateCondition(id);
+    }
+    await mine(5);
+    const reasons = { 1: "Execution under challenge", 2: "Not active" };
+    const callData = (condition) => ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reasons[condition.conditionId]]);
+
+    const worker = createWorker({ callData });
+    const { skipped, failed } = await worker.tick();
+    expect(skipped.map((s) => [s.conditionId, s.reason])).to.deep.equal([[1n, "under challenge"]]);
+    expect(failed.map((f) => [f.conditionId, f.category])).to.deep.equal([[2n, "RECORD_CLOSED"]]);
+    expect([...worker.tracked]).to.deep.equal([1n]);
+  });
+
+  it("should stop tracking cancelled conditions", async function () {
+    const { id } = await registerBlockCondition(50);
+    const worker = createWorker();
+    await worker.tick();
+    await contracts.helioraInterface.connect(protocol).cancelCondition(id);
+    const result = await worker.tick();
+    expect(result.skipped[0].reason).to.equal("finished");
+    expect(worker.tracked.size).to.equal(0);
+  });
+
+  it("should execute a recurring condition on every run until its schedule ends", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const first = (await ethers.provider.getBlockNumber()) + 10;
+    await iface.registerRecurringCondition(0, first, 20, 2, 0, await target.getAddress(), selector, { value: stake });
+    await iface.activateCondition(1);
+    const worker = createWorker();
+    expect((await worker.tick()).skipped[0]).to.include({ reason: "not ready", nextRun: BigInt(first) });
+
+    await mine(10);
+    expect((await worker.tick()).executed).to.have.length(1);
+    const waiting = await worker.tick();
+    expect(waiting.skipped[0]).to.include({ reason: "not ready", nextRun: BigInt(first + 20) });
+    expect(worker.tracked.has(1n)).to.be.true;
+
+    await mine(20);
+    expect((await worker.tick()).executed).to.have.length(1);
+    expect(await target.count()).to.equal(2);
+    expect((await worker.tick()).skipped[0].reason).to.equal("finished");
+    expect(worker.tracked.size).to.equal(0);
+  });
+
+  it("should keep tracking a recurring condition after a missed run", async function () {
+    const iface = contracts.helioraInterface.connect(protocol);
+    const first = (await ethers.provider.getBlockNumber()) + 5;
+    await iface.registerRecurringCondition(0, first, 200, 0, first + 250, await target.getAddress(), selector, { value: stake });
+    await iface.activateCondition(1);
+    const worker = createWorker();
+    await worker.tick();
+
+    await mine(150); // first window missed
+    const skipped = await worker.tick();
+    expect(skipped.skipped[0]).to.include({ reason: "not ready", nextRun: BigInt(first + 200) });
+    expect(worker.tracked.has(1n)).to.be.true;
+
+    await mine(200); // second window missed, schedule over
+    expect((await worker.tick()).skipped[0].reason).to.equal("schedule ended");
+    expect(worker.tracked.size).to.equal(0);
+    expect(await target.count()).to.equal(0);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Stateful fuzzing harness
+ * A sequence is a list of { action, args } steps. Args are drawn from a seeded
+ * PRNG when the sequence is generated, never from chain state, so the same seed
+ * always yields the same sequence and any sub-sequence can be replayed as is:
+ * actions resolve their targets at run time (e.g. "the n-th known condition,
+ * modulo the count") and treat reverts as rejected steps.
+ *
+ * After every step all invariants are checked. A failing sequence is shrunk by
+ * removing chunks of steps for as long as the same invariant keeps failing.
+ */
+
+// mulberry32
+function prng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    bool: (p = 0.5) => next() < p,
+    pick: (list) => list[Math.floor(next() * list.length)],
+  };
+}
+
+/**
+ * @param {number} seed
+ * @param {number} steps
+ * @param {Object<string, {weight?: number, args?: function}>} actions name => definition
+ * @return {{action: string, args: object}[]}
+ */
+function generate(seed, steps, actions) {
+  const rand = prng(seed);
+  const names = Object.keys(actions);
+  const total = names.reduce((sum, n) => sum + (actions[n].weight ?? 1), 0);
+  const sequence = [];
+  for (let i = 0; i < steps; i++) {
+    let roll = rand.next() * total;
+    const action = names.find((n) => (roll -= actions[n].weight ?? 1) < 0) || names.at(-1);
+    sequence.push({ action, args: actions[action].args ? actions[action].args(rand) : {} });
+  }
+  return sequence;
+}
+
+function isRevert(err) {
+  return err.code === "CALL_EXCEPTION" || /revert/i.test(err.message || "");
+}
+
+/**
+ * Run a sequence from a fresh state.
+ * @param {object} suite
+ * @param {function} suite.setup async () => context, called before every run
+ * @param {object} suite.actions name => { run: async (ctx, args) => void }
+ * @param {object} suite.invariants name => async (ctx) => void, throws on violation
+ * @return {Promise<{failure: object|null, steps: number, rejected: number}>}
+ */
+async function runSequence(suite, sequence) {
+  const ctx = await suite.setup();
+  let rejected = 0;
+  for (let i = 0; i < sequence.length; i++) {
+    const { action, args } = sequence[i];
+    try {
+      await suite.actions[action].run(ctx, args);
+    } catch (err) {
+      if (!isRevert(err)) return { failure: { step: i, action, name: "error", message: err.message }, steps: i + 1, rejected };
+      rejected++;
+    }
+    for (const [name, check] of Object.entries(suite.invariants)) {
+      try {
+        await check(ctx);
+      } catch (err) {
+        return { failure: { step: i, action, name, message: err.message }, steps: i + 1, rejected };
+      }
+    }
+  }
+  return { failure: null, steps: sequence.length, rejected };
+}
+
+/**
+ * Shrink a failing sequence: drop chunks (halving the chunk size) while the
+ * same invariant still fails.
+ * @return {Promise<{sequence: object[], failure: object, attempts: number}>}
+ */
+async function shrink(suite, sequence, failure, { maxAttempts = 200 } = {}) {
+  let current = sequence.slice(0, failure.step + 1);
+  let currentFailure = failure;
+  let attempts = 0;
+
+  for (let chunk = Math.max(1, Math.floor(current.length / 2)); chunk >= 1 && attempts < maxAttempts; ) {
+    let removed = false;
+    for (let start = 0; start < current.length && attempts < maxAttempts; ) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+      attempts++;
+      const { failure: f } = candidate.length ? await runSequence(suite, candidate) : { failure: null };
+      if (f && f.name === failure.name) {
+        current = candidate.slice(0, f.step + 1);
+        currentFailure = f;
+        removed = true;
+      } else {
+        start += chunk;
+      }
+    }
+    if (!removed) chunk = Math.floor(chunk / 2);
+  }
+  return { sequence: current, failure: currentFailure, attempts };
+}
+
+/**
+ * Generate and run `runs` sequences starting at `seed`; the first failure is
+ * shrunk. Seed n + i is reported, so a failure replays with { seed: n + i, runs: 1 }.
+ * @return {Promise<object|null>} null when every run passes
+ */
+async function fuzz(suite, { seed, runs, steps }) {
+  for (let i = 0; i < runs; i++) {
+    const sequence = generate(seed + i, steps, suite.actions);
+    const { failure } = await runSequence(suite, sequence);
+    if (failure) {
+      const shrunk = await shrink(suite, sequence, failure);
+      return { seed: seed + i, steps, original: failure, ...shrunk };
+    }
+  }
+  return null;
+}
+
+function formatFailure(result) {
+  const lines = [
+    `invariant "${result.failure.name}" failed at step ${result.failure.step} (${result.failure.action}): ${result.failure.message}`,
+    `seed ${result.seed}, ${result.steps} steps, shrunk to ${result.sequence.length} step(s):`,
+    ...result.sequence.map((s, i) => `  ${i}. ${s.action} ${JSON.stringify(s.args)}`),
+  ];
+  return lines.join("\n");
+}
+
+module.exports = { prng, generate, isRevert, runSequence, shrink, fuzz, formatFailure };
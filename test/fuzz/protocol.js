@@ -0,0 +1,397 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { mine, time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../../scripts/deploy");
+const { connectProtocol } = require("../../src/contracts");
+const { ConditionStatus, InterfaceConditionStatus } = require("../../src/enums");
+
+const { ethers } = hre;
+
+/**
+ * Heliora protocol suite for the fuzzing harness
+ * Actors are signers 1..4 (protocols, subscribers, executors, challengers);
+ * signer 0 is owner, slasher and registry executor. The model only records what
+ * the chain confirmed (condition ids, successful executions, condition stakes,
+ * subscribers) so invariants can compare it against contract state. Interface
+ * conditions are linked: each has a ConditionRegistry record (registryId) holding
+ * its condition stake.
+ */
+
+const ACTORS = 4;
+const GRACE_PERIOD = 3 * 24 * 60 * 60;
+
+const eth = (hundredths) => ethers.parseEther((hundredths / 100).toString());
+
+// Condition picked by index modulo the known conditions (of `kind`, if given)
+function pickCondition(ctx, pick, kind) {
+  const list = kind ? ctx.model.conditions.filter((c) => c.kind === kind) : ctx.model.conditions;
+  return list.length ? list[pick % list.length] : null;
+}
+
+// Challenge id picked by index modulo the challenges raised so far
+async function pickChallenge(ctx, pick) {
+  const count = Number(await ctx.contracts.conditionRegistry.nextChallengeId()) - 1;
+  return count ? BigInt((pick % count) + 1) : null;
+}
+
+// ConditionRegistry record of a condition (interface conditions: the linked record)
+function registryId(condition) {
+  return condition.kind === "registry" ? condition.id : condition.registryId;
+}
+
+function eventArg(contract, receipt, event, arg) {
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === event) return parsed.args[arg];
+  }
+  return null;
+}
+
+async function send(txPromise) {
+  return (await txPromise).wait();
+}
+
+function countExecution(ctx, condition) {
+  const key = `${condition.kind}:${condition.id}`;
+  ctx.model.executions.set(key, (ctx.model.executions.get(key) || 0) + 1);
+}
+
+const actions = {
+  register: {
+    weight: 3,
+    args: (r) => ({
+      kind: r.pick(["interface", "registry"]),
+      actor: r.int(1, ACTORS),
+      type: r.int(0, 1),
+      offset: r.int(1, 30),
+      repeatable: r.bool(0.3),
+    }),
+    async run(ctx, { kind, actor, type, offset, repeatable }) {
+      const head = await ethers.provider.getBlock("latest");
+      const value = type === 0 ? head.number + offset : head.timestamp + offset * 60;
+      const signer = ctx.signers[actor];
+      if (kind === "interface") {
+        const iface = ctx.contracts.helioraInterface.connect(signer);
+        const stake = { value: ctx.conditionStake };
+        const receipt = await send(
+          repeatable
+            ? iface.registerRecurringCondition(type, value, type === 0 ? 5 : 300, 0, 0, ctx.target, ctx.selector, stake)
+            : iface.registerCondition(type, value, ctx.target, ctx.selector, 0, stake)
+        );
+        const id = eventArg(iface, receipt, "ConditionRegistered", "conditionId");
+        const linked = eventArg(iface, receipt, "ConditionLinked", "registryId");
+        ctx.model.conditions.push({ kind, id, registryId: linked, owner: actor, repeatable });
+        ctx.model.conditionStakes.add(linked);
+      } else {
+        const registry = ctx.contracts.conditionRegistry.connect(signer);
+        const receipt = await send(registry.registerCondition(type, value, ctx.target, ctx.selector, repeatable));
+        const id = eventArg(registry, receipt, "ConditionRegistered", "id");
+        ctx.model.conditions.push({ kind, id, owner: actor, repeatable });
+      }
+    },
+  },
+
+  activate: {
+    weight: 3,
+    args: (r) => ({ pick: r.int(0, 1000) }),
+    async run(ctx, { pick }) {
+      const c = pickCondition(ctx, pick);
+      if (!c) return;
+      const contract = c.kind === "interface" ? ctx.contracts.helioraInterface : ctx.contracts.conditionRegistry;
+      await send(contract.connect(ctx.signers[c.owner]).activateCondition(c.id));
+    },
+  },
+
+  execute: {
+    weight: 4,
+    args: (r) => ({ pick: r.int(0, 1000) }),
+    async run(ctx, { pick }) {
+      const c = pickCondition(ctx, pick);
+      if (!c) return;
+      if (c.kind === "interface") {
+        await send(ctx.contracts.helioraInterface.executeCondition(c.id, "0x", { value: ctx.fee }));
+      } else {
+        await send(ctx.contracts.conditionRegistry.recordExecution(c.id, ethers.id(`fuzz-${c.id}-${pick}`)));
+      }
+      countExecution(ctx, c);
+    },
+  },
+
+  cancel: {
+    args: (r) => ({ pick: r.int(0, 1000) }),
+    async run(ctx, { pick }) {
+      const c = pickCondition(ctx, pick);
+      if (!c) return;
+      const contract = c.kind === "interface" ? ctx.contracts.helioraInterface : ctx.contracts.conditionRegistry;
+      // Cancelling an interface condition cancels its record unless the record is already closed
+      const status = Number((await ctx.contracts.conditionRegistry.getCondition(registryId(c))).status);
+      await send(contract.connect(ctx.signers[c.owner]).cancelCondition(c.id));
+      if (status === ConditionStatus.REGISTERED || status === ConditionStatus.ACTIVE) ctx.model.registryCancels++;
+    },
+  },
+
+  stake: {
+    weight: 2,
+    args: (r) => ({ actor: r.int(1, ACTORS), amount: r.int(5, 30) }),
+    async run(ctx, { actor, amount }) {
+      await send(ctx.contracts.staking.connect(ctx.signers[actor]).stakeAsExecutor({ value: eth(amount) }));
+    },
+  },
+
+  unstake: {
+    args: (r) => ({ actor: r.int(1, ACTORS), amount: r.int(1, 30), all: r.bool() }),
+    async run(ctx, { actor, amount, all }) {
+      const staking = ctx.contracts.staking.connect(ctx.signers[actor]);
+      const stake = await staking.getExecutorStake(ctx.signers[actor].address);
+      await send(staking.requestUnstake(all ? stake.amount : eth(amount)));
+    },
+  },
+
+  withdraw: {
+    args: (r) => ({ actor: r.int(1, ACTORS) }),
+    async run(ctx, { actor }) {
+      await send(ctx.contracts.staking.connect(ctx.signers[actor]).withdraw());
+    },
+  },
+
+  slash: {
+    weight: 2,
+    args: (r) => ({ actor: r.int(1, ACTORS), amount: r.int(1, 20), pick: r.int(0, 1000) }),
+    async run(ctx, { actor, amount, pick }) {
+      const c = pickCondition(ctx, pick);
+      await send(ctx.contracts.staking.slashExecutor(ctx.signers[actor].address, eth(amount), "fuzz", c ? c.id : 0));
+    },
+  },
+
+  stakeCondition: {
+    args: (r) => ({ pick: r.int(0, 1000) }),
+    async run(ctx, { pick }) {
+      const c = pickCondition(ctx, pick, "registry");
+      if (!c) return;
+      const staking = ctx.contracts.staking.connect(ctx.signers[c.owner]);
+      await send(staking.stakeForCondition(c.id, { value: ctx.conditionStake }));
+      ctx.model.conditionStakes.add(c.id);
+    },
+  },
+
+  releaseCondition: {
+    args: (r) => ({ actor: r.int(1, ACTORS), pick: r.int(0, 1000), slash: r.bool() }),
+    async run(ctx, { actor, pick, slash }) {
+      const c = pickCondition(ctx, pick);
+      if (!c) return;
+      if (slash) await send(ctx.contracts.staking.slashConditionStake(registryId(c), "fuzz"));
+      else await send(ctx.contracts.staking.connect(ctx.signers[actor]).releaseConditionStake(registryId(c)));
+    },
+  },
+
+  subscribe: {
+    args: (r) => ({ actor: r.int(1, ACTORS), tier: r.int(1, 2) }),
+    async run(ctx, { actor, tier }) {
+      const payment = ctx.contracts.payment.connect(ctx.signers[actor]);
+      await send(payment.subscribeETH(tier, `fuzz-${actor}`, { value: ctx.prices[tier] }));
+      ctx.model.subscribers.add(actor);
+    },
+  },
+
+  renew: {
+    args: (r) => ({ actor: r.int(1, ACTORS) }),
+    async run(ctx, { actor }) {
+      const payment = ctx.contracts.payment.connect(ctx.signers[actor]);
+      const sub = await payment.getSubscription(ctx.signers[actor].address);
+      await send(payment.renewETH({ value: ctx.prices[Number(sub.tier)] || 0n }));
+    },
+  },
+
+  unsubscribe: {
+    args: (r) => ({ actor: r.int(1, ACTORS) }),
+    async run(ctx, { actor }) {
+      await send(ctx.contracts.payment.connect(ctx.signers[actor]).cancelSubscription());
+    },
+  },
+
+  challenge: {
+    weight: 2,
+    args: (r) => ({ actor: r.int(1, ACTORS), pick: r.int(0, 1000) }),
+    async run(ctx, { actor, pick }) {
+      const c = pickCondition(ctx, pick);
+      if (!c) return;
+      const registry = ctx.contracts.conditionRegistry.connect(ctx.signers[actor]);
+      await send(registry.challengeExecution(registryId(c), { value: ctx.challengeBond }));
+    },
+  },
+
+  resolve: {
+    args: (r) => ({ pick: r.int(0, 1000), valid: r.bool() }),
+    async run(ctx, { pick, valid }) {
+      const challengeId = await pickChallenge(ctx, pick);
+      if (!challengeId) return;
+      await send(ctx.contracts.conditionRegistry.resolveChallenge(challengeId, valid));
+    },
+  },
+
+  expireChallenge: {
+    args: (r) => ({ pick: r.int(0, 1000) }),
+    async run(ctx, { pick }) {
+      const challengeId = await pickChallenge(ctx, pick);
+      if (!challengeId) return;
+      await send(ctx.contracts.conditionRegistry.expireChallenge(challengeId));
+    },
+  },
+
+  claim: {
+    args: (r) => ({ actor: r.int(0, ACTORS) }),
+    async run(ctx, { actor }) {
+      await send(ctx.contracts.conditionRegistry.connect(ctx.signers[actor]).claim());
+    },
+  },
+
+  warp: {
+    weight: 2,
+    args: (r) => ({ blocks: r.int(1, 120), days: r.bool(0.3) ? r.int(1, 35) : 0 }),
+    async run(ctx, { blocks, days }) {
+      if (days) await time.increase(days * 24 * 60 * 60);
+      await mine(blocks);
+    },
+  },
+};
+
+const invariants = {
+  // Every executor stake (bonded, deactivated or unbonding) and every unreleased
+  // condition stake is backed by ETH held by the contract
+  async stakingSolvency(ctx) {
+    const staking = ctx.contracts.staking;
+    let owed = 0n;
+    const count = Number(await staking.getExecutorCount());
+    for (let i = 0; i < count; i++) {
+      const executor = await staking.executors(i);
+      owed += (await staking.getExecutorStake(executor)).amount + (await staking.getUnbonding(executor)).amount;
+    }
+    for (const id of ctx.model.conditionStakes) {
+      const info = await staking.getConditionStake(id);
+      if (!info.released) owed += info.amount;
+    }
+    expect(await ethers.provider.getBalance(ctx.addresses.staking)).to.be.at.least(owed);
+  },
+
+  // Open challenge bonds and unclaimed payouts are backed by ETH held by the registry
+  async registrySolvency(ctx) {
+    const registry = ctx.contracts.conditionRegistry;
+    let owed = 0n;
+    for (let actor = 0; actor <= ACTORS; actor++) owed += await registry.claimable(ctx.signers[actor].address);
+    for (let id = 1n; id < (await registry.nextChallengeId()); id++) {
+      const challenge = await registry.challenges(id);
+      if (challenge.open) owed += challenge.bond;
+    }
+    expect(await ethers.provider.getBalance(ctx.addresses.conditionRegistry)).to.be.at.least(owed);
+  },
+
+  async activeExecutorsAboveMinimum(ctx) {
+    const staking = ctx.contracts.staking;
+    const min = await staking.minExecutorStake();
+    for (const executor of await staking.getActiveExecutors()) {
+      expect((await staking.getExecutorStake(executor)).amount, executor).to.be.at.least(min);
+    }
+  },
+
+  // Interface executions are recorded on their linked records
+  async registryStats(ctx) {
+    const registry = ctx.contracts.conditionRegistry;
+    const ids = ctx.model.conditions.map(registryId);
+    const statuses = [];
+    for (const id of ids) statuses.push(Number((await registry.getCondition(id)).status));
+    const executions = ctx.model.conditions.reduce((sum, c) => sum + (ctx.model.executions.get(`${c.kind}:${c.id}`) || 0), 0);
+    const open = statuses.filter((s) => s === ConditionStatus.REGISTERED || s === ConditionStatus.ACTIVE).length;
+
+    const stats = await registry.getStats();
+    expect(stats.registered, "registered").to.equal(ids.length);
+    expect(stats.executed, "executed").to.equal(executions);
+    expect(stats.cancelled, "cancelled").to.equal(ctx.model.registryCancels);
+    expect(stats.active, "active").to.equal(open);
+  },
+
+  async singleConditionsExecuteOnce(ctx) {
+    for (const c of ctx.model.conditions) {
+      const executions = ctx.model.executions.get(`${c.kind}:${c.id}`) || 0;
+      if (!c.repeatable) expect(executions, `${c.kind} condition ${c.id}`).to.be.at.most(1);
+      if (c.kind === "interface" && !c.repeatable) {
+        const status = Number((await ctx.contracts.helioraInterface.getCondition(c.id)).status);
+        expect(status === InterfaceConditionStatus.EXECUTED, `interface condition ${c.id} status`).to.equal(executions === 1);
+      }
+    }
+  },
+
+  // A linked condition stake stays locked exactly while its interface condition is open
+  async linkedStakesLocked(ctx) {
+    for (const c of ctx.model.conditions.filter((c) => c.kind === "interface")) {
+      const status = Number((await ctx.contracts.helioraInterface.getCondition(c.id)).status);
+      const open = status === InterfaceConditionStatus.PENDING || status === InterfaceConditionStatus.ACTIVE;
+      expect(await ctx.contracts.staking.lockedStakes(c.registryId), `interface condition ${c.id}`).to.equal(open);
+    }
+  },
+
+  async expiredSubscriptionsInactive(ctx) {
+    const { number, timestamp } = await ethers.provider.getBlock("latest");
+    for (const actor of ctx.model.subscribers) {
+      const address = ctx.signers[actor].address;
+      const sub = await ctx.contracts.payment.getSubscription(address, { blockTag: number });
+      const active = await ctx.contracts.payment.isActiveSubscription(address, { blockTag: number });
+      if (!sub.active || BigInt(timestamp) > sub.expiresAt + BigInt(GRACE_PERIOD)) {
+        expect(active, `subscription of ${address}`).to.be.false;
+      }
+    }
+  },
+};
+
+let base = null;
+
+/**
+ * Deploy once, then restore that state before every run.
+ */
+async function setup() {
+  if (base) {
+    await base.snapshot.restore();
+  } else {
+    const signers = await ethers.getSigners();
+    const manifest = await deployProtocol(hre, { outDir: false, feeds: {} });
+    const contracts = connectProtocol(manifest.contracts, signers[0]);
+    const target = await (await ethers.getContractFactory("MockTarget")).deploy();
+    // Short resolution timeout so runs reach expired challenges
+    const registry = contracts.conditionRegistry;
+    await registry.setChallengeTerms(
+      await registry.challengeBond(),
+      await registry.challengeSlashAmount(),
+      await registry.challengerRewardBps(),
+      200
+    );
+    const prices = {};
+    for (const tier of [1, 2]) prices[tier] = (await contracts.payment.getTierConfig(tier)).priceETH;
+    base = {
+      signers,
+      contracts,
+      addresses: manifest.contracts,
+      target: await target.getAddress(),
+      selector: target.interface.getFunction("harvest").selector,
+      fee: await contracts.helioraInterface.executionFee(),
+      conditionStake: await contracts.staking.conditionStake(),
+      challengeBond: await contracts.conditionRegistry.challengeBond(),
+      prices,
+      snapshot: await takeSnapshot(),
+    };
+  }
+  const { snapshot, ...shared } = base;
+  return { ...shared, model: {
+      conditions: [],
+      executions: new Map(),
+      registryCancels: 0,
+      conditionStakes: new Set(),
+      subscribers: new Set(),
+    },
+  };
+}
+
+// Deployments from other test files invalidate the snapshot
+function reset() {
+  base = null;
+}
+
+module.exports = { suite: { setup, actions, invariants }, reset };
@@ -0,0 +1,164 @@
+const hre = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProtocol } = require("../../scripts/deploy");
+const { connectProtocol } = require("../../src/contracts");
+
+const { ethers } = hre;
+
+/**
+ * Gas benchmarks
+ * Every transaction is measured on its second run (a different condition or
+ * account), so first-use costs of counters and arrays don't skew the numbers.
+ * View functions are measured with eth_estimateGas (includes the 21000 base).
+ */
+
+const CALLDATA_SIZES = [0, 32, 256, 1024];
+const EXECUTOR_COUNTS = [1, 10, 25];
+const PRICE_USDC = 500_000000n;
+
+async function gasUsed(txPromise) {
+  return Number((await (await txPromise).wait()).gasUsed);
+}
+
+// Run `fn(0)` to warm up, return the gas of `fn(1)`
+async function secondRun(fn) {
+  await fn(0);
+  return gasUsed(fn(1));
+}
+
+/**
+ * @return {Promise<Object<string, number>>} benchmark name => gas
+ */
+async function runBenchmarks() {
+  const signers = await ethers.getSigners();
+  const [operator, protocol, a, b] = signers;
+  const manifest = await deployProtocol(hre, { outDir: false });
+  const contracts = connectProtocol(manifest.contracts, operator);
+  const target = await (await ethers.getContractFactory("MockTarget")).deploy();
+  const targetAddress = await target.getAddress();
+  const selector = target.interface.getFunction("harvest").selector;
+  const results = {};
+
+  // --- HelioraInterface (registration includes the linked record and condition stake) ---
+  const iface = contracts.helioraInterface.connect(protocol);
+  const stake = { value: await contracts.staking.conditionStake() };
+  const far = (await ethers.provider.getBlockNumber()) + 10_000;
+  results["HelioraInterface.registerCondition"] = await secondRun(() =>
+    iface.registerCondition(0, far, targetAddress, selector, 0, stake)
+  );
+  results["HelioraInterface.activateCondition"] = await secondRun((i) => iface.activateCondition(i + 1));
+
+  // One ready condition per execution (plus one to warm up)
+  const due = (await ethers.provider.getBlockNumber()) + 2 * (CALLDATA_SIZES.length + 1) + 1;
+  const ids = [];
+  for (let i = 0; i <= CALLDATA_SIZES.length; i++) {
+    await iface.registerCondition(0, due, targetAddress, selector, 0, stake);
+    ids.push((await iface.getProtocolConditions(protocol.address)).at(-1));
+    await iface.activateCondition(ids.at(-1));
+  }
+  await mine(due - (await ethers.provider.getBlockNumber()));
+  await contracts.helioraInterface.executeCondition(ids[0], "0x");
+  for (const [n, size] of CALLDATA_SIZES.entries()) {
+    const callData = "0x" + "ab".repeat(size);
+    results[`HelioraInterface.executeCondition(calldata=${size})`] = await gasUsed(
+      contracts.helioraInterface.executeCondition(ids[n + 1], callData)
+    );
+  }
+
+  // --- ConditionRegistry ---
+  const registry = contracts.conditionRegistry.connect(protocol);
+  const first = await registry.nextConditionId(); // after the interface conditions' records
+  results["ConditionRegistry.registerCondition"] = await secondRun(() =>
+    registry.registerCondition(0, far, targetAddress, selector, false)
+  );
+  results["ConditionRegistry.activateCondition"] = await secondRun((i) => registry.activateCondition(first + BigInt(i)));
+  results["ConditionRegistry.recordExecution"] = await secondRun((i) =>
+    contracts.conditionRegistry.recordExecution(first + BigInt(i), ethers.id(`benchmark-${i}`))
+  );
+
+  // --- HelioraStaking: getActiveExecutors as the executor set grows ---
+  let count = 0;
+  for (const executors of EXECUTOR_COUNTS) {
+    while (count < executors) {
+      const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+      await operator.sendTransaction({ to: wallet.address, value: ethers.parseEther("0.2") });
+      await contracts.staking.connect(wallet).stakeAsExecutor({ value: ethers.parseEther("0.1") });
+      count++;
+    }
+    results[`HelioraStaking.getActiveExecutors(executors=${executors})`] = Number(
+      await contracts.staking.getActiveExecutors.estimateGas()
+    );
+  }
+  const stakers = [a, b];
+  results["HelioraStaking.stakeAsExecutor"] = await secondRun((i) =>
+    contracts.staking.connect(stakers[i]).stakeAsExecutor({ value: ethers.parseEther("0.1") })
+  );
+
+  // --- HelioraPayment ---
+  const usdc = await ethers.getContractAt("MockERC20", manifest.mocks.usdc);
+  const payers = signers.slice(4, 8);
+  for (const payer of payers.slice(0, 2)) {
+    await usdc.mint(payer.address, PRICE_USDC);
+    await usdc.connect(payer).approve(manifest.contracts.payment, PRICE_USDC);
+  }
+  results["HelioraPayment.subscribeUSDC"] = await secondRun((i) =>
+    contracts.payment.connect(payers[i]).subscribeUSDC(1, "Benchmark")
+  );
+  const { priceETH } = await contracts.payment.getTierConfig(1);
+  results["HelioraPayment.subscribeETH"] = await secondRun((i) =>
+    contracts.payment.connect(payers[2 + i]).subscribeETH(1, "Benchmark", { value: priceETH })
+  );
+
+  return results;
+}
+
+/**
+ * Compiler version and optimizer settings the contracts were built with.
+ */
+async function compilerSettings() {
+  const buildInfo = await hre.artifacts.getBuildInfo("contracts/HelioraInterface.sol:HelioraInterface");
+  const { optimizer, viaIR } = buildInfo.input.settings;
+  return { version: buildInfo.solcVersion, viaIR: viaIR === true, optimizer: optimizer.enabled, runs: optimizer.runs };
+}
+
+/**
+ * @param {Object<string, number>} results runBenchmarks() output
+ * @param {{tolerancePercent: number, functions: Object<string, number>}} baseline
+ * @param {number} tolerancePercent allowed increase over the baseline
+ * @return {{name: string, gas: number|null, baseline: number|null, change: number|null, status: string}[]}
+ *   status: ok, over, improved, new (no baseline) or missing (no longer measured)
+ */
+function compareToBaseline(results, baseline, tolerancePercent) {
+  const rows = [];
+  const names = [...new Set([...Object.keys(baseline.functions), ...Object.keys(results)])].sort();
+  for (const name of names) {
+    const gas = results[name] ?? null;
+    const budget = baseline.functions[name] ?? null;
+    if (budget === null || gas === null) {
+      rows.push({ name, gas, baseline: budget, change: null, status: budget === null ? "new" : "missing" });
+      continue;
+    }
+    const change = ((gas - budget) / budget) * 100;
+    const status = change > tolerancePercent ? "over" : change < -tolerancePercent ? "improved" : "ok";
+    rows.push({ name, gas, baseline: budget, change, status });
+  }
+  return rows;
+}
+
+function formatReport(rows, { compiler, baselineCompiler, tolerancePercent }) {
+  const width = Math.max(...rows.map((r) => r.name.length));
+  const lines = [`Gas report (budget: baseline +${tolerancePercent}%)`];
+  lines.push(`compiler ${JSON.stringify(compiler)}`);
+  if (baselineCompiler && JSON.stringify(baselineCompiler) !== JSON.stringify(compiler)) {
+    lines.push(`baseline ${JSON.stringify(baselineCompiler)}`);
+  }
+  for (const r of rows) {
+    const change = r.change === null ? "" : `${r.change >= 0 ? "+" : ""}${r.change.toFixed(2)}%`;
+    const gas = String(r.gas ?? "-").padStart(9);
+    const budget = String(r.baseline ?? "-").padStart(9);
+    lines.push(`  ${r.name.padEnd(width)}  ${gas}  ${budget}  ${change.padStart(8)}  ${r.status}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { CALLDATA_SIZES, EXECUTOR_COUNTS, runBenchmarks, compilerSettings, compareToBaseline, formatReport };